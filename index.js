@@ -7,13 +7,30 @@ const {
   Routes,
   SlashCommandBuilder,
   PermissionsBitField,
-  WebhookClient
+  WebhookClient,
+  ChannelType,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle
 } = require("discord.js");
 const Database = require("better-sqlite3");
 const crypto = require("crypto");
-const readline = require("readline");
+const zlib = require("zlib");
 const path = require("path");
-const { Readable } = require("stream");
+const { DEFAULT_PROVIDER_TYPE, PROVIDER_ADAPTERS, getProviderAdapter } = require("./lib/providers");
+const { sleep, openCompletionStream } = require("./lib/completions");
+const {
+  normalizeVector,
+  vectorToBlob,
+  blobToVector,
+  dotProduct,
+  embedInBatches,
+  topSimilar
+} = require("./lib/embeddings");
+const { tokenizeForSearch, chunkDocumentText, bm25Scores, blendScores } = require("./lib/kb");
+const { createThinkFilter, createReplySplitter, splitMessage, createLiveMessage } = require("./lib/output");
+const { parseCron, nextCronRun } = require("./lib/cron");
 
 const MULTI_MSG_INSTRUCTIONS =
   "**Multi-Message Formatting Instructions:**\n\n" +
@@ -30,6 +47,11 @@ const MULTI_MSG_INSTRUCTIONS =
   "```\n\n" +
   "This will appear as three separate messages in Discord.";
 
+const JSON_OUTPUT_INSTRUCTIONS =
+  "**Reply Format Instructions:**\n\n" +
+  'Reply with only a JSON object of the form `{"messages": ["first message", "second message"]}` and no other text. ' +
+  "Each string in `messages` is displayed as a separate message in Discord and may use Discord markdown formatting.";
+
 const TOKEN = process.env.DISCORD_TOKEN;
 const CLIENT_ID = process.env.CLIENT_ID;
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY; // 32-byte hex
@@ -43,6 +65,8 @@ if (Buffer.from(ENCRYPTION_KEY, "hex").length !== 32) {
 }
 
 // --- Database setup ---
+// Foreign keys aren't enforced, so the ON DELETE CASCADE clauses below never run: rows that belong
+// to a deleted row are deleted explicitly.
 const db = new Database("bot.db");
 db.exec(`
 CREATE TABLE IF NOT EXISTS providers (
@@ -53,6 +77,7 @@ CREATE TABLE IF NOT EXISTS providers (
   encryptedKey TEXT NOT NULL,
   iv TEXT NOT NULL,
   authTag TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'openai', -- Provider adapter: openai, anthropic, gemini, ollama, azure-openai
   UNIQUE(guildId,name)
 );
 CREATE TABLE IF NOT EXISTS agents (
@@ -70,6 +95,32 @@ CREATE TABLE IF NOT EXISTS agents (
   webhookToken TEXT NOT NULL,
   linkedToAgentId INTEGER, -- ID of the agent this one is cloned from and linked to
   isSourceForLink INTEGER NOT NULL DEFAULT 0, -- 1 if this agent is a source for linked clones
+  temperature REAL,
+  topP REAL,
+  maxTokens INTEGER,
+  presencePenalty REAL,
+  frequencyPenalty REAL,
+  stopSequences TEXT, -- JSON array of stop strings
+  seed INTEGER,
+  extraBody TEXT,     -- JSON object merged into the chat-completions request
+  enabledTools TEXT,  -- JSON array of tool names the agent may call
+  fallbacks TEXT,     -- JSON array of { providerName, model } tried in order when the provider fails
+  contextTokens INTEGER, -- Per-agent context size in tokens; switches the agent to token-budget context
+  retrievalEnabled INTEGER NOT NULL DEFAULT 0, -- 1 to inject similar past messages before each completion
+  retrievalTopK INTEGER NOT NULL DEFAULT 5,
+  retrievalThreshold REAL NOT NULL DEFAULT 0.75, -- Minimum cosine similarity
+  embeddingProvider TEXT, -- Defaults to the agent's provider
+  embeddingModel TEXT,    -- Defaults to the provider type's embedding model
+  kbHybridSearch INTEGER NOT NULL DEFAULT 0, -- 1 to blend embedding similarity into knowledge base search
+  threadMode TEXT NOT NULL DEFAULT 'inline', -- 'inline' replies in the channel, 'thread' opens a thread per conversation
+  forumAutoReply INTEGER NOT NULL DEFAULT 0, -- 1 to answer every message in posts of its forum channel
+  outputMode TEXT NOT NULL DEFAULT 'msg-tags', -- How replies are split into messages: 'msg-tags', 'paragraphs', 'single' or 'json'
+  liveEdit INTEGER NOT NULL DEFAULT 0, -- 1 to post replies right away and edit them as they stream
+  replyControls INTEGER NOT NULL DEFAULT 1, -- 1 to put Stop, Regenerate and Continue buttons on replies
+  reasoningEffort TEXT, -- 'low', 'medium' or 'high' for models that can reason; NULL leaves it to the provider
+  reasoningDisplay TEXT NOT NULL DEFAULT 'hide', -- 'hide', 'spoiler' or 'thread'
+  reasoningStore INTEGER NOT NULL DEFAULT 0, -- 1 to keep reasoning in the messages table for /transcript
+  templateId INTEGER, -- Agent template this agent was applied from and stays linked to
   UNIQUE(guildId,name,channelId),
   FOREIGN KEY(linkedToAgentId) REFERENCES agents(id) ON DELETE SET NULL -- If source is deleted, unlink clones
 );
@@ -80,20 +131,231 @@ CREATE TABLE IF NOT EXISTS messages (
   content TEXT NOT NULL,
   author TEXT,
   timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+  threadId TEXT, -- Thread the message belongs to; NULL for the channel's shared history
+  reasoning TEXT, -- The model's reasoning for a reply, on its first row, when the agent stores it
   FOREIGN KEY(agentId) REFERENCES agents(id)
 );
 CREATE TABLE IF NOT EXISTS guildSettings (
   guildId TEXT PRIMARY KEY,
   contextWindow INTEGER NOT NULL DEFAULT 10,
-  loopDepth INTEGER NOT NULL DEFAULT 2 -- Added loopDepth here during initial setup review
+  loopDepth INTEGER NOT NULL DEFAULT 2, -- Added loopDepth here during initial setup review
+  maxToolIterations INTEGER NOT NULL DEFAULT 3,
+  contextMode TEXT NOT NULL DEFAULT 'messages', -- 'messages' (contextWindow rows) or 'tokens' (contextTokens budget)
+  contextTokens INTEGER,
+  summaryThreshold INTEGER NOT NULL DEFAULT 20, -- Messages out of context before they are summarized; 0 disables
+  summarizerAgentId INTEGER, -- Agent used to write channel summaries; defaults to the replying agent
+  limitAlertChannelId TEXT, -- Channel for budget alerts; NULL disables them
+  timezone TEXT -- IANA timezone schedules run in; NULL means UTC
+);
+CREATE TABLE IF NOT EXISTS channel_summaries (
+  channelId TEXT PRIMARY KEY,
+  guildId TEXT NOT NULL,
+  summary TEXT NOT NULL,
+  summarizedThroughId INTEGER NOT NULL DEFAULT 0, -- Newest messages.id folded into the summary
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS message_embeddings (
+  messageId INTEGER NOT NULL,
+  model TEXT NOT NULL, -- "<provider>/<embedding model>" that produced the vector
+  channelId TEXT NOT NULL,
+  vector BLOB NOT NULL, -- Normalized Float32Array
+  PRIMARY KEY (messageId, model),
+  FOREIGN KEY (messageId) REFERENCES messages(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_message_embeddings_channel ON message_embeddings (channelId, model);
+CREATE TABLE IF NOT EXISTS model_context_limits (
+  guildId TEXT NOT NULL,
+  model TEXT NOT NULL,
+  contextTokens INTEGER NOT NULL,
+  PRIMARY KEY (guildId, model)
+);
+CREATE TABLE IF NOT EXISTS kb_documents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guildId TEXT NOT NULL,
+  collection TEXT NOT NULL,
+  fileName TEXT NOT NULL,
+  uploadedBy TEXT NOT NULL,
+  charCount INTEGER NOT NULL,
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(guildId, collection, fileName)
+);
+CREATE TABLE IF NOT EXISTS kb_chunks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  documentId INTEGER NOT NULL,
+  chunkIndex INTEGER NOT NULL, -- 1-based position within the document
+  content TEXT NOT NULL,
+  termCount INTEGER, -- Search terms in the chunk, for BM25 length normalization
+  FOREIGN KEY (documentId) REFERENCES kb_documents(id) ON DELETE CASCADE
+);
+CREATE TABLE IF NOT EXISTS kb_chunk_terms (
+  chunkId INTEGER NOT NULL,
+  term TEXT NOT NULL,
+  tf INTEGER NOT NULL, -- Times the term occurs in the chunk
+  PRIMARY KEY (chunkId, term)
+);
+CREATE INDEX IF NOT EXISTS idx_kb_chunk_terms_term ON kb_chunk_terms (term);
+CREATE TABLE IF NOT EXISTS kb_chunk_embeddings (
+  chunkId INTEGER NOT NULL,
+  model TEXT NOT NULL, -- "<provider>/<embedding model>" that produced the vector
+  vector BLOB NOT NULL,
+  PRIMARY KEY (chunkId, model),
+  FOREIGN KEY (chunkId) REFERENCES kb_chunks(id) ON DELETE CASCADE
+);
+CREATE TABLE IF NOT EXISTS agent_kb_links (
+  agentId INTEGER NOT NULL,
+  collection TEXT NOT NULL,
+  PRIMARY KEY (agentId, collection),
+  FOREIGN KEY (agentId) REFERENCES agents(id) ON DELETE CASCADE
+);
+CREATE TABLE IF NOT EXISTS chat_sessions (
+  threadId TEXT PRIMARY KEY, -- Thread opened by /chat
+  agentId INTEGER NOT NULL,
+  guildId TEXT NOT NULL,
+  userId TEXT NOT NULL, -- Member who started the session
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (agentId) REFERENCES agents(id) ON DELETE CASCADE
+);
+CREATE TABLE IF NOT EXISTS permissions (
+  guildId TEXT NOT NULL,
+  targetType TEXT NOT NULL, -- 'role' or 'user'
+  targetId TEXT NOT NULL,
+  capability TEXT NOT NULL, -- manage-providers, manage-agents, change-settings or chat-with-agent:<name>
+  PRIMARY KEY (guildId, targetType, targetId, capability)
+);
+CREATE TABLE IF NOT EXISTS usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guildId TEXT NOT NULL,
+  channelId TEXT,
+  agentId INTEGER,
+  agentName TEXT NOT NULL, -- Kept so reports survive agent deletion
+  userId TEXT, -- Member whose message triggered the completion; NULL for agent-to-agent turns and background tasks
+  providerName TEXT NOT NULL,
+  model TEXT NOT NULL,
+  promptTokens INTEGER NOT NULL,
+  completionTokens INTEGER NOT NULL,
+  estimated INTEGER NOT NULL DEFAULT 0, -- 1 when the provider reported no usage and tokens were estimated
+  latencyMs INTEGER NOT NULL,
+  purpose TEXT NOT NULL DEFAULT 'chat', -- 'chat' or 'summary'
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_usage_guild_time ON usage (guildId, createdAt);
+CREATE TABLE IF NOT EXISTS model_prices (
+  guildId TEXT NOT NULL,
+  model TEXT NOT NULL,
+  inputPerMillion REAL NOT NULL,  -- USD per million prompt tokens
+  outputPerMillion REAL NOT NULL, -- USD per million completion tokens
+  PRIMARY KEY (guildId, model)
+);
+CREATE TABLE IF NOT EXISTS limits (
+  guildId TEXT NOT NULL,
+  scope TEXT NOT NULL,  -- 'guild', 'agent', 'provider' or 'user'
+  target TEXT NOT NULL, -- '' for the guild or every member, else lowercased agent name, provider name or user ID
+  kind TEXT NOT NULL,   -- 'rpm', 'daily-tokens' or 'daily-cost'
+  value REAL NOT NULL,
+  PRIMARY KEY (guildId, scope, target, kind)
+);
+CREATE TABLE IF NOT EXISTS limit_alerts (
+  guildId TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  target TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  day TEXT NOT NULL, -- UTC date (YYYY-MM-DD) of the last budget alert for this limit
+  PRIMARY KEY (guildId, scope, target, kind)
+);
+CREATE TABLE IF NOT EXISTS prompt_snippets (
+  guildId TEXT NOT NULL,
+  name TEXT NOT NULL,
+  content TEXT NOT NULL,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (guildId, name)
 );
 CREATE TABLE IF NOT EXISTS yap_settings (
   agentId INTEGER NOT NULL,
   channelId TEXT NOT NULL,
   isEnabled INTEGER NOT NULL DEFAULT 0, -- 0 for false, 1 for true
+  debounceMs INTEGER NOT NULL DEFAULT 3000, -- Quiet time after the last message before a burst is answered
+  cooldownSeconds INTEGER NOT NULL DEFAULT 0, -- Minimum time between the agent's auto-replies
+  probability REAL NOT NULL DEFAULT 1, -- Chance of replying to a burst that passes the other gates
+  gatePattern TEXT, -- Comma-separated keywords or /regex/flags a burst must match
+  classifierEnabled INTEGER NOT NULL DEFAULT 0, -- 1 to ask the model "should I respond?" first
+  classifierModel TEXT, -- Cheaper model for that question; defaults to the agent's model
   PRIMARY KEY (agentId, channelId),
   FOREIGN KEY (agentId) REFERENCES agents(id) ON DELETE CASCADE
 );
+CREATE TABLE IF NOT EXISTS jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  type TEXT NOT NULL,      -- 'reply', 'yap' (a channel's burst, before an agent is picked) or 'session'
+  guildId TEXT NOT NULL,
+  channelId TEXT NOT NULL, -- Channel or thread the reply goes to
+  agentId INTEGER,         -- Replying agent; null for yap bursts and sessions
+  payload TEXT NOT NULL,   -- JSON, see enqueueJob
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' or 'running'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  lastError TEXT,
+  runAt INTEGER NOT NULL,  -- Unix ms before which the job doesn't start
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_status_runAt ON jobs (status, runAt);
+CREATE TABLE IF NOT EXISTS dead_jobs (
+  id INTEGER PRIMARY KEY,  -- The job's id
+  type TEXT NOT NULL,
+  guildId TEXT NOT NULL,
+  channelId TEXT NOT NULL,
+  agentId INTEGER,
+  payload TEXT NOT NULL,
+  attempts INTEGER NOT NULL,
+  lastError TEXT,
+  createdAt DATETIME,
+  failedAt INTEGER NOT NULL -- Unix ms
+);
+CREATE TABLE IF NOT EXISTS group_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT, -- Started with /session start
+  guildId TEXT NOT NULL,
+  channelId TEXT NOT NULL,  -- Channel or thread the session talks in
+  threadId TEXT,            -- Same as channelId when that is a thread
+  mode TEXT NOT NULL,       -- 'round-robin', 'debate' or 'moderator'
+  topic TEXT NOT NULL,
+  agentIds TEXT NOT NULL,   -- JSON array of the participants, in speaking order
+  leadAgentId INTEGER,      -- The debate's judge or the discussion's moderator
+  maxTurns INTEGER NOT NULL,
+  turnsTaken INTEGER NOT NULL DEFAULT 0,
+  lastSpeakerId INTEGER,
+  topicRowId INTEGER,       -- Stored topic message that every turn answers
+  status TEXT NOT NULL DEFAULT 'running', -- 'running', 'paused', 'stopping', 'finished' or 'stopped'
+  startedBy TEXT NOT NULL,  -- Member who started it
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS schedules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT, -- Added with /schedule add
+  guildId TEXT NOT NULL,
+  agentId INTEGER NOT NULL,
+  channelId TEXT NOT NULL, -- Agent's channel, or a thread in it, to post in
+  cron TEXT NOT NULL,      -- Five-field cron expression or a shortcut such as @daily
+  prompt TEXT NOT NULL,
+  isPaused INTEGER NOT NULL DEFAULT 0,
+  nextRunAt INTEGER,       -- Unix ms; NULL while paused
+  lastRunAt INTEGER,
+  createdBy TEXT NOT NULL, -- Member who added it; the runs count toward their limits
+  createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (agentId) REFERENCES agents(id) ON DELETE CASCADE
+);
+CREATE TABLE IF NOT EXISTS agent_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guildId TEXT NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE,
+  description TEXT,
+  model TEXT NOT NULL,
+  providerName TEXT NOT NULL, -- Provider name only; keys stay with the server's providers
+  multimodal INTEGER NOT NULL,
+  systemPrompt TEXT NOT NULL,
+  avatarMimeType TEXT,
+  avatarData TEXT,
+  settings TEXT NOT NULL DEFAULT '{}', -- JSON object of the agent's AGENT_SETTING_COLUMNS
+  sourceAgentId INTEGER, -- Agent last saved into the template
+  createdBy TEXT,
+  updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(guildId,name)
+);
 `);
 
 // --- Ensure loopDepth column exists in guildSettings (already added to CREATE TABLE) ---
@@ -151,6 +413,128 @@ try {
   console.error("Error during avatar column migration for agents table:", e.message);
 }
 
+// Adds a column to an existing table, ignoring the error if it is already there.
+function ensureColumn(table, columnDef) {
+  try {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${columnDef}`).run();
+    console.log(`Successfully added ${columnDef.split(" ")[0]} column to ${table} table.`);
+  } catch (e) {
+    if (!e.message.includes("duplicate column name") && !e.message.includes("already exists")) {
+      console.error(`Error adding ${columnDef.split(" ")[0]} column to ${table} table:`, e.message);
+    }
+  }
+}
+
+// --- Ensure provider type column exists in providers table ---
+ensureColumn("providers", "type TEXT NOT NULL DEFAULT 'openai'");
+
+// --- Ensure generation parameter columns exist in agents table ---
+ensureColumn("agents", "temperature REAL");
+ensureColumn("agents", "topP REAL");
+ensureColumn("agents", "maxTokens INTEGER");
+ensureColumn("agents", "presencePenalty REAL");
+ensureColumn("agents", "frequencyPenalty REAL");
+ensureColumn("agents", "stopSequences TEXT");
+ensureColumn("agents", "seed INTEGER");
+ensureColumn("agents", "extraBody TEXT");
+
+// --- Ensure tool calling columns exist ---
+ensureColumn("agents", "enabledTools TEXT");
+ensureColumn("guildSettings", "maxToolIterations INTEGER NOT NULL DEFAULT 3");
+
+// --- Ensure fallback chain column exists in agents table ---
+ensureColumn("agents", "fallbacks TEXT");
+
+// --- Ensure token-budget context columns exist ---
+ensureColumn("agents", "contextTokens INTEGER");
+ensureColumn("guildSettings", "contextMode TEXT NOT NULL DEFAULT 'messages'");
+ensureColumn("guildSettings", "contextTokens INTEGER");
+
+// --- Ensure semantic retrieval columns exist in agents table ---
+ensureColumn("agents", "retrievalEnabled INTEGER NOT NULL DEFAULT 0");
+ensureColumn("agents", "retrievalTopK INTEGER NOT NULL DEFAULT 5");
+ensureColumn("agents", "retrievalThreshold REAL NOT NULL DEFAULT 0.75");
+ensureColumn("agents", "embeddingProvider TEXT");
+ensureColumn("agents", "embeddingModel TEXT");
+
+// --- Ensure thread columns exist ---
+ensureColumn("messages", "threadId TEXT");
+ensureColumn("agents", "threadMode TEXT NOT NULL DEFAULT 'inline'");
+ensureColumn("agents", "forumAutoReply INTEGER NOT NULL DEFAULT 0");
+
+// --- Ensure knowledge base column exists in agents table ---
+ensureColumn("agents", "kbHybridSearch INTEGER NOT NULL DEFAULT 0");
+
+// --- Ensure output mode column exists in agents table ---
+ensureColumn("agents", "outputMode TEXT NOT NULL DEFAULT 'msg-tags'");
+ensureColumn("agents", "liveEdit INTEGER NOT NULL DEFAULT 0");
+ensureColumn("agents", "replyControls INTEGER NOT NULL DEFAULT 1");
+
+// --- Ensure reasoning columns exist ---
+ensureColumn("agents", "reasoningEffort TEXT");
+ensureColumn("agents", "reasoningDisplay TEXT NOT NULL DEFAULT 'hide'");
+ensureColumn("agents", "reasoningStore INTEGER NOT NULL DEFAULT 0");
+ensureColumn("messages", "reasoning TEXT");
+
+// --- Ensure channel memory columns exist in guildSettings ---
+ensureColumn("guildSettings", "summaryThreshold INTEGER NOT NULL DEFAULT 20");
+ensureColumn("guildSettings", "summarizerAgentId INTEGER");
+
+// --- Ensure yap gating columns exist ---
+ensureColumn("yap_settings", "debounceMs INTEGER NOT NULL DEFAULT 3000");
+ensureColumn("yap_settings", "cooldownSeconds INTEGER NOT NULL DEFAULT 0");
+ensureColumn("yap_settings", "probability REAL NOT NULL DEFAULT 1");
+ensureColumn("yap_settings", "gatePattern TEXT");
+ensureColumn("yap_settings", "classifierEnabled INTEGER NOT NULL DEFAULT 0");
+ensureColumn("yap_settings", "classifierModel TEXT");
+
+// --- Ensure budget alert column exists in guildSettings ---
+ensureColumn("guildSettings", "limitAlertChannelId TEXT");
+
+// --- Ensure timezone column exists in guildSettings ---
+ensureColumn("guildSettings", "timezone TEXT");
+
+// --- Ensure agent template link column exists ---
+ensureColumn("agents", "templateId INTEGER");
+
+// --- Remove message embeddings left behind by deleted messages ---
+db.prepare("DELETE FROM message_embeddings WHERE messageId NOT IN (SELECT id FROM messages)").run();
+
+// Per-agent generation parameters, as stored in the agents table, mapped to their request field names.
+const GENERATION_PARAM_FIELDS = {
+  temperature: "temperature",
+  topP: "top_p",
+  maxTokens: "max_tokens",
+  presencePenalty: "presence_penalty",
+  frequencyPenalty: "frequency_penalty",
+  stopSequences: "stop",
+  seed: "seed",
+  reasoningEffort: "reasoning_effort"
+};
+
+const GENERATION_PARAM_COLUMNS = [...Object.keys(GENERATION_PARAM_FIELDS), "extraBody"];
+
+// Agent columns copied by /agent clone and pushed to linked clones when the source changes.
+const AGENT_SETTING_COLUMNS = [
+  ...GENERATION_PARAM_COLUMNS,
+  "enabledTools",
+  "fallbacks",
+  "contextTokens",
+  "retrievalEnabled",
+  "retrievalTopK",
+  "retrievalThreshold",
+  "embeddingProvider",
+  "embeddingModel",
+  "kbHybridSearch",
+  "threadMode",
+  "forumAutoReply",
+  "outputMode",
+  "liveEdit",
+  "replyControls",
+  "reasoningDisplay",
+  "reasoningStore"
+];
+
 
 // --- AES-GCM encryption helpers ---
 function encrypt(text) {
@@ -178,6 +562,32 @@ function decrypt(encrypted, ivHex, authTagHex) {
   return dec;
 }
 
+// Passphrase-keyed variants, for secrets that leave this bot (e.g. /config export bundles).
+function encryptWithPassphrase(text, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", crypto.scryptSync(passphrase, salt, 32), iv);
+  let enc = cipher.update(text, "utf8", "hex");
+  enc += cipher.final("hex");
+  return {
+    salt: salt.toString("hex"),
+    iv: iv.toString("hex"),
+    encrypted: enc,
+    authTag: cipher.getAuthTag().toString("hex")
+  };
+}
+function decryptWithPassphrase({ salt, iv, encrypted, authTag }, passphrase) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    crypto.scryptSync(passphrase, Buffer.from(salt, "hex"), 32),
+    Buffer.from(iv, "hex")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "hex"));
+  let dec = decipher.update(encrypted, "hex", "utf8");
+  dec += decipher.final("utf8");
+  return dec;
+}
+
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
@@ -189,6 +599,8 @@ const client = new Client({
 
 client.once("ready", async () => {
   console.log(`Logged in as ${client.user.tag}`);
+  startJobQueue();
+  startScheduler();
 
   const commands = [
     new SlashCommandBuilder()
@@ -326,6 +738,257 @@ client.once("ready", async () => {
               .setRequired(false)
           )
       )
+      .addSubcommand((sub) =>
+        sub
+          .setName("params")
+          .setDescription(
+            "Set generation parameters for an agent in the current channel"
+          )
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent name").setRequired(true)
+          )
+          .addNumberOption((o) =>
+            o
+              .setName("temperature")
+              .setDescription("Sampling temperature (0-2)")
+              .setMinValue(0)
+              .setMaxValue(2)
+          )
+          .addNumberOption((o) =>
+            o
+              .setName("top-p")
+              .setDescription("Nucleus sampling probability mass (0-1)")
+              .setMinValue(0)
+              .setMaxValue(1)
+          )
+          .addIntegerOption((o) =>
+            o
+              .setName("max-tokens")
+              .setDescription("Maximum tokens to generate per reply")
+              .setMinValue(1)
+          )
+          .addNumberOption((o) =>
+            o
+              .setName("presence-penalty")
+              .setDescription("Presence penalty (-2 to 2)")
+              .setMinValue(-2)
+              .setMaxValue(2)
+          )
+          .addNumberOption((o) =>
+            o
+              .setName("frequency-penalty")
+              .setDescription("Frequency penalty (-2 to 2)")
+              .setMinValue(-2)
+              .setMaxValue(2)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("stop")
+              .setDescription(
+                'Stop sequence, or a JSON array of them (e.g. ["###"]). "none" clears it'
+              )
+          )
+          .addIntegerOption((o) =>
+            o.setName("seed").setDescription("Sampling seed")
+          )
+          .addStringOption((o) =>
+            o
+              .setName("reasoning-effort")
+              .setDescription("How hard reasoning models think before answering")
+              .addChoices(
+                { name: "Low", value: "low" },
+                { name: "Medium", value: "medium" },
+                { name: "High", value: "high" },
+                { name: "Provider default", value: "none" }
+              )
+          )
+          .addStringOption((o) =>
+            o
+              .setName("extra-body")
+              .setDescription(
+                'JSON object merged into the request body. "none" clears it'
+              )
+          )
+          .addBooleanOption((o) =>
+            o
+              .setName("reset")
+              .setDescription(
+                "Clear all parameters back to provider defaults before applying these"
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("tools")
+          .setDescription(
+            "Enable, disable or list tools for an agent in the current channel"
+          )
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent name").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("action")
+              .setDescription("What to do")
+              .setRequired(true)
+              .addChoices(
+                { name: "enable", value: "enable" },
+                { name: "disable", value: "disable" },
+                { name: "list", value: "list" }
+              )
+          )
+          .addStringOption((o) =>
+            o
+              .setName("tool")
+              .setDescription("Tool to enable or disable")
+              .addChoices(
+                ...Object.keys(AGENT_TOOLS).map((name) => ({ name, value: name }))
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("fallback")
+          .setDescription(
+            "Manage the fallback providers of an agent in the current channel"
+          )
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent name").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("action")
+              .setDescription("What to do")
+              .setRequired(true)
+              .addChoices(
+                { name: "add", value: "add" },
+                { name: "remove", value: "remove" },
+                { name: "clear", value: "clear" },
+                { name: "list", value: "list" }
+              )
+          )
+          .addStringOption((o) =>
+            o.setName("provider").setDescription("Fallback provider name (for add)")
+          )
+          .addStringOption((o) =>
+            o.setName("model").setDescription("Fallback model ID (for add)")
+          )
+          .addIntegerOption((o) =>
+            o
+              .setName("position")
+              .setDescription("Position in the fallback list (for add/remove, 1 = first)")
+              .setMinValue(1)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("retrieval")
+          .setDescription(
+            "Configure long-term memory retrieval for an agent in the current channel"
+          )
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent name").setRequired(true)
+          )
+          .addBooleanOption((o) =>
+            o.setName("enabled").setDescription("Retrieve similar past messages before replying?")
+          )
+          .addIntegerOption((o) =>
+            o
+              .setName("k")
+              .setDescription("How many past messages to retrieve (default 5)")
+              .setMinValue(1)
+              .setMaxValue(50)
+          )
+          .addNumberOption((o) =>
+            o
+              .setName("threshold")
+              .setDescription("Minimum similarity, 0-1 (default 0.75)")
+              .setMinValue(0)
+              .setMaxValue(1)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("provider")
+              .setDescription('Provider used for embeddings (default: the agent\'s provider, "none" resets)')
+          )
+          .addStringOption((o) =>
+            o
+              .setName("model")
+              .setDescription('Embedding model ID (default depends on the provider type, "none" resets)')
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("threads")
+          .setDescription("Configure how an agent in the current channel uses threads and forum posts")
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent name").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("mode")
+              .setDescription("Where it answers when addressed in the channel itself")
+              .addChoices(
+                { name: "Inline in the channel (default)", value: "inline" },
+                { name: "Open a thread on the message", value: "thread" }
+              )
+          )
+          .addBooleanOption((o) =>
+            o
+              .setName("forum-auto-reply")
+              .setDescription("In a forum channel, answer every message in its posts without being addressed")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("output")
+          .setDescription("Choose how an agent in the current channel splits its replies into messages")
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent name").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("mode")
+              .setDescription("Output mode (omit to show the current one)")
+              .addChoices(
+                { name: "<msg> tags, one message per tag (default)", value: "msg-tags" },
+                { name: "Paragraphs, split on blank lines", value: "paragraphs" },
+                { name: "Single message, chunked when too long", value: "single" },
+                { name: 'JSON {"messages": [...]}', value: "json" }
+              )
+          )
+          .addBooleanOption((o) =>
+            o
+              .setName("live-edit")
+              .setDescription("Post each message right away and edit it as the reply streams in")
+          )
+          .addBooleanOption((o) =>
+            o
+              .setName("controls")
+              .setDescription("Put Stop, Regenerate and Continue buttons on replies (default on)")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("reasoning")
+          .setDescription("Choose what happens to the reasoning of an agent in the current channel")
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent name").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("display")
+              .setDescription("Where the reasoning is shown")
+              .addChoices(
+                { name: "Hidden (default)", value: "hide" },
+                { name: "In a spoiler under the reply", value: "spoiler" },
+                { name: "In a thread on the reply", value: "thread" }
+              )
+          )
+          .addBooleanOption((o) =>
+            o.setName("store").setDescription("Keep the reasoning with the conversation for /transcript export")
+          )
+      )
       .toJSON(),
 
     new SlashCommandBuilder()
@@ -341,12 +1004,23 @@ client.once("ready", async () => {
           .addStringOption((o) =>
             o
               .setName("url")
-              .setDescription("Chat completions URL")
+              .setDescription("Chat completions URL or API base URL")
               .setRequired(true)
           )
           .addStringOption((o) =>
             o.setName("key").setDescription("API key").setRequired(true)
           )
+          .addStringOption((o) =>
+            o
+              .setName("type")
+              .setDescription("API type (default: OpenAI-compatible)")
+              .addChoices(
+                ...Object.entries(PROVIDER_ADAPTERS).map(([value, adapter]) => ({
+                  name: adapter.label,
+                  value
+                }))
+              )
+          )
       )
       .addSubcommand((sub) =>
         sub
@@ -369,12 +1043,22 @@ client.once("ready", async () => {
     new SlashCommandBuilder()
       .setName("contextwindow")
       .setDescription("Set context window size")
-      .addIntegerOption((o) =>
+      .addStringOption((o) =>
         o
           .setName("size")
-          .setDescription("Number of messages")
+          .setDescription("messages:N (message count) or tokens:N (token budget). tokens:0 clears an agent/model limit")
           .setRequired(true)
       )
+      .addStringOption((o) =>
+        o
+          .setName("agent")
+          .setDescription("Set a token budget for this agent in the current channel only")
+      )
+      .addStringOption((o) =>
+        o
+          .setName("model")
+          .setDescription("Set a token budget for every agent using this model ID")
+      )
       .toJSON(),
 
     new SlashCommandBuilder()
@@ -388,6 +1072,18 @@ client.once("ready", async () => {
       )
       .toJSON(),
 
+    new SlashCommandBuilder()
+      .setName("tooliterations")
+      .setDescription("Set how many tool-call rounds an agent may use per reply")
+      .addIntegerOption((o) =>
+        o
+          .setName("max")
+          .setDescription("Max tool-call rounds per reply")
+          .setRequired(true)
+          .setMinValue(0)
+      )
+      .toJSON(),
+
     new SlashCommandBuilder()
       .setName("clearcontext")
       .setDescription("Clear conversation context")
@@ -405,1224 +1101,6874 @@ client.once("ready", async () => {
       .toJSON(),
 
     new SlashCommandBuilder()
-      .setName("help")
-      .setDescription("Show help for all commands")
-      .toJSON(),
-
-    new SlashCommandBuilder()
-      .setName("yap")
-      .setDescription("Configure channel auto-reply for an agent.")
-      .addStringOption((o) =>
-        o
-          .setName("agent")
-          .setDescription("Name of the agent to configure.")
-          .setRequired(true)
+      .setName("memory")
+      .setDescription("Inspect and fix what agents remember about a channel")
+      .addSubcommand((sub) =>
+        sub
+          .setName("show")
+          .setDescription("Show the stored summary of a channel")
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Target channel")
+          )
       )
-      .addBooleanOption((o) =>
-        o
-          .setName("enabled")
-          .setDescription("Enable or disable auto-reply for this agent.")
-          .setRequired(true)
+      .addSubcommand((sub) =>
+        sub
+          .setName("edit")
+          .setDescription("Replace the stored summary of a channel")
+          .addStringOption((o) =>
+            o
+              .setName("text")
+              .setDescription("New summary text")
+              .setRequired(true)
+          )
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Target channel")
+          )
       )
-      .addChannelOption((o) =>
+      .addSubcommand((sub) =>
+        sub
+          .setName("reset")
+          .setDescription("Forget the stored summary of a channel")
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Target channel")
+          )
+          .addBooleanOption((o) =>
+            o
+              .setName("rebuild")
+              .setDescription(
+                "Re-summarize old messages from scratch next time (default: false, they stay forgotten)"
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("config")
+          .setDescription("Configure when and by whom channel summaries are written")
+          .addIntegerOption((o) =>
+            o
+              .setName("threshold")
+              .setDescription("Messages out of context before summarizing (0 disables)")
+              .setMinValue(0)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("summarizer")
+              .setDescription('Agent that writes summaries, or "none" for the replying agent')
+          )
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("kb")
+      .setDescription("Manage the server knowledge base that agents can cite")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Upload a document (.md, .txt, .pdf, .json) to a collection")
+          .addAttachmentOption((o) =>
+            o.setName("file").setDescription("Document to index").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName("collection").setDescription('Collection name (default: "default")')
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("list")
+          .setDescription("List documents and the agents linked to each collection")
+          .addStringOption((o) =>
+            o.setName("collection").setDescription("Only show this collection")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a document from a collection")
+          .addStringOption((o) =>
+            o.setName("file").setDescription("File name of the document").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName("collection").setDescription('Collection name (default: "default")')
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("link")
+          .setDescription("Let an agent in this channel search a collection")
+          .addStringOption((o) =>
+            o.setName("agent").setDescription("Agent name").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName("collection").setDescription('Collection name (default: "default")')
+          )
+          .addBooleanOption((o) =>
+            o
+              .setName("hybrid")
+              .setDescription("Blend embedding similarity into keyword search (uses the agent's embedding model)")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("unlink")
+          .setDescription("Stop an agent in this channel from searching a collection")
+          .addStringOption((o) =>
+            o.setName("agent").setDescription("Agent name").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName("collection").setDescription('Collection name (default: "default")')
+          )
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("ask")
+      .setDescription("Ask an agent in this channel something and get the answer here")
+      .addStringOption((o) =>
+        o.setName("agent").setDescription("Agent name").setRequired(true)
+      )
+      .addStringOption((o) =>
+        o.setName("prompt").setDescription("Your question or message").setRequired(true)
+      )
+      .addAttachmentOption((o) =>
+        o.setName("attachment").setDescription("Image or text file for the agent")
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("chat")
+      .setDescription("Open a thread for a private conversation with an agent in this channel")
+      .addStringOption((o) =>
+        o.setName("agent").setDescription("Agent name").setRequired(true)
+      )
+      .addStringOption((o) =>
+        o.setName("title").setDescription("Thread name (default: agent and your name)")
+      )
+      .addBooleanOption((o) =>
         o
-          .setName("channel")
-          .setDescription(
-            "The channel where this agent will auto-reply."
+          .setName("private")
+          .setDescription("Only people you add can see the thread (default: true)")
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("usage")
+      .setDescription("See token usage and estimated cost, and set model prices")
+      .addSubcommand((sub) =>
+        sub
+          .setName("report")
+          .setDescription("Show usage broken down by agent, user, provider, model or day")
+          .addStringOption((o) =>
+            o
+              .setName("by")
+              .setDescription("Breakdown (default: agent)")
+              .addChoices(
+                { name: "Agent", value: "agent" },
+                { name: "User", value: "user" },
+                { name: "Provider", value: "provider" },
+                { name: "Model", value: "model" },
+                { name: "Day", value: "day" }
+              )
+          )
+          .addIntegerOption((o) =>
+            o
+              .setName("days")
+              .setDescription("How many days back (default 30)")
+              .setMinValue(1)
+              .setMaxValue(365)
           )
-          .setRequired(true)
       )
-      .toJSON()
-  ];
+      .addSubcommand((sub) =>
+        sub
+          .setName("price")
+          .setDescription("Set a model's price in USD per million tokens, used to estimate cost")
+          .addStringOption((o) =>
+            o.setName("model").setDescription("Model ID as configured on agents").setRequired(true)
+          )
+          .addNumberOption((o) =>
+            o.setName("input").setDescription("USD per million prompt tokens").setMinValue(0)
+          )
+          .addNumberOption((o) =>
+            o.setName("output").setDescription("USD per million completion tokens").setMinValue(0)
+          )
+          .addBooleanOption((o) =>
+            o.setName("remove").setDescription("Remove the model's price")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("prices").setDescription("List model prices")
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("limits")
+      .setDescription("Rate limits and daily budgets for agent replies")
+      .addSubcommand((sub) =>
+        sub
+          .setName("set")
+          .setDescription("Set a rate limit or daily budget")
+          .addStringOption((o) =>
+            o
+              .setName("scope")
+              .setDescription("What the limit applies to")
+              .setRequired(true)
+              .addChoices(
+                { name: "Whole server", value: "guild" },
+                { name: "Agent (by name)", value: "agent" },
+                { name: "Provider", value: "provider" },
+                { name: "Member (or every member)", value: "user" }
+              )
+          )
+          .addStringOption((o) =>
+            o
+              .setName("kind")
+              .setDescription("What is limited")
+              .setRequired(true)
+              .addChoices(
+                { name: "Replies per minute (members only)", value: "rpm" },
+                { name: "Tokens per day", value: "daily-tokens" },
+                { name: "Estimated USD per day", value: "daily-cost" }
+              )
+          )
+          .addNumberOption((o) =>
+            o.setName("value").setDescription("The limit").setRequired(true).setMinValue(0)
+          )
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent or provider name (agent and provider scopes)")
+          )
+          .addUserOption((o) =>
+            o.setName("user").setDescription("Member (member scope; leave empty for every member)")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a rate limit or daily budget")
+          .addStringOption((o) =>
+            o
+              .setName("scope")
+              .setDescription("What the limit applies to")
+              .setRequired(true)
+              .addChoices(
+                { name: "Whole server", value: "guild" },
+                { name: "Agent (by name)", value: "agent" },
+                { name: "Provider", value: "provider" },
+                { name: "Member (or every member)", value: "user" }
+              )
+          )
+          .addStringOption((o) =>
+            o
+              .setName("kind")
+              .setDescription("What is limited")
+              .setRequired(true)
+              .addChoices(
+                { name: "Replies per minute", value: "rpm" },
+                { name: "Tokens per day", value: "daily-tokens" },
+                { name: "Estimated USD per day", value: "daily-cost" }
+              )
+          )
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Agent or provider name")
+          )
+          .addUserOption((o) =>
+            o.setName("user").setDescription("Member (leave empty for the every-member limit)")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("List limits and today's usage against them")
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("alerts")
+          .setDescription("Post a warning when a daily budget is 80% used")
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Admin channel for alerts (leave empty to turn alerts off)")
+          )
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("config")
+      .setDescription("Export or import this server's bot setup as a bundle")
+      .addSubcommand((sub) =>
+        sub
+          .setName("export")
+          .setDescription("Download agents, settings and (with a passphrase) providers as a JSON bundle")
+          .addStringOption((o) =>
+            o
+              .setName("passphrase")
+              .setDescription("Include providers, with keys encrypted under this passphrase")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("import")
+          .setDescription("Recreate agents, settings and providers from a bundle")
+          .addAttachmentOption((o) =>
+            o.setName("file").setDescription("Bundle from /config export").setRequired(true)
+          )
+          .addBooleanOption((o) =>
+            o.setName("dry-run").setDescription("Only preview the changes (default: true)")
+          )
+          .addStringOption((o) =>
+            o
+              .setName("conflict")
+              .setDescription("What to do with agents/providers that already exist (default: skip)")
+              .addChoices(
+                { name: "Skip", value: "skip" },
+                { name: "Rename the imported one", value: "rename" },
+                { name: "Overwrite", value: "overwrite" }
+              )
+          )
+          .addStringOption((o) =>
+            o
+              .setName("channel-map")
+              .setDescription("old=new pairs, e.g. general=#ai-chat, 1234567890=#bots (default: same name)")
+          )
+          .addChannelOption((o) =>
+            o.setName("default-channel").setDescription("Channel for agents whose channel can't be mapped")
+          )
+          .addStringOption((o) =>
+            o.setName("passphrase").setDescription("Passphrase the bundle's providers were exported with")
+          )
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("snippet")
+      .setDescription("Manage shared prompt snippets, included in system prompts with {{> name}}")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Add or replace a snippet")
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Snippet name (letters, numbers, _ - .)").setRequired(true)
+          )
+          .addStringOption((o) => o.setName("text").setDescription("Snippet text (one line)"))
+          .addAttachmentOption((o) => o.setName("file").setDescription("Snippet as a .md or .txt file"))
+      )
+      .addSubcommand((sub) => sub.setName("list").setDescription("List this server's snippets"))
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a snippet")
+          .addStringOption((o) => o.setName("name").setDescription("Snippet name").setRequired(true))
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("template")
+      .setDescription("Save agents as templates and make new agents from them in any channel or server")
+      .addSubcommand((sub) =>
+        sub
+          .setName("save")
+          .setDescription("Save an agent in this channel as a template (saving over one updates linked agents)")
+          .addStringOption((o) => o.setName("agent").setDescription("Agent name").setRequired(true))
+          .addStringOption((o) =>
+            o.setName("name").setDescription("Template name (letters, numbers, _ - .; default: the agent's name)")
+          )
+          .addStringOption((o) => o.setName("description").setDescription("What the template is for").setMaxLength(200))
+      )
+      .addSubcommand((sub) => sub.setName("list").setDescription("List this server's agent templates"))
+      .addSubcommand((sub) =>
+        sub
+          .setName("apply")
+          .setDescription("Create an agent from a template")
+          .addStringOption((o) => o.setName("template").setDescription("Template name").setRequired(true))
+          .addStringOption((o) => o.setName("name").setDescription("Agent name (default: the template's name)"))
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Channel for the agent (default: current)")
+          )
+          .addStringOption((o) =>
+            o.setName("provider").setDescription("Use this provider instead of the template's")
+          )
+          .addBooleanOption((o) =>
+            o.setName("linked").setDescription("Keep the agent updated when the template is saved again")
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("share")
+          .setDescription("Get a template as a file and share code for /template import")
+          .addStringOption((o) => o.setName("template").setDescription("Template name").setRequired(true))
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("import")
+          .setDescription("Add a template from /template share")
+          .addAttachmentOption((o) => o.setName("file").setDescription("Template .json file"))
+          .addStringOption((o) => o.setName("code").setDescription("Share code"))
+          .addStringOption((o) => o.setName("name").setDescription("Template name (default: the shared name)"))
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a template; agents made from it keep their settings")
+          .addStringOption((o) => o.setName("template").setDescription("Template name").setRequired(true))
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("transcript")
+      .setDescription("Export stored conversations")
+      .addSubcommand((sub) =>
+        sub
+          .setName("export")
+          .setDescription("Download a channel's or thread's stored conversation as a file")
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Channel or thread").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName("agent").setDescription("Only conversations with this agent")
+          )
+          .addStringOption((o) =>
+            o.setName("since").setDescription("e.g. 7d, 12h, 2w or 2025-01-31 (UTC)")
+          )
+          .addStringOption((o) =>
+            o
+              .setName("format")
+              .setDescription("File format (default: Markdown)")
+              .addChoices(
+                { name: "Markdown (for reading)", value: "markdown" },
+                { name: "JSONL (for fine-tuning datasets)", value: "jsonl" },
+                { name: "HTML (self-contained archive)", value: "html" }
+              )
+          )
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("permissions")
+      .setDescription("Control which roles and members may manage the bot and chat with agents")
+      .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+      .addSubcommand((sub) =>
+        sub
+          .setName("grant")
+          .setDescription("Give a role or member a capability")
+          .addStringOption((o) =>
+            o
+              .setName("capability")
+              .setDescription("manage-providers, manage-agents, change-settings or chat-with-agent:<name>")
+              .setRequired(true)
+          )
+          .addMentionableOption((o) =>
+            o.setName("target").setDescription("Role or member").setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("revoke")
+          .setDescription("Take a capability away from a role or member")
+          .addStringOption((o) =>
+            o
+              .setName("capability")
+              .setDescription("manage-providers, manage-agents, change-settings or chat-with-agent:<name>")
+              .setRequired(true)
+          )
+          .addMentionableOption((o) =>
+            o.setName("target").setDescription("Role or member").setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("list")
+          .setDescription("List granted capabilities")
+          .addMentionableOption((o) =>
+            o.setName("target").setDescription("Only show this role or member")
+          )
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("help")
+      .setDescription("Show help for all commands")
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("session")
+      .setDescription("Run a group conversation among agents in this channel")
+      .addSubcommand((sub) =>
+        sub
+          .setName("start")
+          .setDescription("Start a group conversation")
+          .addStringOption((o) =>
+            o.setName("agents").setDescription("Participating agents, comma-separated").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName("topic").setDescription("What to talk about").setRequired(true).setMaxLength(1000)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("mode")
+              .setDescription("How turns are taken (default: round-robin)")
+              .addChoices(
+                { name: "round-robin", value: "round-robin" },
+                { name: "debate (judged by the lead agent)", value: "debate" },
+                { name: "moderator (the lead agent picks who speaks)", value: "moderator" }
+              )
+          )
+          .addStringOption((o) =>
+            o.setName("lead").setDescription("Judge of a debate, or the moderator")
+          )
+          .addIntegerOption((o) =>
+            o
+              .setName("turns")
+              .setDescription("Number of turns (default: two per agent, 6 when moderated)")
+              .setMinValue(1)
+              .setMaxValue(SESSION_MAX_TURNS)
+          )
+      )
+      .addSubcommand((sub) => sub.setName("pause").setDescription("Pause the session after the current turn"))
+      .addSubcommand((sub) => sub.setName("resume").setDescription("Resume a paused session"))
+      .addSubcommand((sub) =>
+        sub.setName("stop").setDescription("End the session after the current turn and post its summary")
+      )
+      .addSubcommand((sub) => sub.setName("status").setDescription("Show the session in this channel"))
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("schedule")
+      .setDescription("Have agents answer a prompt on a schedule")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Schedule a prompt for an agent")
+          .addStringOption((o) => o.setName("agent").setDescription("Agent name").setRequired(true))
+          .addStringOption((o) =>
+            o
+              .setName("cron")
+              .setDescription("When, as minute hour day month weekday (e.g. 0 9 * * 1-5) or @daily, @weekly")
+              .setRequired(true)
+          )
+          .addStringOption((o) =>
+            o.setName("prompt").setDescription("What to ask the agent each time").setRequired(true).setMaxLength(2000)
+          )
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Agent's channel or a thread in it (default: current)")
+          )
+      )
+      .addSubcommand((sub) => sub.setName("list").setDescription("List this server's schedules"))
+      .addSubcommand((sub) =>
+        sub
+          .setName("pause")
+          .setDescription("Pause a schedule")
+          .addIntegerOption((o) => o.setName("id").setDescription("Schedule number").setRequired(true))
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("resume")
+          .setDescription("Resume a paused schedule")
+          .addIntegerOption((o) => o.setName("id").setDescription("Schedule number").setRequired(true))
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a schedule")
+          .addIntegerOption((o) => o.setName("id").setDescription("Schedule number").setRequired(true))
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("timezone")
+          .setDescription("Show or set the timezone schedules run in (default UTC)")
+          .addStringOption((o) => o.setName("zone").setDescription("IANA timezone, e.g. Europe/Berlin"))
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("queue")
+      .setDescription("Inspect the reply job queue")
+      .addSubcommand((sub) =>
+        sub.setName("status").setDescription("Show this server's pending and failed jobs")
+      )
+      .toJSON(),
+
+    new SlashCommandBuilder()
+      .setName("yap")
+      .setDescription("Configure channel auto-reply for an agent.")
+      .addStringOption((o) =>
+        o
+          .setName("agent")
+          .setDescription("Name of the agent to configure.")
+          .setRequired(true)
+      )
+      .addBooleanOption((o) =>
+        o
+          .setName("enabled")
+          .setDescription("Enable or disable auto-reply for this agent.")
+          .setRequired(true)
+      )
+      .addChannelOption((o) =>
+        o
+          .setName("channel")
+          .setDescription(
+            "The channel where this agent will auto-reply."
+          )
+          .setRequired(true)
+      )
+      .addNumberOption((o) =>
+        o
+          .setName("debounce")
+          .setDescription("Seconds of quiet before a burst of messages is answered (default 3)")
+          .setMinValue(0.5)
+          .setMaxValue(300)
+      )
+      .addIntegerOption((o) =>
+        o
+          .setName("cooldown")
+          .setDescription("Minimum seconds between this agent's auto-replies (0 = none)")
+          .setMinValue(0)
+          .setMaxValue(86400)
+      )
+      .addNumberOption((o) =>
+        o
+          .setName("probability")
+          .setDescription("Chance of replying to a burst that passes the gates (0-1, default 1)")
+          .setMinValue(0)
+          .setMaxValue(1)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("pattern")
+          .setDescription("Only reply when a burst matches: comma-separated keywords or /regex/flags (\"none\" clears)")
+          .setMaxLength(500)
+      )
+      .addBooleanOption((o) =>
+        o
+          .setName("classifier")
+          .setDescription("Ask the model whether the agent should respond before replying")
+      )
+      .addStringOption((o) =>
+        o
+          .setName("classifier-model")
+          .setDescription("Cheaper model for the classifier on the agent's provider (\"none\" = the agent's model)")
+      )
+      .toJSON()
+  ];
+
+  const rest = new REST({ version: "10" }).setToken(TOKEN);
+  await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
+  console.log("Slash commands deployed");
+});
+
+client.on("interactionCreate", async (interaction) => {
+  if (interaction.isButton()) {
+    if (!interaction.customId.startsWith("reply:")) return;
+    try {
+      await handleReplyButton(interaction);
+    } catch (err) {
+      console.error("Unhandled error in reply button:", err);
+      const msg = "An unexpected error occurred. Please try again later.";
+      const send = interaction.deferred || interaction.replied ? interaction.followUp : interaction.reply;
+      await send.call(interaction, { content: msg, ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+  if (!interaction.isChatInputCommand()) return;
+  try {
+    const capability = getRequiredCapability(interaction);
+    if (capability && !memberHasCapability(interaction.member, capability)) {
+      return interaction.reply({ content: describeDenial(interaction, capability), ephemeral: true });
+    }
+    switch (interaction.commandName) {
+      case "agent":
+        await handleAgentCmd(interaction);
+        break;
+      case "provider":
+        await handleProviderCmd(interaction);
+        break;
+      case "contextwindow":
+        await handleContextWindow(interaction);
+        break;
+      case "loopdepth":
+        await handleLoopDepth(interaction);
+        break;
+      case "tooliterations":
+        await handleToolIterations(interaction);
+        break;
+      case "clearcontext":
+        await handleClearContext(interaction);
+        break;
+      case "models":
+        await handleModels(interaction);
+        break;
+      case "help":
+        await handleHelp(interaction);
+        break;
+      case "memory":
+        await handleMemoryCmd(interaction);
+        break;
+      case "kb":
+        await handleKbCmd(interaction);
+        break;
+      case "ask":
+        await handleAskCmd(interaction);
+        break;
+      case "chat":
+        await handleChatCmd(interaction);
+        break;
+      case "permissions":
+        await handlePermissionsCmd(interaction);
+        break;
+      case "usage":
+        await handleUsageCmd(interaction);
+        break;
+      case "limits":
+        await handleLimitsCmd(interaction);
+        break;
+      case "config":
+        await handleConfigCmd(interaction);
+        break;
+      case "transcript":
+        await handleTranscriptCmd(interaction);
+        break;
+      case "snippet":
+        await handleSnippetCmd(interaction);
+        break;
+      case "yap":
+        await handleYapCommand(interaction);
+        break;
+      case "queue":
+        await handleQueueCmd(interaction);
+        break;
+      case "session":
+        await handleSessionCmd(interaction);
+        break;
+      case "schedule":
+        await handleScheduleCmd(interaction);
+        break;
+      case "template":
+        await handleTemplateCmd(interaction);
+        break;
+    }
+  } catch (err) {
+    console.error("Unhandled error in interactionCreate:", err);
+    const msg = "An unexpected error occurred. Please try again later.";
+    try {
+      if (interaction.deferred || interaction.replied) {
+        await interaction.followUp({ content: msg, ephemeral: true });
+      } else {
+        await interaction.reply({ content: msg, ephemeral: true });
+      }
+    } catch (replyError) {
+      console.error(
+        "Failed to send error reply to interaction:",
+        replyError.message
+      );
+      if (replyError.code === 10062) { // DiscordAPIError[10062]: Unknown interaction
+        console.warn(
+          "Original interaction likely expired before an error message could be sent."
+        );
+      }
+    }
+  }
+});
+
+// --- /help command ---
+async function handleHelp(interaction) {
+  // This command is quick, no defer needed.
+  const helpText = `
+**🤖 Bot Help**
+
+\`/agent create\` [Name] [Model] [Provider] [Multimodal Y/N] [SysPrompt .md/.txt] [Avatar] [Channel]  
+Create a new AI agent (webhook). Avatar & channel are optional (channel defaults to current).
+
+\`/agent list\` [Channel]  
+List agents in a channel (default: current).
+
+\`/agent delete\` [Name] [Channel]  
+Delete an agent by name in a channel (default: current).
+
+\`/agent edit\` [Name] [Model?] [Provider?] [Multimodal Y/N?] [SysPrompt .md/.txt?] [Avatar?]  
+Modify an existing agent’s settings in the **current channel**. Optional fields will retain their current value if not provided.
+If this agent is a source for linked clones, changes to model, provider, system prompt, avatar and generation parameters will propagate to its clones.
+
+\`/agent refresh\` [Name]  
+Recreate the webhook for an agent in this channel.
+
+\`/agent clone\` [Original Agent Name] [Target Channel] [New Agent Name?]
+Clone an existing agent's settings from any channel in this server to the target channel. If New Agent Name is not provided, the original name is used.
+If \`linked\` is true, some edits to the original agent (like model, provider, system prompt, avatar, generation parameters) will also apply to this clone.
+
+\`/agent params\` [Name] [Temperature?] [Top P?] [Max Tokens?] [Presence/Frequency Penalty?] [Stop?] [Seed?] [Reasoning Effort?] [Extra Body?] [Reset?]
+Set sampling parameters for an agent in the **current channel**. Unset values use the provider's defaults.
+
+\`/provider add\` [Name] [URL] [API Key] [Type?]  
+Add a new LLM provider (per‐server). Type is OpenAI-compatible (default), Anthropic, Google Gemini, Ollama or Azure OpenAI. For Azure OpenAI, the agent's model is the deployment name.
+
+\`/provider delete\` [Name]  
+Remove a provider.
+
+\`/provider list\`
+List all configured providers for this server.
+
+\`/models\` [Provider]  
+List available models from a provider.
+
+\`/contextwindow\` [Size] [Agent?] [Model?]  
+Set how much history to include in context: \`messages:N\` (last N messages) or \`tokens:N\` (token budget; oldest history is dropped first, a reply reserve is kept). With an agent (current channel) or model, sets a token budget just for it.
+
+\`/loopdepth\` [Depth]  
+Set how many agent-to-agent reply turns are allowed per message.
+
+\`/session start\` [Agents] [Topic] [Mode?] [Lead?] [Turns?]  
+Run a group conversation among agents in the **current channel**: round-robin, a debate that the lead agent judges, or a discussion where the lead agent picks who speaks next. Ends with a summary. \`/session pause\`, \`resume\`, \`stop\` and \`status\` control it.
+
+\`/schedule add\` [Agent] [Cron] [Prompt] [Channel?]  
+Have an agent answer a prompt on a schedule, e.g. \`0 9 * * 1-5\` for weekdays at 9:00 or \`@weekly\`. \`/schedule list\`, \`pause\`, \`resume\` and \`remove\` manage them; \`/schedule timezone\` sets the server's timezone (default UTC).
+
+\`/queue status\`  
+Show this server's pending replies and yap bursts, and jobs that failed after every retry.
+
+\`/yap\` [Agent] [Enabled] [Channel] [Debounce?] [Cooldown?] [Probability?] [Pattern?] [Classifier?] [Classifier-model?]  
+Let an agent auto-reply in a channel. Messages are answered in bursts once the channel goes quiet, by one yapping agent at a time: one named in the burst, else one that is off cooldown, wins its probability roll, matches its keyword/regex pattern and (if enabled) is judged relevant by the classifier model.
+
+\`/agent tools\` [Name] [enable/disable/list] [Tool?]
+Let an agent in the **current channel** call built-in tools (calculator, current time, recent channel messages, other agents' config). Needs an OpenAI-compatible or Azure provider.
+
+\`/agent fallback\` [Name] [add/remove/clear/list] [Provider?] [Model?] [Position?]
+Set the providers/models an agent in the **current channel** falls back to, in order, when its provider errors. Rate limits and server errors are retried with backoff first.
+
+\`/agent retrieval\` [Name] [Enabled?] [K?] [Threshold?] [Provider?] [Model?]
+Let an agent in the **current channel** recall similar older messages from this channel's history, using the provider's embeddings endpoint.
+
+\`/agent threads\` [Name] [Mode?] [Forum Auto-Reply?]
+Agents also answer in threads and forum posts of their channel, with a separate context per thread. \`thread\` mode opens a thread on each message that addresses the agent in the channel; forum auto-reply answers every message in a forum channel's posts.
+
+\`/agent output\` [Name] [Mode?] [Live Edit?] [Controls?]
+How an agent's replies become Discord messages: \`msg-tags\` (one per <msg> tag, the default), \`paragraphs\` (split on blank lines), \`single\` (one message, chunked when too long) or \`json\` (\`{"messages": [...]}\`). Only \`msg-tags\` and \`json\` add format instructions to the system prompt. With live editing, each message is posted right away and edited as the reply streams in. Replies have buttons unless \`controls\` is off: **Stop** on the first message while it streams, then **Regenerate** (replaces the reply) and **Continue** (asks the agent to keep going) on the last one. Only the member who asked, or someone with \`manage-agents\`, can press them.
+
+\`/agent reasoning\` [Name] [Display?] [Store?]
+What happens to a reasoning model's thinking (<think> blocks or the provider's reasoning stream): hidden, shown in a spoiler or a thread under the reply, and/or stored for \`/transcript export\`. Set how hard it thinks with \`/agent params reasoning-effort\`.
+
+\`/tooliterations\` [Max]
+Set how many tool-call rounds an agent may use before it must answer (default 3).
+
+\`/clearcontext\` [Channel]  
+Clear stored messages and the summary for all agents in a channel (default: current). Inside a thread, only that thread's context is cleared.
+
+\`/memory show|edit|reset\` [Channel?]
+Messages that fall out of the context window are summarized into a per-channel memory. Show it, replace it, or forget it (\`rebuild\` re-summarizes old messages instead).
+
+\`/memory config\` [Threshold?] [Summarizer?]
+Set how many out-of-context messages trigger a summary (0 disables) and which agent writes it.
+
+\`/ask\` [Agent] [Prompt] [Attachment?]
+Ask an agent in this channel something; it answers right in the command reply.
+
+\`/chat\` [Agent] [Title?] [Private?]
+Open a thread for a conversation with an agent. Every message in the thread goes to it, with its own context separate from the channel.
+
+\`/snippet add|list|remove\` [Name] [Text or File]
+Shared prompt snippets. System prompts and snippets are templates: \`{{user.name}}\`, \`{{user.id}}\`, \`{{agent.name}}\`, \`{{channel.name}}\`, \`{{channel.topic}}\`, \`{{thread.name}}\`, \`{{guild.name}}\`, \`{{agents.in_channel}}\`, \`{{memory}}\`, \`{{date}}\`, \`{{time:Europe/Berlin}}\`, \`{{#if thread.name}}...{{else}}...{{/if}}\` (or \`{{#if !memory}}\`) and \`{{> snippet}}\`. Prompts are checked when uploaded.
+
+\`/template save|list|apply|share|import|remove\` [Template] [Agent?] [Channel?] [Linked?]
+Reusable agents. Save an agent as a template, then apply it in any channel; \`/template share\` gives a file (and a code for small templates) to \`/template import\` on another server. Agents applied with \`linked\` are updated whenever the template is saved again.
+
+\`/transcript export\` [Channel] [Agent?] [Since?] [Format?]
+Download the stored conversation of a channel or thread as Markdown, JSONL (one message per line, for datasets) or a self-contained HTML page.
+
+\`/permissions grant|revoke\` [Capability] [Role or Member]  
+Server admins can let roles or members use admin commands: \`manage-providers\` (/provider add, delete), \`manage-agents\` (/agent changes, /kb link), \`change-settings\` (context, memory, yap, /kb uploads). Granting \`chat-with-agent:<name>\` limits chatting with that agent to grantees.
+
+\`/permissions list\` [Role or Member?]
+Show granted capabilities.
+
+\`/usage report\` [By?] [Days?]
+Token usage, latency and estimated cost by agent, user, provider, model or day.
+
+\`/usage price\` [Model] [Input?] [Output?] [Remove?] and \`/usage prices\`
+Set per-model prices (USD per million tokens) used for cost estimates.
+
+\`/limits set|remove\` [Scope] [Kind] [Value] [Name?] [User?]
+Limit replies per minute per member, and tokens or estimated cost per day for the server, an agent, a provider or members. Daily budgets reset at midnight UTC.
+
+\`/limits list\` and \`/limits alerts\` [Channel?]
+Show limits with today's usage, and choose where warnings go when a budget is 80% used.
+
+\`/config export\` [Passphrase?]
+Download this server's agents (prompts, avatars, settings, clone links), yap and server settings as a JSON bundle. With a passphrase, providers and their keys are included, encrypted under it.
+
+\`/config import\` [File] [Dry Run?] [Conflict?] [Channel Map?] [Default Channel?] [Passphrase?]
+Recreate a bundle here, creating webhooks in channels with the same name or as mapped. Previews by default; existing agents and providers are skipped, renamed or overwritten. Server settings, limits, prices and yap settings are only imported for members with \`change-settings\`.
+
+\`/kb add|list|remove\` [File] [Collection?]
+Upload .md, .txt, .pdf or .json documents into named knowledge base collections for this server.
+
+\`/kb link|unlink\` [Agent] [Collection?] [Hybrid?]
+Let an agent in the **current channel** search a collection. It gets the best-matching excerpts and cites them as [1], [2]… in its replies.
+
+---
+
+To talk to an agent:
+• Use \`/ask\` or open a \`/chat\` thread,
+• Reply to one of its messages,  
+• Prefix your message with \`@AgentName\`, or  
+• Mention the agent's name as a word in your message.
+
+By default, LLM replies are broken into <msg>…</msg> chunks and sent as separate messages; see \`/agent output\` for other modes.
+`;
+  const chunks = splitMessage(helpText, 1900);
+  await interaction.reply({ content: chunks[0], ephemeral: true });
+  for (let i = 1; i < chunks.length; i++) {
+    await interaction.followUp({ content: chunks[i], ephemeral: true });
+  }
+}
+
+// --- /yap command ---
+function formatYapSettings(config) {
+  const lines = [
+    `Debounce: ${config.debounceMs / 1000}s`,
+    `Cooldown: ${config.cooldownSeconds ? `${config.cooldownSeconds}s` : "none"}`,
+    `Probability: ${config.probability}`,
+    `Pattern: ${config.gatePattern ? `\`${config.gatePattern}\`` : "none"}`,
+    `Classifier: ${config.classifierEnabled ? `on (${config.classifierModel || "agent's model"})` : "off"}`
+  ];
+  return lines.join("\n");
+}
+
+async function handleYapCommand(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const agentName = interaction.options.getString("agent");
+  const enabled = interaction.options.getBoolean("enabled");
+  const targetChannel = interaction.options.getChannel("channel");
+
+  if (!interaction.guildId) {
+    return interaction.followUp({ content: "This command can only be used in a server.", ephemeral: true });
+  }
+
+  // Find the agent by name in the current guild.
+  // Note: Agent names are unique per guild *and* channelId in the `agents` table.
+  // However, a user might refer to an agent by its name generally within the guild.
+  // For /yap, we need to ensure the agent exists. The channel for yap is specified in the command.
+  const agent = db
+    .prepare(
+      "SELECT id FROM agents WHERE guildId = ? AND name = ? LIMIT 1"
+    )
+    .get(interaction.guildId, agentName);
+
+  if (!agent) {
+    return interaction.followUp({
+      content: `Agent "${agentName}" not found in this server. Agent names are case-sensitive.`,
+      ephemeral: true
+    });
+  }
+
+  const updates = { isEnabled: enabled ? 1 : 0 };
+  const debounce = interaction.options.getNumber("debounce");
+  if (debounce !== null) updates.debounceMs = Math.round(debounce * 1000);
+  const cooldown = interaction.options.getInteger("cooldown");
+  if (cooldown !== null) updates.cooldownSeconds = cooldown;
+  const probability = interaction.options.getNumber("probability");
+  if (probability !== null) updates.probability = probability;
+  const pattern = interaction.options.getString("pattern");
+  if (pattern !== null) {
+    if (pattern.trim().toLowerCase() === "none") {
+      updates.gatePattern = null;
+    } else {
+      try {
+        parseYapPattern(pattern.trim());
+      } catch (e) {
+        return interaction.followUp({ content: `Invalid pattern: ${e.message}`, ephemeral: true });
+      }
+      updates.gatePattern = pattern.trim();
+    }
+  }
+  const classifier = interaction.options.getBoolean("classifier");
+  if (classifier !== null) updates.classifierEnabled = classifier ? 1 : 0;
+  const classifierModel = interaction.options.getString("classifier-model");
+  if (classifierModel !== null) {
+    updates.classifierModel = classifierModel.trim().toLowerCase() === "none" ? null : classifierModel.trim();
+  }
+
+  try {
+    const columns = Object.keys(updates);
+    db.prepare(
+      `INSERT INTO yap_settings (agentId, channelId, ${columns.join(", ")})
+       VALUES (?, ?, ${columns.map(() => "?").join(", ")})
+       ON CONFLICT(agentId, channelId) DO UPDATE SET
+         ${columns.map((c) => `${c} = excluded.${c}`).join(", ")}`
+    ).run(agent.id, targetChannel.id, ...Object.values(updates));
+
+    const status = enabled ? "enabled" : "disabled";
+    const config = db
+      .prepare("SELECT * FROM yap_settings WHERE agentId = ? AND channelId = ?")
+      .get(agent.id, targetChannel.id);
+    return interaction.followUp({
+      content:
+        `Auto-reply for agent **${agentName}** in <#${targetChannel.id}> has been **${status}**.\n` +
+        formatYapSettings(config),
+      ephemeral: true
+    });
+  } catch (dbError) {
+    console.error("Error updating yap_settings:", dbError);
+    return interaction.followUp({
+      content: `An error occurred while updating auto-reply settings. (${dbError.message})`,
+      ephemeral: true
+    });
+  }
+}
+
+
+// --- /loopdepth command ---
+async function handleLoopDepth(interaction) {
+  // This command is quick, no defer needed.
+  const depth = interaction.options.getInteger("depth");
+  db.prepare(
+    `INSERT INTO guildSettings (guildId,loopDepth)
+     VALUES (?,?)
+     ON CONFLICT(guildId) DO UPDATE SET
+       loopDepth=excluded.loopDepth`
+  ).run(interaction.guildId, depth);
+  return interaction.reply({
+    content: `Agent-to-agent reply loop depth set to ${depth}`,
+    ephemeral: true
+  });
+}
+
+// --- /tooliterations command ---
+async function handleToolIterations(interaction) {
+  // This command is quick, no defer needed.
+  const max = interaction.options.getInteger("max");
+  db.prepare(
+    `INSERT INTO guildSettings (guildId,maxToolIterations)
+     VALUES (?,?)
+     ON CONFLICT(guildId) DO UPDATE SET
+       maxToolIterations=excluded.maxToolIterations`
+  ).run(interaction.guildId, max);
+  return interaction.reply({
+    content: `Agents may now use up to ${max} tool-call round(s) per reply.`,
+    ephemeral: true
+  });
+}
+
+async function agentClone(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const originalAgentName = interaction.options.getString("original-agent-name");
+  const targetChannel = getAgentChannel(interaction.options.getChannel("target-channel"));
+  const newAgentNameInput = interaction.options.getString("new-agent-name");
+  const linked = interaction.options.getBoolean("linked") || false;
+
+  // Fetch the original agent. It can be in any channel within the guild.
+  const originalAgent = db
+    .prepare(
+      "SELECT * FROM agents WHERE guildId=? AND name=?"
+    )
+    .get(interaction.guildId, originalAgentName);
+
+  if (!originalAgent) {
+    return interaction.followUp({
+      content: `Original agent "${originalAgentName}" not found in this server.`
+    });
+  }
+
+  const newName = newAgentNameInput || originalAgent.name;
+
+  // Check if an agent with the new name already exists in the target channel
+  const existingAgentInTargetChannel = db
+    .prepare(
+      "SELECT id FROM agents WHERE guildId=? AND name=? AND channelId=?"
+    )
+    .get(interaction.guildId, newName, targetChannel.id);
+
+  if (existingAgentInTargetChannel) {
+    return interaction.followUp({
+      content: `An agent named "${newName}" already exists in <#${targetChannel.id}>. Please choose a different name or channel.`
+    });
+  }
+
+  // Verify the provider still exists
+  const pr = db
+    .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
+    .get(interaction.guildId, originalAgent.providerName);
+  if (!pr) {
+    return interaction.followUp({
+      content: `Provider "${originalAgent.providerName}" used by the original agent no longer exists. Please add it using \`/provider add\` or edit the original agent.`
+    });
+  }
+
+  if (
+    !targetChannel
+      .permissionsFor(interaction.guild.members.me)
+      .has(PermissionsBitField.Flags.ManageWebhooks)
+  ) {
+    return interaction.followUp({
+      content:
+        "I need the 'Manage Webhooks' permission in the target channel to clone the agent."
+    });
+  }
+
+  let webhook;
+  let avatarDataUriForClonedWebhook = undefined;
+  if (originalAgent.avatarData && originalAgent.avatarMimeType) {
+    avatarDataUriForClonedWebhook = `data:${originalAgent.avatarMimeType};base64,${originalAgent.avatarData}`;
+  }
+
+  try {
+    webhook = await targetChannel.createWebhook({ name: newName, avatar: avatarDataUriForClonedWebhook });
+  } catch (e) {
+    console.error(`Failed to create webhook for cloned agent: ${e}`);
+    let errorMessage = `Failed to create webhook for "${newName}". Discord Error: ${e.message}`;
+    if (e.code === 50013) {
+      errorMessage =
+        `Failed to create webhook for "${newName}": I'm missing permissions in <#${targetChannel.id}>. Please ensure I have 'Manage Webhooks' permission there.`;
+    }
+    return interaction.followUp({ content: errorMessage });
+  }
+
+  try {
+    const linkedToId = linked ? originalAgent.id : null;
+    db.prepare(
+      `INSERT INTO agents (
+       guildId,name,model,providerName,multimodal,
+       systemPrompt,avatarMimeType,avatarData,channelId,webhookId,webhookToken,
+       linkedToAgentId, isSourceForLink
+     ) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`
+    ).run(
+      interaction.guildId,
+      newName,
+      originalAgent.model,
+      originalAgent.providerName,
+      originalAgent.multimodal,
+      originalAgent.systemPrompt,
+      originalAgent.avatarMimeType, 
+      originalAgent.avatarData,     
+      targetChannel.id,
+      webhook.id,
+      webhook.token,
+      linkedToId,
+      0 // Cloned agents are not sources by default
+    );
+    const clonedAgent = db
+      .prepare("SELECT id FROM agents WHERE guildId=? AND name=? AND channelId=?")
+      .get(interaction.guildId, newName, targetChannel.id);
+    copyAgentSettings(originalAgent, clonedAgent.id);
+
+    if (linked) {
+      db.prepare("UPDATE agents SET isSourceForLink = 1 WHERE id = ?").run(originalAgent.id);
+    }
+
+    return interaction.followUp({
+      content: `Agent **${originalAgentName}** successfully cloned as **${newName}** in <#${targetChannel.id}>${linked ? " and linked to the original" : ""}.`
+    });
+  } catch (dbError) {
+    if (webhook && webhook.id) {
+      try {
+        await webhook.delete("Agent cloning failed due to database error.");
+        console.log(
+          `Webhook ${webhook.id} deleted due to DB error during agent cloning.`
+        );
+      } catch (whDeleteError) {
+        console.warn(
+          `Failed to delete webhook ${webhook.id} after DB error during clone: ${whDeleteError.message}`
+        );
+      }
+    }
+    console.error(`Database error during agent cloning: ${dbError}`);
+    return interaction.followUp({
+        content: `An unexpected database error occurred while cloning the agent. (${dbError.message})`
+    });
+  }
+}
+
+// --- /agent commands ---
+async function handleAgentCmd(interaction) {
+  const sub = interaction.options.getSubcommand();
+  // Deferral will be handled within each subcommand function
+  if (sub === "create") return agentCreate(interaction);
+  if (sub === "list") return agentList(interaction); // list is quick, no defer needed inside
+  if (sub === "delete") return agentDelete(interaction);
+  if (sub === "edit") return agentEdit(interaction);
+  if (sub === "refresh") return agentRefresh(interaction);
+  if (sub === "clone") return agentClone(interaction);
+  if (sub === "params") return agentParams(interaction);
+  if (sub === "tools") return agentTools(interaction);
+  if (sub === "fallback") return agentFallback(interaction);
+  if (sub === "retrieval") return agentRetrieval(interaction);
+  if (sub === "threads") return agentThreads(interaction);
+  if (sub === "output") return agentOutput(interaction);
+  if (sub === "reasoning") return agentReasoning(interaction);
+}
+
+async function agentCreate(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const name = interaction.options.getString("name");
+  const model = interaction.options.getString("model");
+  const providerName = interaction.options.getString("provider");
+  const multimodal = interaction.options.getBoolean("multimodal");
+  const sysPromptAtt = interaction.options.getAttachment("sysprompt");
+  let avatarAtt = interaction.options.getAttachment("avatar"); 
+  const channel =
+    getAgentChannel(interaction.options.getChannel("channel") || interaction.channel);
+
+  if (
+    !channel
+      .permissionsFor(interaction.guild.members.me)
+      .has(PermissionsBitField.Flags.ManageWebhooks)
+  ) {
+    return interaction.followUp({
+      content:
+        "I need the 'Manage Webhooks' permission in the target channel to create an agent."
+    });
+  }
+
+  const pr = db
+    .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
+    .get(interaction.guildId, providerName);
+  if (!pr) {
+    return interaction.followUp({
+      content: `Provider "${providerName}" not found. Please add it using \`/provider add\`.`
+    });
+  }
+
+  const fileName =
+    sysPromptAtt.name || sysPromptAtt.url.split("?")[0].split("/").pop();
+  const ext = path.extname(fileName).toLowerCase();
+  if (ext !== ".md" && ext !== ".txt") {
+    return interaction.followUp({
+      content: "System prompt must be a .md or .txt file."
+    });
+  }
+
+  let systemPrompt;
+  try {
+    const spRes = await fetch(sysPromptAtt.url);
+    if (!spRes.ok) {
+      return interaction.followUp({
+        content: `Failed to fetch system prompt from ${sysPromptAtt.url}: ${spRes.status} ${spRes.statusText}`
+      });
+    }
+    systemPrompt = await spRes.text();
+  } catch (e) {
+    console.error(`Error fetching system prompt: ${e}`);
+    return interaction.followUp({
+      content: `Error fetching system prompt from URL. Please ensure the link is accessible and valid. (${e.message})`
+    });
+  }
+  const templateErrors = validatePromptTemplate(interaction.guildId, systemPrompt);
+  if (templateErrors.length) {
+    return interaction.followUp({ content: formatTemplateErrors(templateErrors, "The system prompt") });
+  }
+
+  let avatarDataForDB = null;
+  let avatarMimeTypeForDB = null;
+  let avatarDataUriForWebhook = undefined;
+
+  if (avatarAtt) {
+    try {
+      const response = await fetch(avatarAtt.url);
+      if (!response.ok) {
+        console.warn(`Failed to fetch avatar image from ${avatarAtt.url}: ${response.status} ${response.statusText}. Agent will be created without an avatar.`);
+        avatarAtt = null; 
+      } else {
+        const imageBuffer = await response.arrayBuffer();
+        avatarDataForDB = Buffer.from(imageBuffer).toString("base64");
+        avatarMimeTypeForDB = avatarAtt.contentType;
+        if (!avatarMimeTypeForDB || !avatarMimeTypeForDB.startsWith("image/")) {
+          console.warn(`Invalid avatar MIME type: ${avatarMimeTypeForDB}. Will attempt to create agent without avatar.`);
+          avatarDataForDB = null; 
+          avatarMimeTypeForDB = null;
+          avatarAtt = null;
+        } else {
+          avatarDataUriForWebhook = `data:${avatarMimeTypeForDB};base64,${avatarDataForDB}`;
+        }
+      }
+    } catch (e) {
+      console.error(`Error fetching or processing avatar: ${e}. Agent will be created without an avatar.`);
+      avatarDataForDB = null;
+      avatarMimeTypeForDB = null;
+      avatarAtt = null; 
+    }
+  }
+
+  let webhook;
+  try {
+    webhook = await channel.createWebhook({ name, avatar: avatarDataUriForWebhook });
+  } catch (e) {
+    console.error(`Failed to create webhook: ${e}`);
+    let errorMessage = `Failed to create webhook. Discord Error: ${e.message}`;
+    if (e.code === 50013) {
+      errorMessage =
+        "Failed to create webhook: I'm missing permissions in the target channel. Please ensure I have 'Manage Webhooks' permission there.";
+    }
+    return interaction.followUp({ content: errorMessage });
+  }
+
+  try {
+    db.prepare(
+      `INSERT INTO agents (
+       guildId,name,model,providerName,multimodal,
+       systemPrompt,avatarMimeType,avatarData,channelId,webhookId,webhookToken,
+       linkedToAgentId, isSourceForLink
+     ) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`
+    ).run(
+      interaction.guildId,
+      name,
+      model,
+      providerName,
+      multimodal ? 1 : 0,
+      systemPrompt,
+      avatarMimeTypeForDB, 
+      avatarDataForDB,     
+      channel.id,
+      webhook.id,
+      webhook.token,
+      null, 
+      0     
+    );
+
+    return interaction.followUp({
+      content: `Agent **${name}** created in <#${channel.id}>!`
+    });
+  } catch (dbError) {
+    if (webhook && webhook.id) {
+      try {
+        await webhook.delete("Agent creation failed due to database error.");
+        console.log(
+          `Webhook ${webhook.id} deleted due to DB error during agent creation.`
+        );
+      } catch (whDeleteError) {
+        console.warn(
+          `Failed to delete webhook ${webhook.id} after DB error: ${whDeleteError.message}`
+        );
+      }
+    }
+
+    if (dbError.code === "SQLITE_CONSTRAINT_UNIQUE") {
+      return interaction.followUp({
+        content: `An agent named "${name}" already exists in <#${channel.id}>. Please choose a different name or channel.`
+      });
+    } else {
+      console.error(`Database error during agent creation: ${dbError}`);
+      throw dbError;
+    }
+  }
+}
+
+async function agentList(interaction) {
+  // This is quick, no defer needed.
+  const channel =
+    getAgentChannel(interaction.options.getChannel("channel") || interaction.channel);
+  const rows = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?")
+    .all(interaction.guildId, channel.id);
+  const text = rows.length
+    ? `Agents in <#${channel.id}>:\n` +
+      rows
+        .map((r) => {
+          const params = formatGenerationParams(r);
+          return `- ${r.name}` + (params ? ` (${params})` : "");
+        })
+        .join("\n")
+    : `No agents found in <#${channel.id}>.`;
+  const chunks = splitMessage(text, 1900);
+  await interaction.reply({ content: chunks[0], ephemeral: true });
+  for (let i = 1; i < chunks.length; i++) {
+    await interaction.followUp({ content: chunks[i], ephemeral: true });
+  }
+}
+
+async function agentDelete(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const name = interaction.options.getString("name");
+  const channel =
+    getAgentChannel(interaction.options.getChannel("channel") || interaction.channel);
+  const ag = db
+    .prepare(
+      "SELECT * FROM agents WHERE guildId=? AND channelId=? AND name=?"
+    )
+    .get(interaction.guildId, channel.id, name);
+
+  if (!ag) {
+    return interaction.followUp({
+      content: `Agent "${name}" not found in <#${channel.id}>.`
+    });
+  }
+  try {
+    await client.deleteWebhook(ag.webhookId, ag.webhookToken);
+  } catch (e) {
+    if (e.code === 10015) {
+      console.warn(
+        `Webhook ${ag.webhookId} for agent ${name} was already deleted from Discord.`
+      );
+    } else {
+      console.warn(
+        `Could not delete webhook ${ag.webhookId} for agent ${name}: ${e.message}`
+      );
+    }
+  }
+  db.prepare("DELETE FROM agent_kb_links WHERE agentId=?").run(ag.id);
+  db.prepare("DELETE FROM chat_sessions WHERE agentId=?").run(ag.id);
+  db.prepare("DELETE FROM yap_settings WHERE agentId=?").run(ag.id);
+  db.prepare("DELETE FROM schedules WHERE agentId=?").run(ag.id);
+  db.prepare("DELETE FROM agents WHERE id=?").run(ag.id);
+  runDueSchedules();
+  return interaction.followUp({
+    content: `Agent **${name}** deleted from <#${channel.id}>.`
+  });
+}
+
+async function agentEdit(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const name = interaction.options.getString("name");
+  const currentChannel = getAgentChannel(interaction.channel);
+
+  // Fetch the agent being edited
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, currentChannel.id);
+
+  if (!ag) {
+    return interaction.followUp({
+      content: `Agent "${name}" not found in this channel (<#${currentChannel.id}>). Note: Agent name is case-sensitive.`
+    });
+  }
+
+  const modelOption = interaction.options.getString("model");
+  const finalModel = modelOption !== null ? modelOption : ag.model;
+
+  const providerOption = interaction.options.getString("provider");
+  let finalProviderName = ag.providerName;
+
+  if (providerOption !== null) {
+    const pr = db
+      .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
+      .get(interaction.guildId, providerOption);
+    if (!pr) {
+      return interaction.followUp({
+        content: `Provider "${providerOption}" not found.`
+      });
+    }
+    finalProviderName = providerOption;
+  }
+
+  const multimodalOption = interaction.options.getBoolean("multimodal");
+  const finalMultimodal =
+    multimodalOption !== null ? (multimodalOption ? 1 : 0) : ag.multimodal;
+
+  const sysPromptAtt = interaction.options.getAttachment("sysprompt");
+  let finalSystemPrompt = ag.systemPrompt;
+  if (sysPromptAtt) {
+    const fileName =
+      sysPromptAtt.name || sysPromptAtt.url.split("?")[0].split("/").pop();
+    const ext = path.extname(fileName).toLowerCase();
+    if (ext !== ".md" && ext !== ".txt") {
+      return interaction.followUp({
+        content: "System prompt must be a .md or .txt file."
+      });
+    }
+    try {
+      const spRes = await fetch(sysPromptAtt.url);
+      if (!spRes.ok) {
+        return interaction.followUp({
+          content: `Failed to fetch new system prompt from ${sysPromptAtt.url}: ${spRes.status} ${spRes.statusText}`
+        });
+      }
+      finalSystemPrompt = await spRes.text();
+    } catch (e) {
+      console.error(`Error fetching new system prompt: ${e}`);
+      return interaction.followUp({
+        content: `Error fetching new system prompt. Please ensure the link is accessible. (${e.message})`
+      });
+    }
+    const templateErrors = validatePromptTemplate(interaction.guildId, finalSystemPrompt);
+    if (templateErrors.length) {
+      return interaction.followUp({ content: formatTemplateErrors(templateErrors, "The new system prompt") });
+    }
+  }
+
+  const avatarAtt = interaction.options.getAttachment("avatar");
+  let finalAvatarMimeType = ag.avatarMimeType;
+  let finalAvatarData = ag.avatarData;
+  let finalAvatarDataUri = undefined;
+
+  if (avatarAtt) { // New avatar provided
+    try {
+      const response = await fetch(avatarAtt.url);
+      if (!response.ok) {
+        console.warn(`Failed to fetch new avatar for edit from ${avatarAtt.url}: ${response.status} ${response.statusText}.`);
+        // Keep existing avatar if fetch fails
+        if (ag.avatarData && ag.avatarMimeType) {
+          finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
+        }
+      } else {
+        const imageBuffer = await response.arrayBuffer();
+        finalAvatarData = Buffer.from(imageBuffer).toString("base64");
+        finalAvatarMimeType = avatarAtt.contentType;
+        if (!finalAvatarMimeType || !finalAvatarMimeType.startsWith("image/")) {
+          console.warn(`Invalid new avatar MIME type: ${finalAvatarMimeType}. Keeping old avatar.`);
+          finalAvatarData = ag.avatarData; // Revert to old data
+          finalAvatarMimeType = ag.avatarMimeType; // Revert to old mime type
+          if (ag.avatarData && ag.avatarMimeType) {
+            finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
+          }
+        } else {
+          finalAvatarDataUri = `data:${finalAvatarMimeType};base64,${finalAvatarData}`;
+        }
+      }
+    } catch (e) {
+      console.error(`Error fetching or processing new avatar for edit: ${e}. Keeping old avatar.`);
+      finalAvatarData = ag.avatarData;
+      finalAvatarMimeType = ag.avatarMimeType;
+      if (ag.avatarData && ag.avatarMimeType) {
+        finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
+      }
+    }
+  } else { // No new avatar provided, use existing if available
+    if (ag.avatarData && ag.avatarMimeType) {
+      finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
+    }
+  }
+
+  try {
+    const wh = await client.fetchWebhook(ag.webhookId, ag.webhookToken);
+    // Use ag.name because agent name cannot be changed with /agent edit for now
+    // Only avatar might change here for the webhook itself.
+    await wh.edit({ name: ag.name, avatar: finalAvatarDataUri });
+  } catch (e) {
+    console.warn(
+      `Could not edit webhook for agent ${ag.name} (ID: ${ag.webhookId}). It might have been deleted or token changed. Error: ${e.message}. You may need to use /agent refresh.`
+    );
+  }
+
+  try {
+    // Update the primary agent
+    // The avatarURL column might still exist in older DBs but is no longer updated.
+    db.prepare(
+      `UPDATE agents SET
+       model=?, providerName=?, multimodal=?, systemPrompt=?, 
+       avatarMimeType=?, avatarData=?
+       WHERE id=?`
+    ).run(
+      finalModel,
+      finalProviderName,
+      finalMultimodal,
+      finalSystemPrompt,
+      finalAvatarMimeType, // new
+      finalAvatarData,     // new
+      ag.id
+    );
+
+    let updateMessage = `Agent **${ag.name}** in <#${currentChannel.id}> updated.`;
+
+    // If this agent is a source for linked clones, propagate relevant changes
+    if (ag.isSourceForLink) {
+      const linkedClones = db.prepare("SELECT * FROM agents WHERE linkedToAgentId = ?").all(ag.id);
+      let propagatedCount = 0;
+      for (const clone of linkedClones) {
+        try {
+          // Propagate only specific fields. Name, channel, webhook details remain unique to the clone.
+          db.prepare(
+            `UPDATE agents SET
+             model=?, providerName=?, multimodal=?, systemPrompt=?, 
+             avatarMimeType=?, avatarData=?
+             WHERE id=?`
+          ).run(
+            finalModel,            // from edited source
+            finalProviderName,     // from edited source
+            finalMultimodal,       // from edited source
+            finalSystemPrompt,     // from edited source
+            finalAvatarMimeType,   // new, from edited source
+            finalAvatarData,       // new, from edited source
+            clone.id
+          );
+
+          // Attempt to update the clone's webhook avatar (name remains clone's name)
+          // Construct data URI for the clone's webhook
+          let cloneAvatarDataUri = undefined;
+          if (finalAvatarData && finalAvatarMimeType) {
+            cloneAvatarDataUri = `data:${finalAvatarMimeType};base64,${finalAvatarData}`;
+          }
+          try {
+            const cloneWebhook = await client.fetchWebhook(clone.webhookId, clone.webhookToken);
+            await cloneWebhook.edit({ name: clone.name, avatar: cloneAvatarDataUri });
+          } catch (whError) {
+            console.warn(`Could not edit webhook for linked clone ${clone.name} (ID: ${clone.id}). Error: ${whError.message}`);
+          }
+          propagatedCount++;
+        } catch (cloneDbError) {
+          console.error(`Failed to update linked clone ${clone.name} (ID: ${clone.id}) in database: ${cloneDbError}`);
+        }
+      }
+      syncLinkedClones(ag.id); // Generation parameters and other per-agent settings
+      if (propagatedCount > 0) {
+        updateMessage += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+      }
+    }
+    return interaction.followUp({ content: updateMessage });
+
+  } catch (dbError) {
+    console.error(`Failed to update agent in database: ${dbError}`);
+    return interaction.followUp({
+      content: `An error occurred while updating agent data in the database. (${dbError.message})`
+    });
+  }
+}
+
+async function agentRefresh(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const name = interaction.options.getString("name");
+  const channel = getAgentChannel(interaction.channel);
+
+  const ag = db
+    .prepare(
+      "SELECT * FROM agents WHERE guildId=? AND channelId=? AND name=?"
+    )
+    .get(interaction.guildId, channel.id, name);
+
+  if (!ag) {
+    return interaction.followUp({
+      content: `Agent "${name}" not found in this channel.`
+    });
+  }
+
+  try {
+    await client.deleteWebhook(ag.webhookId, ag.webhookToken);
+    console.log(
+      `Old webhook ${ag.webhookId} for agent ${name} deleted during refresh.`
+    );
+  } catch (e) {
+    if (e.code === 10015) {
+      console.warn(
+        `Old webhook ${ag.webhookId} for agent ${name} was already deleted from Discord.`
+      );
+    } else {
+      console.warn(
+        `Could not delete old webhook ${ag.webhookId} for agent ${name} during refresh: ${e.message}. It might have been manually deleted or token changed.`
+      );
+    }
+  }
+
+  let newWebhook;
+  let avatarDataUriForRefresh = undefined;
+  if (ag.avatarData && ag.avatarMimeType) {
+    avatarDataUriForRefresh = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
+  }
+
+  try {
+    newWebhook = await channel.createWebhook({
+      name: ag.name,
+      avatar: avatarDataUriForRefresh
+    });
+  } catch (e) {
+    console.error(`Failed to create new webhook for agent ${ag.name} during refresh: ${e}`);
+    let errorMessage = `Failed to create new webhook for agent **${ag.name}**. Discord Error: ${e.message}`;
+    if (e.code === 50013) {
+      errorMessage = `Failed to create new webhook for **${ag.name}**: I'm missing permissions in this channel. Please ensure I have 'Manage Webhooks' permission.`;
+    }
+    return interaction.followUp({ content: errorMessage });
+  }
+
+  db.prepare(
+    "UPDATE agents SET webhookId=?, webhookToken=? WHERE id=?"
+  ).run(newWebhook.id, newWebhook.token, ag.id);
+
+  return interaction.followUp({
+    content: `Agent **${name}** webhook refreshed successfully in this channel.`
+  });
+}
+
+// --- Agent generation parameters ---
+// Builds the sampling fields sent with each chat-completions request. Unset values are omitted
+// so the provider's defaults apply.
+function getGenerationParams(agent) {
+  const params = {};
+  for (const [column, field] of Object.entries(GENERATION_PARAM_FIELDS)) {
+    const value = agent[column];
+    if (value === null || value === undefined) continue;
+    if (column === "stopSequences") {
+      try {
+        params[field] = JSON.parse(value);
+      } catch {
+        console.warn(`Ignoring invalid stop sequences stored for agent ${agent.name}.`);
+      }
+    } else {
+      params[field] = value;
+    }
+  }
+  return params;
+}
+
+function getExtraBody(agent) {
+  if (!agent.extraBody) return {};
+  try {
+    return JSON.parse(agent.extraBody);
+  } catch {
+    console.warn(`Ignoring invalid extra body stored for agent ${agent.name}.`);
+    return {};
+  }
+}
+
+// Short human-readable summary of an agent's generation parameters, or "" if none are set.
+function formatGenerationParams(agent) {
+  const parts = Object.entries(getGenerationParams(agent)).map(
+    ([field, value]) => `${field}=${JSON.stringify(value)}`
+  );
+  if (agent.extraBody) {
+    const extra = agent.extraBody.length > 80 ? agent.extraBody.slice(0, 77) + "..." : agent.extraBody;
+    parts.push(`extra_body=${extra}`);
+  }
+  return parts.join(", ");
+}
+
+// Copies AGENT_SETTING_COLUMNS and knowledge base links from one agent row onto another agent.
+function copyAgentSettings(sourceAgent, targetAgentId) {
+  db.prepare(
+    `UPDATE agents SET ${AGENT_SETTING_COLUMNS.map((c) => `${c}=?`).join(", ")} WHERE id=?`
+  ).run(...AGENT_SETTING_COLUMNS.map((c) => sourceAgent[c] ?? null), targetAgentId);
+  db.prepare("DELETE FROM agent_kb_links WHERE agentId=?").run(targetAgentId);
+  db.prepare(
+    "INSERT INTO agent_kb_links (agentId,collection) SELECT ?, collection FROM agent_kb_links WHERE agentId=?"
+  ).run(targetAgentId, sourceAgent.id);
+}
+
+// Pushes the source agent's AGENT_SETTING_COLUMNS to every clone linked to it.
+// Returns the number of clones updated.
+function syncLinkedClones(sourceAgentId) {
+  const source = db.prepare("SELECT * FROM agents WHERE id=?").get(sourceAgentId);
+  if (!source) return 0;
+  const clones = db.prepare("SELECT id FROM agents WHERE linkedToAgentId=?").all(sourceAgentId);
+  for (const clone of clones) {
+    copyAgentSettings(source, clone.id);
+  }
+  return clones.length;
+}
+
+async function agentParams(interaction) {
+  // Quick, no defer.
+  const name = interaction.options.getString("name");
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, getAgentChannel(interaction.channel).id);
+
+  if (!ag) {
+    return interaction.reply({
+      content: `Agent "${name}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+      ephemeral: true
+    });
+  }
+
+  const updates = {};
+  if (interaction.options.getBoolean("reset")) {
+    for (const column of GENERATION_PARAM_COLUMNS) {
+      updates[column] = null;
+    }
+  }
+
+  const numericOptions = {
+    temperature: "temperature",
+    "top-p": "topP",
+    "max-tokens": "maxTokens",
+    "presence-penalty": "presencePenalty",
+    "frequency-penalty": "frequencyPenalty",
+    seed: "seed"
+  };
+  for (const [option, column] of Object.entries(numericOptions)) {
+    const value =
+      column === "maxTokens" || column === "seed"
+        ? interaction.options.getInteger(option)
+        : interaction.options.getNumber(option);
+    if (value !== null) updates[column] = value;
+  }
+
+  const stopOption = interaction.options.getString("stop");
+  if (stopOption !== null) {
+    if (stopOption.trim().toLowerCase() === "none") {
+      updates.stopSequences = null;
+    } else if (stopOption.trim().startsWith("[")) {
+      let stops;
+      try {
+        stops = JSON.parse(stopOption);
+      } catch (e) {
+        return interaction.reply({ content: `Stop sequences are not valid JSON: ${e.message}`, ephemeral: true });
+      }
+      if (!Array.isArray(stops) || !stops.every((x) => typeof x === "string")) {
+        return interaction.reply({ content: "Stop sequences must be a JSON array of strings.", ephemeral: true });
+      }
+      updates.stopSequences = JSON.stringify(stops);
+    } else {
+      updates.stopSequences = JSON.stringify([stopOption]);
+    }
+  }
+
+  const effortOption = interaction.options.getString("reasoning-effort");
+  if (effortOption !== null) updates.reasoningEffort = effortOption === "none" ? null : effortOption;
+
+  const extraBodyOption = interaction.options.getString("extra-body");
+  if (extraBodyOption !== null) {
+    if (extraBodyOption.trim().toLowerCase() === "none") {
+      updates.extraBody = null;
+    } else {
+      let extra;
+      try {
+        extra = JSON.parse(extraBodyOption);
+      } catch (e) {
+        return interaction.reply({ content: `Extra body is not valid JSON: ${e.message}`, ephemeral: true });
+      }
+      if (!extra || typeof extra !== "object" || Array.isArray(extra)) {
+        return interaction.reply({ content: "Extra body must be a JSON object.", ephemeral: true });
+      }
+      updates.extraBody = JSON.stringify(extra);
+    }
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length) {
+    db.prepare(
+      `UPDATE agents SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`
+    ).run(...columns.map((c) => updates[c]), ag.id);
+  }
+
+  const updated = db.prepare("SELECT * FROM agents WHERE id=?").get(ag.id);
+  let content = columns.length
+    ? `Generation parameters for **${ag.name}** updated.`
+    : `No changes given for **${ag.name}**.`;
+  content += `\nCurrent parameters: ${formatGenerationParams(updated) || "provider defaults"}`;
+
+  if (columns.length && ag.isSourceForLink) {
+    const propagatedCount = syncLinkedClones(ag.id);
+    if (propagatedCount > 0) {
+      content += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+    }
+  }
+  return interaction.reply({ content, ephemeral: true });
+}
+
+async function agentTools(interaction) {
+  // Quick, no defer.
+  const name = interaction.options.getString("name");
+  const action = interaction.options.getString("action");
+  const toolName = interaction.options.getString("tool");
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, getAgentChannel(interaction.channel).id);
+
+  if (!ag) {
+    return interaction.reply({
+      content: `Agent "${name}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+      ephemeral: true
+    });
+  }
+
+  let enabled = parseEnabledTools(ag);
+  if (action === "list") {
+    const lines = Object.entries(AGENT_TOOLS).map(
+      ([tool, def]) => `${enabled.includes(tool) ? "✅" : "▫️"} **${tool}**: ${def.description}`
+    );
+    return interaction.reply({
+      content: `Tools for **${ag.name}**:\n${lines.join("\n")}`,
+      ephemeral: true
+    });
+  }
+
+  if (!toolName) {
+    return interaction.reply({
+      content: `Choose a tool to ${action}.`,
+      ephemeral: true
+    });
+  }
+  enabled =
+    action === "enable"
+      ? [...new Set([...enabled, toolName])]
+      : enabled.filter((tool) => tool !== toolName);
+  db.prepare("UPDATE agents SET enabledTools=? WHERE id=?").run(
+    enabled.length ? JSON.stringify(enabled) : null,
+    ag.id
+  );
+
+  let content = `Tool **${toolName}** ${action}d for **${ag.name}**. Enabled tools: ${enabled.join(", ") || "none"}.`;
+  const provider = db
+    .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
+    .get(interaction.guildId, ag.providerName);
+  if (enabled.length && provider && !getProviderAdapter(provider).supportsTools) {
+    content += `\nNote: provider "${provider.name}" (${getProviderAdapter(provider).label}) does not support tool calling, so tools are not offered to this agent.`;
+  }
+  if (ag.isSourceForLink) {
+    const propagatedCount = syncLinkedClones(ag.id);
+    if (propagatedCount > 0) {
+      content += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+    }
+  }
+  return interaction.reply({ content, ephemeral: true });
+}
+
+async function agentFallback(interaction) {
+  // Quick, no defer.
+  const name = interaction.options.getString("name");
+  const action = interaction.options.getString("action");
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, getAgentChannel(interaction.channel).id);
+
+  if (!ag) {
+    return interaction.reply({
+      content: `Agent "${name}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+      ephemeral: true
+    });
+  }
+
+  let fallbacks = parseFallbacks(ag);
+  const formatChain = () =>
+    getCompletionChain({ ...ag, fallbacks: JSON.stringify(fallbacks) })
+      .map((f, i) => `${i === 0 ? "Primary" : `${i}.`} **${f.providerName}** / \`${f.model}\``)
+      .join("\n");
+
+  if (action === "list") {
+    return interaction.reply({
+      content: `Provider chain for **${ag.name}**:\n${formatChain()}`,
+      ephemeral: true
+    });
+  }
+
+  const position = interaction.options.getInteger("position");
+  if (action === "add") {
+    const providerName = interaction.options.getString("provider");
+    const model = interaction.options.getString("model");
+    if (!providerName || !model) {
+      return interaction.reply({
+        content: "Both `provider` and `model` are required to add a fallback.",
+        ephemeral: true
+      });
+    }
+    const pr = db
+      .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
+      .get(interaction.guildId, providerName);
+    if (!pr) {
+      return interaction.reply({
+        content: `Provider "${providerName}" not found. Please add it using \`/provider add\`.`,
+        ephemeral: true
+      });
+    }
+    const index = position ? Math.min(position - 1, fallbacks.length) : fallbacks.length;
+    fallbacks.splice(index, 0, { providerName, model });
+  } else if (action === "remove") {
+    if (!position || position > fallbacks.length) {
+      return interaction.reply({
+        content: `Give the \`position\` of the fallback to remove (1-${fallbacks.length || 1}).\n${formatChain()}`,
+        ephemeral: true
+      });
+    }
+    fallbacks.splice(position - 1, 1);
+  } else if (action === "clear") {
+    fallbacks = [];
+  }
+
+  db.prepare("UPDATE agents SET fallbacks=? WHERE id=?").run(
+    fallbacks.length ? JSON.stringify(fallbacks) : null,
+    ag.id
+  );
+  let content = `Fallbacks for **${ag.name}** updated. Provider chain:\n${formatChain()}`;
+  if (ag.isSourceForLink) {
+    const propagatedCount = syncLinkedClones(ag.id);
+    if (propagatedCount > 0) {
+      content += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+    }
+  }
+  return interaction.reply({ content, ephemeral: true });
+}
+
+async function agentRetrieval(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const name = interaction.options.getString("name");
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, getAgentChannel(interaction.channel).id);
+
+  if (!ag) {
+    return interaction.followUp({
+      content: `Agent "${name}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`
+    });
+  }
+
+  const updates = {};
+  const enabled = interaction.options.getBoolean("enabled");
+  if (enabled !== null) updates.retrievalEnabled = enabled ? 1 : 0;
+  const k = interaction.options.getInteger("k");
+  if (k !== null) updates.retrievalTopK = k;
+  const threshold = interaction.options.getNumber("threshold");
+  if (threshold !== null) updates.retrievalThreshold = threshold;
+  const providerOption = interaction.options.getString("provider");
+  if (providerOption !== null) {
+    updates.embeddingProvider = providerOption.toLowerCase() === "none" ? null : providerOption;
+  }
+  const modelOption = interaction.options.getString("model");
+  if (modelOption !== null) {
+    updates.embeddingModel = modelOption.toLowerCase() === "none" ? null : modelOption;
+  }
+
+  const updated = { ...ag, ...updates };
+  let embeddingConfig = null;
+  if (updated.retrievalEnabled) {
+    try {
+      embeddingConfig = getEmbeddingConfig(updated);
+    } catch (e) {
+      return interaction.followUp({ content: `Cannot enable retrieval: ${e.message}` });
+    }
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length) {
+    db.prepare(
+      `UPDATE agents SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`
+    ).run(...columns.map((c) => updates[c]), ag.id);
+  }
+
+  let content = updated.retrievalEnabled
+    ? `Retrieval for **${ag.name}** is **on**: top ${updated.retrievalTopK} message(s) with similarity ≥ ${updated.retrievalThreshold}, embedded with \`${embeddingConfig.key}\`.`
+    : `Retrieval for **${ag.name}** is **off**.`;
+
+  if (updated.retrievalEnabled) {
+    // Start indexing right away so history is searchable before the next reply.
+    indexChannelEmbeddings({ ...updated, id: ag.id }).catch((e) => {
+      console.error(`Failed to index messages for retrieval in channel ${ag.channelId}: ${e.message}`);
+    });
+    content += "\nIndexing of this channel's history has started; older messages are embedded in batches after each reply.";
+  }
+  if (columns.length && ag.isSourceForLink) {
+    const propagatedCount = syncLinkedClones(ag.id);
+    if (propagatedCount > 0) {
+      content += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+    }
+  }
+  return interaction.followUp({ content });
+}
+
+async function agentThreads(interaction) {
+  // Quick, no defer.
+  const name = interaction.options.getString("name");
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, getAgentChannel(interaction.channel).id);
+
+  if (!ag) {
+    return interaction.reply({
+      content: `Agent "${name}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+      ephemeral: true
+    });
+  }
+
+  const updates = {};
+  const mode = interaction.options.getString("mode");
+  if (mode !== null) updates.threadMode = mode;
+  const forumAutoReply = interaction.options.getBoolean("forum-auto-reply");
+  if (forumAutoReply !== null) updates.forumAutoReply = forumAutoReply ? 1 : 0;
+
+  const columns = Object.keys(updates);
+  if (columns.length) {
+    db.prepare(
+      `UPDATE agents SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`
+    ).run(...columns.map((c) => updates[c]), ag.id);
+  }
+  const updated = { ...ag, ...updates };
+
+  const agentChannel = client.channels.cache.get(ag.channelId);
+  const isForum = agentChannel && agentChannel.type === ChannelType.GuildForum;
+  let content =
+    `**${ag.name}** answers ${updated.threadMode === "thread" ? "in a new thread on each message that addresses it" : "inline"} in <#${ag.channelId}>, ` +
+    `and in its threads and forum posts with a separate context per thread.` +
+    `\nForum auto-reply: **${updated.forumAutoReply ? "on" : "off"}**` +
+    (updated.forumAutoReply && !isForum ? " (only applies when the agent lives in a forum channel)." : ".");
+  if (columns.length && ag.isSourceForLink) {
+    const propagatedCount = syncLinkedClones(ag.id);
+    if (propagatedCount > 0) {
+      content += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+    }
+  }
+  return interaction.reply({ content, ephemeral: true });
+}
+
+async function agentOutput(interaction) {
+  // Quick, no defer.
+  const name = interaction.options.getString("name");
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, getAgentChannel(interaction.channel).id);
+
+  if (!ag) {
+    return interaction.reply({
+      content: `Agent "${name}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+      ephemeral: true
+    });
+  }
+
+  const updates = {};
+  const mode = interaction.options.getString("mode");
+  if (mode !== null) updates.outputMode = mode;
+  const liveEdit = interaction.options.getBoolean("live-edit");
+  if (liveEdit !== null) updates.liveEdit = liveEdit ? 1 : 0;
+  const controls = interaction.options.getBoolean("controls");
+  if (controls !== null) updates.replyControls = controls ? 1 : 0;
+
+  const columns = Object.keys(updates);
+  if (columns.length) {
+    db.prepare(
+      `UPDATE agents SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`
+    ).run(...columns.map((c) => updates[c]), ag.id);
+  }
+  const updated = { ...ag, ...updates };
+  const current = getOutputMode(updated);
+
+  let content =
+    `**${ag.name}** ${columns.length ? "now uses" : "uses"} the \`${current}\` output mode (${OUTPUT_MODES[current].label}). ` +
+    (OUTPUT_MODES[current].instructions
+      ? "Format instructions are added to its system prompt."
+      : "No format instructions are added to its system prompt.") +
+    `\nLive editing: **${updated.liveEdit ? "on" : "off"}**` +
+    (updated.liveEdit && current === "json" ? " (JSON replies are only shown once complete)." : ".") +
+    `\nReply buttons: **${updated.replyControls ? "on" : "off"}**.`;
+  if (columns.length && ag.isSourceForLink) {
+    const propagatedCount = syncLinkedClones(ag.id);
+    if (propagatedCount > 0) {
+      content += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+    }
+  }
+  return interaction.reply({ content, ephemeral: true });
+}
+
+const REASONING_DISPLAY_LABELS = {
+  hide: "hidden",
+  spoiler: "shown in a spoiler under the reply",
+  thread: "shown in a thread on the reply (a spoiler in threads and /ask)"
+};
+
+async function agentReasoning(interaction) {
+  // Quick, no defer.
+  const name = interaction.options.getString("name");
+  const ag = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+    .get(interaction.guildId, name, getAgentChannel(interaction.channel).id);
+
+  if (!ag) {
+    return interaction.reply({
+      content: `Agent "${name}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+      ephemeral: true
+    });
+  }
+
+  const updates = {};
+  const display = interaction.options.getString("display");
+  if (display !== null) updates.reasoningDisplay = display;
+  const store = interaction.options.getBoolean("store");
+  if (store !== null) updates.reasoningStore = store ? 1 : 0;
+
+  const columns = Object.keys(updates);
+  if (columns.length) {
+    db.prepare(
+      `UPDATE agents SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`
+    ).run(...columns.map((c) => updates[c]), ag.id);
+  }
+  const updated = { ...ag, ...updates };
+
+  let content =
+    `Reasoning of **${ag.name}** is ${REASONING_DISPLAY_LABELS[updated.reasoningDisplay] || "hidden"}` +
+    ` and ${updated.reasoningStore ? "stored for /transcript export" : "not stored"}.` +
+    `\nReasoning effort: **${updated.reasoningEffort || "provider default"}** (change it with \`/agent params\`).`;
+  if (columns.length && ag.isSourceForLink) {
+    const propagatedCount = syncLinkedClones(ag.id);
+    if (propagatedCount > 0) {
+      content += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
+    }
+  }
+  return interaction.reply({ content, ephemeral: true });
+}
+
+// --- /provider commands ---
+async function handleProviderCmd(interaction) {
+  // These are quick, no defer needed.
+  const sub = interaction.options.getSubcommand();
+  if (sub === "add") {
+    const name = interaction.options.getString("name");
+    const url = interaction.options.getString("url");
+    const key = interaction.options.getString("key");
+    const type = interaction.options.getString("type") || DEFAULT_PROVIDER_TYPE;
+    try {
+      new URL(url);
+    } catch {
+      return interaction.reply({
+        content: `"${url}" is not a valid URL.`,
+        ephemeral: true
+      });
+    }
+    const { iv, encrypted, authTag } = encrypt(key);
+    try {
+      db.prepare(
+        `INSERT INTO providers
+         (guildId,name,url,encryptedKey,iv,authTag,type)
+         VALUES (?,?,?,?,?,?,?)`
+      ).run(interaction.guildId, name, url, encrypted, iv, authTag, type);
+    } catch (e) {
+      if (e.code === "SQLITE_CONSTRAINT_UNIQUE") {
+        return interaction.reply({
+          content: `Provider "${name}" already exists in this server.`,
+          ephemeral: true
+        });
+      }
+      throw e;
+    }
+    return interaction.reply({
+      content: `Provider **${name}** (${PROVIDER_ADAPTERS[type].label}) added.`,
+      ephemeral: true
+    });
+  } else if (sub === "delete") {
+    const name = interaction.options.getString("name");
+    const info = db
+      .prepare("DELETE FROM providers WHERE guildId=? AND name=?")
+      .run(interaction.guildId, name);
+    if (!info.changes) {
+      return interaction.reply({
+        content: `Provider "${name}" not found in this server.`,
+        ephemeral: true
+      });
+    }
+    return interaction.reply({
+      content: `Provider **${name}** deleted.`,
+      ephemeral: true
+    });
+  } else if (sub === "list") {
+    const rows = db
+      .prepare("SELECT name, url, type FROM providers WHERE guildId=? ORDER BY name")
+      .all(interaction.guildId);
+    if (!rows.length) {
+      return interaction.reply({
+        content: "No providers configured for this server. Add one with `/provider add`.",
+        ephemeral: true
+      });
+    }
+    const providerList = rows
+      .map((p) => `- **${p.name}** (${getProviderAdapter(p).label}): ${p.url}`)
+      .join("\n");
+    return interaction.reply({
+      content: `Configured providers for this server:\n${providerList}`,
+      ephemeral: true
+    });
+  }
+}
+
+// --- /contextwindow ---
+async function handleContextWindow(interaction) {
+  // Quick, no defer.
+  const sizeInput = interaction.options.getString("size").trim().toLowerCase();
+  const agentName = interaction.options.getString("agent");
+  const model = interaction.options.getString("model");
+
+  const match = sizeInput.match(/^(?:(messages|tokens)\s*:\s*)?(\d+)$/);
+  if (!match) {
+    return interaction.reply({
+      content: "Size must look like `messages:20`, `tokens:8000` or a plain message count.",
+      ephemeral: true
+    });
+  }
+  const mode = match[1] || "messages";
+  const size = parseInt(match[2], 10);
+
+  if (agentName || model) {
+    if (mode !== "tokens") {
+      return interaction.reply({
+        content: "Agent and model limits are token budgets. Use `tokens:N` (or `tokens:0` to remove the limit).",
+        ephemeral: true
+      });
+    }
+    if (agentName) {
+      const ag = db
+        .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+        .get(interaction.guildId, agentName, getAgentChannel(interaction.channel).id);
+      if (!ag) {
+        return interaction.reply({
+          content: `Agent "${agentName}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+          ephemeral: true
+        });
+      }
+      db.prepare("UPDATE agents SET contextTokens=? WHERE id=?").run(size || null, ag.id);
+      if (ag.isSourceForLink) syncLinkedClones(ag.id);
+      return interaction.reply({
+        content: size
+          ? `Context budget for **${ag.name}** set to ${size} tokens.`
+          : `Context budget for **${ag.name}** removed; it follows the server setting again.`,
+        ephemeral: true
+      });
+    }
+    if (size) {
+      db.prepare(
+        `INSERT INTO model_context_limits (guildId,model,contextTokens)
+         VALUES (?,?,?)
+         ON CONFLICT(guildId,model) DO UPDATE SET
+           contextTokens=excluded.contextTokens`
+      ).run(interaction.guildId, model, size);
+    } else {
+      db.prepare("DELETE FROM model_context_limits WHERE guildId=? AND model=?").run(
+        interaction.guildId,
+        model
+      );
+    }
+    return interaction.reply({
+      content: size
+        ? `Context budget for model \`${model}\` set to ${size} tokens.`
+        : `Context budget for model \`${model}\` removed.`,
+      ephemeral: true
+    });
+  }
+
+  if (!size) {
+    return interaction.reply({ content: "Size must be greater than 0.", ephemeral: true });
+  }
+  if (mode === "messages") {
+    db.prepare(
+      `INSERT INTO guildSettings (guildId,contextWindow,contextMode)
+       VALUES (?,?,'messages')
+       ON CONFLICT(guildId) DO UPDATE SET
+         contextWindow=excluded.contextWindow, contextMode='messages'`
+    ).run(interaction.guildId, size);
+    return interaction.reply({
+      content: `Context window set to ${size} messages.`,
+      ephemeral: true
+    });
+  }
+  db.prepare(
+    `INSERT INTO guildSettings (guildId,contextTokens,contextMode)
+     VALUES (?,?,'tokens')
+     ON CONFLICT(guildId) DO UPDATE SET
+       contextTokens=excluded.contextTokens, contextMode='tokens'`
+  ).run(interaction.guildId, size);
+  return interaction.reply({
+    content: `Context window set to a budget of ${size} tokens.`,
+    ephemeral: true
+  });
+}
+
+// --- /memory commands ---
+async function handleMemoryCmd(interaction) {
+  // Quick, no defer.
+  const sub = interaction.options.getSubcommand();
+  const channel =
+    interaction.options.getChannel("channel") || interaction.channel;
+
+  if (sub === "show") {
+    const summary = getChannelSummary(channel.id);
+    if (!summary || !summary.summary.trim()) {
+      return interaction.reply({
+        content: `No summary is stored for <#${channel.id}> yet.`,
+        ephemeral: true
+      });
+    }
+    const chunks = splitMessage(
+      `Summary for <#${channel.id}> (updated ${summary.updatedAt} UTC):\n${summary.summary}`,
+      1900
+    );
+    await interaction.reply({ content: chunks[0], ephemeral: true });
+    for (let i = 1; i < chunks.length; i++) {
+      await interaction.followUp({ content: chunks[i], ephemeral: true });
+    }
+    return;
+  }
+
+  if (sub === "edit") {
+    const text = interaction.options.getString("text");
+    db.prepare(
+      `INSERT INTO channel_summaries (channelId,guildId,summary,updatedAt)
+       VALUES (?,?,?,CURRENT_TIMESTAMP)
+       ON CONFLICT(channelId) DO UPDATE SET
+         summary=excluded.summary, updatedAt=excluded.updatedAt`
+    ).run(channel.id, interaction.guildId, text);
+    return interaction.reply({
+      content: `Summary for <#${channel.id}> updated.`,
+      ephemeral: true
+    });
+  }
+
+  if (sub === "reset") {
+    if (interaction.options.getBoolean("rebuild")) {
+      db.prepare("DELETE FROM channel_summaries WHERE channelId=?").run(channel.id);
+      return interaction.reply({
+        content: `Summary for <#${channel.id}> cleared. Older messages will be summarized again.`,
+        ephemeral: true
+      });
+    }
+    db.prepare(
+      "UPDATE channel_summaries SET summary='', updatedAt=CURRENT_TIMESTAMP WHERE channelId=?"
+    ).run(channel.id);
+    return interaction.reply({
+      content: `Summary for <#${channel.id}> cleared. Messages it covered stay forgotten.`,
+      ephemeral: true
+    });
+  }
+
+  if (sub === "config") {
+    const threshold = interaction.options.getInteger("threshold");
+    const summarizerName = interaction.options.getString("summarizer");
+    const changes = [];
+    if (threshold !== null) {
+      db.prepare(
+        `INSERT INTO guildSettings (guildId,summaryThreshold)
+         VALUES (?,?)
+         ON CONFLICT(guildId) DO UPDATE SET
+           summaryThreshold=excluded.summaryThreshold`
+      ).run(interaction.guildId, threshold);
+      changes.push(
+        threshold ? `summaries are written every ${threshold} messages out of context` : "summaries are disabled"
+      );
+    }
+    if (summarizerName !== null) {
+      let summarizerId = null;
+      if (summarizerName.toLowerCase() !== "none") {
+        const summarizer = db
+          .prepare("SELECT id FROM agents WHERE guildId=? AND name=? LIMIT 1")
+          .get(interaction.guildId, summarizerName);
+        if (!summarizer) {
+          return interaction.reply({
+            content: `Agent "${summarizerName}" not found in this server. Agent names are case-sensitive.`,
+            ephemeral: true
+          });
+        }
+        summarizerId = summarizer.id;
+      }
+      db.prepare(
+        `INSERT INTO guildSettings (guildId,summarizerAgentId)
+         VALUES (?,?)
+         ON CONFLICT(guildId) DO UPDATE SET
+           summarizerAgentId=excluded.summarizerAgentId`
+      ).run(interaction.guildId, summarizerId);
+      changes.push(
+        summarizerId ? `**${summarizerName}** writes the summaries` : "each replying agent writes its own summaries"
+      );
+    }
+    return interaction.reply({
+      content: changes.length ? `Memory settings updated: ${changes.join("; ")}.` : "No changes given.",
+      ephemeral: true
+    });
+  }
+}
+
+// --- /ask and /chat commands ---
+// Finds an agent by name (case-insensitive) in the interaction's channel, or in the parent
+// channel when used inside a thread. Returns { agent, agents } or null.
+function findInteractionAgent(interaction, agentName) {
+  const agents = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?")
+    .all(interaction.guildId, getAgentChannel(interaction.channel).id);
+  const agent = agents.find((a) => a.name.toLowerCase() === agentName.toLowerCase());
+  return agent ? { agent, agents } : null;
+}
+
+async function handleAskCmd(interaction) {
+  const agentName = interaction.options.getString("agent");
+  const found = findInteractionAgent(interaction, agentName);
+  if (!found) {
+    return interaction.reply({
+      content: `Agent "${agentName}" not found in this channel (<#${interaction.channelId}>).`,
+      ephemeral: true
+    });
+  }
+  const limitMessage = checkLimits(interaction.guildId, found.agent, interaction.user.id);
+  if (limitMessage) {
+    return interaction.reply({ content: limitMessage, ephemeral: true });
+  }
+  await interaction.deferReply();
+
+  const attachment = interaction.options.getAttachment("attachment");
+  // agentLoop answers through the interaction instead of the webhook when `interaction` is set.
+  const askMessage = {
+    guild: interaction.guild,
+    channel: interaction.channel,
+    channelId: interaction.channelId,
+    author: interaction.user,
+    content: interaction.options.getString("prompt"),
+    attachments: attachment ? new Map([[attachment.id, attachment]]) : new Map(),
+    reference: null,
+    agentId: null,
+    guildId: interaction.guildId,
+    interaction
+  };
+  await runWithJobKey(`${found.agent.id}:${interaction.channelId}`, () =>
+    agentLoop(askMessage, found.agent, found.agents, 0)
+  );
+}
+
+async function handleChatCmd(interaction) {
+  const agentName = interaction.options.getString("agent");
+  if (interaction.channel.isThread()) {
+    return interaction.reply({
+      content: "Use `/chat` in the agent's channel, not inside a thread.",
+      ephemeral: true
+    });
+  }
+  const found = findInteractionAgent(interaction, agentName);
+  if (!found) {
+    return interaction.reply({
+      content: `Agent "${agentName}" not found in this channel (<#${interaction.channelId}>).`,
+      ephemeral: true
+    });
+  }
+  const { agent } = found;
+  await interaction.deferReply({ ephemeral: true });
+
+  const isPrivate = interaction.options.getBoolean("private") ?? true;
+  const title = (
+    interaction.options.getString("title") || `${agent.name} – ${interaction.user.username}`
+  ).slice(0, 100);
+  let thread;
+  try {
+    thread = await interaction.channel.threads.create({
+      name: title,
+      type: isPrivate ? ChannelType.PrivateThread : ChannelType.PublicThread,
+      invitable: isPrivate ? false : undefined,
+      reason: `/chat session with ${agent.name} started by ${interaction.user.tag}`
+    });
+    await thread.members.add(interaction.user.id);
+  } catch (e) {
+    console.error(`Failed to create chat thread for agent ${agent.name}: ${e.message}`);
+    return interaction.followUp({
+      content: `Could not create a thread here: ${e.message}. The bot needs the Create ${isPrivate ? "Private" : "Public"} Threads permission.`
+    });
+  }
+
+  db.prepare(
+    "INSERT INTO chat_sessions (threadId,agentId,guildId,userId) VALUES (?,?,?,?)"
+  ).run(thread.id, agent.id, interaction.guildId, interaction.user.id);
+  await thread
+    .send(
+      `Chat with **${agent.name}** started by <@${interaction.user.id}>. Every message in this thread goes to ${agent.name}, and the conversation is kept separate from <#${interaction.channelId}>.`
+    )
+    .catch(console.warn);
+  return interaction.followUp({ content: `Started a chat with **${agent.name}** in <#${thread.id}>.` });
+}
+
+// --- /config export and import ---
+// A bundle is a JSON file with the guild's agents (prompts, avatars, settings, clone links,
+// knowledge base links and yap settings), guild settings and, when a passphrase is given,
+// providers with their keys re-encrypted under that passphrase. Channels are stored by ID and
+// name so an import can map them onto another server's channels.
+
+const CONFIG_BUNDLE_FORMAT = "byokbawt-config";
+const CONFIG_BUNDLE_VERSION = 1;
+const CONFIG_PASSPHRASE_MIN_LENGTH = 8;
+// Agent columns carried in a bundle, besides its name, channel and webhook.
+const AGENT_BUNDLE_COLUMNS = [
+  "model",
+  "providerName",
+  "multimodal",
+  "systemPrompt",
+  "avatarMimeType",
+  "avatarData",
+  ...AGENT_SETTING_COLUMNS
+];
+const YAP_BUNDLE_COLUMNS = [
+  "isEnabled",
+  "debounceMs",
+  "cooldownSeconds",
+  "probability",
+  "gatePattern",
+  "classifierEnabled",
+  "classifierModel"
+];
+// guildSettings columns that refer to agents or channels and are mapped on import.
+const GUILD_SETTING_REFERENCE_COLUMNS = ["guildId", "summarizerAgentId", "limitAlertChannelId"];
+
+function pickColumns(row, columns) {
+  const picked = {};
+  for (const c of columns) {
+    if (row[c] !== undefined) picked[c] = row[c];
+  }
+  return picked;
+}
+
+function getTableColumns(table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+}
+
+function buildConfigBundle(guild, passphrase) {
+  const channelRef = (id) => (id ? { id, name: guild.channels.cache.get(id)?.name || null } : null);
+  const agents = db.prepare("SELECT * FROM agents WHERE guildId=? ORDER BY id").all(guild.id);
+  const settings = db.prepare("SELECT * FROM guildSettings WHERE guildId=?").get(guild.id);
+
+  const bundle = {
+    format: CONFIG_BUNDLE_FORMAT,
+    version: CONFIG_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    guild: { id: guild.id, name: guild.name },
+    agents: agents.map((a) => ({
+      ref: a.id,
+      name: a.name,
+      channel: channelRef(a.channelId),
+      linkedToRef: a.linkedToAgentId,
+      settings: pickColumns(a, AGENT_BUNDLE_COLUMNS),
+      kbCollections: getLinkedCollections(a),
+      yap: db
+        .prepare("SELECT * FROM yap_settings WHERE agentId=?")
+        .all(a.id)
+        .map((y) => ({ channel: channelRef(y.channelId), ...pickColumns(y, YAP_BUNDLE_COLUMNS) })),
+      schedules: db
+        .prepare("SELECT channelId, cron, prompt, isPaused FROM schedules WHERE agentId=?")
+        .all(a.id)
+        .map((s) => ({ channel: channelRef(s.channelId), cron: s.cron, prompt: s.prompt, isPaused: s.isPaused }))
+    })),
+    guildSettings: settings
+      ? {
+          ...pickColumns(
+            settings,
+            Object.keys(settings).filter((c) => !GUILD_SETTING_REFERENCE_COLUMNS.includes(c))
+          ),
+          summarizerRef: settings.summarizerAgentId,
+          limitAlertChannel: channelRef(settings.limitAlertChannelId)
+        }
+      : null,
+    modelContextLimits: db
+      .prepare("SELECT model, contextTokens FROM model_context_limits WHERE guildId=?")
+      .all(guild.id),
+    modelPrices: db
+      .prepare("SELECT model, inputPerMillion, outputPerMillion FROM model_prices WHERE guildId=?")
+      .all(guild.id),
+    limits: db.prepare("SELECT scope, target, kind, value FROM limits WHERE guildId=?").all(guild.id),
+    promptSnippets: db.prepare("SELECT name, content FROM prompt_snippets WHERE guildId=?").all(guild.id),
+    providers: null
+  };
+
+  if (passphrase) {
+    bundle.providers = db
+      .prepare("SELECT * FROM providers WHERE guildId=? ORDER BY id")
+      .all(guild.id)
+      .map((p) => ({
+        name: p.name,
+        url: p.url,
+        type: p.type,
+        key: encryptWithPassphrase(decrypt(p.encryptedKey, p.iv, p.authTag), passphrase)
+      }));
+  }
+  return bundle;
+}
+
+// Parses "old=new, old2=new2", where old is an exported channel ID or name and new is a channel
+// mention, ID or name in this guild. Returns a Map keyed by old ID and lowercased old name.
+function parseChannelMap(guild, text) {
+  const map = new Map();
+  if (!text) return map;
+  for (const entry of text.split(",")) {
+    const [from, to] = entry.split("=").map((part) => part && part.trim());
+    if (!from || !to) throw new Error(`"${entry.trim()}" is not of the form old=new.`);
+    const toId = (to.match(/^<#(\d+)>$/) || to.match(/^(\d+)$/) || [])[1];
+    const channel = toId
+      ? guild.channels.cache.get(toId)
+      : guild.channels.cache.find((c) => c.name.toLowerCase() === to.replace(/^#/, "").toLowerCase());
+    if (!channel) throw new Error(`Channel "${to}" not found in this server.`);
+    map.set(from.replace(/^#/, "").replace(/^<#(\d+)>$/, "$1").toLowerCase(), channel);
+  }
+  return map;
+}
+
+// Finds the channel an exported channel maps to: the explicit map, the same channel (restoring
+// into the same server), a channel with the same name, then the default channel.
+function resolveImportChannel(guild, exported, channelMap, defaultChannel) {
+  if (!exported) return defaultChannel || null;
+  const isAgentChannel = (c) =>
+    c && (c.type === ChannelType.GuildText || c.type === ChannelType.GuildForum);
+  const mapped =
+    channelMap.get(exported.id) || (exported.name && channelMap.get(exported.name.toLowerCase()));
+  if (mapped) return mapped;
+  const sameChannel = guild.channels.cache.get(exported.id);
+  if (isAgentChannel(sameChannel)) return sameChannel;
+  const sameName =
+    exported.name &&
+    guild.channels.cache.find((c) => isAgentChannel(c) && c.name === exported.name);
+  return sameName || defaultChannel || null;
+}
+
+// Applies (or, with dryRun, previews) a bundle. Returns the lines describing what happened.
+async function importConfigBundle(
+  guild,
+  bundle,
+  { conflict, dryRun, passphrase, channelMap, defaultChannel, importedBy, canChangeSettings }
+) {
+  const lines = [];
+  const settingsSkipped = (what) => lines.push(`${what}: skipped, importing it needs \`change-settings\`.`);
+  let skippedYapCount = 0;
+  const did = (done, planned) => (dryRun ? planned : done);
+
+  // Providers go first so agents can reference them. Keys are all decrypted up front, so a wrong
+  // passphrase changes nothing.
+  const providerNames = new Map(); // Exported name -> name in this guild
+  if (bundle.providers && bundle.providers.length) {
+    if (!passphrase) {
+      throw new Error("This bundle contains providers; give the `passphrase` it was exported with.");
+    }
+    const keys = bundle.providers.map((p) => {
+      try {
+        return decryptWithPassphrase(p.key, passphrase);
+      } catch {
+        throw new Error("Wrong passphrase: the provider keys in this bundle could not be decrypted.");
+      }
+    });
+    bundle.providers.forEach((p, i) => {
+      let name = p.name;
+      const existing = db
+        .prepare("SELECT id FROM providers WHERE guildId=? AND name=?")
+        .get(guild.id, name);
+      if (existing && conflict === "skip") {
+        lines.push(`Provider **${name}**: skipped, already exists.`);
+        providerNames.set(p.name, name);
+        return;
+      }
+      if (existing && conflict === "rename") {
+        for (let n = 2; db.prepare("SELECT 1 FROM providers WHERE guildId=? AND name=?").get(guild.id, name); n++) {
+          name = `${p.name} (${n})`;
+        }
+      }
+      providerNames.set(p.name, name);
+      const type = PROVIDER_ADAPTERS[p.type] ? p.type : DEFAULT_PROVIDER_TYPE;
+      if (!dryRun) {
+        const { iv, encrypted, authTag } = encrypt(keys[i]);
+        db.prepare(
+          `INSERT INTO providers (guildId,name,url,encryptedKey,iv,authTag,type)
+           VALUES (?,?,?,?,?,?,?)
+           ON CONFLICT(guildId,name) DO UPDATE SET
+             url=excluded.url, encryptedKey=excluded.encryptedKey, iv=excluded.iv,
+             authTag=excluded.authTag, type=excluded.type`
+        ).run(guild.id, name, p.url, encrypted, iv, authTag, type);
+      }
+      lines.push(
+        existing && conflict === "overwrite"
+          ? `Provider **${name}**: ${did("overwritten", "would be overwritten")}.`
+          : `Provider **${name}**: ${did("created", "would be created")}${name !== p.name ? ` (renamed from ${p.name})` : ""}.`
+      );
+    });
+  }
+  const renameProvider = (name) => (name && providerNames.has(name) ? providerNames.get(name) : name);
+
+  const agentColumns = getTableColumns("agents");
+  const agentIds = new Map(); // Bundle ref -> agent ID in this guild (null in a dry run)
+  for (const exported of bundle.agents || []) {
+    const channel = resolveImportChannel(guild, exported.channel, channelMap, defaultChannel);
+    if (!channel) {
+      lines.push(
+        `Agent **${exported.name}**: skipped, no channel for #${exported.channel?.name || exported.channel?.id}. Map one with \`channel-map\` or \`default-channel\`.`
+      );
+      continue;
+    }
+
+    const settings = pickColumns(
+      exported.settings || {},
+      AGENT_BUNDLE_COLUMNS.filter((c) => agentColumns.includes(c))
+    );
+    settings.providerName = renameProvider(settings.providerName);
+    settings.embeddingProvider = renameProvider(settings.embeddingProvider);
+    if (settings.fallbacks) {
+      try {
+        settings.fallbacks = JSON.stringify(
+          JSON.parse(settings.fallbacks).map((f) => ({ ...f, providerName: renameProvider(f.providerName) }))
+        );
+      } catch {
+        settings.fallbacks = null;
+      }
+    }
+    const providerKnown =
+      [...providerNames.values()].includes(settings.providerName) ||
+      db.prepare("SELECT 1 FROM providers WHERE guildId=? AND name=?").get(guild.id, settings.providerName);
+    if (!providerKnown) {
+      lines.push(`-# Agent **${exported.name}** uses provider "${settings.providerName}", which this server doesn't have yet.`);
+    }
+
+    let name = exported.name;
+    const existing = db
+      .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+      .get(guild.id, name, channel.id);
+    if (existing && conflict === "skip") {
+      lines.push(`Agent **${name}** in <#${channel.id}>: skipped, already exists.`);
+      agentIds.set(exported.ref, existing.id);
+      continue;
+    }
+    if (existing && conflict === "rename") {
+      for (
+        let n = 2;
+        db.prepare("SELECT 1 FROM agents WHERE guildId=? AND name=? AND channelId=?").get(guild.id, name, channel.id);
+        n++
+      ) {
+        name = `${exported.name} (${n})`;
+      }
+    }
+    const avatar =
+      settings.avatarData && settings.avatarMimeType
+        ? `data:${settings.avatarMimeType};base64,${settings.avatarData}`
+        : undefined;
+    const columns = Object.keys(settings);
+
+    if (existing && conflict === "overwrite") {
+      if (!dryRun) {
+        db.prepare(`UPDATE agents SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`).run(
+          ...columns.map((c) => settings[c] ?? null),
+          existing.id
+        );
+        try {
+          const wh = await client.fetchWebhook(existing.webhookId, existing.webhookToken);
+          await wh.edit({ name, avatar: avatar || null });
+        } catch (e) {
+          console.warn(`Could not update webhook for imported agent ${name}: ${e.message}`);
+        }
+      }
+      agentIds.set(exported.ref, existing.id);
+      lines.push(`Agent **${name}** in <#${channel.id}>: ${did("overwritten", "would be overwritten")}.`);
+    } else {
+      if (!dryRun) {
+        if (!channel.permissionsFor(guild.members.me).has(PermissionsBitField.Flags.ManageWebhooks)) {
+          lines.push(`Agent **${name}**: skipped, I need Manage Webhooks in <#${channel.id}>.`);
+          continue;
+        }
+        let webhook;
+        try {
+          webhook = await channel.createWebhook({ name, avatar });
+        } catch (e) {
+          console.error(`Failed to create webhook for imported agent ${name}: ${e}`);
+          lines.push(`Agent **${name}**: skipped, could not create its webhook in <#${channel.id}>: ${e.message}`);
+          continue;
+        }
+        const info = db
+          .prepare(
+            `INSERT INTO agents (guildId,name,channelId,webhookId,webhookToken,${columns.join(",")})
+             VALUES (?,?,?,?,?,${columns.map(() => "?").join(",")})`
+          )
+          .run(guild.id, name, channel.id, webhook.id, webhook.token, ...columns.map((c) => settings[c] ?? null));
+        agentIds.set(exported.ref, info.lastInsertRowid);
+      } else {
+        agentIds.set(exported.ref, null);
+      }
+      lines.push(
+        `Agent **${name}** in <#${channel.id}>: ${did("created", "would be created")}${name !== exported.name ? ` (renamed from ${exported.name})` : ""}.`
+      );
+    }
+
+    const agentId = agentIds.get(exported.ref);
+    if (dryRun || !agentId) continue;
+    for (const collection of exported.kbCollections || []) {
+      db.prepare("INSERT OR IGNORE INTO agent_kb_links (agentId,collection) VALUES (?,?)").run(agentId, collection);
+    }
+    for (const yap of exported.yap || []) {
+      if (!canChangeSettings) {
+        skippedYapCount++;
+        continue;
+      }
+      const yapChannel = resolveImportChannel(guild, yap.channel, channelMap, channel);
+      // Bundles from before the gating settings only carry isEnabled; the rest keep their defaults.
+      const columns = YAP_BUNDLE_COLUMNS.filter((c) => yap[c] !== undefined);
+      db.prepare(
+        `INSERT OR REPLACE INTO yap_settings (agentId,channelId,${columns.join(",")}) VALUES (?,?,${columns.map(() => "?").join(",")})`
+      ).run(agentId, yapChannel.id, ...columns.map((c) => yap[c]));
+    }
+    for (const schedule of exported.schedules || []) {
+      const scheduleChannel = resolveImportChannel(guild, schedule.channel, channelMap, channel);
+      const exists = db
+        .prepare("SELECT 1 FROM schedules WHERE agentId=? AND channelId=? AND cron=? AND prompt=?")
+        .get(agentId, scheduleChannel.id, schedule.cron, schedule.prompt);
+      if (exists) continue;
+      try {
+        parseCron(schedule.cron);
+      } catch (e) {
+        lines.push(`Schedule \`${schedule.cron}\` of **${name}**: skipped, ${e.message}`);
+        continue;
+      }
+      // Next runs are computed once the server's timezone has been imported too.
+      db.prepare(
+        "INSERT INTO schedules (guildId,agentId,channelId,cron,prompt,isPaused,createdBy) VALUES (?,?,?,?,?,?,?)"
+      ).run(guild.id, agentId, scheduleChannel.id, schedule.cron, schedule.prompt, schedule.isPaused ? 1 : 0, importedBy);
+    }
+  }
+
+  // Clone links, once every agent exists.
+  let linkCount = 0;
+  for (const exported of bundle.agents || []) {
+    const cloneId = agentIds.get(exported.ref);
+    const sourceId = agentIds.get(exported.linkedToRef);
+    if (exported.linkedToRef == null || !agentIds.has(exported.ref) || !agentIds.has(exported.linkedToRef)) continue;
+    linkCount++;
+    if (dryRun || !cloneId || !sourceId) continue;
+    db.prepare("UPDATE agents SET linkedToAgentId=? WHERE id=?").run(sourceId, cloneId);
+    db.prepare("UPDATE agents SET isSourceForLink=1 WHERE id=?").run(sourceId);
+  }
+  if (linkCount) lines.push(`${linkCount} clone link(s) ${did("restored", "would be restored")}.`);
+  if (skippedYapCount) settingsSkipped(`${skippedYapCount} yap setting(s)`);
+
+  if (bundle.guildSettings && !canChangeSettings) {
+    settingsSkipped("Server settings");
+  } else if (bundle.guildSettings) {
+    const hasSettings = db.prepare("SELECT 1 FROM guildSettings WHERE guildId=?").get(guild.id);
+    if (hasSettings && conflict === "skip") {
+      lines.push("Server settings: skipped, this server already has settings.");
+    } else {
+      const settingColumns = getTableColumns("guildSettings").filter(
+        (c) => !GUILD_SETTING_REFERENCE_COLUMNS.includes(c) && bundle.guildSettings[c] !== undefined
+      );
+      const values = pickColumns(bundle.guildSettings, settingColumns);
+      values.summarizerAgentId = agentIds.get(bundle.guildSettings.summarizerRef) || null;
+      const alertChannel = bundle.guildSettings.limitAlertChannel
+        ? resolveImportChannel(guild, bundle.guildSettings.limitAlertChannel, channelMap, null)
+        : null;
+      values.limitAlertChannelId = alertChannel ? alertChannel.id : null;
+      if (values.timezone && !isValidTimeZone(values.timezone)) {
+        lines.push(`Server timezone "${values.timezone}": skipped, not a timezone here; schedules run in UTC.`);
+        values.timezone = null;
+      }
+      if (!dryRun) {
+        const columns = Object.keys(values);
+        db.prepare(
+          `INSERT INTO guildSettings (guildId,${columns.join(",")})
+           VALUES (?,${columns.map(() => "?").join(",")})
+           ON CONFLICT(guildId) DO UPDATE SET ${columns.map((c) => `${c}=excluded.${c}`).join(", ")}`
+        ).run(guild.id, ...columns.map((c) => values[c]));
+      }
+      lines.push(`Server settings: ${did("imported", "would be imported")}.`);
+    }
+  }
+
+  const insertMode = conflict === "skip" ? "INSERT OR IGNORE" : "INSERT OR REPLACE";
+  // Context limits, prices and budgets are server settings, like the guildSettings row.
+  const tableRows = [
+    ["model_context_limits", bundle.modelContextLimits, "model context limit(s)", true],
+    ["model_prices", bundle.modelPrices, "model price(s)", true],
+    ["limits", bundle.limits, "limit(s)", true],
+    ["prompt_snippets", bundle.promptSnippets, "prompt snippet(s)", false]
+  ];
+  for (const [table, rows, label, isSetting] of tableRows) {
+    if (!rows || !rows.length) continue;
+    if (isSetting && !canChangeSettings) {
+      settingsSkipped(`${rows.length} ${label}`);
+      continue;
+    }
+    if (!dryRun) {
+      for (const row of rows) {
+        const values =
+          table === "limits" && row.scope === "provider" ? { ...row, target: renameProvider(row.target) } : row;
+        const columns = Object.keys(values);
+        db.prepare(
+          `${insertMode} INTO ${table} (guildId,${columns.join(",")}) VALUES (?,${columns.map(() => "?").join(",")})`
+        ).run(guild.id, ...columns.map((c) => values[c]));
+      }
+    }
+    lines.push(`${rows.length} ${label} ${did("imported", "would be imported")}${conflict === "skip" ? " (existing ones kept)" : ""}.`);
+  }
+  if (!dryRun) rescheduleGuild(guild.id);
+  return lines;
+}
+
+async function handleConfigCmd(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const sub = interaction.options.getSubcommand();
+  const passphrase = interaction.options.getString("passphrase");
+  if (passphrase && !memberHasCapability(interaction.member, "manage-providers")) {
+    return interaction.followUp({ content: describeDenial(interaction, "manage-providers") });
+  }
+
+  if (sub === "export") {
+    if (passphrase && passphrase.length < CONFIG_PASSPHRASE_MIN_LENGTH) {
+      return interaction.followUp({
+        content: `The passphrase must be at least ${CONFIG_PASSPHRASE_MIN_LENGTH} characters.`
+      });
+    }
+    const bundle = buildConfigBundle(interaction.guild, passphrase);
+    const file = new AttachmentBuilder(Buffer.from(JSON.stringify(bundle, null, 2)), {
+      name: `config-${interaction.guild.name.replace(/[^\w-]+/g, "_")}-${bundle.exportedAt.slice(0, 10)}.json`
+    });
+    return interaction.followUp({
+      content:
+        `Exported ${bundle.agents.length} agent(s)` +
+        (bundle.providers
+          ? ` and ${bundle.providers.length} provider(s). Provider keys are encrypted with your passphrase; keep the file private anyway.`
+          : ". Providers are not included; give a `passphrase` to include them with their keys."),
+      files: [file]
+    });
+  }
+
+  if (sub === "import") {
+    const attachment = interaction.options.getAttachment("file");
+    const conflict = interaction.options.getString("conflict") || "skip";
+    const dryRun = interaction.options.getBoolean("dry-run") ?? true;
+    let bundle;
+    try {
+      const res = await fetch(attachment.url);
+      if (!res.ok) throw new Error(`download failed: ${res.status} ${res.statusText}`);
+      bundle = JSON.parse(await res.text());
+    } catch (e) {
+      return interaction.followUp({ content: `Could not read the bundle: ${e.message}` });
+    }
+    if (bundle.format !== CONFIG_BUNDLE_FORMAT || bundle.version > CONFIG_BUNDLE_VERSION) {
+      return interaction.followUp({
+        content: "That file is not a config bundle from `/config export` (or is from a newer version of the bot)."
+      });
+    }
+    if (bundle.providers && bundle.providers.length && !memberHasCapability(interaction.member, "manage-providers")) {
+      return interaction.followUp({ content: describeDenial(interaction, "manage-providers") });
+    }
+
+    let lines;
+    try {
+      lines = await importConfigBundle(interaction.guild, bundle, {
+        conflict,
+        dryRun,
+        passphrase,
+        channelMap: parseChannelMap(interaction.guild, interaction.options.getString("channel-map")),
+        defaultChannel: interaction.options.getChannel("default-channel"),
+        importedBy: interaction.user.id,
+        canChangeSettings: memberHasCapability(interaction.member, "change-settings")
+      });
+    } catch (e) {
+      console.error(`Config import failed in guild ${interaction.guildId}: ${e.message}`);
+      return interaction.followUp({ content: `Import failed: ${e.message}` });
+    }
+    const header = dryRun
+      ? `Dry run of importing the bundle from **${bundle.guild?.name || "another server"}** (conflicts: ${conflict}). Nothing was changed; run again with \`dry-run: False\` to apply.`
+      : `Imported the bundle from **${bundle.guild?.name || "another server"}** (conflicts: ${conflict}).`;
+    const chunks = splitMessage(`${header}\n${lines.join("\n") || "Nothing to import."}`, 1900);
+    for (const chunk of chunks) {
+      await interaction.followUp({ content: chunk });
+    }
+  }
+}
+
+// --- /transcript command ---
+// Exports stored conversation history. Rows are grouped into turns: consecutive replies from the
+// same agent (one row per <msg> part) become one turn, and the <msg from="..."> wrappers become
+// speaker labels.
+
+const TRANSCRIPT_MAX_ROWS = 50000;
+const TRANSCRIPT_FORMATS = {
+  markdown: { extension: "md", label: "Markdown" },
+  jsonl: { extension: "jsonl", label: "JSONL" },
+  html: { extension: "html", label: "HTML" }
+};
+
+// Parses "7d", "12h", "2w" or a date/time (UTC unless it has an offset) into an SQLite UTC timestamp.
+function parseSince(text) {
+  const relative = text.trim().match(/^(\d+)\s*([hdw])$/i);
+  let date;
+  if (relative) {
+    const hours = { h: 1, d: 24, w: 168 }[relative[2].toLowerCase()];
+    date = new Date(Date.now() - Number(relative[1]) * hours * 3600000);
+  } else {
+    const iso = /[zZ]|[+-]\d\d:?\d\d$/.test(text.trim()) ? text.trim() : `${text.trim()}Z`;
+    date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text.trim()) ? `${text.trim()}T00:00:00Z` : iso);
+  }
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace("T", " ").slice(0, 19);
+}
+
+// Every agent that answers a message stores its own copy of it as a user row, and an agent's reply
+// comes back as a user row of the next agent. For a whole-channel export those copies are dropped:
+// user rows written by agents of the channel (their assistant rows are already there) and repeats
+// of a member's message stored by another agent within TRANSCRIPT_DUPLICATE_WINDOW_MS.
+const TRANSCRIPT_DUPLICATE_WINDOW_MS = 60000;
+
+function dedupeTranscriptRows(rows, channelAgentNames) {
+  const agentNames = new Set(channelAgentNames.map((name) => name.toLowerCase()));
+  const seen = new Map(); // "author\ncontent" -> { time, agentNames } of the last kept copy
+  return rows.filter((row) => {
+    if (row.role !== "user") return true;
+    const author = row.author || parseStoredMessage(row.content).from || "";
+    if (agentNames.has(author.toLowerCase())) return false;
+    const key = `${author}\n${row.content}`;
+    const time = Date.parse(`${row.timestamp.replace(" ", "T")}Z`);
+    const copy = seen.get(key);
+    if (copy && time - copy.time <= TRANSCRIPT_DUPLICATE_WINDOW_MS && !copy.agentNames.has(row.agentName)) {
+      copy.agentNames.add(row.agentName);
+      return false;
+    }
+    seen.set(key, { time, agentNames: new Set([row.agentName]) });
+    return true;
+  });
+}
+
+function groupTranscriptRows(rows) {
+  const turns = [];
+  for (const row of rows) {
+    const { from, text } = parseStoredMessage(row.content);
+    const isAgent = row.role === "assistant";
+    const speaker = isAgent ? row.agentName || "Agent" : from || row.author || "User";
+    const last = turns[turns.length - 1];
+    if (isAgent && last && last.role === "assistant" && last.agentName === row.agentName) {
+      last.text += `\n\n${text}`;
+      if (row.reasoning) last.reasoning = [last.reasoning, row.reasoning].filter(Boolean).join("\n\n");
+      continue;
+    }
+    turns.push({
+      timestamp: `${row.timestamp.replace(" ", "T")}Z`,
+      role: isAgent ? "assistant" : "user",
+      speaker,
+      agentName: row.agentName || null, // For user turns, the agent that was addressed
+      text,
+      reasoning: row.reasoning || null // Stored for agents with reasoning storage on
+    });
+  }
+  return turns;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderTranscript(format, turns, title) {
+  if (format === "jsonl") {
+    return turns
+      .map((t) =>
+        JSON.stringify({
+          role: t.role,
+          name: t.speaker,
+          content: t.text,
+          agent: t.agentName,
+          timestamp: t.timestamp,
+          ...(t.reasoning ? { reasoning: t.reasoning } : {})
+        })
+      )
+      .join("\n");
+  }
+  if (format === "html") {
+    const items = turns
+      .map(
+        (t) =>
+          `<article class="${t.role}"><header><strong>${escapeHtml(t.speaker)}</strong>` +
+          (t.role === "user" && t.agentName ? ` <span class="to">to ${escapeHtml(t.agentName)}</span>` : "") +
+          ` <time datetime="${t.timestamp}">${t.timestamp.replace("T", " ").replace("Z", " UTC")}</time></header>` +
+          (t.reasoning
+            ? `<details><summary>Reasoning</summary><div class="text">${escapeHtml(t.reasoning)}</div></details>`
+            : "") +
+          `<div class="text">${escapeHtml(t.text)}</div></article>`
+      )
+      .join("\n");
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+article { margin: 0 0 1rem; padding: 0.75rem 1rem; border-radius: 0.5rem; background: #f6f8fa; }
+article.assistant { background: #eef2ff; }
+header { margin-bottom: 0.25rem; }
+.to, time, summary { color: #6e7781; font-size: 0.85em; }
+details { margin-bottom: 0.5rem; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${items}
+</body>
+</html>
+`;
+  }
+  return (
+    `# ${title}\n\n` +
+    turns
+      .map(
+        (t) =>
+          `**${t.speaker}**` +
+          (t.role === "user" && t.agentName ? ` → ${t.agentName}` : "") +
+          ` · ${t.timestamp.replace("T", " ").replace("Z", " UTC")}\n\n` +
+          (t.reasoning ? `<details><summary>Reasoning</summary>\n\n${t.reasoning}\n\n</details>\n\n` : "") +
+          t.text
+      )
+      .join("\n\n---\n\n") +
+    "\n"
+  );
+}
+
+async function handleTranscriptCmd(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+  const channel = interaction.options.getChannel("channel");
+  const agentName = interaction.options.getString("agent");
+  const sinceText = interaction.options.getString("since");
+  const format = interaction.options.getString("format") || "markdown";
+
+  if (!channel.permissionsFor(interaction.member)?.has(PermissionsBitField.Flags.ViewChannel)) {
+    return interaction.followUp({ content: `You can't view <#${channel.id}>.` });
+  }
+  const since = sinceText ? parseSince(sinceText) : null;
+  if (sinceText && !since) {
+    return interaction.followUp({
+      content: `"${sinceText}" is not a date or duration. Use e.g. \`7d\`, \`12h\`, \`2w\` or \`2025-01-31\`.`
+    });
+  }
+
+  // A thread has its own history; a channel's export is its shared history without threads.
+  const agentChannel = getAgentChannel(channel);
+  const threadId = channel.id !== agentChannel.id ? channel.id : null;
+  const filters = ["a.guildId = ?", "a.channelId = ?", "m.threadId IS ?"];
+  const params = [interaction.guildId, agentChannel.id, threadId];
+  if (agentName) {
+    filters.push("LOWER(a.name) = LOWER(?)");
+    params.push(agentName);
+  }
+  if (since) {
+    filters.push("m.timestamp >= ?");
+    params.push(since);
+  }
+  const rows = db
+    .prepare(
+      `SELECT m.role, m.content, m.author, m.timestamp, m.reasoning, a.name AS agentName
+       FROM messages m JOIN agents a ON m.agentId = a.id
+       WHERE ${filters.join(" AND ")}
+       ORDER BY m.timestamp ASC, m.id ASC LIMIT ?`
+    )
+    .all(...params, TRANSCRIPT_MAX_ROWS);
+  if (!rows.length) {
+    return interaction.followUp({
+      content: `No stored messages in <#${channel.id}>${agentName ? ` for agent "${agentName}"` : ""}${since ? " in that time range" : ""}.`
+    });
+  }
+
+  const channelAgentNames = db
+    .prepare("SELECT name FROM agents WHERE guildId=? AND channelId=?")
+    .all(interaction.guildId, agentChannel.id)
+    .map((a) => a.name);
+  const turns = groupTranscriptRows(agentName ? rows : dedupeTranscriptRows(rows, channelAgentNames));
+  const title = `Transcript of #${channel.name}${agentName ? ` with ${agentName}` : ""}`;
+  const { extension, label } = TRANSCRIPT_FORMATS[format];
+  const file = new AttachmentBuilder(Buffer.from(renderTranscript(format, turns, title)), {
+    name: `transcript-${channel.name.replace(/[^\w-]+/g, "_")}-${new Date().toISOString().slice(0, 10)}.${extension}`
+  });
+  return interaction.followUp({
+    content:
+      `${label} transcript of <#${channel.id}>: ${turns.length} turn(s)` +
+      (rows.length === TRANSCRIPT_MAX_ROWS ? ` (first ${TRANSCRIPT_MAX_ROWS} messages only; narrow it with \`since\`)` : "") +
+      ".",
+    files: [file]
+  });
+}
+
+// --- Prompt templates ---
+// System prompts and snippets may use {{variable}}, {{time:Europe/Berlin}}, {{#if variable}} ...
+// {{else}} ... {{/if}} (or {{#if !variable}}) and {{> snippet}} to include a guild snippet.
+// Prompts that don't parse are sent as written, so older prompts with stray braces keep working.
+
+const TEMPLATE_TAG_REGEX = /\{\{([\s\S]*?)\}\}/g;
+const TEMPLATE_VARIABLES = [
+  "user.name",
+  "user.id",
+  "agent.name",
+  "channel.name",
+  "channel.topic",
+  "thread.name",
+  "guild.name",
+  "agents.in_channel",
+  "memory",
+  "date",
+  "time"
+];
+const TEMPLATE_TZ_VARIABLES = ["date", "time"]; // Accept an optional :Timezone argument
+const SNIPPET_NAME_REGEX = /^[\w.-]{1,50}$/;
+const SNIPPET_MAX_LENGTH = 8000;
+const SNIPPET_MAX_DEPTH = 5;
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Parses a template into nodes. Returns { nodes, errors }, where each error has a 1-based line.
+function parsePromptTemplate(text) {
+  const root = [];
+  const open = []; // Stack of #if nodes
+  const errors = [];
+  let target = root;
+  let lastIndex = 0;
+  const lineAt = (index) => text.slice(0, index).split("\n").length;
+
+  for (const match of text.matchAll(TEMPLATE_TAG_REGEX)) {
+    if (match.index > lastIndex) target.push({ type: "text", value: text.slice(lastIndex, match.index) });
+    lastIndex = match.index + match[0].length;
+    const line = lineAt(match.index);
+    const tag = match[1].trim();
+    let m;
+
+    if ((m = tag.match(/^#if\s+(!?)\s*([\w.]+)(?::(.+))?$/))) {
+      const node = { type: "if", negate: m[1] === "!", name: m[2], arg: m[3]?.trim(), then: [], else: null, line };
+      errors.push(...checkTemplateVariable(node, line));
+      target.push(node);
+      open.push(node);
+      target = node.then;
+    } else if (tag === "else") {
+      const node = open[open.length - 1];
+      if (!node || node.else) {
+        errors.push({ line, message: node ? "second {{else}} in the same {{#if}}" : "{{else}} without {{#if}}" });
+        continue;
+      }
+      node.else = [];
+      target = node.else;
+    } else if (tag === "/if") {
+      if (!open.length) {
+        errors.push({ line, message: "{{/if}} without {{#if}}" });
+        continue;
+      }
+      open.pop();
+      const parent = open[open.length - 1];
+      target = parent ? parent.else || parent.then : root;
+    } else if ((m = tag.match(/^>\s*(\S+)$/))) {
+      if (!SNIPPET_NAME_REGEX.test(m[1])) {
+        errors.push({ line, message: `"${m[1]}" is not a valid snippet name` });
+      }
+      target.push({ type: "include", name: m[1], line });
+    } else if ((m = tag.match(/^([\w.]+)(?::(.+))?$/))) {
+      const node = { type: "var", name: m[1], arg: m[2]?.trim(), line };
+      errors.push(...checkTemplateVariable(node, line));
+      target.push(node);
+    } else {
+      errors.push({ line, message: `can't understand {{${tag}}}` });
+    }
+  }
+  if (lastIndex < text.length) target.push({ type: "text", value: text.slice(lastIndex) });
+  for (const node of open) errors.push({ line: node.line, message: "{{#if}} is never closed with {{/if}}" });
+  return { nodes: root, errors };
+}
+
+function checkTemplateVariable(node, line) {
+  if (!TEMPLATE_VARIABLES.includes(node.name)) {
+    return [{ line, message: `unknown variable "${node.name}" (known: ${TEMPLATE_VARIABLES.join(", ")})` }];
+  }
+  if (node.arg !== undefined) {
+    if (!TEMPLATE_TZ_VARIABLES.includes(node.name)) {
+      return [{ line, message: `"${node.name}" doesn't take an argument` }];
+    }
+    if (!isValidTimeZone(node.arg)) {
+      return [{ line, message: `unknown time zone "${node.arg}" (use an IANA name like Europe/Berlin)` }];
+    }
+  }
+  return [];
+}
+
+// Checks a template against this guild's snippets. `snippetName` is set when validating a snippet,
+// to catch includes that loop back to it. Returns a list of "Line N: ..." strings.
+function validatePromptTemplate(guildId, text, snippetName = null) {
+  const { nodes, errors } = parsePromptTemplate(text);
+  const snippets = new Map(
+    db
+      .prepare("SELECT name, content FROM prompt_snippets WHERE guildId=?")
+      .all(guildId)
+      .map((s) => [s.name, s.content])
+  );
+  if (snippetName) snippets.set(snippetName, text);
+
+  // Follows includes (through other snippets too) looking for missing snippets and cycles.
+  const includesLoop = (name, seen) => {
+    if (seen.includes(name)) return true;
+    if (!snippets.has(name)) return false;
+    return collectTemplateIncludes(parsePromptTemplate(snippets.get(name)).nodes).some((n) =>
+      includesLoop(n.name, [...seen, name])
+    );
+  };
+  for (const include of collectTemplateIncludes(nodes)) {
+    if (!snippets.has(include.name)) {
+      errors.push({ line: include.line, message: `snippet "${include.name}" does not exist (add it with /snippet add)` });
+    } else if (includesLoop(include.name, snippetName ? [snippetName] : [])) {
+      errors.push({ line: include.line, message: `including "${include.name}" creates a loop` });
+    }
+  }
+  return errors.sort((a, b) => a.line - b.line).map((e) => `Line ${e.line}: ${e.message}`);
+}
+
+function collectTemplateIncludes(nodes) {
+  const includes = [];
+  for (const node of nodes) {
+    if (node.type === "include") includes.push(node);
+    if (node.type === "if") includes.push(...collectTemplateIncludes(node.then), ...collectTemplateIncludes(node.else || []));
+  }
+  return includes;
+}
+
+function formatTemplateErrors(errors, label) {
+  const shown = errors.slice(0, 10).map((e) => `- ${e}`);
+  if (errors.length > shown.length) shown.push(`- ...and ${errors.length - shown.length} more`);
+  return `${label} has template errors:\n${shown.join("\n")}\nPlain \`{{\` text is not allowed; see /help for the template syntax.`;
+}
+
+function templateValue(name, arg, values) {
+  if (name === "date" || name === "time") {
+    const options = name === "date"
+      ? { year: "numeric", month: "2-digit", day: "2-digit" }
+      : { hour: "2-digit", minute: "2-digit", hourCycle: "h23", timeZoneName: "short" };
+    try {
+      // en-CA formats dates as YYYY-MM-DD
+      return new Intl.DateTimeFormat(name === "date" ? "en-CA" : "en-GB", { ...options, timeZone: arg || "UTC" }).format(new Date());
+    } catch {
+      return "";
+    }
+  }
+  return values[name] ?? "";
+}
+
+function renderTemplateNodes(guildId, nodes, values, usedVariables, depth) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.value;
+    } else if (node.type === "var") {
+      usedVariables.add(node.name);
+      out += templateValue(node.name, node.arg, values);
+    } else if (node.type === "if") {
+      const truthy = String(templateValue(node.name, node.arg, values)).trim() !== "";
+      const branch = truthy !== node.negate ? node.then : node.else || [];
+      out += renderTemplateNodes(guildId, branch, values, usedVariables, depth);
+    } else if (node.type === "include") {
+      const snippet = db
+        .prepare("SELECT content FROM prompt_snippets WHERE guildId=? AND name=?")
+        .get(guildId, node.name);
+      if (!snippet || depth >= SNIPPET_MAX_DEPTH) {
+        console.warn(`Prompt snippet "${node.name}" ${snippet ? "is nested too deeply" : "not found"}; left out.`);
+        continue;
+      }
+      const parsed = parsePromptTemplate(snippet.content);
+      out += parsed.errors.length
+        ? snippet.content
+        : renderTemplateNodes(guildId, parsed.nodes, values, usedVariables, depth + 1);
+    }
+  }
+  return out;
+}
+
+// Renders a system prompt. Returns { text, usedVariables } (a Set of variable names that appeared).
+function renderPromptTemplate(guildId, text, values) {
+  const usedVariables = new Set();
+  if (!text || !text.includes("{{")) return { text, usedVariables };
+  const { nodes, errors } = parsePromptTemplate(text);
+  if (errors.length) return { text, usedVariables };
+  return { text: renderTemplateNodes(guildId, nodes, values, usedVariables, 0), usedVariables };
+}
+
+// --- /snippet command ---
+async function handleSnippetCmd(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+
+  if (sub === "add") {
+    await interaction.deferReply({ ephemeral: true });
+    const name = interaction.options.getString("name");
+    const inlineText = interaction.options.getString("text");
+    const file = interaction.options.getAttachment("file");
+    if (!SNIPPET_NAME_REGEX.test(name)) {
+      return interaction.followUp({
+        content: "Snippet names can only use letters, numbers, `_`, `-` and `.` (up to 50 characters)."
+      });
+    }
+    if (!inlineText === !file) {
+      return interaction.followUp({ content: "Give the snippet as either `text` or a .md/.txt `file`." });
+    }
+    let content = inlineText;
+    if (file) {
+      const ext = path.extname(file.name || "").toLowerCase();
+      if (ext !== ".md" && ext !== ".txt") {
+        return interaction.followUp({ content: "Snippet files must be .md or .txt." });
+      }
+      try {
+        const res = await fetch(file.url);
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        content = await res.text();
+      } catch (e) {
+        return interaction.followUp({ content: `Couldn't download the snippet file: ${e.message}` });
+      }
+    }
+    if (content.length > SNIPPET_MAX_LENGTH) {
+      return interaction.followUp({
+        content: `Snippets can be at most ${SNIPPET_MAX_LENGTH} characters (this one has ${content.length}).`
+      });
+    }
+    const errors = validatePromptTemplate(guildId, content, name);
+    if (errors.length) {
+      return interaction.followUp({ content: formatTemplateErrors(errors, `Snippet "${name}"`) });
+    }
+    const existed = db
+      .prepare("SELECT 1 FROM prompt_snippets WHERE guildId=? AND name=?")
+      .get(guildId, name);
+    db.prepare(
+      `INSERT INTO prompt_snippets (guildId,name,content) VALUES (?,?,?)
+       ON CONFLICT(guildId,name) DO UPDATE SET content=excluded.content, updatedAt=CURRENT_TIMESTAMP`
+    ).run(guildId, name, content);
+    return interaction.followUp({
+      content: `Snippet "${name}" ${existed ? "updated" : "added"}. Include it in a system prompt with \`{{> ${name}}}\`.`
+    });
+  }
+
+  if (sub === "list") {
+    const snippets = db
+      .prepare("SELECT name, content FROM prompt_snippets WHERE guildId=? ORDER BY name")
+      .all(guildId);
+    if (!snippets.length) {
+      return interaction.reply({ content: "No snippets yet. Add one with `/snippet add`.", ephemeral: true });
+    }
+    const lines = snippets.map((s) => {
+      const preview = s.content.replace(/\s+/g, " ").trim();
+      return `**${s.name}** (${s.content.length} chars): ${preview.length > 80 ? preview.slice(0, 80) + "..." : preview}`;
+    });
+    const parts = splitMessage(lines.join("\n"), 1900);
+    await interaction.reply({ content: parts[0], ephemeral: true });
+    for (const part of parts.slice(1)) await interaction.followUp({ content: part, ephemeral: true });
+    return;
+  }
+
+  if (sub === "remove") {
+    const name = interaction.options.getString("name");
+    const result = db
+      .prepare("DELETE FROM prompt_snippets WHERE guildId=? AND name=?")
+      .run(guildId, name);
+    if (!result.changes) {
+      return interaction.reply({ content: `Snippet "${name}" not found.`, ephemeral: true });
+    }
+    const includesSnippet = (text) =>
+      collectTemplateIncludes(parsePromptTemplate(text).nodes).some((n) => n.name === name);
+    const users = [
+      ...new Set(
+        db
+          .prepare("SELECT name, systemPrompt FROM agents WHERE guildId=?")
+          .all(guildId)
+          .filter((a) => includesSnippet(a.systemPrompt))
+          .map((a) => a.name)
+      ),
+      ...db
+        .prepare("SELECT name, content FROM prompt_snippets WHERE guildId=?")
+        .all(guildId)
+        .filter((s) => includesSnippet(s.content))
+        .map((s) => `snippet ${s.name}`)
+    ];
+    return interaction.reply({
+      content:
+        `Snippet "${name}" removed.` +
+        (users.length ? ` These included it and will now skip it: ${users.join(", ")}.` : ""),
+      ephemeral: true
+    });
+  }
+}
+
+// --- /template command: reusable agent templates ---
+// An agent template keeps an agent's model, provider name, prompt, avatar and settings so new
+// agents can be made from it in any channel. Templates move between servers as a file or a share
+// code; provider keys never go with them, so the provider has to exist where a template is applied.
+// Agents applied with `linked` keep following the template when it is saved again.
+const AGENT_TEMPLATE_FORMAT = "byokbawt-agent-template";
+const AGENT_TEMPLATE_VERSION = 1;
+const AGENT_TEMPLATE_CODE_PREFIX = "BYOKT1:";
+const AGENT_TEMPLATE_NAME_REGEX = /^[\w.-]{1,50}$/;
+const AGENT_TEMPLATE_FIELDS = ["model", "providerName", "multimodal", "systemPrompt", "avatarMimeType", "avatarData"];
+const AGENT_TEMPLATE_CODE_MAX_LENGTH = 1800; // Longer codes are only shared as a file
+
+function agentTemplateFromAgent(agent) {
+  return {
+    ...pickColumns(agent, AGENT_TEMPLATE_FIELDS),
+    settings: JSON.stringify(pickColumns(agent, AGENT_SETTING_COLUMNS))
+  };
+}
+
+// Copies a template's fields and settings onto an agent. Name, channel and webhook stay the agent's own.
+function applyAgentTemplate(template, agentId) {
+  const settings = JSON.parse(template.settings || "{}");
+  const values = {
+    ...pickColumns(template, AGENT_TEMPLATE_FIELDS),
+    ...pickColumns(settings, AGENT_SETTING_COLUMNS.filter((c) => settings[c] !== undefined))
+  };
+  const columns = Object.keys(values);
+  db.prepare(`UPDATE agents SET ${columns.map((c) => `${c}=?`).join(", ")} WHERE id=?`).run(
+    ...columns.map((c) => values[c] ?? null),
+    agentId
+  );
+}
+
+// Pushes a template to every agent linked to it, avatar included. Returns the number updated.
+// Their linked clones follow along, as they would after an /agent edit.
+async function syncTemplateAgents(template) {
+  const agents = db
+    .prepare(
+      `SELECT * FROM agents WHERE templateId=?
+       OR linkedToAgentId IN (SELECT id FROM agents WHERE templateId=?)`
+    )
+    .all(template.id, template.id);
+  const avatar =
+    template.avatarData && template.avatarMimeType
+      ? `data:${template.avatarMimeType};base64,${template.avatarData}`
+      : undefined;
+  for (const agent of agents) {
+    applyAgentTemplate(template, agent.id);
+    try {
+      const webhook = await client.fetchWebhook(agent.webhookId, agent.webhookToken);
+      await webhook.edit({ name: agent.name, avatar });
+    } catch (e) {
+      console.warn(`Could not edit webhook for templated agent ${agent.name} (ID: ${agent.id}). Error: ${e.message}`);
+    }
+  }
+  return agents.length;
+}
+
+function agentTemplateShareData(template) {
+  return {
+    format: AGENT_TEMPLATE_FORMAT,
+    version: AGENT_TEMPLATE_VERSION,
+    name: template.name,
+    description: template.description,
+    ...pickColumns(template, AGENT_TEMPLATE_FIELDS),
+    settings: JSON.parse(template.settings || "{}")
+  };
+}
+
+// Share codes are the template without its avatar, compressed so they fit in a message.
+function encodeAgentTemplateCode(data) {
+  const withoutAvatar = { ...data };
+  delete withoutAvatar.avatarMimeType;
+  delete withoutAvatar.avatarData;
+  return AGENT_TEMPLATE_CODE_PREFIX + zlib.deflateRawSync(JSON.stringify(withoutAvatar)).toString("base64url");
+}
+
+function decodeAgentTemplateCode(code) {
+  const trimmed = code.trim();
+  if (!trimmed.startsWith(AGENT_TEMPLATE_CODE_PREFIX)) throw new Error("that isn't a template share code.");
+  const packed = Buffer.from(trimmed.slice(AGENT_TEMPLATE_CODE_PREFIX.length), "base64url");
+  return JSON.parse(zlib.inflateRawSync(packed).toString("utf8"));
+}
+
+// Checks shared template data and turns it into agent_templates columns. Throws on bad data.
+function agentTemplateRowFromShare(data) {
+  if (!data || data.format !== AGENT_TEMPLATE_FORMAT || data.version > AGENT_TEMPLATE_VERSION) {
+    throw new Error("that isn't an agent template from `/template share` (or it's from a newer version of the bot).");
+  }
+  for (const field of ["model", "providerName", "systemPrompt"]) {
+    if (typeof data[field] !== "string") throw new Error(`the template has no ${field}.`);
+  }
+  const settings = data.settings && typeof data.settings === "object" ? data.settings : {};
+  return {
+    description: typeof data.description === "string" ? data.description : null,
+    model: data.model,
+    providerName: data.providerName,
+    multimodal: data.multimodal ? 1 : 0,
+    systemPrompt: data.systemPrompt,
+    avatarMimeType: data.avatarMimeType || null,
+    avatarData: data.avatarData || null,
+    settings: JSON.stringify(pickColumns(settings, AGENT_SETTING_COLUMNS))
+  };
+}
 
-  const rest = new REST({ version: "10" }).setToken(TOKEN);
-  await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-  console.log("Slash commands deployed");
-});
+function findAgentTemplate(guildId, name) {
+  return db.prepare("SELECT * FROM agent_templates WHERE guildId=? AND name=?").get(guildId, name);
+}
 
-client.on("interactionCreate", async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
-  try {
-    switch (interaction.commandName) {
-      case "agent":
-        await handleAgentCmd(interaction);
-        break;
-      case "provider":
-        await handleProviderCmd(interaction);
-        break;
-      case "contextwindow":
-        await handleContextWindow(interaction);
-        break;
-      case "loopdepth":
-        await handleLoopDepth(interaction);
-        break;
-      case "clearcontext":
-        await handleClearContext(interaction);
-        break;
-      case "models":
-        await handleModels(interaction);
-        break;
-      case "help":
-        await handleHelp(interaction);
-        break;
-      case "yap":
-        await handleYapCommand(interaction);
-        break;
+async function handleTemplateCmd(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+
+  if (sub === "save") {
+    await interaction.deferReply({ ephemeral: true });
+    const agentName = interaction.options.getString("agent");
+    const name = interaction.options.getString("name") || agentName;
+    const description = interaction.options.getString("description");
+    const channel = getAgentChannel(interaction.channel);
+    const agent = db
+      .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+      .get(guildId, agentName, channel.id);
+    if (!agent) {
+      return interaction.followUp({ content: `Agent "${agentName}" not found in <#${channel.id}>.` });
     }
-  } catch (err) {
-    console.error("Unhandled error in interactionCreate:", err);
-    const msg = "An unexpected error occurred. Please try again later.";
+    if (!AGENT_TEMPLATE_NAME_REGEX.test(name)) {
+      return interaction.followUp({
+        content: "Template names can only use letters, numbers, `_`, `-` and `.` (up to 50 characters)."
+      });
+    }
+    const existing = findAgentTemplate(guildId, name);
+    const row = agentTemplateFromAgent(agent);
+    if (existing) {
+      db.prepare(
+        `UPDATE agent_templates SET ${Object.keys(row).map((c) => `${c}=?`).join(", ")},
+           description=COALESCE(?, description), sourceAgentId=?, updatedAt=CURRENT_TIMESTAMP
+         WHERE id=?`
+      ).run(...Object.values(row), description, agent.id, existing.id);
+      const synced = await syncTemplateAgents(findAgentTemplate(guildId, name));
+      return interaction.followUp({
+        content:
+          `Template **${existing.name}** updated from **${agent.name}**.` +
+          (synced ? `\nChanges also propagated to ${synced} linked agent(s).` : "")
+      });
+    }
+    db.prepare(
+      `INSERT INTO agent_templates (guildId,name,description,${Object.keys(row).join(",")},sourceAgentId,createdBy)
+       VALUES (?,?,?,${Object.keys(row).map(() => "?").join(",")},?,?)`
+    ).run(guildId, name, description, ...Object.values(row), agent.id, interaction.user.id);
+    return interaction.followUp({
+      content: `Saved **${agent.name}** as template **${name}**. Use \`/template apply\` to make agents from it.`
+    });
+  }
+
+  if (sub === "list") {
+    const templates = db
+      .prepare(
+        `SELECT t.*, (SELECT COUNT(*) FROM agents a WHERE a.templateId = t.id) AS linkedCount
+         FROM agent_templates t WHERE t.guildId=? ORDER BY t.name`
+      )
+      .all(guildId);
+    if (!templates.length) {
+      return interaction.reply({
+        content: "No agent templates in this server. Save one with `/template save` or bring one with `/template import`.",
+        ephemeral: true
+      });
+    }
+    const lines = templates.map(
+      (t) =>
+        `**${t.name}** · \`${t.model}\` on ${t.providerName}` +
+        (t.linkedCount ? ` · ${t.linkedCount} linked agent(s)` : "") +
+        (t.description ? `\n> ${t.description}` : "")
+    );
+    return interaction.reply({ content: `**Agent templates**\n${lines.join("\n")}`.substring(0, 2000), ephemeral: true });
+  }
+
+  if (sub === "import") {
+    await interaction.deferReply({ ephemeral: true });
+    const file = interaction.options.getAttachment("file");
+    const code = interaction.options.getString("code");
+    if (!file === !code) {
+      return interaction.followUp({ content: "Give the template as either a `file` or a share `code`." });
+    }
+    let data;
+    let row;
     try {
-      if (interaction.deferred || interaction.replied) {
-        await interaction.followUp({ content: msg, ephemeral: true });
+      if (file) {
+        const res = await fetch(file.url);
+        if (!res.ok) throw new Error(`download failed: ${res.status} ${res.statusText}`);
+        data = JSON.parse(await res.text());
       } else {
-        await interaction.reply({ content: msg, ephemeral: true });
+        data = decodeAgentTemplateCode(code);
       }
-    } catch (replyError) {
-      console.error(
-        "Failed to send error reply to interaction:",
-        replyError.message
-      );
-      if (replyError.code === 10062) { // DiscordAPIError[10062]: Unknown interaction
-        console.warn(
-          "Original interaction likely expired before an error message could be sent."
+      row = agentTemplateRowFromShare(data);
+    } catch (e) {
+      return interaction.followUp({ content: `Could not read the template: ${e.message}` });
+    }
+    const name = interaction.options.getString("name") || data.name;
+    if (typeof name !== "string" || !AGENT_TEMPLATE_NAME_REGEX.test(name)) {
+      return interaction.followUp({
+        content: "Give the template a `name` using letters, numbers, `_`, `-` and `.` (up to 50 characters)."
+      });
+    }
+    if (findAgentTemplate(guildId, name)) {
+      return interaction.followUp({
+        content: `A template named **${name}** already exists here. Import it under another \`name\`.`
+      });
+    }
+    db.prepare(
+      `INSERT INTO agent_templates (guildId,name,${Object.keys(row).join(",")},createdBy)
+       VALUES (?,?,${Object.keys(row).map(() => "?").join(",")},?)`
+    ).run(guildId, name, ...Object.values(row), interaction.user.id);
+    const hasProvider = db
+      .prepare("SELECT 1 FROM providers WHERE guildId=? AND name=?")
+      .get(guildId, row.providerName);
+    return interaction.followUp({
+      content:
+        `Imported template **${name}** (\`${row.model}\` on ${row.providerName}).` +
+        (hasProvider
+          ? ""
+          : `\nThis server has no provider named **${row.providerName}**; add one or pick a \`provider\` when you apply the template.`)
+    });
+  }
+
+  const templateName = interaction.options.getString("template");
+  const template = findAgentTemplate(guildId, templateName);
+  if (!template) {
+    return interaction.reply({ content: `Template "${templateName}" not found. See \`/template list\`.`, ephemeral: true });
+  }
+
+  if (sub === "share") {
+    const data = agentTemplateShareData(template);
+    const code = encodeAgentTemplateCode(data);
+    const file = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), {
+      name: `template-${template.name}.json`
+    });
+    return interaction.reply({
+      content:
+        `Template **${template.name}**. Bring it to another server with \`/template import\`` +
+        (code.length <= AGENT_TEMPLATE_CODE_MAX_LENGTH
+          ? ` and this file, or this code (without the avatar):\n\`\`\`\n${code}\n\`\`\``
+          : " and this file."),
+      files: [file],
+      ephemeral: true
+    });
+  }
+
+  if (sub === "remove") {
+    const { changes } = db.prepare("UPDATE agents SET templateId=NULL WHERE templateId=?").run(template.id);
+    db.prepare("DELETE FROM agent_templates WHERE id=?").run(template.id);
+    return interaction.reply({
+      content: `Template **${template.name}** removed.${changes ? ` ${changes} agent(s) made from it keep their settings and are no longer linked.` : ""}`,
+      ephemeral: true
+    });
+  }
+
+  if (sub === "apply") {
+    await interaction.deferReply({ ephemeral: true });
+    const targetChannel = getAgentChannel(interaction.options.getChannel("channel") || interaction.channel);
+    const name = interaction.options.getString("name") || template.name;
+    const providerName = interaction.options.getString("provider") || template.providerName;
+    const linked = interaction.options.getBoolean("linked") || false;
+
+    if (db.prepare("SELECT 1 FROM agents WHERE guildId=? AND name=? AND channelId=?").get(guildId, name, targetChannel.id)) {
+      return interaction.followUp({
+        content: `An agent named "${name}" already exists in <#${targetChannel.id}>. Please choose a different name or channel.`
+      });
+    }
+    if (!db.prepare("SELECT 1 FROM providers WHERE guildId=? AND name=?").get(guildId, providerName)) {
+      return interaction.followUp({
+        content: `Provider "${providerName}" doesn't exist in this server. Add it with \`/provider add\` or pick another \`provider\`.`
+      });
+    }
+    if (linked && providerName !== template.providerName) {
+      return interaction.followUp({
+        content: "A linked agent uses the template's provider; leave out `provider`, or don't link it."
+      });
+    }
+    const errors = validatePromptTemplate(guildId, template.systemPrompt);
+    if (errors.length) {
+      return interaction.followUp({ content: formatTemplateErrors(errors, `The system prompt of template "${template.name}"`) });
+    }
+    if (!targetChannel.permissionsFor(interaction.guild.members.me).has(PermissionsBitField.Flags.ManageWebhooks)) {
+      return interaction.followUp({
+        content: "I need the 'Manage Webhooks' permission in the target channel to create the agent."
+      });
+    }
+
+    let webhook;
+    try {
+      webhook = await targetChannel.createWebhook({
+        name,
+        avatar:
+          template.avatarData && template.avatarMimeType
+            ? `data:${template.avatarMimeType};base64,${template.avatarData}`
+            : undefined
+      });
+    } catch (e) {
+      console.error(`Failed to create webhook for templated agent: ${e}`);
+      return interaction.followUp({ content: `Failed to create webhook for "${name}". Discord Error: ${e.message}` });
+    }
+
+    try {
+      const { lastInsertRowid } = db
+        .prepare(
+          `INSERT INTO agents (
+           guildId,name,model,providerName,multimodal,
+           systemPrompt,channelId,webhookId,webhookToken,templateId
+         ) VALUES (?,?,?,?,?,?,?,?,?,?)`
+        )
+        .run(
+          guildId,
+          name,
+          template.model,
+          providerName,
+          template.multimodal,
+          template.systemPrompt,
+          targetChannel.id,
+          webhook.id,
+          webhook.token,
+          linked ? template.id : null
         );
+      applyAgentTemplate({ ...template, providerName }, lastInsertRowid);
+      return interaction.followUp({
+        content: `Agent **${name}** created in <#${targetChannel.id}> from template **${template.name}**${linked ? " and linked to it" : ""}.`
+      });
+    } catch (dbError) {
+      await webhook.delete("Applying the agent template failed.").catch(() => {});
+      console.error(`Database error while applying agent template: ${dbError}`);
+      return interaction.followUp({
+        content: `An unexpected database error occurred while creating the agent. (${dbError.message})`
+      });
+    }
+  }
+}
+
+// --- Permissions ---
+// Server admins (Administrator or Manage Server) can do everything. Everyone else needs a
+// capability granted to them or one of their roles with /permissions. Chatting is open until
+// the first chat-with-agent:<name> grant for that agent name, after which only grantees may chat.
+
+const CAPABILITIES = ["manage-providers", "manage-agents", "change-settings"];
+const CHAT_CAPABILITY_PREFIX = "chat-with-agent:";
+
+// Capability needed per command, or per subcommand; subcommands not listed are open to everyone.
+const COMMAND_CAPABILITIES = {
+  provider: { add: "manage-providers", delete: "manage-providers" },
+  agent: {
+    create: "manage-agents",
+    delete: "manage-agents",
+    edit: "manage-agents",
+    refresh: "manage-agents",
+    clone: "manage-agents",
+    params: "manage-agents",
+    tools: "manage-agents",
+    fallback: "manage-agents",
+    retrieval: "manage-agents",
+    threads: "manage-agents",
+    output: "manage-agents",
+    reasoning: "manage-agents"
+  },
+  kb: {
+    add: "change-settings",
+    remove: "change-settings",
+    link: "manage-agents",
+    unlink: "manage-agents"
+  },
+  memory: { edit: "change-settings", reset: "change-settings", config: "change-settings" },
+  contextwindow: "change-settings",
+  loopdepth: "change-settings",
+  tooliterations: "change-settings",
+  clearcontext: "change-settings",
+  yap: "change-settings",
+  queue: "change-settings",
+  schedule: {
+    add: "manage-agents",
+    pause: "manage-agents",
+    resume: "manage-agents",
+    remove: "manage-agents",
+    timezone: "change-settings"
+  },
+  usage: "change-settings",
+  limits: "change-settings",
+  snippet: { add: "manage-agents", remove: "manage-agents" },
+  template: {
+    save: "manage-agents",
+    apply: "manage-agents",
+    share: "manage-agents",
+    import: "manage-agents",
+    remove: "manage-agents"
+  },
+  // Bundles with providers also need manage-providers, checked by the handler; server settings,
+  // limits, prices and yap settings in a bundle are only imported with change-settings.
+  config: "manage-agents"
+};
+
+function chatCapability(agentName) {
+  return CHAT_CAPABILITY_PREFIX + agentName.toLowerCase();
+}
+
+// Returns the capability the interaction needs, or null if anyone may run it.
+function getRequiredCapability(interaction) {
+  if (interaction.commandName === "ask" || interaction.commandName === "chat") {
+    return chatCapability(interaction.options.getString("agent"));
+  }
+  const required = COMMAND_CAPABILITIES[interaction.commandName];
+  if (!required || typeof required === "string") return required || null;
+  return required[interaction.options.getSubcommand(false)] || null;
+}
+
+function isServerAdmin(member) {
+  return Boolean(
+    member &&
+      member.permissions &&
+      typeof member.permissions.has === "function" &&
+      (member.permissions.has(PermissionsBitField.Flags.Administrator) ||
+        member.permissions.has(PermissionsBitField.Flags.ManageGuild))
+  );
+}
+
+function memberHasCapability(member, capability) {
+  if (!member || !member.guild) return false;
+  if (isServerAdmin(member)) return true;
+  const grants = db
+    .prepare("SELECT targetType, targetId FROM permissions WHERE guildId=? AND capability=?")
+    .all(member.guild.id, capability);
+  if (capability.startsWith(CHAT_CAPABILITY_PREFIX) && !grants.length) return true;
+  return grants.some((g) =>
+    g.targetType === "user" ? g.targetId === member.id : member.roles.cache.has(g.targetId)
+  );
+}
+
+function canChatWithAgent(member, agent) {
+  return memberHasCapability(member, chatCapability(agent.name));
+}
+
+function describeDenial(interaction, capability) {
+  const sub = interaction.options.getSubcommand(false);
+  const command = `/${interaction.commandName}${sub ? ` ${sub}` : ""}`;
+  if (capability.startsWith(CHAT_CAPABILITY_PREFIX)) {
+    return `You don't have permission to chat with **${interaction.options.getString("agent")}**. Ask a server admin to grant you \`${capability}\` with \`/permissions grant\`.`;
+  }
+  return `You need the **${capability}** permission to use \`${command}\`. Ask a server admin to grant it with \`/permissions grant\`.`;
+}
+
+// --- /permissions command ---
+async function handlePermissionsCmd(interaction) {
+  // Quick, no defer.
+  if (!isServerAdmin(interaction.member)) {
+    return interaction.reply({
+      content: "Only server admins (Administrator or Manage Server) can manage permissions.",
+      ephemeral: true
+    });
+  }
+  const sub = interaction.options.getSubcommand();
+  const targetOption = interaction.options.get("target");
+  const target = targetOption
+    ? targetOption.role
+      ? { type: "role", id: targetOption.role.id, label: `<@&${targetOption.role.id}>` }
+      : { type: "user", id: targetOption.user.id, label: `<@${targetOption.user.id}>` }
+    : null;
+
+  if (sub === "list") {
+    const rows = target
+      ? db
+          .prepare(
+            "SELECT * FROM permissions WHERE guildId=? AND targetType=? AND targetId=? ORDER BY capability"
+          )
+          .all(interaction.guildId, target.type, target.id)
+      : db
+          .prepare("SELECT * FROM permissions WHERE guildId=? ORDER BY capability, targetType")
+          .all(interaction.guildId);
+    if (!rows.length) {
+      return interaction.reply({
+        content:
+          (target ? `${target.label} has no granted capabilities.` : "No capabilities have been granted.") +
+          " Server admins can always do everything; everyone else can chat with agents that have no chat-with-agent grants.",
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+      });
+    }
+    const lines = rows.map(
+      (r) => `- \`${r.capability}\` → ${r.targetType === "role" ? `<@&${r.targetId}>` : `<@${r.targetId}>`}`
+    );
+    const chunks = splitMessage(`Granted capabilities:\n${lines.join("\n")}`, 1900);
+    await interaction.reply({ content: chunks[0], ephemeral: true, allowedMentions: { parse: [] } });
+    for (let i = 1; i < chunks.length; i++) {
+      await interaction.followUp({ content: chunks[i], ephemeral: true, allowedMentions: { parse: [] } });
+    }
+    return;
+  }
+
+  const capability = interaction.options.getString("capability").trim().toLowerCase();
+  if (capability.startsWith(CHAT_CAPABILITY_PREFIX)) {
+    const agentName = capability.slice(CHAT_CAPABILITY_PREFIX.length);
+    const agent = db
+      .prepare("SELECT id FROM agents WHERE guildId=? AND LOWER(name)=?")
+      .get(interaction.guildId, agentName);
+    if (!agentName || (sub === "grant" && !agent)) {
+      return interaction.reply({
+        content: `No agent named "${agentName}" exists in this server.`,
+        ephemeral: true
+      });
+    }
+  } else if (!CAPABILITIES.includes(capability)) {
+    return interaction.reply({
+      content: `Unknown capability "${capability}". Use one of: ${CAPABILITIES.join(", ")}, ${CHAT_CAPABILITY_PREFIX}<agent name>.`,
+      ephemeral: true
+    });
+  }
+
+  if (sub === "grant") {
+    const info = db
+      .prepare(
+        "INSERT OR IGNORE INTO permissions (guildId,targetType,targetId,capability) VALUES (?,?,?,?)"
+      )
+      .run(interaction.guildId, target.type, target.id, capability);
+    let content = info.changes
+      ? `Granted \`${capability}\` to ${target.label}.`
+      : `${target.label} already has \`${capability}\`.`;
+    if (info.changes && capability.startsWith(CHAT_CAPABILITY_PREFIX)) {
+      const grantCount = db
+        .prepare("SELECT COUNT(*) AS n FROM permissions WHERE guildId=? AND capability=?")
+        .get(interaction.guildId, capability).n;
+      if (grantCount === 1) {
+        content += " Only grantees (and server admins) can chat with this agent from now on.";
       }
     }
+    return interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
   }
-});
 
-// --- /help command ---
-async function handleHelp(interaction) {
-  // This command is quick, no defer needed.
-  const helpText = `
-**🤖 Bot Help**
+  if (sub === "revoke") {
+    const info = db
+      .prepare(
+        "DELETE FROM permissions WHERE guildId=? AND targetType=? AND targetId=? AND capability=?"
+      )
+      .run(interaction.guildId, target.type, target.id, capability);
+    return interaction.reply({
+      content: info.changes
+        ? `Revoked \`${capability}\` from ${target.label}.`
+        : `${target.label} did not have \`${capability}\`.`,
+      ephemeral: true,
+      allowedMentions: { parse: [] }
+    });
+  }
+}
 
-\`/agent create\` [Name] [Model] [Provider] [Multimodal Y/N] [SysPrompt .md/.txt] [Avatar] [Channel]  
-Create a new AI agent (webhook). Avatar & channel are optional (channel defaults to current).
+// --- /clearcontext ---
+async function handleClearContext(interaction) {
+  // Quick, no defer.
+  const channel =
+    interaction.options.getChannel("channel") || interaction.channel;
+  // In a thread only that thread's context is cleared; in a channel, its threads go too.
+  const scope = channel.isThread()
+    ? "threadId=?"
+    : "agentId IN (SELECT id FROM agents WHERE channelId=?)";
+  // Embeddings go first, while their messages still say which ones they are.
+  db.prepare(
+    `DELETE FROM message_embeddings WHERE messageId IN (SELECT id FROM messages WHERE ${scope})`
+  ).run(channel.id);
+  const info = db.prepare(`DELETE FROM messages WHERE ${scope}`).run(channel.id);
+  db.prepare("DELETE FROM channel_summaries WHERE channelId=?").run(channel.id);
+  return interaction.reply({
+    content: `Cleared ${info.changes} messages from context in <#${channel.id}>.`,
+    ephemeral: true
+  });
+}
 
-\`/agent list\` [Channel]  
-List agents in a channel (default: current).
+// Agents belong to a text or forum channel; inside a thread or forum post, that is its parent.
+function getAgentChannel(channel) {
+  return channel && typeof channel.isThread === "function" && channel.isThread()
+    ? channel.parent
+    : channel;
+}
 
-\`/agent delete\` [Name] [Channel]  
-Delete an agent by name in a channel (default: current).
+// --- Fallback chains and retries ---
+// An agent answers from its own provider/model first, then from each entry of its fallback list.
+// Retries and the walk down the chain live in lib/completions.js.
+
+function parseFallbacks(agent) {
+  if (!agent.fallbacks) return [];
+  try {
+    return JSON.parse(agent.fallbacks);
+  } catch {
+    return [];
+  }
+}
+
+// The ordered list of { providerName, model } pairs an agent may answer from.
+function getCompletionChain(agent) {
+  return [
+    { providerName: agent.providerName, model: agent.model },
+    ...parseFallbacks(agent)
+  ];
+}
+
+// Opens a streamed completion for an agent from its fallback chain. See openCompletionStream in
+// lib/completions.js for the result and errors.
+function openAgentCompletionStream(agent, messages, options = {}) {
+  return openCompletionStream(getCompletionChain(agent), messages, {
+    ...options,
+    label: `agent "${agent.name}"`,
+    params: getGenerationParams(agent),
+    extraBody: getExtraBody(agent),
+    resolveProvider(providerName) {
+      const provider = db
+        .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
+        .get(agent.guildId, providerName);
+      if (!provider) {
+        throw new Error(`Configuration error: Provider "${providerName}" for agent "${agent.name}" not found.`);
+      }
+      try {
+        return { provider, apiKey: decrypt(provider.encryptedKey, provider.iv, provider.authTag) };
+      } catch (e) {
+        console.error(`Decryption error for provider ${provider.name}: ${e.message}`);
+        throw new Error(`Configuration error: Could not access API key for provider "${provider.name}".`);
+      }
+    }
+  });
+}
+
+// --- Agent tools ---
+// Built-in tools agents can call through the provider's function-calling API. None of them
+// reach outside services. Each tool returns a string that is sent back as the tool result.
+
+// Evaluates an arithmetic expression without eval(): numbers, + - * / % ^, parentheses,
+// the constants pi and e, and a handful of Math functions.
+function evaluateExpression(expression) {
+  const functions = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, round: Math.round,
+    floor: Math.floor, ceil: Math.ceil, sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    asin: Math.asin, acos: Math.acos, atan: Math.atan, exp: Math.exp,
+    ln: Math.log, log: Math.log10, log2: Math.log2, min: Math.min, max: Math.max, pow: Math.pow
+  };
+  const constants = { pi: Math.PI, e: Math.E };
+  const tokens = expression.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|[-+*/%^(),]|\S/gi) || [];
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const expect = (token) => {
+    if (tokens[pos] !== token) {
+      throw new Error(`Expected "${token}" but found ${tokens[pos] ? `"${tokens[pos]}"` : "end of expression"}`);
+    }
+    pos++;
+  };
+
+  function parseSum() {
+    let value = parseProduct();
+    while (peek() === "+" || peek() === "-") {
+      value = tokens[pos++] === "+" ? value + parseProduct() : value - parseProduct();
+    }
+    return value;
+  }
+  function parseProduct() {
+    let value = parseUnary();
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const op = tokens[pos++];
+      const rhs = parseUnary();
+      value = op === "*" ? value * rhs : op === "/" ? value / rhs : value % rhs;
+    }
+    return value;
+  }
+  function parseUnary() {
+    if (peek() === "-") { pos++; return -parseUnary(); }
+    if (peek() === "+") { pos++; return parseUnary(); }
+    return parsePower();
+  }
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() === "^") { pos++; return Math.pow(base, parseUnary()); }
+    return base;
+  }
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (token === undefined) throw new Error("Unexpected end of expression");
+    if (token === "(") {
+      const value = parseSum();
+      expect(")");
+      return value;
+    }
+    if (/^\d*\.?\d/.test(token)) return parseFloat(token);
+    const name = token.toLowerCase();
+    if (name in functions) {
+      expect("(");
+      const args = [parseSum()];
+      while (peek() === ",") { pos++; args.push(parseSum()); }
+      expect(")");
+      return functions[name](...args);
+    }
+    if (name in constants) return constants[name];
+    throw new Error(`Unknown token "${token}"`);
+  }
+
+  const result = parseSum();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  return result;
+}
+
+const AGENT_TOOLS = {
+  calculator: {
+    description:
+      "Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and functions such as sqrt, abs, round, sin, cos, tan, ln, log, min, max.",
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "The expression to evaluate, e.g. (2 + 3) * sqrt(16)" }
+      },
+      required: ["expression"]
+    },
+    async run({ expression }) {
+      const result = evaluateExpression(String(expression));
+      if (!Number.isFinite(result)) return `The expression evaluates to ${result}.`;
+      return String(result);
+    }
+  },
+
+  current_time: {
+    description: "Get the current date and time, optionally in a specific IANA timezone.",
+    parameters: {
+      type: "object",
+      properties: {
+        timezone: { type: "string", description: "IANA timezone such as Europe/London. Defaults to UTC." }
+      }
+    },
+    async run({ timezone }) {
+      const now = new Date();
+      const timeZone = timezone || "UTC";
+      const formatted = now.toLocaleString("en-US", {
+        timeZone,
+        dateStyle: "full",
+        timeStyle: "long"
+      });
+      return `${formatted} (ISO: ${now.toISOString()})`;
+    }
+  },
+
+  read_channel_messages: {
+    description: "Read the most recent messages in the current Discord channel, oldest first.",
+    parameters: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", description: "How many messages to read (1-50, default 20)" }
+      }
+    },
+    async run({ limit }, { channel }) {
+      if (!channel || !channel.messages) return "This channel's messages are not available.";
+      const count = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
+      const fetched = await channel.messages.fetch({ limit: count });
+      const lines = [...fetched.values()]
+        .reverse()
+        .map((m) => `[${m.createdAt.toISOString()}] ${m.author?.username || "unknown"}: ${m.content}`);
+      return lines.length ? lines.join("\n") : "No messages found.";
+    }
+  },
+
+  get_agent_config: {
+    description:
+      "Look up another agent in this server by name: its model and provider, plus its channel and settings when the requester can manage agents.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "The agent's name" }
+      },
+      required: ["name"]
+    },
+    async run({ name }, { agent, message }) {
+      const rows = db
+        .prepare("SELECT * FROM agents WHERE guildId=? AND LOWER(name)=LOWER(?)")
+        .all(agent.guildId, String(name));
+      if (!rows.length) return `No agent named "${name}" exists in this server.`;
+      // Other agents' prompts and settings are only shown when the member who asked can manage agents.
+      if (!memberHasCapability(message.member, "manage-agents")) {
+        return JSON.stringify(
+          rows.map((r) => ({ name: r.name, model: r.model, provider: r.providerName })),
+          null,
+          2
+        );
+      }
+      return JSON.stringify(
+        rows.map((r) => ({
+          name: r.name,
+          model: r.model,
+          provider: r.providerName,
+          multimodal: !!r.multimodal,
+          channel: `<#${r.channelId}>`,
+          generationParams: getGenerationParams(r),
+          tools: parseEnabledTools(r),
+          systemPrompt: r.systemPrompt.length > 1000 ? r.systemPrompt.slice(0, 1000) + "..." : r.systemPrompt
+        })),
+        null,
+        2
+      );
+    }
+  }
+};
+
+function parseEnabledTools(agent) {
+  if (!agent.enabledTools) return [];
+  try {
+    return JSON.parse(agent.enabledTools).filter((name) => name in AGENT_TOOLS);
+  } catch {
+    return [];
+  }
+}
 
-\`/agent edit\` [Name] [Model?] [Provider?] [Multimodal Y/N?] [SysPrompt .md/.txt?] [Avatar?]  
-Modify an existing agent’s settings in the **current channel**. Optional fields will retain their current value if not provided.
-If this agent is a source for linked clones, changes to model, provider, system prompt, and avatar will propagate to its clones.
+function getAgentTools(agent) {
+  return parseEnabledTools(agent).map((name) => ({ name, ...AGENT_TOOLS[name] }));
+}
 
-\`/agent refresh\` [Name]  
-Recreate the webhook for an agent in this channel.
+function toolSchema(tool) {
+  return {
+    type: "function",
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  };
+}
 
-\`/agent clone\` [Original Agent Name] [Target Channel] [New Agent Name?]
-Clone an existing agent's settings from any channel in this server to the target channel. If New Agent Name is not provided, the original name is used.
-If \`linked\` is true, some edits to the original agent (like model, provider, system prompt, avatar) will also apply to this clone.
+// Runs one tool call from the model. Errors are returned to the model as the tool result.
+async function runAgentTool(call, context) {
+  const tool = AGENT_TOOLS[call.name];
+  if (!tool || !parseEnabledTools(context.agent).includes(call.name)) {
+    return `Error: tool "${call.name}" is not available to this agent.`;
+  }
+  let args;
+  try {
+    args = call.arguments ? JSON.parse(call.arguments) : {};
+  } catch (e) {
+    return `Error: tool arguments are not valid JSON (${e.message}).`;
+  }
+  try {
+    return await tool.run(args, context);
+  } catch (e) {
+    console.warn(`Tool ${call.name} failed for agent ${context.agent.name}: ${e.message}`);
+    return `Error: ${e.message}`;
+  }
+}
 
-\`/provider add\` [Name] [Chat Completions URL] [API Key]  
-Add a new LLM provider (per‐server).
+// --- /models command (with chunking) ---
+async function handleModels(interaction) {
+  await interaction.deferReply({ ephemeral: true });
 
-\`/provider delete\` [Name]  
-Remove a provider.
+  const provided = interaction.options.getString("provider");
+  let pr;
 
-\`/provider list\`
-List all configured providers for this server.
+  if (provided) {
+    pr = db
+      .prepare(
+        `SELECT * FROM providers
+         WHERE guildId = ?
+           AND LOWER(name) = LOWER(?)`
+      )
+      .get(interaction.guildId, provided);
+    if (!pr) {
+      return interaction.followUp({
+        content: `Provider "${provided}" not found.`
+      });
+    }
+  } else {
+    pr = db
+      .prepare(`SELECT * FROM providers WHERE guildId = ? ORDER BY id LIMIT 1`)
+      .get(interaction.guildId);
+    if (!pr) {
+      return interaction.followUp({
+        content:
+          "No providers configured for this server. Add one with `/provider add`."
+      });
+    }
+  }
 
-\`/models\` [Provider]  
-List available models from a provider.
+  let apiKey;
+  try {
+    apiKey = decrypt(pr.encryptedKey, pr.iv, pr.authTag);
+  } catch (e) {
+    console.error(`Decryption error for provider ${pr.name}: ${e.message}`);
+    return interaction.followUp({
+      content: `Could not decrypt API key for provider "${pr.name}". Please re-add the provider.`
+    });
+  }
 
-\`/contextwindow\` [Size]  
-Set how many messages to include in context.
+  const adapter = getProviderAdapter(pr);
+  let modelList;
+  try {
+    modelList = await adapter.listModels(pr, apiKey);
+  } catch (e) {
+    if (e.code === "ERR_INVALID_URL") {
+      return interaction.followUp({
+        content: `Invalid provider URL format: ${pr.url}`
+      });
+    }
+    if (e.status === 404) {
+      return interaction.followUp({
+        content: `Provider "${pr.name}" does not have a models endpoint (received 404 Not Found).`
+      });
+    }
+    if (e.status) {
+      return interaction.followUp({
+        content: `Error fetching models from "${pr.name}": ${e.status} ${e.statusText}`
+      });
+    }
+    if (e instanceof TypeError) {
+      console.error(`Network error fetching models from ${pr.name}: ${e}`);
+      return interaction.followUp({
+        content: `Network error fetching models from "${pr.name}": ${e.message}`
+      });
+    }
+    return interaction.followUp({
+      content: `Error fetching models from "${pr.name}": ${e.message}`
+    });
+  }
 
-\`/loopdepth\` [Depth]  
-Set how many agent-to-agent reply turns are allowed per message.
+  const listText =
+    modelList.length > 0
+      ? modelList.join("\n")
+      : "(No models listed by provider)";
+  const header = `Models from **${pr.name}**:`;
+  const fullMessage = header + "\n" + listText;
+  const chunks = splitMessage(fullMessage, 1900);
 
-\`/clearcontext\` [Channel]  
-Clear stored messages for all agents in a channel (default: current).
+  await interaction.followUp({ content: chunks[0] });
+  for (let i = 1; i < chunks.length; i++) {
+    await interaction.followUp({ content: chunks[i] });
+  }
+}
 
----
+// --- Usage accounting ---
+// Every completion is logged with its token counts (as reported by the provider, or estimated
+// when it reports none), latency and model. Costs are estimated at query time from per-model
+// prices, so changing a price re-prices past usage too.
+
+const USAGE_GROUPINGS = {
+  agent: { column: "u.agentName", label: "Agent" },
+  user: { column: "u.userId", label: "User" },
+  provider: { column: "u.providerName", label: "Provider" },
+  model: { column: "u.model", label: "Model" },
+  day: { column: "date(u.createdAt)", label: "Day (UTC)" }
+};
+const USAGE_REPORT_MAX_ROWS = 25;
+// Estimated cost of a usage row `u` joined with its model_prices row `p` (NULL when unpriced).
+const USAGE_COST_SQL =
+  "(u.promptTokens * p.inputPerMillion + u.completionTokens * p.outputPerMillion) / 1000000.0";
+
+// Logs one completion. `usage` is the provider's last usage event, if any; otherwise the prompt
+// is estimated from `messages` and the completion from `outputText`.
+function recordUsage({
+  agent,
+  completion,
+  usage,
+  messages,
+  outputText,
+  userId = null,
+  channelId = null,
+  purpose = "chat"
+}) {
+  const promptTokens =
+    usage?.promptTokens ?? messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+  const completionTokens = usage?.completionTokens ?? estimateTokens(outputText);
+  const estimated = usage?.promptTokens == null || usage?.completionTokens == null;
+  try {
+    db.prepare(
+      `INSERT INTO usage
+       (guildId,channelId,agentId,agentName,userId,providerName,model,promptTokens,completionTokens,estimated,latencyMs,purpose)
+       VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`
+    ).run(
+      agent.guildId,
+      channelId || agent.channelId,
+      agent.id,
+      agent.name,
+      userId,
+      completion.provider.name,
+      completion.model,
+      promptTokens,
+      completionTokens,
+      estimated ? 1 : 0,
+      Date.now() - completion.startedAt,
+      purpose
+    );
+  } catch (e) {
+    console.error(`Failed to record usage for agent ${agent.name}: ${e.message}`);
+    return;
+  }
+  sendBudgetAlerts(agent.guildId, agent, completion.provider.name, userId).catch((e) => {
+    console.error(`Failed to check budget alerts for guild ${agent.guildId}: ${e.message}`);
+  });
+}
 
-To talk to an agent:
-• Reply to one of its messages,  
-• Prefix your message with \`@AgentName\`, or  
-• Mention the agent's name as a word in your message.
+function formatTokenCount(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
 
-All LLM replies will be broken into <msg>…</msg> chunks automatically and sent as separate messages.
-`;
-  return interaction.reply({ content: helpText, ephemeral: true });
+function formatCost(cost) {
+  return cost >= 1 ? `$${cost.toFixed(2)}` : `$${cost.toFixed(4)}`;
 }
 
-// --- /yap command ---
-async function handleYapCommand(interaction) {
-  await interaction.deferReply({ ephemeral: true });
+// --- /usage command ---
+async function handleUsageCmd(interaction) {
+  // Quick, no defer.
+  const sub = interaction.options.getSubcommand();
 
-  const agentName = interaction.options.getString("agent");
-  const enabled = interaction.options.getBoolean("enabled");
-  const targetChannel = interaction.options.getChannel("channel");
+  if (sub === "report") {
+    const by = interaction.options.getString("by") || "agent";
+    const days = interaction.options.getInteger("days") || 30;
+    const grouping = USAGE_GROUPINGS[by];
+    const rows = db
+      .prepare(
+        `SELECT ${grouping.column} AS label,
+                COUNT(*) AS requests,
+                SUM(u.promptTokens) AS promptTokens,
+                SUM(u.completionTokens) AS completionTokens,
+                AVG(u.latencyMs) AS avgLatencyMs,
+                SUM(u.estimated) AS estimatedCount,
+                SUM(${USAGE_COST_SQL}) AS cost,
+                SUM(p.model IS NULL) AS unpricedCount
+         FROM usage u
+         LEFT JOIN model_prices p ON p.guildId = u.guildId AND p.model = u.model
+         WHERE u.guildId=? AND u.createdAt >= datetime('now', ?)
+         GROUP BY label
+         ORDER BY ${by === "day" ? "label DESC" : "SUM(u.promptTokens + u.completionTokens) DESC"}`
+      )
+      .all(interaction.guildId, `-${days} days`);
+    if (!rows.length) {
+      return interaction.reply({
+        content: `No usage recorded in the last ${days} day(s).`,
+        ephemeral: true
+      });
+    }
 
-  if (!interaction.guildId) {
-    return interaction.followUp({ content: "This command can only be used in a server.", ephemeral: true });
+    const totals = rows.reduce(
+      (t, r) => ({
+        requests: t.requests + r.requests,
+        promptTokens: t.promptTokens + r.promptTokens,
+        completionTokens: t.completionTokens + r.completionTokens,
+        cost: t.cost + (r.cost || 0),
+        unpricedCount: t.unpricedCount + r.unpricedCount,
+        estimatedCount: t.estimatedCount + r.estimatedCount
+      }),
+      { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedCount: 0, estimatedCount: 0 }
+    );
+    const describe = (r) => {
+      const label =
+        by === "user" ? (r.label ? `<@${r.label}>` : "(agents & background tasks)") : `**${r.label}**`;
+      const cost = r.cost != null ? `, ~${formatCost(r.cost)}` : "";
+      return (
+        `- ${label}: ${r.requests} request(s), ${formatTokenCount(r.promptTokens)} in / ` +
+        `${formatTokenCount(r.completionTokens)} out tokens, avg ${(r.avgLatencyMs / 1000).toFixed(1)} s${cost}`
+      );
+    };
+    const lines = rows.slice(0, USAGE_REPORT_MAX_ROWS).map(describe);
+    if (rows.length > USAGE_REPORT_MAX_ROWS) {
+      lines.push(`…and ${rows.length - USAGE_REPORT_MAX_ROWS} more.`);
+    }
+    const notes = [];
+    if (totals.estimatedCount) {
+      notes.push(`${totals.estimatedCount} request(s) had no usage from the provider; their tokens are estimated.`);
+    }
+    if (totals.unpricedCount) {
+      notes.push(`${totals.unpricedCount} request(s) use models without a price (set one with \`/usage price\`).`);
+    }
+    const text =
+      `Usage by ${grouping.label.toLowerCase()} for the last ${days} day(s): ` +
+      `${totals.requests} request(s), ${formatTokenCount(totals.promptTokens)} in / ` +
+      `${formatTokenCount(totals.completionTokens)} out tokens, ~${formatCost(totals.cost)}\n` +
+      lines.join("\n") +
+      (notes.length ? `\n-# ${notes.join(" ")}` : "");
+    const chunks = splitMessage(text, 1900);
+    await interaction.reply({ content: chunks[0], ephemeral: true, allowedMentions: { parse: [] } });
+    for (let i = 1; i < chunks.length; i++) {
+      await interaction.followUp({ content: chunks[i], ephemeral: true, allowedMentions: { parse: [] } });
+    }
+    return;
   }
 
-  // Find the agent by name in the current guild.
-  // Note: Agent names are unique per guild *and* channelId in the `agents` table.
-  // However, a user might refer to an agent by its name generally within the guild.
-  // For /yap, we need to ensure the agent exists. The channel for yap is specified in the command.
-  const agent = db
-    .prepare(
-      "SELECT id FROM agents WHERE guildId = ? AND name = ? LIMIT 1"
-    )
-    .get(interaction.guildId, agentName);
-
-  if (!agent) {
-    return interaction.followUp({
-      content: `Agent "${agentName}" not found in this server. Agent names are case-sensitive.`,
+  if (sub === "price") {
+    const model = interaction.options.getString("model");
+    if (interaction.options.getBoolean("remove")) {
+      const info = db
+        .prepare("DELETE FROM model_prices WHERE guildId=? AND model=?")
+        .run(interaction.guildId, model);
+      return interaction.reply({
+        content: info.changes ? `Removed the price for \`${model}\`.` : `\`${model}\` had no price set.`,
+        ephemeral: true
+      });
+    }
+    const input = interaction.options.getNumber("input");
+    const output = interaction.options.getNumber("output");
+    if (input === null || output === null) {
+      return interaction.reply({
+        content: "Give both `input` and `output` prices (USD per million tokens), or `remove`.",
+        ephemeral: true
+      });
+    }
+    db.prepare(
+      `INSERT INTO model_prices (guildId,model,inputPerMillion,outputPerMillion)
+       VALUES (?,?,?,?)
+       ON CONFLICT(guildId,model) DO UPDATE SET
+         inputPerMillion=excluded.inputPerMillion,
+         outputPerMillion=excluded.outputPerMillion`
+    ).run(interaction.guildId, model, input, output);
+    return interaction.reply({
+      content: `Priced \`${model}\` at $${input} per million input tokens and $${output} per million output tokens.`,
       ephemeral: true
     });
   }
 
-  try {
-    db.prepare(
-      `INSERT INTO yap_settings (agentId, channelId, isEnabled)
-       VALUES (?, ?, ?)
-       ON CONFLICT(agentId, channelId) DO UPDATE SET
-         isEnabled = excluded.isEnabled`
-    ).run(agent.id, targetChannel.id, enabled ? 1 : 0);
-
-    const status = enabled ? "enabled" : "disabled";
-    return interaction.followUp({
-      content: `Auto-reply for agent **${agentName}** in <#${targetChannel.id}> has been **${status}**.`,
-      ephemeral: true
-    });
-  } catch (dbError) {
-    console.error("Error updating yap_settings:", dbError);
-    return interaction.followUp({
-      content: `An error occurred while updating auto-reply settings. (${dbError.message})`,
+  if (sub === "prices") {
+    const prices = db
+      .prepare("SELECT * FROM model_prices WHERE guildId=? ORDER BY model")
+      .all(interaction.guildId);
+    return interaction.reply({
+      content: prices.length
+        ? "Model prices (USD per million tokens, input / output):\n" +
+          prices.map((p) => `- \`${p.model}\`: $${p.inputPerMillion} / $${p.outputPerMillion}`).join("\n")
+        : "No model prices set. Add one with `/usage price`.",
       ephemeral: true
     });
   }
 }
 
+// --- Budgets and rate limits ---
+// Limits are checked before an agent is asked to reply. Rate limits count replies requested per
+// member in the last minute; daily budgets compare today's (UTC) usage log against a token or
+// cost ceiling for the whole guild, an agent name, a provider or a member. A member limit with
+// no user applies to every member without one of their own.
+
+const LIMIT_SCOPES = {
+  guild: "the server",
+  agent: "agent",
+  provider: "provider",
+  user: "member"
+};
+const LIMIT_KINDS = {
+  rpm: "replies per minute",
+  "daily-tokens": "tokens per day",
+  "daily-cost": "USD per day"
+};
+const LIMIT_ALERT_RATIO = 0.8;
+
+const userRequestTimes = new Map(); // Key: "guildId_userId", Value: timestamps of recent requests
+
+function getLimit(guildId, scope, target, kind) {
+  const get = db.prepare("SELECT value FROM limits WHERE guildId=? AND scope=? AND target=? AND kind=?");
+  const row =
+    get.get(guildId, scope, target, kind) ||
+    (scope === "user" ? get.get(guildId, scope, "", kind) : undefined);
+  return row ? row.value : null;
+}
 
-// --- /loopdepth command ---
-async function handleLoopDepth(interaction) {
-  // This command is quick, no defer needed.
-  const depth = interaction.options.getInteger("depth");
-  db.prepare(
-    `INSERT INTO guildSettings (guildId,loopDepth)
-     VALUES (?,?)
-     ON CONFLICT(guildId) DO UPDATE SET
-       loopDepth=excluded.loopDepth`
-  ).run(interaction.guildId, depth);
-  return interaction.reply({
-    content: `Agent-to-agent reply loop depth set to ${depth}`,
-    ephemeral: true
-  });
+// Today's (UTC) tokens and estimated cost within a limit scope.
+function getUsageToday(guildId, scope, target) {
+  const filters = {
+    guild: "",
+    agent: "AND LOWER(u.agentName) = LOWER(?)",
+    provider: "AND u.providerName = ?",
+    user: "AND u.userId = ?"
+  };
+  const row = db
+    .prepare(
+      `SELECT COALESCE(SUM(u.promptTokens + u.completionTokens), 0) AS tokens,
+              COALESCE(SUM(${USAGE_COST_SQL}), 0) AS cost
+       FROM usage u
+       LEFT JOIN model_prices p ON p.guildId = u.guildId AND p.model = u.model
+       WHERE u.guildId=? AND u.createdAt >= date('now') ${filters[scope]}`
+    )
+    .get(...(scope === "guild" ? [guildId] : [guildId, target]));
+  return row;
 }
 
-async function agentClone(interaction) {
-  await interaction.deferReply({ ephemeral: true });
+// The daily budgets that apply to a reply from `agent` requested by `userId`.
+function getApplicableBudgets(guildId, agent, providerName, userId) {
+  const scopes = [
+    { scope: "guild", target: "", label: "this server" },
+    { scope: "agent", target: agent.name.toLowerCase(), label: `**${agent.name}**` },
+    { scope: "provider", target: providerName, label: `provider **${providerName}**` }
+  ];
+  if (userId) scopes.push({ scope: "user", target: userId, label: "you" });
+  const budgets = [];
+  for (const s of scopes) {
+    for (const kind of ["daily-tokens", "daily-cost"]) {
+      const limit = getLimit(guildId, s.scope, s.target, kind);
+      if (limit === null) continue;
+      const usage = getUsageToday(guildId, s.scope, s.target);
+      budgets.push({ ...s, kind, limit, used: kind === "daily-tokens" ? usage.tokens : usage.cost });
+    }
+  }
+  return budgets;
+}
 
-  const originalAgentName = interaction.options.getString("original-agent-name");
-  const targetChannel = interaction.options.getChannel("target-channel");
-  const newAgentNameInput = interaction.options.getString("new-agent-name");
-  const linked = interaction.options.getBoolean("linked") || false;
+function formatLimitAmount(kind, amount) {
+  if (kind === "daily-cost") return formatCost(amount);
+  if (kind === "daily-tokens") return `${formatTokenCount(amount)} tokens`;
+  return String(amount);
+}
 
-  // Fetch the original agent. It can be in any channel within the guild.
-  const originalAgent = db
-    .prepare(
-      "SELECT * FROM agents WHERE guildId=? AND name=?"
-    )
-    .get(interaction.guildId, originalAgentName);
+// Returns a polite refusal if a limit stops `agent` from replying to `userId` (null for
+// agent-to-agent turns), or null and counts the request against the member's rate limit.
+function checkLimits(guildId, agent, userId) {
+  if (userId) {
+    const rpm = getLimit(guildId, "user", userId, "rpm");
+    const key = `${guildId}_${userId}`;
+    const now = Date.now();
+    const recent = (userRequestTimes.get(key) || []).filter((t) => now - t < 60000);
+    userRequestTimes.set(key, recent);
+    if (rpm !== null && recent.length >= rpm) {
+      const waitSeconds = Math.ceil((60000 - (now - recent[0])) / 1000);
+      return `Sorry, you're sending requests a little fast (limit: ${rpm} per minute). Please try again in ${waitSeconds} s.`;
+    }
+  }
 
-  if (!originalAgent) {
-    return interaction.followUp({
-      content: `Original agent "${originalAgentName}" not found in this server.`
-    });
+  const exhausted = getApplicableBudgets(guildId, agent, agent.providerName, userId).find(
+    (b) => b.used >= b.limit
+  );
+  if (exhausted) {
+    const what = exhausted.kind === "daily-cost" ? "spending" : "token";
+    return exhausted.scope === "user"
+      ? `Sorry, you've reached your daily ${what} limit for agent replies (${formatLimitAmount(exhausted.kind, exhausted.limit)}). It resets at midnight UTC.`
+      : `Sorry, ${exhausted.label} has reached its daily ${what} budget (${formatLimitAmount(exhausted.kind, exhausted.limit)}), so **${agent.name}** can't reply right now. It resets at midnight UTC.`;
   }
 
-  const newName = newAgentNameInput || originalAgent.name;
+  if (userId) userRequestTimes.get(`${guildId}_${userId}`).push(Date.now());
+  return null;
+}
 
-  // Check if an agent with the new name already exists in the target channel
-  const existingAgentInTargetChannel = db
-    .prepare(
-      "SELECT id FROM agents WHERE guildId=? AND name=? AND channelId=?"
-    )
-    .get(interaction.guildId, newName, targetChannel.id);
+// Posts a one-off warning to the guild's alert channel for each budget past LIMIT_ALERT_RATIO today.
+async function sendBudgetAlerts(guildId, agent, providerName, userId) {
+  const settings = db
+    .prepare("SELECT limitAlertChannelId FROM guildSettings WHERE guildId=?")
+    .get(guildId);
+  if (!settings || !settings.limitAlertChannelId) return;
+
+  const day = new Date().toISOString().slice(0, 10);
+  for (const budget of getApplicableBudgets(guildId, agent, providerName, userId)) {
+    if (budget.used < budget.limit * LIMIT_ALERT_RATIO) continue;
+    // Alerts are remembered in the database, so a restart doesn't send the day's alerts again.
+    const { changes } = db
+      .prepare(
+        `INSERT INTO limit_alerts (guildId,scope,target,kind,day) VALUES (?,?,?,?,?)
+         ON CONFLICT(guildId,scope,target,kind) DO UPDATE SET day=excluded.day WHERE day <> excluded.day`
+      )
+      .run(guildId, budget.scope, budget.target, budget.kind, day);
+    if (!changes) continue;
+
+    const subject =
+      budget.scope === "user" ? `<@${userId}>` : budget.scope === "guild" ? "The server" : budget.label;
+    const percent = Math.floor((budget.used / budget.limit) * 100);
+    const channel = await client.channels.fetch(settings.limitAlertChannelId).catch(() => null);
+    if (!channel || !channel.send) {
+      console.warn(`Limit alert channel ${settings.limitAlertChannelId} for guild ${guildId} is unavailable.`);
+      return;
+    }
+    await channel
+      .send({
+        content: `⚠️ ${subject} has used ${percent}% of its daily budget: ${formatLimitAmount(budget.kind, budget.used)} of ${formatLimitAmount(budget.kind, budget.limit)}.`,
+        allowedMentions: { parse: [] }
+      })
+      .catch((e) => console.warn(`Could not send limit alert for guild ${guildId}: ${e.message}`));
+  }
+}
 
-  if (existingAgentInTargetChannel) {
-    return interaction.followUp({
-      content: `An agent named "${newName}" already exists in <#${targetChannel.id}>. Please choose a different name or channel.`
+// --- /limits command ---
+async function handleLimitsCmd(interaction) {
+  // Quick, no defer.
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === "alerts") {
+    const channel = interaction.options.getChannel("channel");
+    db.prepare(
+      `INSERT INTO guildSettings (guildId,limitAlertChannelId)
+       VALUES (?,?)
+       ON CONFLICT(guildId) DO UPDATE SET
+         limitAlertChannelId=excluded.limitAlertChannelId`
+    ).run(interaction.guildId, channel ? channel.id : null);
+    return interaction.reply({
+      content: channel
+        ? `Budget alerts (at ${LIMIT_ALERT_RATIO * 100}% of a daily budget) will be posted in <#${channel.id}>.`
+        : "Budget alerts are off.",
+      ephemeral: true
+    });
+  }
+
+  if (sub === "list") {
+    const rows = db
+      .prepare("SELECT * FROM limits WHERE guildId=? ORDER BY scope, target, kind")
+      .all(interaction.guildId);
+    if (!rows.length) {
+      return interaction.reply({ content: "No limits are set. Add one with `/limits set`.", ephemeral: true });
+    }
+    const lines = rows.map((r) => {
+      const subject =
+        r.scope === "guild"
+          ? "Server"
+          : r.scope === "user"
+            ? r.target ? `Member <@${r.target}>` : "Every member"
+            : `${r.scope === "agent" ? "Agent" : "Provider"} **${r.target}**`;
+      let line = `- ${subject}: ${r.kind === "daily-cost" ? formatCost(r.value) : r.value} ${LIMIT_KINDS[r.kind]}`;
+      if (r.kind !== "rpm" && !(r.scope === "user" && !r.target)) {
+        const usage = getUsageToday(interaction.guildId, r.scope, r.target);
+        line += ` (today: ${formatLimitAmount(r.kind, r.kind === "daily-tokens" ? usage.tokens : usage.cost)})`;
+      }
+      return line;
+    });
+    const chunks = splitMessage(`Limits (daily budgets reset at midnight UTC):\n${lines.join("\n")}`, 1900);
+    await interaction.reply({ content: chunks[0], ephemeral: true, allowedMentions: { parse: [] } });
+    for (let i = 1; i < chunks.length; i++) {
+      await interaction.followUp({ content: chunks[i], ephemeral: true, allowedMentions: { parse: [] } });
+    }
+    return;
+  }
+
+  // set / remove
+  const scope = interaction.options.getString("scope");
+  const kind = interaction.options.getString("kind");
+  const name = interaction.options.getString("name");
+  const user = interaction.options.getUser("user");
+  let target = "";
+  if (scope === "agent" || scope === "provider") {
+    if (!name) {
+      return interaction.reply({ content: `Give the ${scope}'s \`name\`.`, ephemeral: true });
+    }
+    target = scope === "agent" ? name.toLowerCase() : name;
+  } else if (scope === "user") {
+    target = user ? user.id : "";
+  }
+  if (kind === "rpm" && scope !== "user") {
+    return interaction.reply({
+      content: "Replies-per-minute limits apply to members; use scope `user`.",
+      ephemeral: true
+    });
+  }
+  const subject =
+    scope === "guild"
+      ? "the server"
+      : scope === "user"
+        ? user ? `<@${user.id}>` : "every member"
+        : `${LIMIT_SCOPES[scope]} **${name}**`;
+
+  if (sub === "remove") {
+    const info = db
+      .prepare("DELETE FROM limits WHERE guildId=? AND scope=? AND target=? AND kind=?")
+      .run(interaction.guildId, scope, target, kind);
+    return interaction.reply({
+      content: info.changes
+        ? `Removed the ${LIMIT_KINDS[kind]} limit for ${subject}.`
+        : `${subject} has no ${LIMIT_KINDS[kind]} limit.`,
+      ephemeral: true,
+      allowedMentions: { parse: [] }
     });
   }
 
-  // Verify the provider still exists
-  const pr = db
-    .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
-    .get(interaction.guildId, originalAgent.providerName);
-  if (!pr) {
-    return interaction.followUp({
-      content: `Provider "${originalAgent.providerName}" used by the original agent no longer exists. Please add it using \`/provider add\` or edit the original agent.`
-    });
+  const value = interaction.options.getNumber("value");
+  if (scope === "provider") {
+    const provider = db
+      .prepare("SELECT 1 FROM providers WHERE guildId=? AND name=?")
+      .get(interaction.guildId, name);
+    if (!provider) {
+      return interaction.reply({ content: `Provider "${name}" not found.`, ephemeral: true });
+    }
   }
-
-  if (
-    !targetChannel
-      .permissionsFor(interaction.guild.members.me)
-      .has(PermissionsBitField.Flags.ManageWebhooks)
-  ) {
-    return interaction.followUp({
-      content:
-        "I need the 'Manage Webhooks' permission in the target channel to clone the agent."
-    });
+  db.prepare(
+    `INSERT INTO limits (guildId,scope,target,kind,value)
+     VALUES (?,?,?,?,?)
+     ON CONFLICT(guildId,scope,target,kind) DO UPDATE SET value=excluded.value`
+  ).run(interaction.guildId, scope, target, kind, kind === "rpm" ? Math.floor(value) : value);
+  let content = `Limit set: ${subject} may use ${kind === "daily-cost" ? formatCost(value) : kind === "rpm" ? Math.floor(value) : value} ${LIMIT_KINDS[kind]}.`;
+  if (kind === "daily-cost") {
+    content += " Costs are estimated from `/usage price`; models without a price count as free.";
   }
+  return interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+}
 
-  let webhook;
-  let avatarDataUriForClonedWebhook = undefined;
-  if (originalAgent.avatarData && originalAgent.avatarMimeType) {
-    avatarDataUriForClonedWebhook = `data:${originalAgent.avatarMimeType};base64,${originalAgent.avatarData}`;
+// --- Token-budget context ---
+// A local estimate is good enough for trimming history: roughly 4 characters per token for
+// Latin text, one token per character elsewhere (CJK, emoji), and a flat cost per image.
+
+const DEFAULT_CONTEXT_TOKENS = 8192;
+const DEFAULT_REPLY_RESERVE_TOKENS = 1024;
+const IMAGE_PART_TOKENS = 800;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const TOKEN_MODE_MAX_HISTORY_ROWS = 500; // Upper bound on rows loaded before trimming
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  let ascii = 0;
+  let other = 0;
+  for (const ch of text) {
+    if (ch.codePointAt(0) < 128) ascii++;
+    else other++;
   }
+  return Math.ceil(ascii / 4) + other;
+}
 
-  try {
-    webhook = await targetChannel.createWebhook({ name: newName, avatar: avatarDataUriForClonedWebhook });
-  } catch (e) {
-    console.error(`Failed to create webhook for cloned agent: ${e}`);
-    let errorMessage = `Failed to create webhook for "${newName}". Discord Error: ${e.message}`;
-    if (e.code === 50013) {
-      errorMessage =
-        `Failed to create webhook for "${newName}": I'm missing permissions in <#${targetChannel.id}>. Please ensure I have 'Manage Webhooks' permission there.`;
+function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS;
+  if (typeof message.content === "string") {
+    tokens += estimateTokens(message.content);
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      tokens += part.type === "text" ? estimateTokens(part.text) : IMAGE_PART_TOKENS;
     }
-    return interaction.followUp({ content: errorMessage });
   }
+  return tokens;
+}
 
-  try {
-    const linkedToId = linked ? originalAgent.id : null;
-    db.prepare(
-      `INSERT INTO agents (
-       guildId,name,model,providerName,multimodal,
-       systemPrompt,avatarMimeType,avatarData,channelId,webhookId,webhookToken,
-       linkedToAgentId, isSourceForLink
-     ) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`
-    ).run(
-      interaction.guildId,
-      newName,
-      originalAgent.model,
-      originalAgent.providerName,
-      originalAgent.multimodal,
-      originalAgent.systemPrompt,
-      originalAgent.avatarMimeType, 
-      originalAgent.avatarData,     
-      targetChannel.id,
-      webhook.id,
-      webhook.token,
-      linkedToId,
-      0 // Cloned agents are not sources by default
-    );
+// The agent's context size in tokens, or null when the guild counts messages instead.
+// An agent limit wins over a model limit, which wins over the guild's token setting.
+function getContextTokenBudget(agent, guildSettings) {
+  if (agent.contextTokens) return agent.contextTokens;
+  const modelLimit = db
+    .prepare("SELECT contextTokens FROM model_context_limits WHERE guildId=? AND model=?")
+    .get(agent.guildId, agent.model);
+  if (modelLimit) return modelLimit.contextTokens;
+  if (guildSettings.contextMode === "tokens") {
+    return guildSettings.contextTokens || DEFAULT_CONTEXT_TOKENS;
+  }
+  return null;
+}
 
-    if (linked) {
-      db.prepare("UPDATE agents SET isSourceForLink = 1 WHERE id = ?").run(originalAgent.id);
-    }
+function getReplyReserveTokens(agent) {
+  return agent.maxTokens || DEFAULT_REPLY_RESERVE_TOKENS;
+}
 
-    return interaction.followUp({
-      content: `Agent **${originalAgentName}** successfully cloned as **${newName}** in <#${targetChannel.id}>${linked ? " and linked to the original" : ""}.`
-    });
-  } catch (dbError) {
-    if (webhook && webhook.id) {
-      try {
-        await webhook.delete("Agent cloning failed due to database error.");
-        console.log(
-          `Webhook ${webhook.id} deleted due to DB error during agent cloning.`
-        );
-      } catch (whDeleteError) {
-        console.warn(
-          `Failed to delete webhook ${webhook.id} after DB error during clone: ${whDeleteError.message}`
-        );
-      }
+// Keeps the newest history rows (in chronological order) whose estimated size fits `available`.
+function trimHistoryToTokenBudget(rows, available) {
+  let used = 0;
+  let firstKept = rows.length;
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(rows[i].content) + MESSAGE_OVERHEAD_TOKENS;
+    if (used + cost > available) break;
+    used += cost;
+    firstKept = i;
+  }
+  return rows.slice(firstKept);
+}
+
+// --- Knowledge base ---
+// Guild members upload reference documents into named collections. Documents are split into
+// chunks; agents linked to a collection get the best-matching chunks injected with numbered
+// citations. Matching is BM25 over the chunk text, optionally blended with embedding similarity.
+// Term frequencies are stored when a document is added, so a search only reads the rows of its
+// query terms; chunk embeddings for hybrid search are filled in in the background.
+
+const KB_ALLOWED_EXTENSIONS = [".md", ".txt", ".pdf", ".json"];
+const KB_MAX_FILE_BYTES = 10 * 1024 * 1024;
+const KB_TOP_K = 4;
+const KB_DEFAULT_COLLECTION = "default";
+const KB_EMBEDDING_BATCH = 256; // Chunks embedded per request round in the background
+
+// Downloads an uploaded document and returns its plain text.
+async function extractDocumentText(attachment) {
+  const fileName = attachment.name || attachment.url.split("?")[0].split("/").pop();
+  const ext = path.extname(fileName).toLowerCase();
+  const res = await fetch(attachment.url);
+  if (!res.ok) {
+    throw new Error(`Failed to download ${fileName}: ${res.status} ${res.statusText}`);
+  }
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (ext === ".pdf") {
+    const pdfParse = require("pdf-parse");
+    return (await pdfParse(buffer)).text;
+  }
+  const text = buffer.toString("utf8");
+  if (ext === ".json") {
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (e) {
+      throw new Error(`${fileName} is not valid JSON: ${e.message}`);
     }
-    console.error(`Database error during agent cloning: ${dbError}`);
-    return interaction.followUp({
-        content: `An unexpected database error occurred while cloning the agent. (${dbError.message})`
-    });
   }
+  return text;
 }
 
-// --- /agent commands ---
-async function handleAgentCmd(interaction) {
-  const sub = interaction.options.getSubcommand();
-  // Deferral will be handled within each subcommand function
-  if (sub === "create") return agentCreate(interaction);
-  if (sub === "list") return agentList(interaction); // list is quick, no defer needed inside
-  if (sub === "delete") return agentDelete(interaction);
-  if (sub === "edit") return agentEdit(interaction);
-  if (sub === "refresh") return agentRefresh(interaction);
-  if (sub === "clone") return agentClone(interaction);
+function getLinkedCollections(agent) {
+  return db
+    .prepare("SELECT collection FROM agent_kb_links WHERE agentId=?")
+    .all(agent.id)
+    .map((r) => r.collection);
 }
 
-async function agentCreate(interaction) {
-  await interaction.deferReply({ ephemeral: true });
+// Stores a chunk's term frequencies and length for BM25.
+function storeKbChunkTerms(chunkId, content) {
+  const terms = tokenizeForSearch(content);
+  const tf = new Map();
+  for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+  const insert = db.prepare("INSERT OR REPLACE INTO kb_chunk_terms (chunkId,term,tf) VALUES (?,?,?)");
+  for (const [term, count] of tf) insert.run(chunkId, term, count);
+  db.prepare("UPDATE kb_chunks SET termCount=? WHERE id=?").run(terms.length, chunkId);
+}
 
-  const name = interaction.options.getString("name");
-  const model = interaction.options.getString("model");
-  const providerName = interaction.options.getString("provider");
-  const multimodal = interaction.options.getBoolean("multimodal");
-  const sysPromptAtt = interaction.options.getAttachment("sysprompt");
-  let avatarAtt = interaction.options.getAttachment("avatar"); 
-  const channel =
-    interaction.options.getChannel("channel") || interaction.channel;
+// SQL condition (on kb_chunks c JOIN kb_documents d) and parameters for the given collections.
+function kbCollectionFilter(guildId, collections) {
+  return {
+    sql: `d.guildId=? AND d.collection IN (${collections.map(() => "?").join(",")})`,
+    params: [guildId, ...collections]
+  };
+}
 
-  if (
-    !channel
-      .permissionsFor(interaction.guild.members.me)
-      .has(PermissionsBitField.Flags.ManageWebhooks)
-  ) {
-    return interaction.followUp({
-      content:
-        "I need the 'Manage Webhooks' permission in the target channel to create an agent."
-    });
-  }
+const indexingKbEmbeddings = new Set(); // "guildId:embedding key" being embedded
 
-  const pr = db
-    .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
-    .get(interaction.guildId, providerName);
-  if (!pr) {
-    return interaction.followUp({
-      content: `Provider "${providerName}" not found. Please add it using \`/provider add\`.`
-    });
+// Embeds chunks of the agent's linked collections that have no vector for its embedder yet. Runs
+// in the background; until a chunk has its vector, hybrid search ranks it by BM25 alone.
+async function indexKbEmbeddings(agent, collections) {
+  const { key } = getEmbeddingConfig(agent);
+  const indexKey = `${agent.guildId}:${key}`;
+  if (indexingKbEmbeddings.has(indexKey)) return;
+  indexingKbEmbeddings.add(indexKey);
+  try {
+    const filter = kbCollectionFilter(agent.guildId, collections);
+    const selectMissing = db.prepare(
+      `SELECT c.id, c.content FROM kb_chunks c JOIN kb_documents d ON c.documentId = d.id
+       WHERE ${filter.sql}
+         AND NOT EXISTS (SELECT 1 FROM kb_chunk_embeddings e WHERE e.chunkId = c.id AND e.model = ?)
+       LIMIT ?`
+    );
+    const insert = db.prepare(
+      "INSERT OR REPLACE INTO kb_chunk_embeddings (chunkId,model,vector) VALUES (?,?,?)"
+    );
+    for (;;) {
+      const missing = selectMissing.all(...filter.params, key, KB_EMBEDDING_BATCH);
+      if (!missing.length) break;
+      const vectors = await embedTexts(agent, missing.map((c) => c.content));
+      db.transaction(() => {
+        missing.forEach((chunk, i) => insert.run(chunk.id, key, vectorToBlob(vectors[i])));
+      })();
+    }
+  } finally {
+    indexingKbEmbeddings.delete(indexKey);
   }
+}
 
-  const fileName =
-    sysPromptAtt.name || sysPromptAtt.url.split("?")[0].split("/").pop();
-  const ext = path.extname(fileName).toLowerCase();
-  if (ext !== ".md" && ext !== ".txt") {
-    return interaction.followUp({
-      content: "System prompt must be a .md or .txt file."
-    });
+// Ranks the chunks of the agent's linked collections against `query`. Returns up to `limit`
+// hits, best first: { fileName, collection, chunkIndex, content, score }.
+async function searchKnowledgeBase(agent, query, limit = KB_TOP_K) {
+  const collections = getLinkedCollections(agent);
+  const queryTerms = [...new Set(tokenizeForSearch(query))];
+  if (!collections.length || !queryTerms.length) return [];
+  const filter = kbCollectionFilter(agent.guildId, collections);
+
+  const { chunkCount, avgLength } = db
+    .prepare(
+      `SELECT COUNT(*) AS chunkCount, AVG(c.termCount) AS avgLength
+       FROM kb_chunks c JOIN kb_documents d ON c.documentId = d.id
+       WHERE ${filter.sql}`
+    )
+    .get(...filter.params);
+  if (!chunkCount) return [];
+  const matches = db
+    .prepare(
+      `SELECT t.chunkId, t.term, t.tf, c.termCount
+       FROM kb_chunk_terms t JOIN kb_chunks c ON c.id = t.chunkId JOIN kb_documents d ON c.documentId = d.id
+       WHERE ${filter.sql} AND t.term IN (${queryTerms.map(() => "?").join(",")})`
+    )
+    .all(...filter.params, ...queryTerms);
+  let scores = bm25Scores(matches, chunkCount, avgLength);
+
+  if (agent.kbHybridSearch) {
+    try {
+      indexKbEmbeddings(agent, collections).catch((e) =>
+        console.warn(`Knowledge base embedding failed for agent ${agent.name}: ${e.message}`)
+      );
+      const { key } = getEmbeddingConfig(agent);
+      const queryVector = normalizeVector((await embedTexts(agent, [query]))[0]);
+      const vectors = db
+        .prepare(
+          `SELECT e.chunkId, e.vector
+           FROM kb_chunk_embeddings e JOIN kb_chunks c ON c.id = e.chunkId JOIN kb_documents d ON c.documentId = d.id
+           WHERE ${filter.sql} AND e.model=?`
+        )
+        .all(...filter.params, key);
+      scores = blendScores(
+        scores,
+        vectors.map(({ chunkId, vector }) => [chunkId, dotProduct(queryVector, blobToVector(vector))])
+      );
+    } catch (e) {
+      console.warn(`Knowledge base embedding search failed for agent ${agent.name}, using BM25 only: ${e.message}`);
+    }
   }
 
-  let systemPrompt;
-  try {
-    const spRes = await fetch(sysPromptAtt.url);
-    if (!spRes.ok) {
+  const top = [...scores]
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+  if (!top.length) return [];
+  const getChunk = db.prepare(
+    `SELECT c.id, c.chunkIndex, c.content, d.fileName, d.collection
+     FROM kb_chunks c JOIN kb_documents d ON c.documentId = d.id WHERE c.id=?`
+  );
+  return top.map(([chunkId, score]) => ({ ...getChunk.get(chunkId), score }));
+}
+
+// --- /kb commands ---
+async function handleKbCmd(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const collection = (interaction.options.getString("collection") || KB_DEFAULT_COLLECTION).trim();
+
+  if (sub === "add") {
+    await interaction.deferReply({ ephemeral: true });
+    const file = interaction.options.getAttachment("file");
+    const fileName = file.name || file.url.split("?")[0].split("/").pop();
+    const ext = path.extname(fileName).toLowerCase();
+    if (!KB_ALLOWED_EXTENSIONS.includes(ext)) {
       return interaction.followUp({
-        content: `Failed to fetch system prompt from ${sysPromptAtt.url}: ${spRes.status} ${spRes.statusText}`
+        content: `Knowledge base files must be one of: ${KB_ALLOWED_EXTENSIONS.join(", ")}.`
+      });
+    }
+    if (file.size > KB_MAX_FILE_BYTES) {
+      return interaction.followUp({
+        content: `"${fileName}" is too large (max ${KB_MAX_FILE_BYTES / 1024 / 1024} MB).`
       });
     }
-    systemPrompt = await spRes.text();
-  } catch (e) {
-    console.error(`Error fetching system prompt: ${e}`);
-    return interaction.followUp({
-      content: `Error fetching system prompt from URL. Please ensure the link is accessible and valid. (${e.message})`
-    });
-  }
-
-  let avatarDataForDB = null;
-  let avatarMimeTypeForDB = null;
-  let avatarDataUriForWebhook = undefined;
 
-  if (avatarAtt) {
+    let text;
     try {
-      const response = await fetch(avatarAtt.url);
-      if (!response.ok) {
-        console.warn(`Failed to fetch avatar image from ${avatarAtt.url}: ${response.status} ${response.statusText}. Agent will be created without an avatar.`);
-        avatarAtt = null; 
-      } else {
-        const imageBuffer = await response.arrayBuffer();
-        avatarDataForDB = Buffer.from(imageBuffer).toString("base64");
-        avatarMimeTypeForDB = avatarAtt.contentType;
-        if (!avatarMimeTypeForDB || !avatarMimeTypeForDB.startsWith("image/")) {
-          console.warn(`Invalid avatar MIME type: ${avatarMimeTypeForDB}. Will attempt to create agent without avatar.`);
-          avatarDataForDB = null; 
-          avatarMimeTypeForDB = null;
-          avatarAtt = null;
-        } else {
-          avatarDataUriForWebhook = `data:${avatarMimeTypeForDB};base64,${avatarDataForDB}`;
-        }
-      }
+      text = await extractDocumentText(file);
     } catch (e) {
-      console.error(`Error fetching or processing avatar: ${e}. Agent will be created without an avatar.`);
-      avatarDataForDB = null;
-      avatarMimeTypeForDB = null;
-      avatarAtt = null; 
+      console.error(`Error reading knowledge base file ${fileName}: ${e}`);
+      return interaction.followUp({ content: `Could not read "${fileName}": ${e.message}` });
     }
-  }
-
-  let webhook;
-  try {
-    webhook = await channel.createWebhook({ name, avatar: avatarDataUriForWebhook });
-  } catch (e) {
-    console.error(`Failed to create webhook: ${e}`);
-    let errorMessage = `Failed to create webhook. Discord Error: ${e.message}`;
-    if (e.code === 50013) {
-      errorMessage =
-        "Failed to create webhook: I'm missing permissions in the target channel. Please ensure I have 'Manage Webhooks' permission there.";
+    const chunks = chunkDocumentText(text);
+    if (!chunks.length) {
+      return interaction.followUp({ content: `"${fileName}" contains no text to index.` });
     }
-    return interaction.followUp({ content: errorMessage });
+
+    db.transaction(() => {
+      const existing = db
+        .prepare("SELECT id FROM kb_documents WHERE guildId=? AND collection=? AND fileName=?")
+        .get(interaction.guildId, collection, fileName);
+      if (existing) {
+        db.prepare(
+          "DELETE FROM kb_chunk_embeddings WHERE chunkId IN (SELECT id FROM kb_chunks WHERE documentId=?)"
+        ).run(existing.id);
+        db.prepare(
+          "DELETE FROM kb_chunk_terms WHERE chunkId IN (SELECT id FROM kb_chunks WHERE documentId=?)"
+        ).run(existing.id);
+        db.prepare("DELETE FROM kb_chunks WHERE documentId=?").run(existing.id);
+        db.prepare("DELETE FROM kb_documents WHERE id=?").run(existing.id);
+      }
+      const info = db
+        .prepare(
+          `INSERT INTO kb_documents (guildId,collection,fileName,uploadedBy,charCount)
+           VALUES (?,?,?,?,?)`
+        )
+        .run(interaction.guildId, collection, fileName, interaction.user.id, text.length);
+      const insertChunk = db.prepare(
+        "INSERT INTO kb_chunks (documentId,chunkIndex,content) VALUES (?,?,?)"
+      );
+      chunks.forEach((chunk, i) => {
+        const { lastInsertRowid } = insertChunk.run(info.lastInsertRowid, i + 1, chunk);
+        storeKbChunkTerms(lastInsertRowid, chunk);
+      });
+    })();
+
+    return interaction.followUp({
+      content: `Indexed **${fileName}** into collection **${collection}** (${chunks.length} chunk(s)). Link it to an agent with \`/kb link\`.`
+    });
   }
 
-  try {
-    db.prepare(
-      `INSERT INTO agents (
-       guildId,name,model,providerName,multimodal,
-       systemPrompt,avatarMimeType,avatarData,channelId,webhookId,webhookToken,
-       linkedToAgentId, isSourceForLink
-     ) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`
-    ).run(
-      interaction.guildId,
-      name,
-      model,
-      providerName,
-      multimodal ? 1 : 0,
-      systemPrompt,
-      avatarMimeTypeForDB, 
-      avatarDataForDB,     
-      channel.id,
-      webhook.id,
-      webhook.token,
-      null, 
-      0     
-    );
+  if (sub === "list") {
+    const filterCollection = interaction.options.getString("collection");
+    const docs = db
+      .prepare(
+        `SELECT d.collection, d.fileName, d.charCount, COUNT(c.id) AS chunkCount
+         FROM kb_documents d LEFT JOIN kb_chunks c ON c.documentId = d.id
+         WHERE d.guildId=? ${filterCollection ? "AND d.collection=?" : ""}
+         GROUP BY d.id ORDER BY d.collection, d.fileName`
+      )
+      .all(...(filterCollection ? [interaction.guildId, filterCollection] : [interaction.guildId]));
+    if (!docs.length) {
+      return interaction.reply({
+        content: filterCollection
+          ? `Collection "${filterCollection}" has no documents.`
+          : "The knowledge base is empty. Upload files with `/kb add`.",
+        ephemeral: true
+      });
+    }
+    const links = db
+      .prepare(
+        `SELECT l.collection, a.name, a.channelId FROM agent_kb_links l
+         JOIN agents a ON a.id = l.agentId WHERE a.guildId=?`
+      )
+      .all(interaction.guildId);
+    const byCollection = new Map();
+    for (const doc of docs) {
+      if (!byCollection.has(doc.collection)) byCollection.set(doc.collection, []);
+      byCollection.get(doc.collection).push(doc);
+    }
+    const sections = [...byCollection.entries()].map(([name, collectionDocs]) => {
+      const agents = links
+        .filter((l) => l.collection === name)
+        .map((l) => `${l.name} (<#${l.channelId}>)`);
+      return (
+        `**${name}** — linked to: ${agents.join(", ") || "no agents"}\n` +
+        collectionDocs
+          .map((d) => `- ${d.fileName} (${d.chunkCount} chunk(s), ${d.charCount} chars)`)
+          .join("\n")
+      );
+    });
+    const chunks = splitMessage(`Knowledge base:\n${sections.join("\n\n")}`, 1900);
+    await interaction.reply({ content: chunks[0], ephemeral: true });
+    for (let i = 1; i < chunks.length; i++) {
+      await interaction.followUp({ content: chunks[i], ephemeral: true });
+    }
+    return;
+  }
 
-    return interaction.followUp({
-      content: `Agent **${name}** created in <#${channel.id}>!`
+  if (sub === "remove") {
+    const fileName = interaction.options.getString("file");
+    const doc = db
+      .prepare("SELECT id FROM kb_documents WHERE guildId=? AND collection=? AND fileName=?")
+      .get(interaction.guildId, collection, fileName);
+    if (!doc) {
+      return interaction.reply({
+        content: `No document "${fileName}" in collection "${collection}".`,
+        ephemeral: true
+      });
+    }
+    db.transaction(() => {
+      db.prepare(
+        "DELETE FROM kb_chunk_embeddings WHERE chunkId IN (SELECT id FROM kb_chunks WHERE documentId=?)"
+      ).run(doc.id);
+      db.prepare(
+        "DELETE FROM kb_chunk_terms WHERE chunkId IN (SELECT id FROM kb_chunks WHERE documentId=?)"
+      ).run(doc.id);
+      db.prepare("DELETE FROM kb_chunks WHERE documentId=?").run(doc.id);
+      db.prepare("DELETE FROM kb_documents WHERE id=?").run(doc.id);
+    })();
+    return interaction.reply({
+      content: `Removed **${fileName}** from collection **${collection}**.`,
+      ephemeral: true
     });
-  } catch (dbError) {
-    if (webhook && webhook.id) {
-      try {
-        await webhook.delete("Agent creation failed due to database error.");
-        console.log(
-          `Webhook ${webhook.id} deleted due to DB error during agent creation.`
-        );
-      } catch (whDeleteError) {
-        console.warn(
-          `Failed to delete webhook ${webhook.id} after DB error: ${whDeleteError.message}`
-        );
-      }
+  }
+
+  if (sub === "link" || sub === "unlink") {
+    const agentName = interaction.options.getString("agent");
+    const ag = db
+      .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
+      .get(interaction.guildId, agentName, getAgentChannel(interaction.channel).id);
+    if (!ag) {
+      return interaction.reply({
+        content: `Agent "${agentName}" not found in this channel (<#${getAgentChannel(interaction.channel).id}>). Note: Agent name is case-sensitive.`,
+        ephemeral: true
+      });
     }
 
-    if (dbError.code === "SQLITE_CONSTRAINT_UNIQUE") {
-      return interaction.followUp({
-        content: `An agent named "${name}" already exists in <#${channel.id}>. Please choose a different name or channel.`
+    if (sub === "unlink") {
+      const info = db
+        .prepare("DELETE FROM agent_kb_links WHERE agentId=? AND collection=?")
+        .run(ag.id, collection);
+      if (ag.isSourceForLink) syncLinkedClones(ag.id);
+      return interaction.reply({
+        content: info.changes
+          ? `**${ag.name}** no longer uses collection **${collection}**.`
+          : `**${ag.name}** was not linked to collection **${collection}**.`,
+        ephemeral: true
       });
-    } else {
-      console.error(`Database error during agent creation: ${dbError}`);
-      throw dbError;
     }
+
+    db.prepare("INSERT OR IGNORE INTO agent_kb_links (agentId,collection) VALUES (?,?)").run(
+      ag.id,
+      collection
+    );
+    const hybrid = interaction.options.getBoolean("hybrid");
+    if (hybrid !== null) {
+      if (hybrid) {
+        try {
+          getEmbeddingConfig(ag);
+        } catch (e) {
+          return interaction.reply({
+            content: `Linked **${ag.name}** to **${collection}**, but embedding search cannot be enabled: ${e.message} (set one with \`/agent retrieval\`).`,
+            ephemeral: true
+          });
+        }
+      }
+      db.prepare("UPDATE agents SET kbHybridSearch=? WHERE id=?").run(hybrid ? 1 : 0, ag.id);
+      if (hybrid) {
+        indexKbEmbeddings(ag, getLinkedCollections(ag)).catch((e) =>
+          console.warn(`Knowledge base embedding failed for agent ${ag.name}: ${e.message}`)
+        );
+      }
+    }
+    if (ag.isSourceForLink) syncLinkedClones(ag.id);
+    const docCount = db
+      .prepare("SELECT COUNT(*) AS n FROM kb_documents WHERE guildId=? AND collection=?")
+      .get(interaction.guildId, collection).n;
+    return interaction.reply({
+      content:
+        `**${ag.name}** now uses collection **${collection}** (${docCount} document(s)).` +
+        (docCount ? "" : " Upload files to it with `/kb add`."),
+      ephemeral: true
+    });
   }
 }
 
-async function agentList(interaction) {
-  // This is quick, no defer needed.
-  const channel =
-    interaction.options.getChannel("channel") || interaction.channel;
-  const rows = db
-    .prepare("SELECT name FROM agents WHERE guildId=? AND channelId=?")
-    .all(interaction.guildId, channel.id);
-  const text = rows.length
-    ? `Agents in <#${channel.id}>:\n` +
-      rows.map((r) => `- ${r.name}`).join("\n")
-    : `No agents found in <#${channel.id}>.`;
-  return interaction.reply({ content: text, ephemeral: true });
+// --- Semantic retrieval ---
+// Stored messages are embedded through the provider's embeddings endpoint and kept as normalized
+// Float32 vectors in SQLite. Before a completion, the current message is embedded and the most
+// similar older messages that are not already in context get injected after the system prompt.
+// Vectors are keyed by "<provider>/<model>" so different embedders never get compared.
+
+const EMBEDDING_INDEX_MAX_ROWS = 256; // Rows embedded per indexing pass, newest first
+const RETRIEVAL_MAX_CHARS_PER_MESSAGE = 1000;
+
+const indexingChannels = new Set();
+
+// Resolves which provider and model an agent embeds with. Throws an Error with a user-facing
+// message when that is not possible.
+function getEmbeddingConfig(agent) {
+  const providerName = agent.embeddingProvider || agent.providerName;
+  const provider = db
+    .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
+    .get(agent.guildId, providerName);
+  if (!provider) {
+    throw new Error(`Embedding provider "${providerName}" not found.`);
+  }
+  const adapter = getProviderAdapter(provider);
+  if (!adapter.embed) {
+    throw new Error(`${adapter.label} providers do not offer embeddings. Choose another embedding provider.`);
+  }
+  const model = agent.embeddingModel || adapter.defaultEmbeddingModel;
+  if (!model) {
+    throw new Error(`Provider "${provider.name}" needs an explicit embedding model (for Azure OpenAI, the embeddings deployment name).`);
+  }
+  return { provider, adapter, model, key: `${provider.name}/${model}` };
 }
 
-async function agentDelete(interaction) {
-  await interaction.deferReply({ ephemeral: true });
+async function embedTexts(agent, texts) {
+  const { provider, adapter, model } = getEmbeddingConfig(agent);
+  const apiKey = decrypt(provider.encryptedKey, provider.iv, provider.authTag);
+  return embedInBatches((batch) => adapter.embed(provider, apiKey, model, batch), texts);
+}
 
-  const name = interaction.options.getString("name");
-  const channel =
-    interaction.options.getChannel("channel") || interaction.channel;
-  const ag = db
+// Embeds stored messages of the agent's channel (or of one of its threads) that have no vector
+// for its embedder yet. Thread messages are stored under the thread's id.
+async function indexChannelEmbeddings(agent, threadId = null) {
+  const channelId = threadId || agent.channelId;
+  if (indexingChannels.has(channelId)) return;
+  const { key } = getEmbeddingConfig(agent);
+  const rows = db
     .prepare(
-      "SELECT * FROM agents WHERE guildId=? AND channelId=? AND name=?"
+      `SELECT m.id, m.content FROM messages m
+       WHERE m.agentId IN (SELECT id FROM agents WHERE channelId=?) AND m.threadId IS ?
+         AND NOT EXISTS (SELECT 1 FROM message_embeddings e WHERE e.messageId = m.id AND e.model = ?)
+       ORDER BY m.id DESC LIMIT ?`
     )
-    .get(interaction.guildId, channel.id, name);
+    .all(agent.channelId, threadId, key, EMBEDDING_INDEX_MAX_ROWS);
+  if (!rows.length) return;
 
-  if (!ag) {
-    return interaction.followUp({
-      content: `Agent "${name}" not found in <#${channel.id}>.`
-    });
-  }
+  indexingChannels.add(channelId);
   try {
-    await client.deleteWebhook(ag.webhookId, ag.webhookToken);
-  } catch (e) {
-    if (e.code === 10015) {
-      console.warn(
-        `Webhook ${ag.webhookId} for agent ${name} was already deleted from Discord.`
-      );
-    } else {
-      console.warn(
-        `Could not delete webhook ${ag.webhookId} for agent ${name}: ${e.message}`
-      );
+    const vectors = await embedTexts(agent, rows.map((r) => parseStoredMessage(r.content).text));
+    const insert = db.prepare(
+      "INSERT OR REPLACE INTO message_embeddings (messageId,model,channelId,vector) VALUES (?,?,?,?)"
+    );
+    db.transaction(() => {
+      rows.forEach((row, i) => insert.run(row.id, key, channelId, vectorToBlob(vectors[i])));
+    })();
+    if (process.env.verbose === 'true') {
+      console.log(`[VERBOSE] Embedded ${rows.length} message(s) in channel ${channelId} with ${key}.`);
     }
+  } finally {
+    indexingChannels.delete(channelId);
   }
-  db.prepare("DELETE FROM agents WHERE id=?").run(ag.id);
-  return interaction.followUp({
-    content: `Agent **${name}** deleted from <#${channel.id}>.`
-  });
 }
 
-async function agentEdit(interaction) {
-  await interaction.deferReply({ ephemeral: true });
+// Returns up to agent.retrievalTopK stored messages of the channel (or thread) similar to
+// `queryText`, best first, skipping `excludeIds` and anything under the similarity threshold.
+async function retrieveRelevantMessages(agent, queryText, excludeIds, threadId = null) {
+  const { key } = getEmbeddingConfig(agent);
+  const topK = agent.retrievalTopK || 5;
+  const threshold = agent.retrievalThreshold ?? 0.75;
+  const [queryVector] = await embedTexts(agent, [queryText]);
+  const query = normalizeVector(queryVector);
+
+  const candidates = db
+    .prepare("SELECT messageId AS id, vector FROM message_embeddings WHERE channelId=? AND model=?")
+    .iterate(threadId || agent.channelId, key);
+  const best = topSimilar(query, candidates, { topK, threshold, excludeIds });
+
+  const getMessage = db.prepare(
+    `SELECT m.id, m.role, m.content, m.timestamp, a.name AS agentName
+     FROM messages m LEFT JOIN agents a ON m.agentId = a.id WHERE m.id=?`
+  );
+  return best
+    .map((hit) => {
+      const row = getMessage.get(hit.id);
+      if (!row) return null; // Message was deleted after it was embedded
+      const { from, text } = parseStoredMessage(row.content);
+      const speaker = row.role === "assistant" ? row.agentName || "Agent" : from || "User";
+      return {
+        score: hit.score,
+        text: `[${row.timestamp} UTC] ${speaker}: ${text.slice(0, RETRIEVAL_MAX_CHARS_PER_MESSAGE)}`
+      };
+    })
+    .filter(Boolean);
+}
 
-  const name = interaction.options.getString("name");
-  const currentChannel = interaction.channel;
+// --- Rolling channel memory ---
+// Messages that fall out of the context window are condensed into a per-channel summary, which is
+// injected right after the system prompt. `summarizedThroughId` marks the newest message already
+// folded into the summary, so each message is summarized once.
+
+const SUMMARY_MAX_ROWS_PER_PASS = 200;
+const SUMMARY_MAX_CHARS_PER_MESSAGE = 2000;
+const SUMMARIZER_INSTRUCTIONS =
+  "You maintain the long-term memory of a Discord channel where people talk with AI agents. " +
+  "Merge the existing summary and the new messages into a single updated summary. Keep who said what " +
+  "when it matters, facts people shared about themselves, decisions, promises and open questions. " +
+  "Drop greetings and small talk. Write plain prose or short bullet points, at most about 300 words. " +
+  "Reply with the summary only.";
+
+const summarizingChannels = new Set();
+
+// Splits a stored `<msg from="X">text</msg>` row into its speaker and text.
+function parseStoredMessage(content) {
+  const match = content.match(/^<msg(?:\s+from="([^"]*)")?[^>]*>([\s\S]*?)<\/msg>$/);
+  return match ? { from: match[1] || null, text: match[2] } : { from: null, text: content };
+}
 
-  // Fetch the agent being edited
-  const ag = db
-    .prepare("SELECT * FROM agents WHERE guildId=? AND name=? AND channelId=?")
-    .get(interaction.guildId, name, currentChannel.id);
+function getChannelSummary(channelId) {
+  return db.prepare("SELECT * FROM channel_summaries WHERE channelId=?").get(channelId);
+}
 
-  if (!ag) {
-    return interaction.followUp({
-      content: `Agent "${name}" not found in this channel (<#${currentChannel.id}>). Note: Agent name is case-sensitive.`
-    });
+// Runs a completion for an agent (with its provider chain and parameters), logs its usage and
+// returns the text, with any <think> blocks removed.
+async function collectCompletionText(agent, messages, purpose = "summary") {
+  const completion = await openAgentCompletionStream(agent, messages);
+  let text = "";
+  let usage = null;
+  for await (const event of completion.adapter.streamEvents(completion.response)) {
+    if (event.type === "text") text += event.text;
+    else if (event.type === "usage") usage = event;
   }
+  recordUsage({ agent, completion, usage, messages, outputText: text, purpose });
+  return text.replace(/<think>[\s\S]*?<\/think>/g, "").trim();
+}
 
-  const modelOption = interaction.options.getString("model");
-  const finalModel = modelOption !== null ? modelOption : ag.model;
+// Folds messages older than `oldestContextRowId` into the channel summary once enough of them
+// have piled up since the last pass. Threads keep their own summary, stored under the thread's id.
+async function maybeSummarizeChannel(agent, oldestContextRowId, guildSettings, threadId = null) {
+  const threshold = guildSettings.summaryThreshold ?? 20;
+  const channelId = threadId || agent.channelId;
+  if (!threshold || !oldestContextRowId || summarizingChannels.has(channelId)) return;
 
-  const providerOption = interaction.options.getString("provider");
-  let finalProviderName = ag.providerName;
+  const existing = getChannelSummary(channelId);
+  const summarizedThroughId = existing ? existing.summarizedThroughId : 0;
+  const rows = db
+    .prepare(
+      `SELECT m.id, m.role, m.content, a.name AS agentName
+       FROM messages m
+       LEFT JOIN agents a ON m.agentId = a.id
+       WHERE m.agentId IN (SELECT id FROM agents WHERE channelId=?) AND m.threadId IS ?
+         AND m.id > ? AND m.id < ?
+       ORDER BY m.id ASC LIMIT ?`
+    )
+    .all(agent.channelId, threadId, summarizedThroughId, oldestContextRowId, SUMMARY_MAX_ROWS_PER_PASS);
+  if (rows.length < threshold) return;
 
-  if (providerOption !== null) {
-    const pr = db
-      .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
-      .get(interaction.guildId, providerOption);
-    if (!pr) {
-      return interaction.followUp({
-        content: `Provider "${providerOption}" not found.`
-      });
+  let summarizer = agent;
+  if (guildSettings.summarizerAgentId) {
+    summarizer =
+      db.prepare("SELECT * FROM agents WHERE id=?").get(guildSettings.summarizerAgentId) || agent;
+  }
+
+  summarizingChannels.add(channelId);
+  try {
+    const transcript = rows
+      .map((row) => {
+        const { from, text } = parseStoredMessage(row.content);
+        const speaker = row.role === "assistant" ? row.agentName || "Agent" : from || "User";
+        return `${speaker}: ${text.slice(0, SUMMARY_MAX_CHARS_PER_MESSAGE)}`;
+      })
+      .join("\n");
+    const summary = await collectCompletionText(summarizer, [
+      { role: "system", content: SUMMARIZER_INSTRUCTIONS },
+      {
+        role: "user",
+        content:
+          `Existing summary:\n${existing?.summary || "(none yet)"}\n\n` +
+          `New messages:\n${transcript}`
+      }
+    ]);
+    if (!summary) {
+      console.warn(`Summarizer ${summarizer.name} returned nothing for channel ${channelId}.`);
+      return;
     }
-    finalProviderName = providerOption;
+    db.prepare(
+      `INSERT INTO channel_summaries (channelId,guildId,summary,summarizedThroughId,updatedAt)
+       VALUES (?,?,?,?,CURRENT_TIMESTAMP)
+       ON CONFLICT(channelId) DO UPDATE SET
+         summary=excluded.summary,
+         summarizedThroughId=excluded.summarizedThroughId,
+         updatedAt=excluded.updatedAt`
+    ).run(channelId, agent.guildId, summary, rows[rows.length - 1].id);
+    console.log(
+      `Summarized ${rows.length} message(s) in channel ${channelId} using agent ${summarizer.name}.`
+    );
+  } finally {
+    summarizingChannels.delete(channelId);
   }
+}
 
-  const multimodalOption = interaction.options.getBoolean("multimodal");
-  const finalMultimodal =
-    multimodalOption !== null ? (multimodalOption ? 1 : 0) : ag.multimodal;
+// --- Message handling & streaming chat ---
+client.on("messageCreate", async (message) => {
+  if (message.author.bot || !message.guild) return;
 
-  const sysPromptAtt = interaction.options.getAttachment("sysprompt");
-  let finalSystemPrompt = ag.systemPrompt;
-  if (sysPromptAtt) {
-    const fileName =
-      sysPromptAtt.name || sysPromptAtt.url.split("?")[0].split("/").pop();
-    const ext = path.extname(fileName).toLowerCase();
-    if (ext !== ".md" && ext !== ".txt") {
-      return interaction.followUp({
-        content: "System prompt must be a .md or .txt file."
+  // --- /chat sessions: everything said in a session thread goes to its agent ---
+  if (message.channel.isThread()) {
+    const session = db
+      .prepare("SELECT agentId FROM chat_sessions WHERE threadId=?")
+      .get(message.channel.id);
+    if (session) {
+      const sessionAgent = db.prepare("SELECT * FROM agents WHERE id=?").get(session.agentId);
+      if (!sessionAgent || !(message.content.trim() || message.attachments.size > 0)) return;
+      if (!canChatWithAgent(message.member, sessionAgent)) {
+        await replyChatDenied(message, sessionAgent);
+        return;
+      }
+      const limitMessage = checkLimits(message.guild.id, sessionAgent, message.author.id);
+      if (limitMessage) {
+        await replyLimitReached(message, limitMessage);
+        return;
+      }
+      enqueueReply(sessionAgent, message.channel.id, {
+        messageIds: [message.id],
+        content: message.content,
+        solo: true
       });
+      return;
     }
+  }
+
+  // --- Auto-reply ("yap") logic ---
+  // handleYapMessage will now return a Set of agent IDs it's actively handling for this message event.
+  const yappingAgentIds = await handleYapMessage(message);
+
+  // --- Standard agent mention/reply logic ---
+  // In a thread or forum post, the agents of the parent channel answer.
+  const agentChannel = getAgentChannel(message.channel);
+  if (!agentChannel) return;
+  const agents = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?")
+    .all(message.guild.id, agentChannel.id);
+  if (!agents.length) return; // No agents configured for this specific channel for direct replies/mentions
+
+  let agent = null; // Agent for direct reply/mention
+  let addressedExplicitly = false; // Reply or @Name prefix, as opposed to a bare-word match
+  if (message.reference?.messageId) {
     try {
-      const spRes = await fetch(sysPromptAtt.url);
-      if (!spRes.ok) {
-        return interaction.followUp({
-          content: `Failed to fetch new system prompt from ${sysPromptAtt.url}: ${spRes.status} ${spRes.statusText}`
-        });
+      const orig = await message.channel.messages.fetch(
+        message.reference.messageId
+      );
+      if (orig.webhookId) {
+        agent = agents.find((a) => a.webhookId === orig.webhookId);
+        addressedExplicitly = Boolean(agent);
       }
-      finalSystemPrompt = await spRes.text();
     } catch (e) {
-      console.error(`Error fetching new system prompt: ${e}`);
-      return interaction.followUp({
-        content: `Error fetching new system prompt. Please ensure the link is accessible. (${e.message})`
-      });
+      // console.warn(`Could not fetch original message for reply: ${e.message}`);
+    }
+  }
+  if (!agent) {
+    const mentionMatch = message.content.match(/^@([^\s@]+)\b/i);
+    if (mentionMatch) {
+      const candidateName = mentionMatch[1];
+      agent = agents.find(
+        (a) => a.name.toLowerCase() === candidateName.toLowerCase()
+      );
+      if (agent) {
+        addressedExplicitly = true;
+        message.content = message.content
+          .substring(mentionMatch[0].length)
+          .trim();
+      }
+    }
+  }
+  if (!agent) {
+    for (const a of agents) {
+      const regex = new RegExp(`\\b${a.name}\\b`, "i");
+      if (regex.test(message.content)) {
+        agent = a;
+        break;
+      }
     }
   }
+  if (!agent && agentChannel.type === ChannelType.GuildForum) {
+    agent = agents.find((a) => a.forumAutoReply);
+  }
+  if (!agent) return;
 
-  const avatarAtt = interaction.options.getAttachment("avatar");
-  let finalAvatarMimeType = ag.avatarMimeType;
-  let finalAvatarData = ag.avatarData;
-  let finalAvatarDataUri = undefined;
+  // If the identified agent is already being handled by yap for this message, don't trigger a standard reply.
+  if (yappingAgentIds.has(agent.id)) {
+    console.log(`[INFO] Agent ${agent.name} is being handled by YAP for this message. Skipping standard mention/reply.`);
+    return;
+  }
 
-  if (avatarAtt) { // New avatar provided
-    try {
-      const response = await fetch(avatarAtt.url);
-      if (!response.ok) {
-        console.warn(`Failed to fetch new avatar for edit from ${avatarAtt.url}: ${response.status} ${response.statusText}.`);
-        // Keep existing avatar if fetch fails
-        if (ag.avatarData && ag.avatarMimeType) {
-          finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
-        }
-      } else {
-        const imageBuffer = await response.arrayBuffer();
-        finalAvatarData = Buffer.from(imageBuffer).toString("base64");
-        finalAvatarMimeType = avatarAtt.contentType;
-        if (!finalAvatarMimeType || !finalAvatarMimeType.startsWith("image/")) {
-          console.warn(`Invalid new avatar MIME type: ${finalAvatarMimeType}. Keeping old avatar.`);
-          finalAvatarData = ag.avatarData; // Revert to old data
-          finalAvatarMimeType = ag.avatarMimeType; // Revert to old mime type
-          if (ag.avatarData && ag.avatarMimeType) {
-            finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
-          }
-        } else {
-          finalAvatarDataUri = `data:${finalAvatarMimeType};base64,${finalAvatarData}`;
-        }
-      }
+  if (!message.content.trim() && !message.attachments.size > 0) {
+    return;
+  }
+  if (!canChatWithAgent(message.member, agent)) {
+    // Bare-word matches happen in ordinary conversation, so only explicit attempts get an answer.
+    if (addressedExplicitly) await replyChatDenied(message, agent);
+    return;
+  }
+  const limitMessage = checkLimits(message.guild.id, agent, message.author.id);
+  if (limitMessage) {
+    await replyLimitReached(message, limitMessage);
+    return;
+  }
+  // Agents in thread mode move a conversation started in the channel into its own thread.
+  // Only opening the thread falls back to an inline reply; the reply itself is never retried inline.
+  let thread = null;
+  if (agent.threadMode === "thread" && !message.channel.isThread()) {
+    try {
+      thread = await message.startThread({
+        name: `${agent.name}: ${message.content.trim() || message.author.username}`.slice(0, 100)
+      });
     } catch (e) {
-      console.error(`Error fetching or processing new avatar for edit: ${e}. Keeping old avatar.`);
-      finalAvatarData = ag.avatarData;
-      finalAvatarMimeType = ag.avatarMimeType;
-      if (ag.avatarData && ag.avatarMimeType) {
-        finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
-      }
-    }
-  } else { // No new avatar provided, use existing if available
-    if (ag.avatarData && ag.avatarMimeType) {
-      finalAvatarDataUri = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
+      console.warn(`Could not open a thread for agent ${agent.name}, replying inline: ${e.message}`);
     }
   }
+  if (thread) {
+    enqueueReply(agent, thread.id, {
+      messageIds: [message.id],
+      sourceChannelId: message.channel.id,
+      content: message.content
+    });
+  } else {
+    enqueueReply(agent, message.channel.id, { messageIds: [message.id], content: message.content });
+  }
+});
 
+// Tells a member they may not chat with an agent. Message replies can't be ephemeral, so the
+// notice deletes itself after a short while.
+async function replyChatDenied(message, agent) {
   try {
-    const wh = await client.fetchWebhook(ag.webhookId, ag.webhookToken);
-    // Use ag.name because agent name cannot be changed with /agent edit for now
-    // Only avatar might change here for the webhook itself.
-    await wh.edit({ name: ag.name, avatar: finalAvatarDataUri });
+    const notice = await message.reply({
+      content: `You don't have permission to chat with **${agent.name}**. Ask a server admin to grant you \`${chatCapability(agent.name)}\`.`,
+      allowedMentions: { repliedUser: false }
+    });
+    setTimeout(() => notice.delete().catch(() => {}), 15000);
   } catch (e) {
-    console.warn(
-      `Could not edit webhook for agent ${ag.name} (ID: ${ag.webhookId}). It might have been deleted or token changed. Error: ${e.message}. You may need to use /agent refresh.`
-    );
+    console.warn(`Could not send permission notice in channel ${message.channel.id}: ${e.message}`);
   }
+}
+
+async function replyLimitReached(message, limitMessage) {
+  await message
+    .reply({ content: limitMessage, allowedMentions: { repliedUser: false } })
+    .catch((e) => console.warn(`Could not send limit notice in channel ${message.channel.id}: ${e.message}`));
+}
+
+// --- Yap bursts ---
+// Messages in a channel with yapping agents are collected into a burst, a pending yap job. Once the
+// channel has been quiet for the shortest debounce of its yapping agents, one agent answers the
+// whole burst: an agent named in it if there is one, otherwise one that passes its cooldown,
+// probability and gates.
+const yapLastReplyAt = new Map(); // Key: "agentId_channelId", Value: time of the agent's last auto-reply
+const YAP_DEFAULT_DEBOUNCE_MS = 3000;
+const YAP_CLASSIFIER_PROMPT_CHARS = 1500; // Of the agent's system prompt, to describe its persona
+
+// A gate is either /regex/flags or comma-separated keywords matched as whole words.
+function parseYapPattern(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+  const keywords = pattern
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean)
+    .map((k) => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`(?<!\\w)(?:${keywords.join("|")})(?!\\w)`, "i");
+}
 
+// Cheap "should I respond?" completion, on the classifier model if one is set.
+async function yapClassifierSaysYes(agent, config, text) {
+  const classifierAgent = {
+    ...agent,
+    model: config.classifierModel || agent.model,
+    fallbacks: config.classifierModel ? null : agent.fallbacks,
+    maxTokens: 5,
+    temperature: 0,
+    reasoningEffort: null,
+    extraBody: null
+  };
+  const persona = (agent.systemPrompt || "").slice(0, YAP_CLASSIFIER_PROMPT_CHARS);
   try {
-    // Update the primary agent
-    // The avatarURL column might still exist in older DBs but is no longer updated.
-    db.prepare(
-      `UPDATE agents SET
-       model=?, providerName=?, multimodal=?, systemPrompt=?, 
-       avatarMimeType=?, avatarData=?
-       WHERE id=?`
-    ).run(
-      finalModel,
-      finalProviderName,
-      finalMultimodal,
-      finalSystemPrompt,
-      finalAvatarMimeType, // new
-      finalAvatarData,     // new
-      ag.id
+    const answer = await collectCompletionText(
+      classifierAgent,
+      [
+        {
+          role: "system",
+          content:
+            `You decide whether ${agent.name}, a participant in a Discord channel, should reply to the latest messages. ` +
+            `Say YES only if the messages are addressed to ${agent.name}, ask something it can help with, or clearly invite its input. ` +
+            `Answer with only YES or NO.\n\n${agent.name}'s instructions:\n${persona}`
+        },
+        { role: "user", content: text }
+      ],
+      "yap-classifier"
     );
+    return /^\W*yes\b/i.test(answer);
+  } catch (e) {
+    console.warn(`[YAP] Classifier for agent ${agent.name} failed, not replying: ${e.message}`);
+    return false;
+  }
+}
 
-    let updateMessage = `Agent **${ag.name}** in <#${currentChannel.id}> updated.`;
-
-    // If this agent is a source for linked clones, propagate relevant changes
-    if (ag.isSourceForLink) {
-      const linkedClones = db.prepare("SELECT * FROM agents WHERE linkedToAgentId = ?").all(ag.id);
-      let propagatedCount = 0;
-      for (const clone of linkedClones) {
-        try {
-          // Propagate only specific fields. Name, channel, webhook details remain unique to the clone.
-          db.prepare(
-            `UPDATE agents SET
-             model=?, providerName=?, multimodal=?, systemPrompt=?, 
-             avatarMimeType=?, avatarData=?
-             WHERE id=?`
-          ).run(
-            finalModel,            // from edited source
-            finalProviderName,     // from edited source
-            finalMultimodal,       // from edited source
-            finalSystemPrompt,     // from edited source
-            finalAvatarMimeType,   // new, from edited source
-            finalAvatarData,       // new, from edited source
-            clone.id
-          );
+// Picks the agent that answers a burst. Returns { agent, messages } (the messages it may see) or null.
+async function pickYapAgent(channelId, bufferedMessages) {
+  const configs = db
+    .prepare("SELECT * FROM yap_settings WHERE channelId = ? AND isEnabled = 1")
+    .all(channelId);
+  const named = [];
+  const candidates = [];
+  for (const config of configs) {
+    const agent = db.prepare("SELECT * FROM agents WHERE id = ?").get(config.agentId);
+    if (!agent) continue;
+    // Members who may not chat with the agent don't feed its auto-replies.
+    const messages = bufferedMessages.filter((m) => canChatWithAgent(m.member, agent));
+    if (!messages.length) continue;
+    const text = messages.map((m) => m.content).join("\n");
+    const entry = { agent, config, messages, text };
+    if (new RegExp(`\\b${agent.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(text)) {
+      named.push(entry);
+      continue;
+    }
+    const lastReplyAt = yapLastReplyAt.get(`${agent.id}_${channelId}`) || 0;
+    if (Date.now() - lastReplyAt < config.cooldownSeconds * 1000) continue;
+    if (Math.random() >= config.probability) continue;
+    if (config.gatePattern && !parseYapPattern(config.gatePattern).test(text)) continue;
+    candidates.push(entry);
+  }
+  if (named.length) return named[Math.floor(Math.random() * named.length)];
 
-          // Attempt to update the clone's webhook avatar (name remains clone's name)
-          // Construct data URI for the clone's webhook
-          let cloneAvatarDataUri = undefined;
-          if (finalAvatarData && finalAvatarMimeType) {
-            cloneAvatarDataUri = `data:${finalAvatarMimeType};base64,${finalAvatarData}`;
-          }
-          try {
-            const cloneWebhook = await client.fetchWebhook(clone.webhookId, clone.webhookToken);
-            await cloneWebhook.edit({ name: clone.name, avatar: cloneAvatarDataUri });
-          } catch (whError) {
-            console.warn(`Could not edit webhook for linked clone ${clone.name} (ID: ${clone.id}). Error: ${whError.message}`);
-          }
-          propagatedCount++;
-        } catch (cloneDbError) {
-          console.error(`Failed to update linked clone ${clone.name} (ID: ${clone.id}) in database: ${cloneDbError}`);
-        }
-      }
-      if (propagatedCount > 0) {
-        updateMessage += `\nChanges also propagated to ${propagatedCount} linked clone(s).`;
-      }
+  // Random turn order, so agents with the same settings take turns.
+  for (let i = candidates.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+  for (const entry of candidates) {
+    if (!entry.config.classifierEnabled || (await yapClassifierSaysYes(entry.agent, entry.config, entry.text))) {
+      return entry;
     }
-    return interaction.followUp({ content: updateMessage });
+  }
+  return null;
+}
 
-  } catch (dbError) {
-    console.error(`Failed to update agent in database: ${dbError}`);
-    return interaction.followUp({
-      content: `An error occurred while updating agent data in the database. (${dbError.message})`
-    });
+async function runYapJob(job, payload) {
+  const channel = await client.channels.fetch(job.channelId).catch(() => null);
+  const bufferedMessages = channel ? await fetchJobMessages(channel, payload.messageIds) : [];
+  if (!bufferedMessages.length) return;
+
+  const picked = await pickYapAgent(job.channelId, bufferedMessages);
+  if (!picked) {
+    console.log(`[YAP] No yapping agent chose to answer ${bufferedMessages.length} message(s) in channel ${job.channelId}.`);
+    return;
   }
+  const { agent, messages } = picked;
+
+  const limitMessage = checkLimits(job.guildId, agent, messages[0].author.id);
+  if (limitMessage) {
+    // Nobody asked for an auto-reply, so the limit is only logged.
+    console.log(`[YAP] Auto-reply for agent ${agent.name} in channel ${job.channelId} skipped: ${limitMessage}`);
+    return;
+  }
+  yapLastReplyAt.set(`${agent.id}_${job.channelId}`, Date.now());
+
+  console.log(
+    `[YAP] Queueing auto-reply for agent ${agent.name} in channel ${job.channelId} with ${messages.length} buffered message(s).`
+  );
+  enqueueReply(agent, job.channelId, { messageIds: messages.map((m) => m.id) });
 }
 
-async function agentRefresh(interaction) {
-  await interaction.deferReply({ ephemeral: true });
+async function handleYapMessage(message) {
+  if (!message.guild || !message.guildId || !message.channel || !message.channel.id) return new Set();
 
-  const name = interaction.options.getString("name");
-  const channel = interaction.channel;
+  const yappingAgentIdsThisEvent = new Set(); // Keep track of agents handled by yap in this specific message event
 
-  const ag = db
+  const yapConfigs = db
     .prepare(
-      "SELECT * FROM agents WHERE guildId=? AND channelId=? AND name=?"
+      "SELECT agentId, debounceMs FROM yap_settings WHERE channelId = ? AND isEnabled = 1"
     )
-    .get(interaction.guildId, channel.id, name);
+    .all(message.channel.id);
 
-  if (!ag) {
-    return interaction.followUp({
-      content: `Agent "${name}" not found in this channel.`
+  if (yapConfigs.length === 0) return yappingAgentIdsThisEvent;
+
+  let debounceMs = Infinity;
+  for (const config of yapConfigs) {
+    const yapAgent = db.prepare("SELECT * FROM agents WHERE id = ?").get(config.agentId);
+    // Members who may not chat with the agent don't feed its auto-replies.
+    if (!yapAgent || !canChatWithAgent(message.member, yapAgent)) continue;
+    yappingAgentIdsThisEvent.add(config.agentId); // Mark this agent as being handled by yap for this message event
+    debounceMs = Math.min(debounceMs, config.debounceMs ?? YAP_DEFAULT_DEBOUNCE_MS);
+  }
+  if (!yappingAgentIdsThisEvent.size) return yappingAgentIdsThisEvent;
+
+  // Join the channel's waiting burst and push it back; a burst already being answered is left alone.
+  const burst = db
+    .prepare("SELECT id, payload FROM jobs WHERE type='yap' AND channelId=? AND status='pending'")
+    .get(message.channel.id);
+  if (burst) {
+    const payload = JSON.parse(burst.payload);
+    payload.messageIds.push(message.id);
+    db.prepare("UPDATE jobs SET payload=?, runAt=? WHERE id=?").run(
+      JSON.stringify(payload),
+      Date.now() + debounceMs,
+      burst.id
+    );
+    pumpJobQueue();
+  } else {
+    enqueueJob({
+      type: "yap",
+      guildId: message.guild.id,
+      channelId: message.channel.id,
+      payload: { messageIds: [message.id] },
+      delayMs: debounceMs
     });
   }
+  return yappingAgentIdsThisEvent;
+}
 
-  try {
-    await client.deleteWebhook(ag.webhookId, ag.webhookToken);
-    console.log(
-      `Old webhook ${ag.webhookId} for agent ${name} deleted during refresh.`
-    );
-  } catch (e) {
-    if (e.code === 10015) {
-      console.warn(
-        `Old webhook ${ag.webhookId} for agent ${name} was already deleted from Discord.`
-      );
-    } else {
-      console.warn(
-        `Could not delete old webhook ${ag.webhookId} for agent ${name} during refresh: ${e.message}. It might have been manually deleted or token changed.`
-      );
+// --- Job queue ---
+// Replies to members, yap bursts, agent-to-agent turns and group sessions are stored as jobs and run
+// from here, so a restart picks up where the bot left off. Jobs for the same agent in the same
+// channel (and bursts or session steps of the same channel) run one at a time, in order; failed jobs are retried with backoff
+// and end up in dead_jobs after the last attempt.
+// A positive integer from the environment, or the fallback when it's unset or not a number.
+function positiveIntFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 1 ? value : fallback;
+}
+
+const JOB_CONCURRENCY = positiveIntFromEnv("JOB_CONCURRENCY", 2);
+const JOB_MAX_ATTEMPTS = positiveIntFromEnv("JOB_MAX_ATTEMPTS", 3);
+const JOB_RETRY_BASE_DELAY_MS = 5000;
+const JOB_KEY_POLL_MS = 250;
+const DEAD_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const activeJobKeys = new Set(); // Keys of running jobs and interaction runs
+let runningJobCount = 0;
+let jobQueueStarted = false; // Jobs wait until the client is ready
+let jobQueueTimer = null; // Wakes the queue for the next delayed job
+
+function jobKey(job) {
+  return job.type === "reply" ? `${job.agentId}:${job.channelId}` : `${job.type}:${job.channelId}`;
+}
+
+// payload of a reply job:
+//   messageIds, sourceChannelId - member messages to answer (combined when there are several) and
+//                                 their channel, when it isn't the one replied in (thread mode)
+//   content                     - replaces the message text, e.g. with an @Name prefix removed
+//   fromAgentId, depth          - an agent-to-agent turn answering `content` by that agent
+//   solo                        - a /chat session, where the agent doesn't see the channel's others
+//   scheduleId, scheduledBy     - a scheduled prompt (`content`) and the member who scheduled it
+//   userRowId                   - the stored user message, once a first attempt has saved it
+//   replyRowIds                 - reply messages already posted and stored; such a job isn't run again
+function enqueueJob({ type, guildId, channelId, agentId = null, payload, delayMs = 0 }) {
+  const { lastInsertRowid } = db
+    .prepare("INSERT INTO jobs (type,guildId,channelId,agentId,payload,runAt) VALUES (?,?,?,?,?,?)")
+    .run(type, guildId, channelId, agentId, JSON.stringify(payload), Date.now() + delayMs);
+  pumpJobQueue();
+  return lastInsertRowid;
+}
+
+function enqueueReply(agent, channelId, payload) {
+  return enqueueJob({ type: "reply", guildId: agent.guildId, channelId, agentId: agent.id, payload });
+}
+
+// Saves a job's progress in its payload as the run stores messages, so a retry reuses the stored
+// user message and a job that already posted part of its reply isn't run again.
+function jobProgress(job, payload) {
+  const save = () => db.prepare("UPDATE jobs SET payload=? WHERE id=?").run(JSON.stringify(payload), job.id);
+  return {
+    onUserRowStored(id) {
+      payload.userRowId = id;
+      save();
+    },
+    onReplyStored(id) {
+      (payload.replyRowIds ||= []).push(id);
+      save();
+    }
+  };
+}
+
+function isPartlyAnswered(payload) {
+  return Boolean(payload.replyRowIds && payload.replyRowIds.length);
+}
+
+function startJobQueue() {
+  // Jobs that were running when the bot stopped start over, unless they had posted part of a reply.
+  for (const job of db.prepare("SELECT * FROM jobs WHERE status='running'").all()) {
+    const payload = JSON.parse(job.payload);
+    if (isPartlyAnswered(payload)) {
+      deadLetterJob(job, payload, job.attempts, new Error("the bot restarted while it was answering."));
     }
   }
+  const { changes } = db.prepare("UPDATE jobs SET status='pending' WHERE status='running'").run();
+  const { count } = db.prepare("SELECT COUNT(*) AS count FROM jobs").get();
+  if (count) console.log(`Resuming ${count} queued job(s) (${changes} interrupted).`);
+  jobQueueStarted = true;
+  pumpJobQueue();
+}
 
-  let newWebhook;
-  let avatarDataUriForRefresh = undefined;
-  if (ag.avatarData && ag.avatarMimeType) {
-    avatarDataUriForRefresh = `data:${ag.avatarMimeType};base64,${ag.avatarData}`;
+// Starts every due job whose key is free, up to the concurrency, and sets a timer for the next
+// delayed one. Runs again whenever a job is added or finishes.
+function pumpJobQueue() {
+  if (!jobQueueStarted) return;
+  clearTimeout(jobQueueTimer);
+  jobQueueTimer = null;
+  const now = Date.now();
+  const pending = db.prepare("SELECT * FROM jobs WHERE status='pending' ORDER BY runAt, id").all();
+  for (const job of pending) {
+    if (job.runAt > now) {
+      jobQueueTimer = setTimeout(pumpJobQueue, job.runAt - now);
+      break;
+    }
+    if (runningJobCount >= JOB_CONCURRENCY) break;
+    if (activeJobKeys.has(jobKey(job))) continue;
+    runJob(job);
   }
+}
 
+async function runJob(job) {
+  const key = jobKey(job);
+  activeJobKeys.add(key);
+  runningJobCount++;
+  db.prepare("UPDATE jobs SET status='running', attempts=attempts+1 WHERE id=?").run(job.id);
+  const attempts = job.attempts + 1;
+  const payload = JSON.parse(job.payload);
   try {
-    newWebhook = await channel.createWebhook({
-      name: ag.name,
-      avatar: avatarDataUriForRefresh
-    });
+    await JOB_HANDLERS[job.type](job, payload);
+    db.prepare("DELETE FROM jobs WHERE id=?").run(job.id);
   } catch (e) {
-    console.error(`Failed to create new webhook for agent ${ag.name} during refresh: ${e}`);
-    let errorMessage = `Failed to create new webhook for agent **${ag.name}**. Discord Error: ${e.message}`;
-    if (e.code === 50013) {
-      errorMessage = `Failed to create new webhook for **${ag.name}**: I'm missing permissions in this channel. Please ensure I have 'Manage Webhooks' permission.`;
+    // Running it again would post the part of the reply that went out a second time.
+    if (attempts < JOB_MAX_ATTEMPTS && !isPartlyAnswered(payload)) {
+      const delay = JOB_RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+      console.warn(`Job ${job.id} (${job.type}) failed, retrying in ${delay / 1000}s: ${e.message}`);
+      db.prepare("UPDATE jobs SET status='pending', runAt=?, lastError=?, payload=? WHERE id=?").run(
+        Date.now() + delay,
+        e.message,
+        JSON.stringify(payload),
+        job.id
+      );
+    } else {
+      console.error(`Job ${job.id} (${job.type}) failed after ${attempts} attempt(s): ${e.message}`);
+      deadLetterJob(job, payload, attempts, e);
     }
-    return interaction.followUp({ content: errorMessage });
+  } finally {
+    activeJobKeys.delete(key);
+    runningJobCount--;
+    pumpJobQueue();
   }
+}
 
+function deadLetterJob(job, payload, attempts, error) {
+  const now = Date.now();
   db.prepare(
-    "UPDATE agents SET webhookId=?, webhookToken=? WHERE id=?"
-  ).run(newWebhook.id, newWebhook.token, ag.id);
+    `INSERT INTO dead_jobs (id,type,guildId,channelId,agentId,payload,attempts,lastError,createdAt,failedAt)
+     VALUES (?,?,?,?,?,?,?,?,?,?)`
+  ).run(job.id, job.type, job.guildId, job.channelId, job.agentId, JSON.stringify(payload), attempts, error.message, job.createdAt, now);
+  db.prepare("DELETE FROM jobs WHERE id=?").run(job.id);
+  db.prepare("DELETE FROM dead_jobs WHERE failedAt < ?").run(now - DEAD_JOB_RETENTION_MS);
+
+  let notice;
+  if (job.type === "reply") {
+    const agent = db.prepare("SELECT name FROM agents WHERE id=?").get(job.agentId);
+    notice = `**${agent?.name || "An agent"}** couldn't ${isPartlyAnswered(payload) ? "finish answering" : "answer"}: ${error.message}`;
+  } else if (job.type === "session") {
+    db.prepare("UPDATE group_sessions SET status='stopped' WHERE id=?").run(payload.sessionId);
+    notice = `The session stopped: ${error.message}`;
+  } else {
+    return;
+  }
+  client.channels
+    .fetch(job.channelId)
+    .then((channel) => channel.send(notice.substring(0, 1900)))
+    .catch((e) => console.warn(`Could not report failed job ${job.id}: ${e.message}`));
+}
 
-  return interaction.followUp({
-    content: `Agent **${name}** webhook refreshed successfully in this channel.`
-  });
+// /ask and the reply buttons are tied to their interaction and can't be queued, but they still
+// wait for queued work with the same key.
+async function runWithJobKey(key, fn) {
+  while (activeJobKeys.has(key)) await sleep(JOB_KEY_POLL_MS);
+  activeJobKeys.add(key);
+  try {
+    return await fn();
+  } finally {
+    activeJobKeys.delete(key);
+    pumpJobQueue();
+  }
 }
 
-// --- /provider commands ---
-async function handleProviderCmd(interaction) {
-  // These are quick, no defer needed.
-  const sub = interaction.options.getSubcommand();
-  if (sub === "add") {
-    const name = interaction.options.getString("name");
-    const url = interaction.options.getString("url");
-    const key = interaction.options.getString("key");
-    const { iv, encrypted, authTag } = encrypt(key);
-    try {
-      db.prepare(
-        `INSERT INTO providers
-         (guildId,name,url,encryptedKey,iv,authTag)
-         VALUES (?,?,?,?,?,?)`
-      ).run(interaction.guildId, name, url, encrypted, iv, authTag);
-    } catch (e) {
-      if (e.code === "SQLITE_CONSTRAINT_UNIQUE") {
-        return interaction.reply({
-          content: `Provider "${name}" already exists in this server.`,
-          ephemeral: true
-        });
-      }
-      throw e;
-    }
-    return interaction.reply({
-      content: `Provider **${name}** added.`,
-      ephemeral: true
-    });
-  } else if (sub === "delete") {
-    const name = interaction.options.getString("name");
-    const info = db
-      .prepare("DELETE FROM providers WHERE guildId=? AND name=?")
-      .run(interaction.guildId, name);
-    if (!info.changes) {
-      return interaction.reply({
-        content: `Provider "${name}" not found in this server.`,
-        ephemeral: true
-      });
-    }
-    return interaction.reply({
-      content: `Provider **${name}** deleted.`,
-      ephemeral: true
-    });
-  } else if (sub === "list") {
-    const rows = db
-      .prepare("SELECT name, url FROM providers WHERE guildId=? ORDER BY name")
-      .all(interaction.guildId);
-    if (!rows.length) {
-      return interaction.reply({
-        content: "No providers configured for this server. Add one with `/provider add`.",
-        ephemeral: true
-      });
+// Fetches the messages a job refers to; ones deleted since are skipped.
+async function fetchJobMessages(channel, messageIds) {
+  const messages = [];
+  for (const id of messageIds) {
+    const message = await channel.messages.fetch(id).catch(() => null);
+    if (message) messages.push(message);
+  }
+  return messages;
+}
+
+// One message for agentLoop from several, or from one answered in another channel: the text joined,
+// up to Discord's 10 attachments, and the first message's author.
+function combineMessages(messages, channel, content) {
+  const firstMessage = messages[0];
+  const attachments = new Map();
+  for (const msg of messages) {
+    for (const att of msg.attachments.values()) {
+      if (attachments.size < 10) attachments.set(att.id, att);
     }
-    const providerList = rows
-      .map((p) => `- **${p.name}**: ${p.url}`)
-      .join("\n");
-    return interaction.reply({
-      content: `Configured providers for this server:\n${providerList}`,
-      ephemeral: true
-    });
   }
+  return {
+    guild: firstMessage.guild,
+    channel,
+    channelId: channel.id,
+    author: firstMessage.author,
+    member: firstMessage.member,
+    content: content ?? messages.map((msg) => msg.content).join("\n\n").trim(),
+    attachments,
+    reference: null,
+    agentId: null,
+    guildId: firstMessage.guild.id,
+    mentions: firstMessage.mentions
+  };
+}
+
+// Rebuilds the message a reply job answers. Returns null when there's nothing left to answer.
+async function buildJobMessage(job, payload) {
+  const guild = client.guilds.cache.get(job.guildId);
+  const channel = await client.channels.fetch(job.channelId).catch(() => null);
+  if (!guild || !channel) return null;
+  if (payload.scheduleId) {
+    return {
+      guild,
+      channel,
+      channelId: channel.id,
+      author: { id: payload.scheduledBy, username: "Scheduled prompt" },
+      content: payload.content,
+      attachments: new Map(),
+      reference: null,
+      agentId: null,
+      guildId: guild.id
+    };
+  }
+  if (payload.fromAgentId) {
+    const fromAgent = db.prepare("SELECT name FROM agents WHERE id=?").get(payload.fromAgentId);
+    return {
+      guild,
+      channel,
+      channelId: channel.id,
+      author: { username: fromAgent?.name || "PreviousAgent", bot: true },
+      content: payload.content,
+      attachments: new Map(),
+      reference: null,
+      agentId: payload.fromAgentId,
+      guildId: guild.id
+    };
+  }
+  const sourceChannel =
+    payload.sourceChannelId && payload.sourceChannelId !== channel.id
+      ? await client.channels.fetch(payload.sourceChannelId).catch(() => null)
+      : channel;
+  if (!sourceChannel) return null;
+  const messages = await fetchJobMessages(sourceChannel, payload.messageIds);
+  if (!messages.length) return null;
+  if (messages.length === 1 && sourceChannel === channel) {
+    if (payload.content !== undefined) messages[0].content = payload.content;
+    return messages[0];
+  }
+  return combineMessages(messages, channel, payload.content);
 }
 
-// --- /contextwindow ---
-async function handleContextWindow(interaction) {
-  // Quick, no defer.
-  const size = interaction.options.getInteger("size");
-  db.prepare(
-    `INSERT INTO guildSettings (guildId,contextWindow)
-     VALUES (?,?)
-     ON CONFLICT(guildId) DO UPDATE SET
-       contextWindow=excluded.contextWindow`
-  ).run(interaction.guildId, size);
-  return interaction.reply({
-    content: `Context window set to ${size} messages.`,
-    ephemeral: true
+async function runReplyJob(job, payload) {
+  const agent = db.prepare("SELECT * FROM agents WHERE id=?").get(job.agentId);
+  const message = agent && (await buildJobMessage(job, payload));
+  if (!message) {
+    console.log(`Dropping job ${job.id}: its agent, channel or messages no longer exist.`);
+    return;
+  }
+  const agents = payload.solo
+    ? [agent]
+    : db.prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?").all(agent.guildId, agent.channelId);
+  await agentLoop(message, agent, agents, payload.depth || 0, {
+    userRowId: payload.userRowId,
+    throwOnFailure: true,
+    ...jobProgress(job, payload)
   });
 }
 
-// --- /clearcontext ---
-async function handleClearContext(interaction) {
-  // Quick, no defer.
-  const channel =
-    interaction.options.getChannel("channel") || interaction.channel;
-  const info = db
+const JOB_HANDLERS = {
+  yap: runYapJob,
+  reply: runReplyJob,
+  session: runSessionJob
+};
+
+// --- /queue command ---
+async function handleQueueCmd(interaction) {
+  const guildId = interaction.guildId;
+  const agentName = (id) => db.prepare("SELECT name FROM agents WHERE id=?").get(id)?.name || "deleted agent";
+  const jobLabels = { yap: "yap burst", session: "session turn" };
+  const describeJob = (job) =>
+    `\`#${job.id}\` ${jobLabels[job.type] || `**${agentName(job.agentId)}**`} in <#${job.channelId}>`;
+
+  const jobs = db.prepare("SELECT * FROM jobs WHERE guildId=? ORDER BY runAt, id").all(guildId);
+  const dead = db
+    .prepare("SELECT * FROM dead_jobs WHERE guildId=? ORDER BY failedAt DESC LIMIT 10")
+    .all(guildId);
+  const lines = [`**Job queue** (${JOB_CONCURRENCY} at a time, up to ${JOB_MAX_ATTEMPTS} attempts)`];
+
+  const running = jobs.filter((j) => j.status === "running").length;
+  lines.push(`\n**Pending:** ${jobs.length}${running ? ` (${running} running)` : ""}`);
+  for (const job of jobs.slice(0, 10)) {
+    let status = "running";
+    if (job.status === "pending") {
+      status = job.runAt > Date.now() ? `starts <t:${Math.ceil(job.runAt / 1000)}:R>` : "waiting";
+    }
+    const retry = job.lastError ? ` · attempt ${job.attempts + 1}, last error: ${job.lastError.substring(0, 150)}` : "";
+    lines.push(`- ${describeJob(job)} · ${status}${retry}`);
+  }
+  if (jobs.length > 10) lines.push(`…and ${jobs.length - 10} more`);
+
+  lines.push(`\n**Failed** (latest 10, kept for 7 days): ${dead.length ? "" : "none"}`);
+  for (const job of dead) {
+    lines.push(
+      `- ${describeJob(job)} · <t:${Math.floor(job.failedAt / 1000)}:R> after ${job.attempts} attempt(s): ${(job.lastError || "").substring(0, 150)}`
+    );
+  }
+
+  return interaction.reply({ content: lines.join("\n").substring(0, 2000), ephemeral: true });
+}
+
+// --- /session command: group conversations ---
+// A session runs a conversation among chosen agents of a channel, one queued turn at a time:
+// round-robin for a number of turns, a debate that a judge agent settles with a verdict, or a
+// discussion where a moderator agent picks who speaks next. It ends with a summary.
+const SESSION_MODE_LABELS = {
+  "round-robin": "round-robin",
+  debate: "debate",
+  moderator: "moderated discussion"
+};
+const SESSION_TURN_DELAY_MS = 1500; // Pause between turns, so members can follow along
+const SESSION_MAX_TURNS = 50;
+const SESSION_ACTIVE_STATUSES = ["running", "paused", "stopping"];
+const SESSION_SUMMARY_INSTRUCTIONS =
+  "Summarize this group discussion for the channel in a few short paragraphs or bullet points: " +
+  "the main points each participant made, where they agreed or disagreed, and any conclusion " +
+  "or verdict. Reply with the summary only.";
+
+function getActiveSession(channelId) {
+  return db
     .prepare(
-      `
-      DELETE FROM messages
-      WHERE agentId IN
-      (SELECT id FROM agents WHERE channelId=?)
-    `
+      `SELECT * FROM group_sessions WHERE channelId=? AND status IN (${SESSION_ACTIVE_STATUSES.map(() => "?").join(",")})`
     )
-    .run(channel.id);
-  return interaction.reply({
-    content: `Cleared ${info.changes} messages from context in <#${channel.id}>.`,
-    ephemeral: true
-  });
+    .get(channelId, ...SESSION_ACTIVE_STATUSES);
 }
 
-// utility to split text into chunks under maxLen, splitting at line breaks
-function splitMessage(text, maxLen = 1900) {
-  const lines = text.split("\n");
-  const chunks = [];
-  let buf = "";
-  for (const line of lines) {
-    if (buf.length + line.length + 1 > maxLen) {
-      chunks.push(buf);
-      buf = "";
-    }
-    buf += (buf ? "\n" : "") + line;
-  }
-  if (buf) chunks.push(buf);
-  return chunks;
+function formatNameList(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names.join("");
 }
 
-// --- /models command (with chunking) ---
-async function handleModels(interaction) {
-  await interaction.deferReply({ ephemeral: true });
+// Queues the session's next step. The commands only queue one when no step is waiting or running;
+// a running step queues its successor itself.
+function queueSessionStep(session, delayMs = 0, force = false) {
+  const queued = db.prepare("SELECT 1 FROM jobs WHERE type='session' AND channelId=?").get(session.channelId);
+  if (queued && !force) return;
+  enqueueJob({
+    type: "session",
+    guildId: session.guildId,
+    channelId: session.channelId,
+    payload: { sessionId: session.id },
+    delayMs
+  });
+}
 
-  const provided = interaction.options.getString("provider");
-  let pr;
+// Everything said in the session's channel since it started, as "Name: text" lines.
+function sessionTranscript(session, agentChannelId) {
+  return db
+    .prepare(
+      `SELECT m.role, m.content, a.name AS agentName
+       FROM messages m
+       LEFT JOIN agents a ON m.agentId = a.id
+       WHERE m.agentId IN (SELECT id FROM agents WHERE channelId=?) AND m.threadId IS ? AND m.id >= ?
+       ORDER BY m.id ASC LIMIT ?`
+    )
+    .all(agentChannelId, session.threadId, session.topicRowId, SUMMARY_MAX_ROWS_PER_PASS)
+    .map((row) => {
+      const { from, text } = parseStoredMessage(row.content);
+      const speaker = row.role === "assistant" ? row.agentName || "Agent" : from || "User";
+      return `${speaker}: ${text.slice(0, SUMMARY_MAX_CHARS_PER_MESSAGE)}`;
+    })
+    .join("\n");
+}
 
-  if (provided) {
-    pr = db
-      .prepare(
-        `SELECT * FROM providers
-         WHERE guildId = ?
-           AND LOWER(name) = LOWER(?)`
-      )
-      .get(interaction.guildId, provided);
-    if (!pr) {
-      return interaction.followUp({
-        content: `Provider "${provided}" not found.`
-      });
-    }
-  } else {
-    pr = db
-      .prepare(`SELECT * FROM providers WHERE guildId = ? ORDER BY id LIMIT 1`)
-      .get(interaction.guildId);
-    if (!pr) {
-      return interaction.followUp({
+// Asks the moderator who speaks next. Returns { agent, note } or null when it ends the discussion.
+async function pickModeratedSpeaker(session, participants, moderator) {
+  const names = participants.map((a) => a.name);
+  const answer = await collectCompletionText(
+    moderator,
+    [
+      {
+        role: "system",
         content:
-          "No providers configured for this server. Add one with `/provider add`."
-      });
+          `You moderate a discussion between ${formatNameList(names)}. Decide who should speak next. ` +
+          "Answer with only that participant's name, optionally followed by a colon and a short " +
+          "instruction for them, or DONE if the discussion has reached a good conclusion."
+      },
+      {
+        role: "user",
+        content: `Topic: ${session.topic}\n\nConversation so far:\n${sessionTranscript(session, moderator.channelId) || "(nothing yet)"}`
+      }
+    ],
+    "session"
+  );
+  if (/^\W*done\b/i.test(answer)) return null;
+  const [choice, ...rest] = answer.split(":");
+  const agent =
+    participants.find((a) => a.name.toLowerCase() === choice.trim().replace(/[*_`]/g, "").toLowerCase()) ||
+    participants.find((a) => new RegExp(`\\b${a.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`, "i").test(answer));
+  if (agent) return { agent, note: rest.join(":").trim() };
+  // An answer that names nobody passes the word to the next participant in order.
+  const last = participants.findIndex((a) => a.id === session.lastSpeakerId);
+  return { agent: participants[(last + 1) % participants.length], note: "" };
+}
+
+function sessionTurnPrompt(session, speaker, participants, lead, note) {
+  const others = formatNameList(participants.filter((a) => a.id !== speaker.id).map((a) => a.name));
+  const turn = session.turnsTaken + 1;
+  if (session.mode === "debate") {
+    const round = Math.floor(session.turnsTaken / participants.length) + 1;
+    const rounds = Math.ceil(session.maxTurns / participants.length);
+    return (
+      `[Debate, round ${round} of ${rounds}] You are debating ${others} on: ${session.topic}\n` +
+      `${lead ? `${lead.name} will judge the debate. ` : ""}Make your case and rebut the previous arguments.`
+    );
+  }
+  if (session.mode === "moderator") {
+    return (
+      `[Moderated discussion, turn ${turn} of at most ${session.maxTurns}] Topic: ${session.topic}\n` +
+      `The moderator, ${lead.name}, gives you the floor${note ? `: ${note}` : "."}`
+    );
+  }
+  return (
+    `[Group discussion, turn ${turn} of ${session.maxTurns}] You are talking with ${others} about: ${session.topic}\n` +
+    "Respond to what the others said and add something new."
+  );
+}
+
+// Runs one agent's turn as an ordinary reply to the session's stored topic, with `prompt` sent in
+// place of it.
+async function runSessionTurn(session, channel, agent, prompt, progress = {}) {
+  const author =
+    (await client.users.fetch(session.startedBy).catch(() => null)) || { id: session.startedBy, username: "Session" };
+  const message = {
+    guild: channel.guild,
+    channel,
+    channelId: channel.id,
+    author,
+    content: prompt,
+    attachments: new Map(),
+    reference: null,
+    agentId: null,
+    guildId: channel.guild.id
+  };
+  const channelAgents = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?")
+    .all(agent.guildId, agent.channelId);
+  await runWithJobKey(`${agent.id}:${channel.id}`, () =>
+    agentLoop(message, agent, channelAgents, 0, {
+      userRowId: session.topicRowId,
+      prompt,
+      throwOnFailure: true,
+      noAgentMentions: true,
+      ...progress
+    })
+  );
+}
+
+// The judge's verdict (for a debate that ran its course) and the summary.
+async function finishSession(session, channel, participants, lead, completed) {
+  if (completed && session.mode === "debate" && lead) {
+    const limitMessage = checkLimits(session.guildId, lead, session.startedBy);
+    if (limitMessage) {
+      await channel.send(`No verdict from **${lead.name}**: ${limitMessage}`).catch(console.warn);
+    } else {
+      await runSessionTurn(
+        session,
+        channel,
+        lead,
+        `The debate between ${formatNameList(participants.map((a) => a.name))} on "${session.topic}" is over. ` +
+          "As the judge, weigh the arguments above and give your verdict: who made the stronger case, and why."
+      );
     }
   }
 
-  let apiKey;
+  const guildSettings = db.prepare("SELECT summarizerAgentId FROM guildSettings WHERE guildId=?").get(session.guildId);
+  const summarizer =
+    lead ||
+    (guildSettings?.summarizerAgentId && db.prepare("SELECT * FROM agents WHERE id=?").get(guildSettings.summarizerAgentId)) ||
+    participants[0];
+  const header = `**Session summary** (${SESSION_MODE_LABELS[session.mode]}, ${session.turnsTaken} turn(s)${completed ? "" : ", stopped early"})`;
   try {
-    apiKey = decrypt(pr.encryptedKey, pr.iv, pr.authTag);
+    const summary = await collectCompletionText(summarizer, [
+      { role: "system", content: SESSION_SUMMARY_INSTRUCTIONS },
+      { role: "user", content: `Topic: ${session.topic}\n\nTranscript:\n${sessionTranscript(session, summarizer.channelId)}` }
+    ]);
+    for (const chunk of splitMessage(`${header}\n${summary || "(nothing to summarize)"}`, 2000)) {
+      await channel.send(chunk);
+    }
   } catch (e) {
-    console.error(`Decryption error for provider ${pr.name}: ${e.message}`);
-    return interaction.followUp({
-      content: `Could not decrypt API key for provider "${pr.name}". Please re-add the provider.`
-    });
+    console.warn(`Could not summarize session ${session.id}: ${e.message}`);
+    await channel.send(`${header}\nCouldn't write a summary: ${e.message}`.substring(0, 2000)).catch(console.warn);
   }
+  db.prepare("UPDATE group_sessions SET status=? WHERE id=?").run(completed ? "finished" : "stopped", session.id);
+}
 
-  let modelsUrl;
-  try {
-    const u = new URL(pr.url);
-    if (/\/models\/?$/.test(u.pathname)) {
-      modelsUrl = u.toString();
-    } else if (/\/(?:chat\/)?completions\/?$/.test(u.pathname)) {
-      u.pathname = u.pathname.replace(
-        /\/(?:chat\/)?completions\/?$/,
-        "/models"
-      );
-      modelsUrl = u.toString();
-    } else {
-      u.pathname = u.pathname.replace(/\/$/, "") + "/models";
-      modelsUrl = u.toString();
-    }
-  } catch {
-    return interaction.followUp({
-      content: `Invalid provider URL format: ${pr.url}`
-    });
+async function runSessionJob(job, payload) {
+  const session = db.prepare("SELECT * FROM group_sessions WHERE id=?").get(payload.sessionId);
+  if (!session || !["running", "stopping"].includes(session.status)) return;
+  const channel = await client.channels.fetch(session.channelId).catch(() => null);
+  const participants = JSON.parse(session.agentIds)
+    .map((id) => db.prepare("SELECT * FROM agents WHERE id=?").get(id))
+    .filter(Boolean);
+  const lead = session.leadAgentId ? db.prepare("SELECT * FROM agents WHERE id=?").get(session.leadAgentId) : null;
+  if (!channel || participants.length < 2 || (session.mode === "moderator" && !lead)) {
+    console.log(`Ending session ${session.id}: its channel or agents no longer exist.`);
+    db.prepare("UPDATE group_sessions SET status='stopped' WHERE id=?").run(session.id);
+    return;
   }
 
-  let res;
-  try {
-    res = await fetch(modelsUrl, {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
+  if (session.status === "stopping") return finishSession(session, channel, participants, lead, false);
+  if (session.turnsTaken >= session.maxTurns) return finishSession(session, channel, participants, lead, true);
+
+  let speaker = participants[session.turnsTaken % participants.length];
+  let note = "";
+  if (session.mode === "moderator") {
+    const pick = await pickModeratedSpeaker(session, participants, lead);
+    if (!pick) return finishSession(session, channel, participants, lead, true);
+    ({ agent: speaker, note } = pick);
+  }
+
+  const limitMessage = checkLimits(session.guildId, speaker, session.startedBy);
+  if (limitMessage) {
+    db.prepare("UPDATE group_sessions SET status='paused' WHERE id=?").run(session.id);
+    await channel.send(`Session paused before **${speaker.name}**'s turn: ${limitMessage} Use \`/session resume\` to continue.`);
+    return;
+  }
+
+  await runSessionTurn(
+    session,
+    channel,
+    speaker,
+    sessionTurnPrompt(session, speaker, participants, lead, note),
+    jobProgress(job, payload)
+  );
+  db.prepare("UPDATE group_sessions SET turnsTaken=turnsTaken+1, lastSpeakerId=? WHERE id=?").run(speaker.id, session.id);
+  queueSessionStep(session, SESSION_TURN_DELAY_MS, true);
+}
+
+async function handleSessionCmd(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const active = getActiveSession(interaction.channelId);
+
+  if (sub === "start") {
+    if (active) {
+      return interaction.reply({
+        content: "A session is already going on in this channel. Use `/session stop` to end it first.",
+        ephemeral: true
+      });
+    }
+    const mode = interaction.options.getString("mode") || "round-robin";
+    const topic = interaction.options.getString("topic");
+    const leadName = interaction.options.getString("lead");
+    const agentChannel = getAgentChannel(interaction.channel);
+    const channelAgents = db
+      .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?")
+      .all(interaction.guildId, agentChannel.id);
+    const findAgent = (name) => channelAgents.find((a) => a.name.toLowerCase() === name.toLowerCase());
+
+    const participants = [];
+    for (const name of interaction.options.getString("agents").split(",").map((n) => n.trim()).filter(Boolean)) {
+      const agent = findAgent(name);
+      if (!agent) {
+        return interaction.reply({ content: `Agent "${name}" not found in <#${agentChannel.id}>.`, ephemeral: true });
       }
-    });
-  } catch (e) {
-    console.error(`Network error fetching models from ${pr.name}: ${e}`);
-    return interaction.followUp({
-      content: `Network error fetching models from "${pr.name}": ${e.message}`
+      if (!participants.includes(agent)) participants.push(agent);
+    }
+    if (participants.length < 2) {
+      return interaction.reply({ content: "A session needs at least two different agents.", ephemeral: true });
+    }
+    let lead = null;
+    if (mode !== "round-robin") {
+      if (!leadName) {
+        return interaction.reply({
+          content: `A ${SESSION_MODE_LABELS[mode]} needs a \`lead\` agent (the ${mode === "debate" ? "judge" : "moderator"}).`,
+          ephemeral: true
+        });
+      }
+      lead = findAgent(leadName);
+      if (!lead) {
+        return interaction.reply({ content: `Agent "${leadName}" not found in <#${agentChannel.id}>.`, ephemeral: true });
+      }
+      if (mode === "debate" && participants.includes(lead)) {
+        return interaction.reply({ content: "The judge can't also take part in the debate.", ephemeral: true });
+      }
+    }
+    const denied = [...participants, ...(lead ? [lead] : [])].find((a) => !canChatWithAgent(interaction.member, a));
+    if (denied) {
+      return interaction.reply({
+        content: `You don't have permission to chat with **${denied.name}**. Ask a server admin to grant you \`${chatCapability(denied.name)}\`.`,
+        ephemeral: true
+      });
+    }
+
+    const maxTurns = interaction.options.getInteger("turns") || (mode === "moderator" ? 6 : participants.length * 2);
+    const names = formatNameList(participants.map((a) => `**${a.name}**`));
+    const threadId = interaction.channel.isThread() ? interaction.channelId : null;
+    const topicRowId = db
+      .prepare("INSERT INTO messages (agentId,role,content,author,threadId) VALUES (?,?,?,?,?)")
+      .run(
+        participants[0].id,
+        "user",
+        `<msg from="${interaction.user.username}">Group session (${SESSION_MODE_LABELS[mode]}) with ${formatNameList(participants.map((a) => a.name))}. Topic: ${topic}</msg>`,
+        interaction.user.username,
+        threadId
+      ).lastInsertRowid;
+    const { lastInsertRowid } = db
+      .prepare(
+        `INSERT INTO group_sessions (guildId,channelId,threadId,mode,topic,agentIds,leadAgentId,maxTurns,topicRowId,startedBy)
+         VALUES (?,?,?,?,?,?,?,?,?,?)`
+      )
+      .run(
+        interaction.guildId,
+        interaction.channelId,
+        threadId,
+        mode,
+        topic,
+        JSON.stringify(participants.map((a) => a.id)),
+        lead ? lead.id : null,
+        maxTurns,
+        topicRowId,
+        interaction.user.id
+      );
+    queueSessionStep(db.prepare("SELECT * FROM group_sessions WHERE id=?").get(lastInsertRowid));
+
+    const leadText = lead ? `, ${mode === "debate" ? "judged" : "moderated"} by **${lead.name}**` : "";
+    return interaction.reply({
+      content:
+        `**Session started**: ${SESSION_MODE_LABELS[mode]} between ${names}${leadText}, ` +
+        `${mode === "moderator" ? "up to " : ""}${maxTurns} turn(s).\nTopic: ${topic}\n` +
+        "-# `/session pause`, `/session resume` and `/session stop` control it."
     });
   }
 
-  if (res.status === 404) {
-    return interaction.followUp({
-      content: `Provider "${pr.name}" does not have a /models endpoint (received 404 Not Found).`
+  if (!active) {
+    return interaction.reply({ content: "No session is going on in this channel.", ephemeral: true });
+  }
+  if (sub === "status") {
+    const participants = JSON.parse(active.agentIds).map(
+      (id) => db.prepare("SELECT name FROM agents WHERE id=?").get(id)?.name || "deleted agent"
+    );
+    const lead = active.leadAgentId && db.prepare("SELECT name FROM agents WHERE id=?").get(active.leadAgentId);
+    return interaction.reply({
+      content:
+        `**Session** (${SESSION_MODE_LABELS[active.mode]}, ${active.status}): ${formatNameList(participants)}` +
+        `${lead ? `, led by ${lead.name}` : ""}\nTopic: ${active.topic}\n` +
+        `Turns: ${active.turnsTaken} of ${active.mode === "moderator" ? "at most " : ""}${active.maxTurns}, started by <@${active.startedBy}>`,
+      ephemeral: true
     });
   }
-  if (!res.ok) {
-    return interaction.followUp({
-      content: `Error fetching models from "${pr.name}": ${res.status} ${res.statusText}`
+  if (active.startedBy !== interaction.user.id && !memberHasCapability(interaction.member, "change-settings")) {
+    return interaction.reply({
+      content: `Only <@${active.startedBy}>, who started this session, or members with \`change-settings\` can control it.`,
+      ephemeral: true
     });
   }
 
-  let payload;
-  try {
-    payload = await res.json();
-  } catch {
-    return interaction.followUp({
-      content: `Received invalid JSON response from "${pr.name}" /models endpoint.`
-    });
+  if (sub === "pause") {
+    if (active.status !== "running") {
+      return interaction.reply({ content: `The session is already ${active.status}.`, ephemeral: true });
+    }
+    db.prepare("UPDATE group_sessions SET status='paused' WHERE id=?").run(active.id);
+    return interaction.reply({ content: "Session paused after the current turn. `/session resume` picks it up again." });
+  }
+  if (sub === "resume") {
+    if (active.status !== "paused") {
+      return interaction.reply({ content: `The session is ${active.status}, not paused.`, ephemeral: true });
+    }
+    db.prepare("UPDATE group_sessions SET status='running' WHERE id=?").run(active.id);
+    queueSessionStep(active);
+    return interaction.reply({ content: "Session resumed." });
   }
+  if (sub === "stop") {
+    if (active.status === "stopping") {
+      return interaction.reply({ content: "The session is already stopping.", ephemeral: true });
+    }
+    db.prepare("UPDATE group_sessions SET status='stopping' WHERE id=?").run(active.id);
+    queueSessionStep(active);
+    return interaction.reply({ content: "Stopping the session after the current turn; a summary follows." });
+  }
+}
 
-  const modelList = (payload.data || [])
-    .map((m) => m.id || m.name)
-    .filter(Boolean);
+// --- /schedule command: scheduled prompts ---
+// Schedules have an agent answer a fixed prompt on a cron schedule, evaluated in the server's
+// timezone. Each schedule stores its next run, so the timer below is rebuilt from the database after
+// a restart; the answers themselves go through the job queue.
+const SCHEDULE_CATCH_UP_MS = 60 * 60 * 1000; // Runs missed by up to this while offline still happen
+const SCHEDULE_MAX_TIMER_MS = 60 * 60 * 1000; // The timer is re-armed at least this often
+const SCHEDULE_MAX_PER_GUILD = 25;
 
-  const listText =
-    modelList.length > 0
-      ? modelList.join("\n")
-      : "(No models listed by provider)";
-  const header = `Models from **${pr.name}**:`;
-  const fullMessage = header + "\n" + listText;
-  const chunks = splitMessage(fullMessage, 1900);
+let scheduleTimer = null;
 
-  await interaction.followUp({ content: chunks[0] });
-  for (let i = 1; i < chunks.length; i++) {
-    await interaction.followUp({ content: chunks[i] });
-  }
+function getGuildTimeZone(guildId) {
+  return db.prepare("SELECT timezone FROM guildSettings WHERE guildId=?").get(guildId)?.timezone || "UTC";
 }
 
-// --- Message handling & streaming chat ---
-client.on("messageCreate", async (message) => {
-  if (message.author.bot || !message.guild) return;
+function nextScheduleRun(schedule, after = Date.now()) {
+  return nextCronRun(parseCron(schedule.cron), after, getGuildTimeZone(schedule.guildId));
+}
 
-  // --- Auto-reply ("yap") logic ---
-  // handleYapMessage will now return a Set of agent IDs it's actively handling for this message event.
-  const yappingAgentIds = await handleYapMessage(message);
+// Stores a schedule's next run. A schedule whose cron or timezone can't be computed is paused
+// instead, so one bad row can't stop the scheduler. Returns false if it was paused.
+function advanceSchedule(schedule, after, lastRunAt = schedule.lastRunAt) {
+  try {
+    db.prepare("UPDATE schedules SET lastRunAt=?, nextRunAt=? WHERE id=?").run(
+      lastRunAt ?? null,
+      nextScheduleRun(schedule, after),
+      schedule.id
+    );
+    return true;
+  } catch (e) {
+    console.error(`Schedule #${schedule.id} (\`${schedule.cron}\`) paused, its next run failed: ${e.message}`);
+    db.prepare("UPDATE schedules SET isPaused=1, nextRunAt=NULL WHERE id=?").run(schedule.id);
+    return false;
+  }
+}
 
-  // --- Standard agent mention/reply logic ---
-  const agents = db
-    .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?")
-    .all(message.guild.id, message.channel.id);
-  if (!agents.length) return; // No agents configured for this specific channel for direct replies/mentions
+// Recomputes the next run of a server's active schedules, e.g. after its timezone changed.
+function rescheduleGuild(guildId) {
+  for (const schedule of db.prepare("SELECT * FROM schedules WHERE guildId=? AND isPaused=0").all(guildId)) {
+    advanceSchedule(schedule, Date.now());
+  }
+  runDueSchedules();
+}
 
-  let agent = null; // Agent for direct reply/mention
-  if (message.reference?.messageId) {
+function startScheduler() {
+  // Runs missed while the bot was offline happen now if they're recent, and are skipped otherwise.
+  const now = Date.now();
+  const missed = db
+    .prepare("SELECT * FROM schedules WHERE isPaused=0 AND nextRunAt < ?")
+    .all(now - SCHEDULE_CATCH_UP_MS);
+  for (const schedule of missed) {
+    advanceSchedule(schedule, now);
+  }
+  runDueSchedules();
+}
+
+// Queues the prompts of every due schedule and arms the timer for the next one.
+function runDueSchedules() {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  const now = Date.now();
+  for (const schedule of db.prepare("SELECT * FROM schedules WHERE isPaused=0 AND nextRunAt <= ?").all(now)) {
+    if (!advanceSchedule(schedule, now, now)) continue;
     try {
-      const orig = await message.channel.messages.fetch(
-        message.reference.messageId
-      );
-      if (orig.webhookId) {
-        agent = agents.find((a) => a.webhookId === orig.webhookId);
+      const agent = db.prepare("SELECT * FROM agents WHERE id=?").get(schedule.agentId);
+      const limitMessage = agent && checkLimits(schedule.guildId, agent, schedule.createdBy);
+      if (!agent || limitMessage) {
+        console.log(`Scheduled prompt #${schedule.id} skipped: ${limitMessage || "its agent no longer exists"}`);
+        continue;
       }
+      enqueueReply(agent, schedule.channelId, {
+        scheduleId: schedule.id,
+        scheduledBy: schedule.createdBy,
+        content: schedule.prompt
+      });
     } catch (e) {
-      // console.warn(`Could not fetch original message for reply: ${e.message}`);
-    }
-  }
-  if (!agent) {
-    const mentionMatch = message.content.match(/^@([^\s@]+)\b/i);
-    if (mentionMatch) {
-      const candidateName = mentionMatch[1];
-      agent = agents.find(
-        (a) => a.name.toLowerCase() === candidateName.toLowerCase()
-      );
-      if (agent) {
-        message.content = message.content
-          .substring(mentionMatch[0].length)
-          .trim();
-      }
+      console.error(`Scheduled prompt #${schedule.id} failed to queue: ${e.message}`);
     }
   }
-  if (!agent) {
-    for (const a of agents) {
-      const regex = new RegExp(`\\b${a.name}\\b`, "i");
-      if (regex.test(message.content)) {
-        agent = a;
-        break;
-      }
-    }
+  const { nextRunAt } = db.prepare("SELECT MIN(nextRunAt) AS nextRunAt FROM schedules WHERE isPaused=0").get();
+  if (nextRunAt !== null) {
+    scheduleTimer = setTimeout(runDueSchedules, Math.min(Math.max(nextRunAt - Date.now(), 0), SCHEDULE_MAX_TIMER_MS));
   }
-  if (!agent) return;
+}
 
-  // If the identified agent is already being handled by yap for this message, don't trigger a standard reply.
-  if (yappingAgentIds.has(agent.id)) {
-    console.log(`[INFO] Agent ${agent.name} is being handled by YAP for this message. Skipping standard mention/reply.`);
-    return;
+function formatSchedule(schedule) {
+  const agent = db.prepare("SELECT name FROM agents WHERE id=?").get(schedule.agentId);
+  const when =
+    schedule.isPaused ? "paused" : schedule.nextRunAt ? `next <t:${Math.floor(schedule.nextRunAt / 1000)}:R>` : "never runs";
+  const prompt = schedule.prompt.length > 80 ? schedule.prompt.slice(0, 77) + "..." : schedule.prompt;
+  return `\`#${schedule.id}\` **${agent?.name || "deleted agent"}** in <#${schedule.channelId}> · \`${schedule.cron}\` · ${when}\n> ${prompt.replace(/\n/g, " ")}`;
+}
+
+async function handleScheduleCmd(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  const timeZone = getGuildTimeZone(guildId);
+
+  if (sub === "add") {
+    const agentName = interaction.options.getString("agent");
+    const cronText = interaction.options.getString("cron").trim();
+    const prompt = interaction.options.getString("prompt");
+    const channel = interaction.options.getChannel("channel") || interaction.channel;
+    const agentChannel = getAgentChannel(channel);
+    const agent =
+      agentChannel &&
+      db
+        .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=? AND name=? COLLATE NOCASE")
+        .get(guildId, agentChannel.id, agentName);
+    if (!agent) {
+      return interaction.reply({
+        content: `Agent "${agentName}" not found in <#${agentChannel ? agentChannel.id : channel.id}>. Agents post in their own channel and its threads.`,
+        ephemeral: true
+      });
+    }
+    if (!canChatWithAgent(interaction.member, agent)) {
+      return interaction.reply({
+        content: `You don't have permission to chat with **${agent.name}**. Ask a server admin to grant you \`${chatCapability(agent.name)}\`.`,
+        ephemeral: true
+      });
+    }
+    const { count } = db.prepare("SELECT COUNT(*) AS count FROM schedules WHERE guildId=?").get(guildId);
+    if (count >= SCHEDULE_MAX_PER_GUILD) {
+      return interaction.reply({
+        content: `This server already has ${count} schedules, the most allowed. Remove one first.`,
+        ephemeral: true
+      });
+    }
+    let nextRunAt;
+    try {
+      nextRunAt = nextCronRun(parseCron(cronText), Date.now(), timeZone);
+    } catch (e) {
+      return interaction.reply({ content: `Invalid cron expression: ${e.message}`, ephemeral: true });
+    }
+    if (nextRunAt === null) {
+      return interaction.reply({ content: `\`${cronText}\` never matches a date, so it would never run.`, ephemeral: true });
+    }
+    const { lastInsertRowid } = db
+      .prepare(
+        "INSERT INTO schedules (guildId,agentId,channelId,cron,prompt,nextRunAt,createdBy) VALUES (?,?,?,?,?,?,?)"
+      )
+      .run(guildId, agent.id, channel.id, cronText, prompt, nextRunAt, interaction.user.id);
+    runDueSchedules();
+    return interaction.reply({
+      content: `Scheduled \`#${lastInsertRowid}\`: **${agent.name}** answers in <#${channel.id}> on \`${cronText}\` (${timeZone}), first <t:${Math.floor(nextRunAt / 1000)}:F>.`,
+      ephemeral: true
+    });
   }
 
-  if (!message.content.trim() && !message.attachments.size > 0) {
-    return;
+  if (sub === "list") {
+    const schedules = db.prepare("SELECT * FROM schedules WHERE guildId=? ORDER BY id").all(guildId);
+    if (!schedules.length) {
+      return interaction.reply({ content: "No schedules in this server. Add one with `/schedule add`.", ephemeral: true });
+    }
+    const content = `**Schedules** (timezone ${timeZone})\n${schedules.map(formatSchedule).join("\n")}`;
+    return interaction.reply({ content: content.substring(0, 2000), ephemeral: true });
   }
-  const allAgentsInChannel = agents; // These are agents in the current channel
-  await agentLoop(message, agent, allAgentsInChannel, 0);
-});
-
-// --- Yap Timers and Message Buffers ---
-const yapTimers = new Map(); // Key: "agentId_channelId", Value: { timerId: NodeJS.Timeout, messageBuffer: Message[] }
 
-async function triggerYapReply(agentId, channelId, guildId) {
-  const key = `${agentId}_${channelId}`;
-  const yapState = yapTimers.get(key);
-
-  if (!yapState || yapState.messageBuffer.length === 0) {
-    yapTimers.delete(key);
-    return;
+  if (sub === "timezone") {
+    const zone = interaction.options.getString("zone");
+    if (!zone) {
+      return interaction.reply({ content: `Schedules run in **${timeZone}**.`, ephemeral: true });
+    }
+    if (!isValidTimeZone(zone)) {
+      return interaction.reply({
+        content: `"${zone}" isn't a timezone. Use an IANA name such as Europe/Berlin or America/New_York.`,
+        ephemeral: true
+      });
+    }
+    db.prepare(
+      `INSERT INTO guildSettings (guildId,timezone)
+       VALUES (?,?)
+       ON CONFLICT(guildId) DO UPDATE SET
+         timezone=excluded.timezone`
+    ).run(guildId, zone);
+    rescheduleGuild(guildId);
+    return interaction.reply({ content: `Schedules now run in **${zone}**.`, ephemeral: true });
   }
 
-  const bufferedMessages = [...yapState.messageBuffer]; // Copy buffer
-  yapState.messageBuffer = []; // Clear buffer for next batch
-  yapTimers.delete(key); // Remove timer entry, new one will be set if new messages arrive
-
-  const agent = db.prepare("SELECT * FROM agents WHERE id = ?").get(agentId);
-  if (!agent) {
-    console.error(`[YAP] Agent with ID ${agentId} not found for auto-reply.`);
-    return;
+  const id = interaction.options.getInteger("id");
+  const schedule = db.prepare("SELECT * FROM schedules WHERE id=? AND guildId=?").get(id, guildId);
+  if (!schedule) {
+    return interaction.reply({ content: `No schedule \`#${id}\` in this server.`, ephemeral: true });
   }
-
-  const allAgentsInChannel = db
-    .prepare("SELECT * FROM agents WHERE guildId = ? AND channelId = ?")
-    .all(guildId, channelId);
-
-  // Construct a single "message" from the buffered messages
-  // For simplicity, concatenate content and use the first message's metadata.
-  // Attachments could be more complex to merge; for now, we'll focus on text.
-  const firstMessage = bufferedMessages[0];
-  let combinedContent = bufferedMessages
-    .map((msg) => msg.content)
-    .join("\n\n");
-  
-  // Add a note about the auto-reply context if desired
-  // combinedContent = `(Auto-replying to recent activity):\n${combinedContent}`;
-
-  const constructedMessage = {
-    guild: firstMessage.guild,
-    channel: firstMessage.channel,
-    channelId: channelId,
-    author: firstMessage.author, // The author of the first message in the batch
-    content: combinedContent.trim(),
-    attachments: new Map(), // Simplification: not merging attachments for now
-    reference: null,
-    agentId: null, // This is an auto-reply, not from another agent directly
-    guildId: guildId,
-    // Add any other properties agentLoop might expect from a Message object
-    // For example, if agentLoop uses message.mentions, etc.
-    mentions: firstMessage.mentions, // Carry over mentions from the first message
-  };
-
-  // Collect attachments from all buffered messages
-  const allAttachments = new Map();
-  let attachmentCount = 0;
-  for (const msg of bufferedMessages) {
-    msg.attachments.forEach(att => {
-      if (attachmentCount < 10) { // Discord allows max 10 attachments per message
-        allAttachments.set(att.id, att);
-        attachmentCount++;
-      }
+  if (sub === "remove") {
+    db.prepare("DELETE FROM schedules WHERE id=?").run(id);
+    runDueSchedules();
+    return interaction.reply({ content: `Removed schedule \`#${id}\`.`, ephemeral: true });
+  }
+  if (sub === "pause") {
+    db.prepare("UPDATE schedules SET isPaused=1, nextRunAt=NULL WHERE id=?").run(id);
+    runDueSchedules();
+    return interaction.reply({ content: `Paused schedule \`#${id}\`. \`/schedule resume\` starts it again.`, ephemeral: true });
+  }
+  if (sub === "resume") {
+    let nextRunAt;
+    try {
+      nextRunAt = nextScheduleRun(schedule);
+    } catch (e) {
+      return interaction.reply({
+        content: `Schedule \`#${id}\` can't run: ${e.message} Remove it and add it again.`,
+        ephemeral: true
+      });
+    }
+    db.prepare("UPDATE schedules SET isPaused=0, nextRunAt=? WHERE id=?").run(nextRunAt, id);
+    runDueSchedules();
+    return interaction.reply({
+      content: `Resumed schedule \`#${id}\`${nextRunAt ? `, next run <t:${Math.floor(nextRunAt / 1000)}:F>` : ""}.`,
+      ephemeral: true
     });
   }
-  constructedMessage.attachments = allAttachments;
-
-
-  console.log(
-    `[YAP] Triggering auto-reply for agent ${agent.name} in channel ${channelId} with ${bufferedMessages.length} buffered message(s).`
-  );
-  await agentLoop(constructedMessage, agent, allAgentsInChannel, 0);
 }
 
-async function handleYapMessage(message) {
-  if (!message.guild || !message.guildId || !message.channel || !message.channel.id) return new Set();
-
-  const yappingAgentIdsThisEvent = new Set(); // Keep track of agents handled by yap in this specific message event
+// --- Agent output modes ---
+// How a model's reply is split into Discord messages. Only modes that need a reply format add
+// instructions to the system prompt.
+const OUTPUT_MODES = {
+  "msg-tags": { label: "one message per <msg> tag", instructions: MULTI_MSG_INSTRUCTIONS },
+  paragraphs: { label: "one message per paragraph", instructions: null },
+  single: { label: "the whole reply as one message", instructions: null },
+  json: { label: 'JSON {"messages": [...]}', instructions: JSON_OUTPUT_INSTRUCTIONS }
+};
+const DEFAULT_OUTPUT_MODE = "msg-tags";
+const MALFORMED_REPLY_WARNING = {
+  "msg-tags": "It should have been wrapped in `<msg>` tags.",
+  json: 'It should have been a JSON object like `{"messages": ["..."]}`.'
+};
+
+function getOutputMode(agent) {
+  return OUTPUT_MODES[agent.outputMode] ? agent.outputMode : DEFAULT_OUTPUT_MODE;
+}
 
-  const yapConfigs = db
-    .prepare(
-      "SELECT agentId FROM yap_settings WHERE channelId = ? AND isEnabled = 1"
-    )
-    .all(message.channel.id);
+const LIVE_PLACEHOLDER = "-# …";
+
+// --- Reply controls ---
+// Agent replies carry a Stop button while they stream, then Regenerate and Continue buttons on
+// their last message. Runs are kept in memory, so buttons from before a restart have expired.
+const REPLY_RUNS_MAX = 500;
+const replyRuns = new Map(); // runId -> run, oldest first
+const CONTINUE_PROMPT =
+  "Continue your previous reply exactly where it stopped. Don't repeat what you already said.";
+
+function registerReplyRun(run) {
+  const runId = crypto.randomBytes(6).toString("hex");
+  replyRuns.set(runId, run);
+  while (replyRuns.size > REPLY_RUNS_MAX) replyRuns.delete(replyRuns.keys().next().value);
+  return runId;
+}
 
-  if (yapConfigs.length === 0) return yappingAgentIdsThisEvent;
+function replyControlRows(runId, running) {
+  const buttons = running
+    ? [new ButtonBuilder().setCustomId(`reply:stop:${runId}`).setLabel("Stop").setStyle(ButtonStyle.Danger)]
+    : [
+        new ButtonBuilder().setCustomId(`reply:regenerate:${runId}`).setLabel("Regenerate").setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`reply:continue:${runId}`).setLabel("Continue").setStyle(ButtonStyle.Secondary)
+      ];
+  return [new ActionRowBuilder().addComponents(buttons)];
+}
 
-  for (const config of yapConfigs) {
-    const agentId = config.agentId;
-    yappingAgentIdsThisEvent.add(agentId); // Mark this agent as being handled by yap for this message event
-    const key = `${agentId}_${message.channel.id}`;
+async function handleReplyButton(interaction) {
+  const [, action, runId] = interaction.customId.split(":");
+  const run = replyRuns.get(runId);
+  const agent = run && db.prepare("SELECT * FROM agents WHERE id=?").get(run.agentId);
+  if (!agent) {
+    return interaction.reply({ content: "These buttons have expired.", ephemeral: true });
+  }
+  if (!canChatWithAgent(interaction.member, agent)) {
+    return interaction.reply({
+      content: `You don't have permission to chat with **${agent.name}**. Ask a server admin to grant you \`${chatCapability(agent.name)}\`.`,
+      ephemeral: true
+    });
+  }
+  // Regenerate deletes the reply, so only the member who asked for it (or an agent manager) may press.
+  if (interaction.user.id !== run.requestedBy && !memberHasCapability(interaction.member, "manage-agents")) {
+    return interaction.reply({
+      content: "Only the member who asked for this reply (or someone who can manage agents) can use its buttons.",
+      ephemeral: true
+    });
+  }
 
-    let yapState = yapTimers.get(key);
-    if (yapState && yapState.timerId) {
-      clearTimeout(yapState.timerId);
+  if (action === "stop") {
+    if (!run.controller) {
+      return interaction.reply({ content: `**${agent.name}** has already finished.`, ephemeral: true });
     }
+    run.controller.abort();
+    return interaction.deferUpdate();
+  }
+  if (run.controller) {
+    return interaction.reply({ content: `**${agent.name}** is still answering. Stop it first.`, ephemeral: true });
+  }
+  const limitMessage = checkLimits(interaction.guildId, agent, interaction.user.id);
+  if (limitMessage) {
+    return interaction.reply({ content: limitMessage, ephemeral: true });
+  }
 
-    if (!yapState) {
-      yapState = { timerId: null, messageBuffer: [] };
-      yapTimers.set(key, yapState);
-    }
+  // A reply is regenerated or continued once; the new reply gets its own buttons.
+  replyRuns.delete(runId);
+  let message = run.message;
+  if (message.interaction) {
+    // /ask replies are answered through the button's interaction instead.
+    await interaction.deferReply();
+    message = { ...message, interaction };
+  } else {
+    await interaction.deferUpdate();
+  }
 
-    yapState.messageBuffer.push(message);
-    yapState.timerId = setTimeout(() => {
-      triggerYapReply(agentId, message.channel.id, message.guild.id);
-    }, 3000); // 3 seconds
+  let runOptions;
+  if (action === "regenerate") {
+    await run.removeReply();
+    runOptions = { userRowId: run.userRowId, historyThroughId: run.userRowId };
+  } else {
+    await run.clearControls();
+    runOptions = { userRowId: run.userRowId, historyThroughId: run.lastRowId, prompt: CONTINUE_PROMPT };
   }
-  return yappingAgentIdsThisEvent;
+  const agents = db
+    .prepare("SELECT * FROM agents WHERE guildId=? AND channelId=?")
+    .all(agent.guildId, agent.channelId);
+  await runWithJobKey(`${agent.id}:${message.channel.id}`, () =>
+    agentLoop(message, agent, agents, run.depth, runOptions)
+  );
 }
 
 // --- Agent-to-agent reply loop with multi-agent context ---
-async function agentLoop(message, agent, allAgentsInChannel, depth) {
+// runOptions re-run an earlier input (see handleReplyButton): userRowId is its stored user row,
+// historyThroughId the last row of context, and prompt replaces the message sent to the model.
+// With throwOnFailure (queued jobs) a failed completion, or a stream that fails before any reply
+// is stored, throws instead of posting the error. onUserRowStored and onReplyStored report stored
+// rows as they're written (see jobProgress), and noAgentMentions keeps the reply from triggering
+// agents it names.
+async function agentLoop(message, agent, allAgentsInChannel, depth, runOptions = {}) {
   if (!message.guild || !message.guild.id) {
     console.error(
       "agentLoop called without a valid message.guild object. Skipping."
@@ -1632,11 +7978,12 @@ async function agentLoop(message, agent, allAgentsInChannel, depth) {
   const guildSettings =
     db
       .prepare(
-        "SELECT contextWindow, loopDepth FROM guildSettings WHERE guildId=?"
+        "SELECT * FROM guildSettings WHERE guildId=?"
       )
       .get(message.guild.id) || {};
 
   const contextWindow = guildSettings.contextWindow || 10;
+  const tokenBudget = getContextTokenBudget(agent, guildSettings); // null in message-count mode
   const maxLoopDepth = guildSettings.loopDepth || 2;
 
   if (depth > maxLoopDepth) {
@@ -1645,6 +7992,20 @@ async function agentLoop(message, agent, allAgentsInChannel, depth) {
     );
     return;
   }
+  // Replies to members are checked before agentLoop is called; agent-to-agent turns are checked here.
+  if (depth > 0) {
+    const limitMessage = checkLimits(message.guild.id, agent, null);
+    if (limitMessage) {
+      console.log(`Agent-to-agent reply by ${agent.name} skipped: ${limitMessage}`);
+      return;
+    }
+  }
+
+  // Messages in a thread (e.g. a /chat session) have their own context, separate from the channel's.
+  const threadId =
+    message.channel && typeof message.channel.isThread === "function" && message.channel.isThread()
+      ? message.channel.id
+      : null;
 
   const authorName = // If message.author is null/undefined (e.g. for a yap-constructed message), handle it.
     depth === 0
@@ -1720,76 +8081,59 @@ async function agentLoop(message, agent, allAgentsInChannel, depth) {
         // Use allTextForProcessing (which includes original text + text from attachments) for the database.
         // This ensures that text from .txt/.md attachments becomes part of the historical context.
         const textContentForDB = `<msg from="${authorName}">${allTextForProcessing.trim()}</msg>`;
-        db.prepare(
-          "INSERT INTO messages (agentId,role,content,author) VALUES (?,?,?,?)"
-        ).run(agent.id, "user", textContentForDB, authorName);
+        const userRowId =
+          runOptions.userRowId ??
+          db.prepare(
+            "INSERT INTO messages (agentId,role,content,author,threadId) VALUES (?,?,?,?,?)"
+          ).run(agent.id, "user", textContentForDB, authorName, threadId).lastInsertRowid;
+        if (runOptions.onUserRowStored && !runOptions.userRowId) runOptions.onUserRowStored(userRowId);
+        if (runOptions.prompt) currentUserContent = runOptions.prompt;
 
   const recentMessages = db
     .prepare(
-      `SELECT m.role, m.content, m.agentId, a.name as agentName
+      `SELECT m.id, m.role, m.content, m.agentId, a.name as agentName
        FROM messages m
        LEFT JOIN agents a ON m.agentId = a.id
-       WHERE m.agentId IN (SELECT id FROM agents WHERE channelId=?)
+       WHERE m.agentId IN (SELECT id FROM agents WHERE channelId=?) AND m.threadId IS ? AND m.id <= ?
        ORDER BY m.timestamp DESC, m.id DESC LIMIT ?`
     )
-    .all(agent.channelId, contextWindow * 2)
+    .all(
+      agent.channelId,
+      threadId,
+      runOptions.historyThroughId ?? Number.MAX_SAFE_INTEGER,
+      tokenBudget ? TOKEN_MODE_MAX_HISTORY_ROWS : contextWindow * 2
+    )
     .reverse();
 
-  const providerInfo = db
-    .prepare("SELECT * FROM providers WHERE guildId=? AND name=?")
-    .get(message.guild.id, agent.providerName);
-
-  if (!providerInfo) {
-    console.error(
-      `Provider ${agent.providerName} not found for agent ${agent.name}.`
-    );
-    if (message.channel && message.channel.send) {
-      message.channel.send(
-        `Configuration error: Provider "${agent.providerName}" for agent "${agent.name}" not found.`
-      );
-    }
-    return;
-  }
-  let apiKey;
-  try {
-    apiKey = decrypt(
-      providerInfo.encryptedKey,
-      providerInfo.iv,
-      providerInfo.authTag
-    );
-  } catch (e) {
-    console.error(
-      `Decryption error for provider ${providerInfo.name}: ${e.message}`
-    );
-    if (message.channel && message.channel.send) {
-      message.channel.send(
-        `Configuration error: Could not access API key for provider "${providerInfo.name}".`
-      );
-    }
-    return;
-  }
-
-  // ... (inside agentLoop, after currentUserContent, providerInfo, allAgentsInChannel are defined)
-
-  const isNvidiaNIM = providerInfo.url.startsWith(
-    "https://integrate.api.nvidia.com/"
-  );
   // currentMessageIsMultimodalWithImage: true if agent.multimodal AND currentUserContent is an array of parts
   const currentMessageIsMultimodalWithImage =
     agent.multimodal && Array.isArray(currentUserContent);
 
-  const systemPromptText = agent.systemPrompt; // Raw system prompt from DB
-  // MULTI_MSG_INSTRUCTIONS is a global constant
+  const channelSummary = getChannelSummary(threadId || agent.channelId);
+  const agentChannel = message.channel ? getAgentChannel(message.channel) : null;
+  const { text: systemPromptText, usedVariables } = renderPromptTemplate(message.guild.id, agent.systemPrompt, {
+    "user.name": authorName,
+    "user.id": depth === 0 && message.author ? message.author.id : "",
+    "agent.name": agent.name,
+    "channel.name": agentChannel?.name || "",
+    "channel.topic": agentChannel?.topic || "",
+    "thread.name": threadId ? message.channel.name : "",
+    "guild.name": message.guild.name,
+    "agents.in_channel": allAgentsInChannel.map((a) => a.name).join(", "),
+    memory: channelSummary?.summary.trim() || ""
+  });
+  const outputMode = getOutputMode(agent);
+  const formatInstructions = OUTPUT_MODES[outputMode].instructions; // null when the mode needs none
 
   let effectiveSystemPromptContent = "";
   if (systemPromptText && systemPromptText.trim() !== "") {
     effectiveSystemPromptContent = systemPromptText;
-    if (MULTI_MSG_INSTRUCTIONS && MULTI_MSG_INSTRUCTIONS.trim() !== "") {
-      effectiveSystemPromptContent += "\n\n" + MULTI_MSG_INSTRUCTIONS;
+    if (formatInstructions) {
+      effectiveSystemPromptContent += "\n\n" + formatInstructions;
     }
-  } else if (MULTI_MSG_INSTRUCTIONS && MULTI_MSG_INSTRUCTIONS.trim() !== "") {
-    // Only multi-message instructions if system prompt is empty
-    effectiveSystemPromptContent = MULTI_MSG_INSTRUCTIONS;
+  } else if (formatInstructions) {
+    // Only format instructions if system prompt is empty
+    effectiveSystemPromptContent = formatInstructions;
   }
   // If both are empty, effectiveSystemPromptContent remains ""
 
@@ -1804,6 +8148,15 @@ async function agentLoop(message, agent, allAgentsInChannel, depth) {
     });
   }
 
+  // 1b. Inject the channel's rolling summary of messages that are no longer in context,
+  // unless the system prompt already placed it with {{memory}}
+  if (channelSummary && channelSummary.summary.trim() && !usedVariables.has("memory")) {
+    chatHistoryForLLM.push({
+      role: "system",
+      content: `Summary of earlier conversation in this channel:\n${channelSummary.summary}`
+    });
+  }
+
   // Helper to strip <msg> tags from this agent's own assistant messages
   // For user messages or other agents' messages, we keep the tags.
   function stripMsgTagsForOwnAssistant(content) {
@@ -1814,8 +8167,77 @@ async function agentLoop(message, agent, allAgentsInChannel, depth) {
     return match ? match[1].trim() : content.trim(); // Fallback to content.trim()
   }
 
+  // In token-budget mode, drop the oldest history until the system prompt, the current message
+  // and the reply reserve all fit.
+  let historyForLLM = recentMessages;
+  let spareContextTokens = Infinity; // Budget left after history, for retrieved context
+  if (tokenBudget) {
+    const fixedTokens =
+      chatHistoryForLLM.reduce((sum, m) => sum + estimateMessageTokens(m), 0) +
+      estimateMessageTokens({ role: "user", content: currentUserContent || "" });
+    const available = tokenBudget - getReplyReserveTokens(agent) - fixedTokens;
+    historyForLLM = trimHistoryToTokenBudget(recentMessages, available);
+    spareContextTokens =
+      available -
+      historyForLLM.reduce((sum, r) => sum + estimateTokens(r.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+    if (process.env.verbose === 'true') {
+      console.log(
+        `[VERBOSE] Token budget ${tokenBudget} for agent ${agent.name}: kept ${historyForLLM.length}/${recentMessages.length} history rows (${available} tokens available).`
+      );
+    }
+  }
+
+  // 1c. Knowledge base excerpts from the agent's linked collections, numbered for citation
+  const queryText = allTextForProcessing.trim();
+  if (queryText && getLinkedCollections(agent).length) {
+    try {
+      const hits = await searchKnowledgeBase(agent, queryText);
+      const header =
+        "Excerpts from the server knowledge base that may help answer. When you use one, cite it " +
+        "in your reply by its number and file, e.g. [1] or [1: handbook.md]. Do not " +
+        "cite excerpts you did not use, and say so if they do not cover the question.";
+      const excerpts = [];
+      let used = estimateTokens(header) + MESSAGE_OVERHEAD_TOKENS;
+      for (const hit of hits) {
+        const excerpt = `[${excerpts.length + 1}] ${hit.fileName} (part ${hit.chunkIndex})\n${hit.content}`;
+        const cost = estimateTokens(excerpt) + 1;
+        if (used + cost > spareContextTokens) break;
+        used += cost;
+        excerpts.push(excerpt);
+      }
+      if (excerpts.length) {
+        chatHistoryForLLM.push({ role: "system", content: `${header}\n\n${excerpts.join("\n\n")}` });
+        spareContextTokens -= used;
+      }
+    } catch (e) {
+      console.warn(`Knowledge base search failed for agent ${agent.name}: ${e.message}`);
+    }
+  }
+
+  // 1d. Semantic retrieval: similar older messages that are not already in context
+  if (agent.retrievalEnabled && queryText) {
+    try {
+      const inContext = new Set(historyForLLM.map((r) => r.id));
+      const hits = await retrieveRelevantMessages(agent, queryText, inContext, threadId);
+      const header = "Possibly relevant earlier messages from this channel, retrieved by similarity:";
+      const lines = [];
+      let used = estimateTokens(header) + MESSAGE_OVERHEAD_TOKENS;
+      for (const hit of hits) {
+        const cost = estimateTokens(hit.text) + 1;
+        if (used + cost > spareContextTokens) break;
+        used += cost;
+        lines.push(hit.text);
+      }
+      if (lines.length) {
+        chatHistoryForLLM.push({ role: "system", content: `${header}\n${lines.join("\n")}` });
+      }
+    } catch (e) {
+      console.warn(`Retrieval failed for agent ${agent.name}: ${e.message}`);
+    }
+  }
+
   // 2. Add historical messages (from DB)
-  for (const dbMsg of recentMessages) {
+  for (const dbMsg of historyForLLM) {
     let roleForLLM;
     let contentForLLM;
 
@@ -1883,242 +8305,371 @@ async function agentLoop(message, agent, allAgentsInChannel, depth) {
     chatHistoryForLLM.push({ role: "user", content: currentUserContent });
   }
 
-  // --- The fetch call to the LLM now uses the fully constructed chatHistoryForLLM ---
-  // try {
-  //   llmResponse = await fetch(completionsUrl, { /* ... */ body: JSON.stringify({ model: agent.model, messages: chatHistoryForLLM, stream: true }) });
-  // } catch (fetchError) { /* ... */ }
-
-  let completionsUrl;
-  try {
-    const u = new URL(providerInfo.url);
-    if (u.hostname.includes("groq.com")) {
-      u.pathname = "/openai/v1/chat/completions";
-      completionsUrl = u.toString();
-    } else if (/\/chat\/completions\/?$/.test(u.pathname)) {
-      completionsUrl = u.toString();
-    } else if (
-      /\/completions\/?$/.test(u.pathname) &&
-      !u.pathname.includes("/chat/")
-    ) {
-      completionsUrl = u.toString();
-    } else {
-      u.pathname = u.pathname.replace(/\/$/, "") + "/chat/completions";
-      completionsUrl = u.toString();
-    }
-  } catch {
-    const targetChannel =
-      message.channel ||
-      (agent.channelId && client.channels.cache.get(agent.channelId));
-    if (targetChannel && targetChannel.send) {
-      targetChannel.send(
-        `Invalid provider URL configured for "${providerInfo.name}": ${providerInfo.url}`
-      );
-    }
-    return;
-  }
-
   const targetChannel =
     message.channel ||
     (agent.channelId && client.channels.cache.get(agent.channelId));
-  if (targetChannel && typeof targetChannel.sendTyping === "function") {
-    targetChannel.sendTyping().catch(console.warn);
-  }
-
-  let llmResponse;
-  try {
-    const requestBody = JSON.stringify({
-      model: agent.model,
-      messages: chatHistoryForLLM,
-      stream: true
-    });
-    if (process.env.verbose === 'true') {
-      console.log(`[VERBOSE] LLM Request to ${completionsUrl}:`, requestBody);
-    }
-    llmResponse = await fetch(completionsUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: requestBody
-    });
-    if (process.env.verbose === 'true') {
-      console.log(`[VERBOSE] LLM Response Status from ${completionsUrl}: ${llmResponse.status} ${llmResponse.statusText}`);
-      // Note: Cannot easily log the full raw response body here as it's a stream.
-      // Logging individual chunks in the lineReader below.
-    }
-  } catch (fetchError) {
-    console.error(
-      `Fetch error calling LLM for agent ${agent.name}: ${fetchError}`
-    );
-    if (targetChannel && targetChannel.send) {
-      targetChannel.send(
-        `Error contacting LLM provider "${providerInfo.name}": ${fetchError.message}`
-      );
-    }
-    return;
-  }
-
-  if (!llmResponse.ok) {
-    const errorBody = await llmResponse
-      .text()
-      .catch(() => "Could not read error body.");
-    console.error(
-      `LLM provider error for agent ${agent.name} (${llmResponse.status} ${llmResponse.statusText}): ${errorBody}`
-    );
-    if (targetChannel && targetChannel.send) {
-      targetChannel.send(
-        `LLM Provider "${providerInfo.name}" returned an error: ${
-          llmResponse.status
-        } ${
-          llmResponse.statusText
-        }. Details: ${errorBody.substring(0, 500)}`
-      );
-    }
-    return;
-  }
-
-  if (!llmResponse.body) {
-    console.error(`LLM response body is null for agent ${agent.name}.`);
-    if (targetChannel && targetChannel.send) {
-      targetChannel.send(
-        `Received an empty response from LLM provider "${providerInfo.name}".`
-      );
-    }
-    return;
-  }
 
   const webhookClient = new WebhookClient({
     id: agent.webhookId,
     token: agent.webhookToken
   });
 
-  let streamBuffer = "";
-  let fullRepliesContent = [];
-
-  const readableStream = Readable.fromWeb(llmResponse.body);
-  const lineReader = readline.createInterface({ input: readableStream });
-
-  lineReader.on("line", async (line) => {
-    if (line.startsWith("data: ")) {
-      const dataChunk = line.substring(6);
-      if (dataChunk === "[DONE]") {
-        streamBuffer = "";
-        lineReader.close();
-        return;
+  // Replies go out through the agent's webhook (into the thread, if any), except for /ask, which
+  // is answered in the interaction. Errors come from the bot itself.
+  const discordApi = message.interaction
+    ? {
+        post: (content, components) => message.interaction.followUp({ content, components }).then((m) => m.id),
+        edit: (id, content) => message.interaction.editReply({ message: id, content }),
+        setComponents: (id, components) => message.interaction.editReply({ message: id, components }),
+        remove: (id) => message.interaction.deleteReply(id)
       }
-      if (process.env.verbose === 'true') {
-          console.log(`[VERBOSE] LLM Stream Chunk: ${dataChunk}`);
+    : {
+        post: (content, components) =>
+          webhookClient.send({ content, components, threadId: threadId || undefined }).then((m) => m.id),
+        edit: (id, content) => webhookClient.editMessage(id, { content, threadId: threadId || undefined }),
+        setComponents: (id, components) =>
+          webhookClient.editMessage(id, { components, threadId: threadId || undefined }),
+        remove: (id) => webhookClient.deleteMessage(id, threadId || undefined)
+      };
+
+  // Stop, Regenerate and Continue: the first message gets Stop while the reply streams.
+  const runController = new AbortController();
+  const storedRowIds = [];
+  const postedMessageIds = []; // Discord messages of this reply, in order
+  const run = {
+    agentId: agent.id,
+    depth,
+    requestedBy: message.author ? message.author.id : null, // Member whose message started the run
+    userRowId,
+    lastRowId: userRowId,
+    controller: runController,
+    message: {
+      guild: message.guild,
+      channel: message.channel,
+      channelId: message.channelId,
+      author: message.author,
+      member: message.member,
+      content: message.content,
+      attachments: message.attachments,
+      reference: message.reference,
+      agentId: message.agentId,
+      guildId: message.guild.id,
+      mentions: message.mentions,
+      interaction: message.interaction
+    },
+    async removeReply() {
+      for (const id of storedRowIds) {
+        db.prepare("DELETE FROM message_embeddings WHERE messageId=?").run(id);
+        db.prepare("DELETE FROM messages WHERE id=?").run(id);
       }
+      for (const id of postedMessageIds) {
+        await discordApi.remove(id).catch((e) => console.warn(`Could not delete reply message ${id}: ${e.message}`));
+      }
+    },
+    async clearControls() {
+      const lastId = postedMessageIds[postedMessageIds.length - 1];
+      if (lastId) await discordApi.setComponents(lastId, []).catch(() => {});
+    }
+  };
+  const runId = agent.replyControls ? registerReplyRun(run) : null;
+  const replyApi = {
+    ...discordApi,
+    post: (content) => {
+      const components = runId && !postedMessageIds.length && run.controller ? replyControlRows(runId, true) : [];
+      return discordApi.post(content, components).then((id) => {
+        postedMessageIds.push(id);
+        return id;
+      });
+    },
+    remove: (id) =>
+      discordApi.remove(id).then(() => {
+        postedMessageIds.splice(postedMessageIds.indexOf(id), 1);
+      })
+  };
+  const sendReply = (content) => replyApi.post(content);
+  const sendNotice = (content) => {
+    if (message.interaction) return message.interaction.followUp({ content }).catch(console.warn);
+    if (targetChannel && targetChannel.send) return targetChannel.send(content).catch(console.warn);
+  };
+  let replyFailed = false;
+
+  const thinkFilter = createThinkFilter();
+  const replySplitter = createReplySplitter(outputMode);
+  let reasoningText = ""; // From <think> blocks and the provider's reasoning fields
+  let firstReplyRowId = null;
+  let fullRepliesContent = [];
+  // Keeps the reply's messages (and their chunks) in order. Awaited before returning, so queued
+  // jobs hold their key until the whole reply is posted.
+  let sendChain = Promise.resolve();
+  const enqueueSend = (send) =>
+    (sendChain = sendChain.then(send).catch((e) => {
+      console.error(`Webhook send error for agent ${agent.name}: ${e.message}`);
+    }));
+
+  // In live-edit mode the message that is streaming is posted early and edited as text arrives.
+  const liveEdit = Boolean(agent.liveEdit) && outputMode !== "json";
+  let liveMessage = null;
+
+  // Sends one reply message, in chunks if it is over Discord's limit, and stores it.
+  const deliverReply = (reply, displayText = reply.text) => {
+    if (process.env.verbose === 'true') {
+      console.log(`[VERBOSE] Sending Webhook Message for agent ${agent.name}: ${displayText}`);
+    }
+    if (liveMessage) {
+      liveMessage.complete(displayText);
+      liveMessage = null;
+    } else {
+      for (const chunk of splitMessage(displayText, 2000)) enqueueSend(() => sendReply(chunk));
+    }
+    const { lastInsertRowid } = db.prepare(
+      "INSERT INTO messages (agentId,role,content,threadId) VALUES (?,?,?,?)"
+    ).run(agent.id, "assistant", reply.stored, threadId);
+    firstReplyRowId ??= lastInsertRowid;
+    storedRowIds.push(lastInsertRowid);
+    run.lastRowId = lastInsertRowid;
+    if (runOptions.onReplyStored) runOptions.onReplyStored(lastInsertRowid);
+    fullRepliesContent.push(reply.text);
+  };
+  const pushReplyText = (text) => {
+    for (const reply of replySplitter.push(text)) deliverReply(reply);
+    if (liveEdit) {
+      const partial = replySplitter.pending();
+      if (partial) (liveMessage ||= createLiveMessage(enqueueSend, replyApi)).update(partial);
+    }
+  };
+
+  // Shows the reasoning under the reply: in a thread on its first message, or else in spoilers.
+  const showReasoning = async (reasoning) => {
+    if (
+      agent.reasoningDisplay === "thread" &&
+      !threadId &&
+      !message.interaction &&
+      postedMessageIds.length &&
+      targetChannel?.threads
+    ) {
       try {
-        const parsedChunk = JSON.parse(dataChunk);
-        const delta = parsedChunk.choices?.[0]?.delta?.content || "";
-        streamBuffer += delta;
-
-        // Strip <think>...</think> tags and their content
-        // This regex will find <think> tags and everything between them, non-greedily.
-        const thinkTagRegex = /<think>[\s\S]*?<\/think>/g;
-        streamBuffer = streamBuffer.replace(thinkTagRegex, "").trim();
-
-        const tagRegex = /<msg(?:[^>]*)>([\s\S]*?)<\/msg>/g;
-        let match;
-        let lastIndex = 0;
-        while ((match = tagRegex.exec(streamBuffer)) !== null) {
-          const fullTag = match[0];
-          const innerContent = match[1];
-
-          if (innerContent.trim()) {
-            if (process.env.verbose === 'true') {
-                console.log(`[VERBOSE] Sending Webhook Message for agent ${agent.name}: ${innerContent}`);
-            }
-            webhookClient.send({ content: innerContent }).catch((e) => {
-              console.error(
-                `Webhook send error for agent ${agent.name}: ${e.message}`
-              );
-            });
-            db.prepare(
-              "INSERT INTO messages (agentId,role,content) VALUES (?,?,?)"
-            ).run(agent.id, "assistant", fullTag);
-            fullRepliesContent.push(innerContent);
-          }
-          lastIndex = tagRegex.lastIndex;
+        const thread = await targetChannel.threads.create({
+          name: `${agent.name}'s reasoning`.slice(0, 100),
+          startMessage: postedMessageIds[0],
+          autoArchiveDuration: 60
+        });
+        for (const chunk of splitMessage(reasoning, 2000)) {
+          await webhookClient.send({ content: chunk, threadId: thread.id });
         }
-        streamBuffer = streamBuffer.substring(lastIndex);
+        return;
       } catch (e) {
-        // console.warn("Stream parsing error or incomplete JSON:", dataChunk, e.message);
+        console.warn(`Could not open a reasoning thread for agent ${agent.name}, using a spoiler: ${e.message}`);
       }
     }
-  });
+    const chunks = splitMessage(reasoning.replace(/\|\|/g, "| |"), 1900);
+    for (const [i, chunk] of chunks.entries()) {
+      await replyApi.post(`${i === 0 ? "-# Reasoning\n" : ""}||${chunk}||`);
+    }
+  };
+
+  // Tool calling: offer the agent's enabled tools, run whatever the model calls and ask again
+  // with the results, up to the guild's tool iteration cap.
+  const agentTools = getAgentTools(agent);
+  const maxToolIterations = guildSettings.maxToolIterations ?? 3;
+  let completion = null; // The provider/model in the fallback chain that last answered
 
-  lineReader.on("close", async () => {
-    // Handle any leftover buffer content that wasn't wrapped in <msg> tags
-    if (streamBuffer.trim()) {
-      const thinkTagRegex = /<think>[\s\S]*?<\/think>/g;
-      let cleanedLeftover = streamBuffer.replace(thinkTagRegex, "").trim();
-
-      if (cleanedLeftover) {
-        const warningMessage = "\n\n---\n*Warning: LLM did not correctly format this part of the message. It should have been wrapped in `<msg>` tags.*";
-        const messageToSendWithWarning = cleanedLeftover + warningMessage;
-        
-        if (process.env.verbose === 'true') {
-            console.log(`[VERBOSE] Sending Webhook Message (leftover) for agent ${agent.name}: ${messageToSendWithWarning}`);
+  let stopped = false; // Stopped with the Stop button
+
+  for (let toolIteration = 0; ; toolIteration++) {
+    try {
+      completion = await openAgentCompletionStream(agent, chatHistoryForLLM, {
+        signal: runController.signal,
+        tools: agentTools.length ? agentTools.map(toolSchema) : undefined,
+        // Once the cap is hit the model must answer with what it has.
+        toolChoice: agentTools.length && toolIteration >= maxToolIterations ? "none" : undefined,
+        // Later tool rounds stay on the fallback that answered the first one.
+        startAt: completion ? completion.chainIndex : 0,
+        onAttempt: () => {
+          if (targetChannel && typeof targetChannel.sendTyping === "function") {
+            targetChannel.sendTyping().catch(console.warn);
+          }
         }
-        webhookClient.send({ content: messageToSendWithWarning }).catch((e) => {
-          console.error(
-            `Webhook send error (leftover) for agent ${agent.name}: ${e.message}`
-          );
-        });
-        // Store the original leftover content (without warning) in DB and for inter-agent comms
-        db.prepare(
-          "INSERT INTO messages (agentId,role,content) VALUES (?,?,?)"
-        ).run(agent.id, "assistant", `<msg>${cleanedLeftover}</msg>`);
-        fullRepliesContent.push(cleanedLeftover); // Add to content for further processing
+      });
+    } catch (err) {
+      if (runController.signal.aborted) {
+        stopped = true;
+        break;
       }
+      console.error(`No provider could answer for agent ${agent.name}:\n${err.message}`);
+      if (liveMessage) liveMessage.discard();
+      if (runId) replyRuns.delete(runId);
+      await sendChain;
+      if (runOptions.throwOnFailure) throw err; // Queued jobs are retried (see jobProgress)
+      sendNotice(err.message.substring(0, 1900));
+      return;
+    }
+    const { adapter, response: llmResponse } = completion;
+    if (liveEdit && !liveMessage) {
+      liveMessage = createLiveMessage(enqueueSend, replyApi);
+      liveMessage.complete(LIVE_PLACEHOLDER);
     }
-    streamBuffer = ""; // Ensure buffer is cleared after processing potential leftovers
 
-    const combinedReplyText = fullRepliesContent.join(" ");
-    for (const otherAgent of allAgentsInChannel) {
-      if (
-        otherAgent.id !== agent.id &&
-        new RegExp(`\\b${otherAgent.name}\\b`, "i").test(combinedReplyText)
-      ) {
-        console.log(
-          `Agent ${agent.name} mentioned agent ${otherAgent.name}. Triggering loop (depth ${depth + 1}).`
-        );
-        const nextMessage = {
-          guild: message.guild,
-          channel: message.channel,
-          channelId: message.channel.id,
-          author: { username: agent.name, bot: true },
-          content: combinedReplyText,
-          attachments: new Map(),
-          reference: null,
-          agentId: agent.id
-        };
-        if (message.guild && message.guild.id) {
-          nextMessage.guildId = message.guild.id;
+    let iterationText = ""; // Raw text of this response, kept for the tool-call turn in history
+    const toolCalls = []; // Tool call fragments merged by their stream index
+    let iterationUsage = null; // Last usage event the provider reported
+    let streamError = null;
+
+    try {
+      for await (const event of adapter.streamEvents(llmResponse)) {
+        if (event.type === "tool_call") {
+          const call = (toolCalls[event.index] ||= { id: "", name: "", arguments: "" });
+          if (event.id) call.id = event.id;
+          if (event.name) call.name += event.name;
+          if (event.arguments) call.arguments += event.arguments;
+          continue;
         }
-        await agentLoop(
-          nextMessage,
-          otherAgent,
-          allAgentsInChannel,
-          depth + 1
+        if (event.type === "usage") {
+          iterationUsage = event;
+          continue;
+        }
+        if (event.type === "reasoning") {
+          reasoningText += event.text;
+          continue;
+        }
+        if (event.type !== "text") continue;
+        iterationText += event.text;
+        const { visible, reasoning } = thinkFilter.push(event.text);
+        reasoningText += reasoning;
+        if (visible) pushReplyText(visible);
+      }
+    } catch (err) {
+      if (runController.signal.aborted) {
+        stopped = true;
+      } else {
+        console.error(
+          `Stream error for agent ${agent.name}: ${err.message}`
         );
+        if (runOptions.throwOnFailure && firstReplyRowId === null) {
+          streamError = err; // Nothing was delivered, so the queue can retry the whole reply
+        } else {
+          sendNotice(`An error occurred while processing the LLM response for agent "${agent.name}".`);
+        }
+        replyFailed = true;
       }
     }
-  });
 
-  lineReader.on("error", (err) => {
-    console.error(
-      `Readline stream error for agent ${agent.name}: ${err.message}`
+    recordUsage({
+      agent,
+      completion,
+      usage: iterationUsage,
+      messages: chatHistoryForLLM,
+      outputText: iterationText + toolCalls.map((c) => (c ? c.name + c.arguments : "")).join(""),
+      userId: depth === 0 && message.author ? message.author.id : null,
+      channelId: threadId || agent.channelId
+    });
+    if (streamError) {
+      if (liveMessage) liveMessage.discard();
+      if (runId) replyRuns.delete(runId);
+      await sendChain;
+      throw streamError;
+    }
+    if (replyFailed || stopped) break;
+
+    const completedCalls = toolCalls.filter((c) => c && c.name);
+    if (!completedCalls.length || toolIteration >= maxToolIterations) break;
+
+    chatHistoryForLLM.push({
+      role: "assistant",
+      content: iterationText || null,
+      tool_calls: completedCalls.map((c, i) => ({
+        id: c.id || `call_${toolIteration}_${i}`,
+        type: "function",
+        function: { name: c.name, arguments: c.arguments || "{}" }
+      }))
+    });
+    for (const [i, call] of completedCalls.entries()) {
+      if (runController.signal.aborted) break;
+      const result = await runAgentTool(call, { message, agent, channel: targetChannel });
+      if (process.env.verbose === 'true') {
+        console.log(`[VERBOSE] Tool ${call.name}(${call.arguments}) for agent ${agent.name}: ${result}`);
+      }
+      chatHistoryForLLM.push({
+        role: "tool",
+        tool_call_id: call.id || `call_${toolIteration}_${i}`,
+        content: result
+      });
+    }
+  }
+
+  // Send what the mode only completes at the end (single, json, the last paragraph) and any
+  // leftover text that didn't follow the mode's format.
+  const thinkRest = thinkFilter.flush();
+  reasoningText += thinkRest.reasoning;
+  if (thinkRest.visible) pushReplyText(thinkRest.visible);
+  const { messages: finalReplies, malformed } = replySplitter.finish();
+  for (const reply of finalReplies) deliverReply(reply);
+  if (malformed) {
+    const warningMessage = `\n\n---\n*Warning: LLM did not correctly format this part of the message. ${MALFORMED_REPLY_WARNING[outputMode]}*`;
+    // The original leftover content (without warning) is stored and used for inter-agent comms
+    deliverReply({ text: malformed, stored: `<msg>${malformed}</msg>` }, malformed + warningMessage);
+  }
+  if (liveMessage) liveMessage.discard(); // A placeholder that never got any text
+
+  reasoningText = reasoningText.trim();
+  if (reasoningText && fullRepliesContent.length) {
+    if (agent.reasoningStore) {
+      db.prepare("UPDATE messages SET reasoning=? WHERE id=?").run(reasoningText, firstReplyRowId);
+    }
+    if (agent.reasoningDisplay === "spoiler" || agent.reasoningDisplay === "thread") {
+      enqueueSend(() => showReasoning(reasoningText));
+    }
+  }
+
+  if (completion && completion.chainIndex > 0 && fullRepliesContent.length) {
+    enqueueSend(() =>
+      sendReply(`-# Answered by fallback **${completion.provider.name}** / \`${completion.model}\``)
     );
-    if (targetChannel && targetChannel.send) {
-      targetChannel.send(
-        `An error occurred while processing the LLM response for agent "${agent.name}".`
+  }
+
+  run.controller = null;
+  if (runId) {
+    // Swap Stop for Regenerate and Continue, which go on the reply's last message.
+    enqueueSend(async () => {
+      const [firstId] = postedMessageIds;
+      const lastId = postedMessageIds[postedMessageIds.length - 1];
+      if (firstId && firstId !== lastId) await discordApi.setComponents(firstId, []);
+      if (lastId) await discordApi.setComponents(lastId, replyControlRows(runId, false));
+    });
+  }
+
+  if (message.interaction && !fullRepliesContent.length && !replyFailed) {
+    sendNotice(stopped ? `**${agent.name}** was stopped.` : `**${agent.name}** had nothing to say.`);
+  }
+
+  if (historyForLLM.length) {
+    maybeSummarizeChannel(agent, historyForLLM[0].id, guildSettings, threadId).catch((e) => {
+      console.error(`Failed to summarize channel ${agent.channelId}: ${e.message}`);
+    });
+  }
+  if (agent.retrievalEnabled) {
+    indexChannelEmbeddings(agent, threadId).catch((e) => {
+      console.error(`Failed to index messages for retrieval in channel ${agent.channelId}: ${e.message}`);
+    });
+  }
+
+  // Group sessions decide who speaks next themselves.
+  const combinedReplyText = fullRepliesContent.join(" ");
+  for (const otherAgent of runOptions.noAgentMentions ? [] : allAgentsInChannel) {
+    if (
+      otherAgent.id !== agent.id &&
+      new RegExp(`\\b${otherAgent.name}\\b`, "i").test(combinedReplyText)
+    ) {
+      console.log(
+        `Agent ${agent.name} mentioned agent ${otherAgent.name}. Queueing loop (depth ${depth + 1}).`
       );
+      enqueueReply(otherAgent, message.channel.id, {
+        fromAgentId: agent.id,
+        content: combinedReplyText,
+        depth: depth + 1
+      });
     }
-  });
+  }
+  await sendChain;
 }
 
 client.login(TOKEN);
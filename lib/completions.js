@@ -0,0 +1,195 @@
+const { getProviderAdapter } = require("./providers");
+
+// Retries and fallback chains for streamed completions.
+// A completion is tried against each { providerName, model } entry of a chain in turn. Every attempt
+// retries rate limits (429), server errors (5xx) and network failures with exponential backoff,
+// honoring Retry-After when the provider sends it.
+
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || "2", 10);
+const LLM_RETRY_BASE_DELAY_MS = 1000;
+const LLM_RETRY_MAX_DELAY_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Servers that reject stream_options get the request again without it, and don't get it again
+// until a restart.
+const providersRejectingStreamOptions = new Set(); // provider IDs
+
+// How long to wait before retry number `attempt` (0-based). Returns null if the provider asked
+// for a longer wait than we are willing to block a reply for.
+function retryDelayMs(attempt, response) {
+  const retryAfter = response?.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!Number.isNaN(ms)) {
+      return ms > LLM_RETRY_MAX_DELAY_MS ? null : Math.max(ms, 0);
+    }
+  }
+  const backoff = LLM_RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * LLM_RETRY_BASE_DELAY_MS, LLM_RETRY_MAX_DELAY_MS);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+async function fetchWithRetry(request, label, signal) {
+  const requestBody = JSON.stringify(request.body);
+  for (let attempt = 0; ; attempt++) {
+    if (process.env.verbose === 'true') {
+      console.log(`[VERBOSE] LLM Request to ${request.url}:`, requestBody);
+    }
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: "POST",
+        headers: request.headers,
+        body: requestBody,
+        signal
+      });
+    } catch (e) {
+      if (attempt >= LLM_MAX_RETRIES || signal?.aborted) throw e;
+      const delay = retryDelayMs(attempt);
+      console.warn(`${label}: request failed (${e.message}), retrying in ${Math.round(delay)}ms.`);
+      await sleep(delay);
+      continue;
+    }
+    if (process.env.verbose === 'true') {
+      console.log(`[VERBOSE] LLM Response Status from ${request.url}: ${response.status} ${response.statusText}`);
+      // Note: Cannot easily log the full raw response body here as it's a stream.
+      // Individual chunks are logged by the adapter's stream reader.
+    }
+    if (!isRetryableStatus(response.status) || attempt >= LLM_MAX_RETRIES) {
+      return response;
+    }
+    const delay = retryDelayMs(attempt, response);
+    if (delay === null) return response;
+    await response.body?.cancel().catch(() => {});
+    console.warn(`${label}: provider returned ${response.status}, retrying in ${Math.round(delay)}ms.`);
+    await sleep(delay);
+    signal?.throwIfAborted();
+  }
+}
+
+// Rewrites the tool calls and results of a tool loop as plain text, for adapters without tool
+// support that a fallback may land on mid-loop.
+function flattenToolMessages(messages) {
+  const toolNames = new Map(); // tool_call_id -> tool name
+  return messages.map((m) => {
+    if (m.role === "assistant" && m.tool_calls) {
+      const calls = m.tool_calls.map((c) => {
+        toolNames.set(c.id, c.function.name);
+        return `${c.function.name}(${c.function.arguments})`;
+      });
+      return { role: "assistant", content: [m.content, `[Called tools: ${calls.join(", ")}]`].filter(Boolean).join("\n") };
+    }
+    if (m.role === "tool") {
+      return { role: "user", content: `[Result of ${toolNames.get(m.tool_call_id) || "a tool"}]\n${m.content}` };
+    }
+    return m;
+  });
+}
+
+// Opens a streamed completion, walking `chain` from `startAt`. `resolveProvider(providerName)`
+// returns { provider, apiKey } or throws an Error whose message is safe to show in the channel;
+// `label` names the caller in logs and messages. Resolves to
+// { response, adapter, provider, model, chainIndex, startedAt }. If nothing answers, throws an
+// Error whose message describes every failure. Aborting `signal` stops the request and the
+// stream, and throws the abort error instead.
+async function openCompletionStream(
+  chain,
+  messages,
+  { label, resolveProvider, params = {}, extraBody = {}, tools, toolChoice, startAt = 0, onAttempt, signal }
+) {
+  const failures = [];
+  for (let chainIndex = startAt; chainIndex < chain.length; chainIndex++) {
+    const { providerName, model } = chain[chainIndex];
+    let provider, apiKey;
+    try {
+      ({ provider, apiKey } = resolveProvider(providerName));
+    } catch (e) {
+      failures.push(e.message);
+      continue;
+    }
+
+    const adapter = getProviderAdapter(provider);
+    let request;
+    try {
+      request = await adapter.buildChatRequest({
+        provider,
+        apiKey,
+        model,
+        messages: adapter.supportsTools ? messages : flattenToolMessages(messages),
+        params,
+        extraBody,
+        tools: adapter.supportsTools ? tools : undefined,
+        toolChoice: adapter.supportsTools ? toolChoice : undefined
+      });
+    } catch (e) {
+      failures.push(
+        e.code === "ERR_INVALID_URL"
+          ? `Invalid provider URL configured for "${provider.name}": ${provider.url}`
+          : `Could not prepare the request for provider "${provider.name}": ${e.message}`
+      );
+      continue;
+    }
+    if (onAttempt) onAttempt();
+    const startedAt = Date.now(); // For usage latency, including retries
+    if (providersRejectingStreamOptions.has(provider.id)) delete request.body.stream_options;
+    let response;
+    try {
+      response = await fetchWithRetry(request, `${label} via ${provider.name}`, signal);
+      if ((response.status === 400 || response.status === 422) && request.body.stream_options) {
+        const errorBody = await response.text().catch(() => "");
+        if (/stream_options/i.test(errorBody)) {
+          console.warn(`Provider ${provider.name} rejects stream_options; retrying without it.`);
+          providersRejectingStreamOptions.add(provider.id);
+          delete request.body.stream_options;
+          response = await fetchWithRetry(request, `${label} via ${provider.name}`, signal);
+        } else {
+          response = new Response(errorBody, { status: response.status, statusText: response.statusText });
+        }
+      }
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      console.error(`Fetch error calling LLM for ${label}: ${e}`);
+      failures.push(`Error contacting LLM provider "${provider.name}": ${e.message}`);
+      continue;
+    }
+
+    if (!response.ok) {
+      const errorBody = await response.text().catch(() => "Could not read error body.");
+      console.error(`LLM provider error for ${label} (${response.status} ${response.statusText}): ${errorBody}`);
+      failures.push(
+        `LLM Provider "${provider.name}" returned an error: ${response.status} ${response.statusText}. Details: ${errorBody.substring(0, 500)}`
+      );
+      continue;
+    }
+    if (!response.body) {
+      console.error(`LLM response body is null for ${label}.`);
+      failures.push(`Received an empty response from LLM provider "${provider.name}".`);
+      continue;
+    }
+
+    if (chainIndex > 0) {
+      console.log(`${label} answered by fallback ${provider.name} / ${model}.`);
+    }
+    return { response, adapter, provider, model, chainIndex, startedAt };
+  }
+
+  const summary =
+    failures.length > 1
+      ? `All providers for ${label} failed:\n` + failures.map((f) => `- ${f}`).join("\n")
+      : failures[0] || `${label} has no provider to answer from.`;
+  throw new Error(summary);
+}
+
+module.exports = {
+  LLM_MAX_RETRIES,
+  sleep,
+  retryDelayMs,
+  fetchWithRetry,
+  flattenToolMessages,
+  openCompletionStream
+};
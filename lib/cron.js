@@ -0,0 +1,127 @@
+// Cron expressions for scheduled prompts: parsing, and finding the next matching minute in a
+// timezone.
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+const CRON_SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *"
+};
+const CRON_SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000; // Long enough for a February 29th
+
+const zonedFormatters = new Map(); // Key: timezone, Value: Intl.DateTimeFormat
+
+function parseCronValue(token, field) {
+  const nameIndex = field.names ? field.names.indexOf(token) : -1;
+  let value = NaN;
+  if (nameIndex >= 0) value = field.name === "month" ? nameIndex + 1 : nameIndex;
+  else if (/^\d+$/.test(token)) value = parseInt(token, 10);
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`Invalid ${field.name} "${token}" (expected ${field.min}-${field.max}).`);
+  }
+  return value;
+}
+
+function parseCronField(part, field) {
+  const values = new Set();
+  for (const item of part.toLowerCase().split(",")) {
+    const match = item.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${field.name} "${item}".`);
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+    if (step < 1) throw new Error(`Invalid step in ${field.name} "${item}".`);
+    let low = field.min;
+    let high = field.max;
+    if (match[1] !== "*") {
+      const [from, to] = match[1].split("-");
+      low = parseCronValue(from, field);
+      // "5/15" means every 15 from 5 on
+      high = to !== undefined ? parseCronValue(to, field) : match[2] ? field.max : low;
+      if (low > high) throw new Error(`Invalid range in ${field.name} "${item}".`);
+    }
+    for (let v = low; v <= high; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Parses a five-field cron expression (minute hour day-of-month month day-of-week) or a shortcut
+// such as @daily. Throws with a readable message when it is malformed.
+function parseCron(expression) {
+  const text = CRON_SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error("A cron expression has five fields: minute hour day-of-month month day-of-week.");
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0); // Sunday is 0 or 7
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // As in cron, a day matching either field counts when both are restricted.
+    eitherDay: !parts[2].startsWith("*") && !parts[4].startsWith("*")
+  };
+}
+
+function zonedTimeFields(time, timeZone) {
+  let formatter = zonedFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short"
+    });
+    zonedFormatters.set(timeZone, formatter);
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map((p) => [p.type, p.value]));
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    weekday: CRON_FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// The first minute after `after` (Unix ms) that the cron matches in the timezone, or null if none
+// comes within a few years (e.g. February 30th).
+function nextCronRun(cron, after, timeZone) {
+  const limit = after + CRON_SEARCH_LIMIT_MS;
+  let time = Math.floor(after / 60000) * 60000 + 60000;
+  while (time <= limit) {
+    const f = zonedTimeFields(time, timeZone);
+    const dayMatches = cron.eitherDay
+      ? cron.dayOfMonth.has(f.day) || cron.dayOfWeek.has(f.weekday)
+      : cron.dayOfMonth.has(f.day) && cron.dayOfWeek.has(f.weekday);
+    if (!cron.month.has(f.month) || !dayMatches || !cron.hour.has(f.hour)) {
+      time += (60 - f.minute) * 60000; // On to the next hour
+    } else if (!cron.minute.has(f.minute)) {
+      time += 60000;
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCronField,
+  parseCron,
+  nextCronRun,
+  zonedTimeFields
+};
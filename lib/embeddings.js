@@ -0,0 +1,73 @@
+// Vector helpers for semantic retrieval and knowledge base search.
+// Vectors are stored in SQLite as normalized Float32 blobs, so cosine similarity is a dot product.
+
+const EMBEDDING_BATCH_SIZE = 64;
+const EMBEDDING_MAX_CHARS = 4000;
+
+function normalizeVector(vector) {
+  let norm = 0;
+  for (const x of vector) norm += x * x;
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, (x) => x / norm);
+}
+
+function vectorToBlob(vector) {
+  return Buffer.from(normalizeVector(vector).buffer);
+}
+
+function blobToVector(blob) {
+  if (blob.byteOffset % 4 !== 0) {
+    return new Float32Array(Uint8Array.from(blob).buffer); // Float32Array views need 4-byte alignment
+  }
+  return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4);
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Embeds `texts` in provider-sized batches through `embedBatch(inputs)`, which resolves to one
+// vector per input. Long texts are cut and empty ones replaced, since providers reject both.
+async function embedInBatches(embedBatch, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE).map((t) => t.slice(0, EMBEDDING_MAX_CHARS) || " ");
+    const embedded = await embedBatch(batch);
+    if (embedded.length !== batch.length) {
+      throw new Error(`Embedding provider returned ${embedded.length} vectors for ${batch.length} inputs.`);
+    }
+    vectors.push(...embedded);
+  }
+  return vectors;
+}
+
+// Returns the `topK` candidates most similar to the normalized `queryVector`, best first, as
+// { id, score }. Candidates are { id, vector } rows holding stored vector blobs; ids in
+// `excludeIds` and scores under `threshold` are skipped.
+function topSimilar(queryVector, candidates, { topK, threshold = -Infinity, excludeIds = new Set() }) {
+  const best = [];
+  for (const candidate of candidates) {
+    if (excludeIds.has(candidate.id)) continue;
+    const score = dotProduct(queryVector, blobToVector(candidate.vector));
+    if (score < threshold) continue;
+    if (best.length < topK || score > best[best.length - 1].score) {
+      best.push({ id: candidate.id, score });
+      best.sort((a, b) => b.score - a.score);
+      if (best.length > topK) best.pop();
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  EMBEDDING_BATCH_SIZE,
+  EMBEDDING_MAX_CHARS,
+  normalizeVector,
+  vectorToBlob,
+  blobToVector,
+  dotProduct,
+  embedInBatches,
+  topSimilar
+};
@@ -0,0 +1,76 @@
+// Text handling and ranking for the knowledge base: splitting documents into chunks, BM25 over
+// their terms, and blending BM25 with embedding similarity for hybrid search.
+
+const KB_CHUNK_CHARS = 2400;
+const KB_CHUNK_OVERLAP_CHARS = 300;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const KB_STOPWORDS = new Set(
+  "a an and are as at be but by for from has have how i if in is it its of on or so that the their then there these this to was were what when where which who why will with you your".split(" ")
+);
+
+function tokenizeForSearch(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+    (t) => t.length > 1 && !KB_STOPWORDS.has(t)
+  );
+}
+
+// Splits text into chunks of about KB_CHUNK_CHARS, preferring paragraph then line boundaries,
+// with a short overlap so facts on a boundary stay findable.
+function chunkDocumentText(text) {
+  const normalized = text.replace(/\r\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  const chunks = [];
+  let start = 0;
+  while (start < normalized.length) {
+    let end = Math.min(start + KB_CHUNK_CHARS, normalized.length);
+    if (end < normalized.length) {
+      const window = normalized.slice(start, end);
+      const breakAt = Math.max(window.lastIndexOf("\n\n"), window.lastIndexOf("\n"));
+      if (breakAt > KB_CHUNK_CHARS / 2) end = start + breakAt;
+    }
+    const chunk = normalized.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= normalized.length) break;
+    start = Math.max(end - KB_CHUNK_OVERLAP_CHARS, start + 1);
+  }
+  return chunks;
+}
+
+// BM25 score of each chunk with a match. `matches` has a { chunkId, term, tf, termCount } row for
+// every query term found in a chunk; `chunkCount` and `avgLength` describe the chunks searched.
+function bm25Scores(matches, chunkCount, avgLength) {
+  const df = new Map();
+  for (const m of matches) df.set(m.term, (df.get(m.term) || 0) + 1);
+
+  const scores = new Map(); // chunkId -> score
+  for (const m of matches) {
+    const idf = Math.log(1 + (chunkCount - df.get(m.term) + 0.5) / (df.get(m.term) + 0.5));
+    const score =
+      (idf * m.tf * (BM25_K1 + 1)) /
+      (m.tf + BM25_K1 * (1 - BM25_B + (BM25_B * m.termCount) / (avgLength || 1)));
+    scores.set(m.chunkId, (scores.get(m.chunkId) || 0) + score);
+  }
+  return scores;
+}
+
+// Blends BM25 scores half and half with embedding similarities, given as [chunkId, similarity]
+// pairs. BM25 scores are scaled by the best one so both halves run from 0 to 1.
+function blendScores(bm25, similarities) {
+  let maxBm25 = 0;
+  for (const score of bm25.values()) maxBm25 = Math.max(maxBm25, score);
+  const blended = new Map();
+  for (const [chunkId, score] of bm25) blended.set(chunkId, 0.5 * (score / (maxBm25 || 1)));
+  for (const [chunkId, similarity] of similarities) {
+    blended.set(chunkId, (blended.get(chunkId) || 0) + 0.5 * Math.max(similarity, 0));
+  }
+  return blended;
+}
+
+module.exports = {
+  KB_CHUNK_CHARS,
+  KB_CHUNK_OVERLAP_CHARS,
+  tokenizeForSearch,
+  chunkDocumentText,
+  bm25Scores,
+  blendScores
+};
@@ -0,0 +1,207 @@
+// Turns a streamed model reply into Discord messages.
+
+// utility to split text into chunks under maxLen, splitting at line breaks
+function splitMessage(text, maxLen = 1900) {
+  const lines = text.split("\n");
+  const chunks = [];
+  let buf = "";
+  for (let line of lines) {
+    if (buf && buf.length + line.length + 1 > maxLen) {
+      chunks.push(buf);
+      buf = "";
+    }
+    // A single line that is too long is cut at the limit.
+    while (line.length > maxLen) {
+      chunks.push(line.slice(0, maxLen));
+      line = line.slice(maxLen);
+    }
+    buf += (buf ? "\n" : "") + line;
+  }
+  if (buf) chunks.push(buf);
+  return chunks;
+}
+
+// Separates <think>...</think> reasoning from the reply as it streams. Tags may be split across
+// chunks, so the end of a chunk that could be the start of a tag waits for the next one.
+// push(text) and flush() return { visible, reasoning }.
+function createThinkFilter() {
+  let inThink = false;
+  let carry = "";
+
+  const push = (chunk) => {
+    let text = carry + chunk;
+    carry = "";
+    const out = { visible: "", reasoning: "" };
+    while (text) {
+      const tag = inThink ? "</think>" : "<think>";
+      const target = inThink ? "reasoning" : "visible";
+      const at = text.indexOf(tag);
+      if (at !== -1) {
+        out[target] += text.slice(0, at);
+        text = text.slice(at + tag.length);
+        inThink = !inThink;
+        continue;
+      }
+      let partial = Math.min(tag.length - 1, text.length);
+      while (partial > 0 && !tag.startsWith(text.slice(-partial))) partial--;
+      out[target] += text.slice(0, text.length - partial);
+      carry = text.slice(text.length - partial);
+      text = "";
+    }
+    return out;
+  };
+
+  const flush = () => {
+    const rest = carry;
+    carry = "";
+    return inThink ? { visible: "", reasoning: rest } : { visible: rest, reasoning: "" };
+  };
+
+  return { push, flush };
+}
+
+// Splits text into paragraphs at blank lines outside ``` code blocks. Unless final, the last line
+// may still be streaming, so the paragraph it belongs to is returned as rest.
+function splitParagraphs(text, final) {
+  const paragraphs = [];
+  const lines = text.split("\n");
+  const end = final ? lines.length : lines.length - 1;
+  let current = [];
+  let inFence = false;
+  for (let i = 0; i < end; i++) {
+    if (lines[i].trimStart().startsWith("```")) inFence = !inFence;
+    if (!inFence && lines[i].trim() === "") {
+      if (current.join("\n").trim()) paragraphs.push(current.join("\n").trim());
+      current = [];
+    } else {
+      current.push(lines[i]);
+    }
+  }
+  const rest = [...current, ...lines.slice(end)].join("\n");
+  if (final && rest.trim()) paragraphs.push(rest.trim());
+  return { paragraphs, rest: final ? "" : rest };
+}
+
+// Turns streamed text into messages for an output mode. push(text) returns the messages that are
+// complete so far; finish() returns { messages, malformed }, where malformed is leftover text that
+// didn't follow the mode's format. Each message is { text, stored } with the <msg> row to save.
+// The text it gets has <think> blocks removed already (see createThinkFilter).
+function createReplySplitter(mode) {
+  let buffer = "";
+  const asMessage = (text) => ({ text, stored: `<msg>${text}</msg>` });
+
+  const push = (chunk) => {
+    buffer += chunk;
+    const messages = [];
+    if (mode === "msg-tags") {
+      const tagRegex = /<msg(?:[^>]*)>([\s\S]*?)<\/msg>/g;
+      let match;
+      let lastIndex = 0;
+      while ((match = tagRegex.exec(buffer)) !== null) {
+        if (match[1].trim()) messages.push({ text: match[1], stored: match[0] });
+        lastIndex = tagRegex.lastIndex;
+      }
+      buffer = buffer.slice(lastIndex);
+    } else if (mode === "paragraphs") {
+      const { paragraphs, rest } = splitParagraphs(buffer, false);
+      messages.push(...paragraphs.map(asMessage));
+      buffer = rest;
+    }
+    return messages;
+  };
+
+  const finish = () => {
+    const rest = buffer.trim();
+    buffer = "";
+    if (!rest) return { messages: [], malformed: "" };
+    if (mode === "json") {
+      try {
+        const parsed = JSON.parse(rest.replace(/^```(?:json)?\s*|\s*```$/g, ""));
+        const items = Array.isArray(parsed) ? parsed : parsed.messages;
+        if (!Array.isArray(items)) throw new Error("no messages array");
+        const messages = items
+          .map((item) => (typeof item === "string" ? item : item && (item.content ?? item.text)))
+          .filter((text) => typeof text === "string" && text.trim())
+          .map((text) => asMessage(text.trim()));
+        return { messages, malformed: "" };
+      } catch {
+        return { messages: [], malformed: rest };
+      }
+    }
+    if (mode === "msg-tags") return { messages: [], malformed: rest.replace(/<\/?msg[^>]*>/g, "").trim() };
+    if (mode === "paragraphs") {
+      return { messages: splitParagraphs(rest, true).paragraphs.map(asMessage), malformed: "" };
+    }
+    return { messages: [asMessage(rest)], malformed: "" };
+  };
+
+  // The message that is still streaming, for live editing. JSON can't be shown until it's complete.
+  const pending = () => {
+    let text = buffer;
+    if (mode === "json") return "";
+    if (mode === "msg-tags") {
+      const open = buffer.match(/<msg[^>]*>([\s\S]*)$/);
+      text = open ? open[1] : "";
+    }
+    return text.replace(/<[^>]*$/, "").trim(); // Hide a tag that is still arriving
+  };
+
+  return { push, pending, finish };
+}
+
+const LIVE_EDIT_INTERVAL_MS = 1500; // Webhook edits share Discord's rate limit of about 5 per 2 seconds
+
+// A reply message that is posted right away and edited as it streams. Content past 2000
+// characters rolls over into further messages. `enqueue` runs sends in order; `api` has
+// post(content) -> message ID, edit(id, content) and remove(id).
+function createLiveMessage(enqueue, api) {
+  let wanted = []; // Content each Discord message should end up with
+  const shown = []; // Content each Discord message has now
+  const ids = [];
+  let timer = null;
+  let lastFlush = 0;
+
+  const flush = () => {
+    lastFlush = Date.now();
+    return enqueue(async () => {
+      for (let i = 0; i < wanted.length; i++) {
+        if (shown[i] === wanted[i]) continue;
+        if (ids[i] === undefined) ids[i] = await api.post(wanted[i]);
+        else await api.edit(ids[i], wanted[i]);
+        shown[i] = wanted[i];
+      }
+      while (ids.length > wanted.length) {
+        await api.remove(ids.pop());
+        shown.pop();
+      }
+    });
+  };
+  const set = (text, immediate) => {
+    wanted = text ? splitMessage(text, 2000) : [];
+    if (immediate) {
+      clearTimeout(timer);
+      timer = null;
+      return flush();
+    }
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush();
+      }, Math.max(0, lastFlush + LIVE_EDIT_INTERVAL_MS - Date.now()));
+    }
+  };
+
+  return {
+    update: (text) => set(text, false),
+    complete: (text) => set(text, true),
+    discard: () => set("", true)
+  };
+}
+
+module.exports = {
+  createThinkFilter,
+  splitParagraphs,
+  createReplySplitter,
+  splitMessage,
+  createLiveMessage
+};
@@ -0,0 +1,537 @@
+const readline = require("readline");
+const { Readable } = require("stream");
+
+// Each adapter turns the bot's OpenAI-style chat history into a provider's native request and
+// normalizes the streamed response into events like { type: "text", text }, { type: "reasoning", text }
+// for reasoning the provider sends separately, plus a
+// { type: "usage", promptTokens, completionTokens } event when the provider reports token counts. Providers are
+// plain HTTP endpoints, so any adapter can be pointed at a local mock server via its URL.
+
+const DEFAULT_PROVIDER_TYPE = "openai";
+
+// Reads a Server-Sent Events body and yields { event, data } for every dispatched event.
+async function* readSseEvents(body) {
+  const lineReader = readline.createInterface({
+    input: Readable.fromWeb(body),
+    crlfDelay: Infinity
+  });
+  let eventName = "message";
+  let dataLines = [];
+  for await (const line of lineReader) {
+    if (line === "") {
+      if (dataLines.length) {
+        yield { event: eventName, data: dataLines.join("\n") };
+      }
+      eventName = "message";
+      dataLines = [];
+    } else if (line.startsWith("event:")) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      const data = line.slice(5).replace(/^ /, "");
+      if (process.env.verbose === 'true') {
+        console.log(`[VERBOSE] LLM Stream Chunk: ${data}`);
+      }
+      dataLines.push(data);
+    }
+  }
+  if (dataLines.length) {
+    yield { event: eventName, data: dataLines.join("\n") };
+  }
+}
+
+// Reads a newline-delimited JSON body and yields each parsed object.
+async function* readNdjson(body) {
+  const lineReader = readline.createInterface({
+    input: Readable.fromWeb(body),
+    crlfDelay: Infinity
+  });
+  for await (const line of lineReader) {
+    if (!line.trim()) continue;
+    if (process.env.verbose === 'true') {
+      console.log(`[VERBOSE] LLM Stream Chunk: ${line}`);
+    }
+    const parsed = parseJsonChunk(line);
+    if (parsed) yield parsed;
+  }
+}
+
+function parseJsonChunk(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null; // Incomplete or non-JSON chunk, skip it
+  }
+}
+
+// GETs a provider endpoint and returns its JSON payload. HTTP errors carry `status`.
+async function fetchProviderJson(url, headers) {
+  const res = await fetch(url, { method: "GET", headers });
+  if (!res.ok) {
+    const err = new Error(`${res.status} ${res.statusText}`);
+    err.status = res.status;
+    err.statusText = res.statusText;
+    throw err;
+  }
+  try {
+    return await res.json();
+  } catch {
+    throw new Error(`Received invalid JSON response from ${url}`);
+  }
+}
+
+// POSTs JSON to a non-streaming provider endpoint and returns its JSON payload.
+async function postProviderJson(url, headers, body) {
+  const res = await fetch(url, { method: "POST", headers, body: JSON.stringify(body) });
+  if (!res.ok) {
+    const errorBody = await res.text().catch(() => "");
+    const err = new Error(`${res.status} ${res.statusText}: ${errorBody.substring(0, 300)}`);
+    err.status = res.status;
+    err.statusText = res.statusText;
+    throw err;
+  }
+  try {
+    return await res.json();
+  } catch {
+    throw new Error(`Received invalid JSON response from ${url}`);
+  }
+}
+
+// Downloads an image attachment for providers that only accept inline base64 images.
+async function fetchImageAsBase64(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Failed to fetch image ${url}: ${res.status} ${res.statusText}`);
+  }
+  const mimeType = (res.headers.get("content-type") || "image/png").split(";")[0];
+  const data = Buffer.from(await res.arrayBuffer()).toString("base64");
+  return { mimeType, data };
+}
+
+// Splits a chat message's content into its text and image URLs.
+function splitContentParts(content) {
+  if (typeof content === "string") return { text: content, imageUrls: [] };
+  const texts = [];
+  const imageUrls = [];
+  for (const part of content || []) {
+    if (part.type === "text") texts.push(part.text);
+    else if (part.type === "image_url") imageUrls.push(part.image_url.url);
+  }
+  return { text: texts.join("\n\n"), imageUrls };
+}
+
+// Strips known endpoint suffixes from a provider URL, leaving the API base.
+function providerBaseUrl(provider, suffixRegex) {
+  const u = new URL(provider.url);
+  u.pathname = u.pathname.replace(suffixRegex, "").replace(/\/+$/, "");
+  u.search = "";
+  return u.toString().replace(/\/+$/, "");
+}
+
+async function* streamOpenAIEvents(response) {
+  for await (const { data } of readSseEvents(response.body)) {
+    if (data === "[DONE]") return;
+    const chunk = parseJsonChunk(data);
+    if (!chunk) continue;
+    if (chunk.error) {
+      throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    }
+    if (chunk.usage) {
+      yield {
+        type: "usage",
+        promptTokens: chunk.usage.prompt_tokens,
+        completionTokens: chunk.usage.completion_tokens
+      };
+    }
+    const delta = chunk.choices?.[0]?.delta;
+    // Reasoning servers use either field name
+    const reasoning = delta?.reasoning_content || delta?.reasoning;
+    if (typeof reasoning === "string" && reasoning) yield { type: "reasoning", text: reasoning };
+    if (delta?.content) yield { type: "text", text: delta.content };
+    for (const call of delta?.tool_calls || []) {
+      yield {
+        type: "tool_call",
+        index: call.index ?? 0,
+        id: call.id,
+        name: call.function?.name,
+        arguments: call.function?.arguments
+      };
+    }
+  }
+}
+
+// Thinking budgets for providers that take a token count instead of a reasoning effort.
+const REASONING_BUDGET_TOKENS = { low: 1024, medium: 4096, high: 16384 };
+
+// Asks OpenAI-style servers for a final usage chunk. Servers that reject stream_options get the
+// request again without it (see openCompletionStream).
+const OPENAI_STREAM_OPTIONS = { stream_options: { include_usage: true } };
+
+// Adds OpenAI-style tool definitions to a chat-completions body.
+function withOpenAITools(body, tools, toolChoice) {
+  if (!tools) return body;
+  const withTools = { ...body, tools };
+  if (toolChoice) withTools.tool_choice = toolChoice;
+  return withTools;
+}
+
+const PROVIDER_ADAPTERS = {
+  openai: {
+    label: "OpenAI-compatible",
+    chatUrl(provider) {
+      const u = new URL(provider.url);
+      if (u.hostname.includes("groq.com")) {
+        u.pathname = "/openai/v1/chat/completions";
+      } else if (
+        !/\/chat\/completions\/?$/.test(u.pathname) &&
+        !/\/completions\/?$/.test(u.pathname)
+      ) {
+        u.pathname = u.pathname.replace(/\/$/, "") + "/chat/completions";
+      }
+      return u.toString();
+    },
+    modelsUrl(provider) {
+      const u = new URL(provider.url);
+      if (/\/(?:chat\/)?completions\/?$/.test(u.pathname)) {
+        u.pathname = u.pathname.replace(/\/(?:chat\/)?completions\/?$/, "/models");
+      } else if (!/\/models\/?$/.test(u.pathname)) {
+        u.pathname = u.pathname.replace(/\/$/, "") + "/models";
+      }
+      return u.toString();
+    },
+    headers(apiKey) {
+      return {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`
+      };
+    },
+    supportsTools: true,
+    async buildChatRequest({ provider, apiKey, model, messages, params, extraBody, tools, toolChoice }) {
+      return {
+        url: this.chatUrl(provider),
+        headers: this.headers(apiKey),
+        body: withOpenAITools(
+          { ...params, ...OPENAI_STREAM_OPTIONS, ...extraBody, model, messages, stream: true },
+          tools,
+          toolChoice
+        )
+      };
+    },
+    streamEvents: streamOpenAIEvents,
+    async listModels(provider, apiKey) {
+      const payload = await fetchProviderJson(this.modelsUrl(provider), this.headers(apiKey));
+      return (payload.data || []).map((m) => m.id || m.name).filter(Boolean);
+    },
+    defaultEmbeddingModel: "text-embedding-3-small",
+    async embed(provider, apiKey, model, inputs) {
+      const url = this.modelsUrl(provider).replace(/\/models\/?$/, "/embeddings");
+      const payload = await postProviderJson(url, this.headers(apiKey), { model, input: inputs });
+      return (payload.data || []).sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    }
+  },
+
+  "azure-openai": {
+    label: "Azure OpenAI",
+    // The agent's model is the Azure deployment name. An api-version query on the provider URL is honored.
+    apiVersion(provider) {
+      return new URL(provider.url).searchParams.get("api-version") || "2024-10-21";
+    },
+    headers(apiKey) {
+      return { "Content-Type": "application/json", "api-key": apiKey };
+    },
+    supportsTools: true,
+    async buildChatRequest({ provider, apiKey, model, messages, params, extraBody, tools, toolChoice }) {
+      const origin = new URL(provider.url).origin;
+      return {
+        url: `${origin}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${this.apiVersion(provider)}`,
+        headers: this.headers(apiKey),
+        body: withOpenAITools(
+          { ...params, ...OPENAI_STREAM_OPTIONS, ...extraBody, messages, stream: true },
+          tools,
+          toolChoice
+        )
+      };
+    },
+    streamEvents: streamOpenAIEvents,
+    async listModels(provider, apiKey) {
+      const origin = new URL(provider.url).origin;
+      const payload = await fetchProviderJson(
+        `${origin}/openai/models?api-version=${this.apiVersion(provider)}`,
+        this.headers(apiKey)
+      );
+      return (payload.data || []).map((m) => m.id).filter(Boolean);
+    },
+    async embed(provider, apiKey, model, inputs) {
+      const origin = new URL(provider.url).origin;
+      const payload = await postProviderJson(
+        `${origin}/openai/deployments/${encodeURIComponent(model)}/embeddings?api-version=${this.apiVersion(provider)}`,
+        this.headers(apiKey),
+        { input: inputs }
+      );
+      return (payload.data || []).sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    }
+  },
+
+  anthropic: {
+    label: "Anthropic",
+    baseUrl(provider) {
+      const base = providerBaseUrl(provider, /\/(?:messages|models)\/?$/);
+      return /\/v1$/.test(base) ? base : `${base}/v1`;
+    },
+    headers(apiKey) {
+      return {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01"
+      };
+    },
+    async buildChatRequest({ provider, apiKey, model, messages, params, extraBody }) {
+      const system = messages
+        .filter((m) => m.role === "system")
+        .map((m) => splitContentParts(m.content).text)
+        .join("\n\n");
+      const anthropicMessages = messages
+        .filter((m) => m.role !== "system")
+        .map((m) => ({
+          role: m.role,
+          content:
+            typeof m.content === "string"
+              ? m.content
+              : m.content.map((part) =>
+                  part.type === "image_url"
+                    ? { type: "image", source: { type: "url", url: part.image_url.url } }
+                    : part
+                )
+        }));
+      const body = {
+        model,
+        messages: anthropicMessages,
+        max_tokens: params.max_tokens || 4096,
+        stream: true
+      };
+      if (system) body.system = system;
+      const thinkingBudget = REASONING_BUDGET_TOKENS[params.reasoning_effort];
+      if (thinkingBudget) {
+        // Extended thinking counts against max_tokens and doesn't allow sampling changes.
+        body.thinking = { type: "enabled", budget_tokens: thinkingBudget };
+        if (body.max_tokens <= thinkingBudget) body.max_tokens = thinkingBudget + 4096;
+      } else {
+        if (params.temperature !== undefined) body.temperature = params.temperature;
+        if (params.top_p !== undefined) body.top_p = params.top_p;
+      }
+      if (params.stop) body.stop_sequences = params.stop;
+      return {
+        url: `${this.baseUrl(provider)}/messages`,
+        headers: this.headers(apiKey),
+        body: { ...body, ...extraBody }
+      };
+    },
+    async *streamEvents(response) {
+      let promptTokens; // Reported up front in message_start, output tokens come in message_delta
+      for await (const { data } of readSseEvents(response.body)) {
+        const chunk = parseJsonChunk(data);
+        if (!chunk) continue;
+        if (chunk.type === "error") {
+          throw new Error(chunk.error?.message || "Anthropic stream error");
+        }
+        if (chunk.type === "message_start" && chunk.message?.usage) {
+          const usage = chunk.message.usage;
+          promptTokens =
+            (usage.input_tokens || 0) +
+            (usage.cache_creation_input_tokens || 0) +
+            (usage.cache_read_input_tokens || 0);
+        }
+        if (chunk.type === "message_delta" && chunk.usage) {
+          yield { type: "usage", promptTokens, completionTokens: chunk.usage.output_tokens };
+        }
+        if (chunk.type === "content_block_delta" && chunk.delta?.type === "text_delta") {
+          yield { type: "text", text: chunk.delta.text };
+        }
+        if (chunk.type === "content_block_delta" && chunk.delta?.type === "thinking_delta") {
+          yield { type: "reasoning", text: chunk.delta.thinking };
+        }
+      }
+    },
+    async listModels(provider, apiKey) {
+      const payload = await fetchProviderJson(`${this.baseUrl(provider)}/models?limit=1000`, this.headers(apiKey));
+      return (payload.data || []).map((m) => m.id).filter(Boolean);
+    }
+  },
+
+  gemini: {
+    label: "Google Gemini",
+    baseUrl(provider) {
+      const base = providerBaseUrl(provider, /\/models(?:\/.*)?$/);
+      return /\/v1(?:beta|alpha)?$/.test(base) ? base : `${base}/v1beta`;
+    },
+    headers(apiKey) {
+      return { "Content-Type": "application/json", "x-goog-api-key": apiKey };
+    },
+    async buildChatRequest({ provider, apiKey, model, messages, params, extraBody }) {
+      const system = messages
+        .filter((m) => m.role === "system")
+        .map((m) => splitContentParts(m.content).text)
+        .join("\n\n");
+      const contents = [];
+      for (const m of messages) {
+        if (m.role === "system") continue;
+        const parts = [];
+        if (typeof m.content === "string") {
+          parts.push({ text: m.content });
+        } else {
+          for (const part of m.content) {
+            if (part.type === "text") {
+              parts.push({ text: part.text });
+            } else if (part.type === "image_url") {
+              const { mimeType, data } = await fetchImageAsBase64(part.image_url.url);
+              parts.push({ inlineData: { mimeType, data } });
+            }
+          }
+        }
+        contents.push({ role: m.role === "assistant" ? "model" : "user", parts });
+      }
+      const generationConfig = {};
+      if (params.temperature !== undefined) generationConfig.temperature = params.temperature;
+      if (params.top_p !== undefined) generationConfig.topP = params.top_p;
+      if (params.max_tokens !== undefined) generationConfig.maxOutputTokens = params.max_tokens;
+      if (params.stop) generationConfig.stopSequences = params.stop;
+      if (params.seed !== undefined) generationConfig.seed = params.seed;
+      if (params.presence_penalty !== undefined) generationConfig.presencePenalty = params.presence_penalty;
+      if (params.frequency_penalty !== undefined) generationConfig.frequencyPenalty = params.frequency_penalty;
+      if (REASONING_BUDGET_TOKENS[params.reasoning_effort]) {
+        generationConfig.thinkingConfig = {
+          thinkingBudget: REASONING_BUDGET_TOKENS[params.reasoning_effort],
+          includeThoughts: true
+        };
+      }
+
+      const body = { contents };
+      if (system) body.systemInstruction = { parts: [{ text: system }] };
+      if (Object.keys(generationConfig).length) body.generationConfig = generationConfig;
+      const modelId = model.replace(/^models\//, "");
+      return {
+        url: `${this.baseUrl(provider)}/models/${encodeURIComponent(modelId)}:streamGenerateContent?alt=sse`,
+        headers: this.headers(apiKey),
+        body: { ...body, ...extraBody }
+      };
+    },
+    async *streamEvents(response) {
+      for await (const { data } of readSseEvents(response.body)) {
+        const chunk = parseJsonChunk(data);
+        if (!chunk) continue;
+        if (chunk.error) {
+          throw new Error(chunk.error.message || "Gemini stream error");
+        }
+        for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+          if (part.text) yield { type: part.thought ? "reasoning" : "text", text: part.text };
+        }
+        if (chunk.usageMetadata) {
+          // Cumulative in every chunk; the last one wins.
+          yield {
+            type: "usage",
+            promptTokens: chunk.usageMetadata.promptTokenCount,
+            completionTokens:
+              (chunk.usageMetadata.candidatesTokenCount || 0) +
+              (chunk.usageMetadata.thoughtsTokenCount || 0)
+          };
+        }
+      }
+    },
+    async listModels(provider, apiKey) {
+      const payload = await fetchProviderJson(`${this.baseUrl(provider)}/models?pageSize=1000`, this.headers(apiKey));
+      return (payload.models || [])
+        .filter((m) => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes("generateContent"))
+        .map((m) => m.name.replace(/^models\//, ""));
+    },
+    defaultEmbeddingModel: "text-embedding-004",
+    async embed(provider, apiKey, model, inputs) {
+      const modelId = model.replace(/^models\//, "");
+      const payload = await postProviderJson(
+        `${this.baseUrl(provider)}/models/${encodeURIComponent(modelId)}:batchEmbedContents`,
+        this.headers(apiKey),
+        {
+          requests: inputs.map((text) => ({
+            model: `models/${modelId}`,
+            content: { parts: [{ text }] }
+          }))
+        }
+      );
+      return (payload.embeddings || []).map((e) => e.values);
+    }
+  },
+
+  ollama: {
+    label: "Ollama",
+    baseUrl(provider) {
+      return providerBaseUrl(provider, /\/api(?:\/(?:chat|tags))?\/?$/);
+    },
+    headers(apiKey) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`; // For Ollama behind an authenticating proxy
+      return headers;
+    },
+    async buildChatRequest({ provider, apiKey, model, messages, params, extraBody }) {
+      const ollamaMessages = [];
+      for (const m of messages) {
+        const { text, imageUrls } = splitContentParts(m.content);
+        const ollamaMessage = { role: m.role, content: text };
+        if (imageUrls.length) {
+          ollamaMessage.images = [];
+          for (const url of imageUrls) {
+            ollamaMessage.images.push((await fetchImageAsBase64(url)).data);
+          }
+        }
+        ollamaMessages.push(ollamaMessage);
+      }
+      const options = {};
+      if (params.temperature !== undefined) options.temperature = params.temperature;
+      if (params.top_p !== undefined) options.top_p = params.top_p;
+      if (params.max_tokens !== undefined) options.num_predict = params.max_tokens;
+      if (params.stop) options.stop = params.stop;
+      if (params.seed !== undefined) options.seed = params.seed;
+      if (params.presence_penalty !== undefined) options.presence_penalty = params.presence_penalty;
+      if (params.frequency_penalty !== undefined) options.frequency_penalty = params.frequency_penalty;
+
+      const body = { model, messages: ollamaMessages, stream: true };
+      if (Object.keys(options).length) body.options = options;
+      if (params.reasoning_effort) body.think = true; // Ollama only switches thinking on or off
+      return {
+        url: `${this.baseUrl(provider)}/api/chat`,
+        headers: this.headers(apiKey),
+        body: { ...body, ...extraBody }
+      };
+    },
+    async *streamEvents(response) {
+      for await (const chunk of readNdjson(response.body)) {
+        if (chunk.error) throw new Error(chunk.error);
+        if (chunk.message?.thinking) yield { type: "reasoning", text: chunk.message.thinking };
+        if (chunk.message?.content) yield { type: "text", text: chunk.message.content };
+        if (chunk.done) {
+          yield { type: "usage", promptTokens: chunk.prompt_eval_count, completionTokens: chunk.eval_count };
+          return;
+        }
+      }
+    },
+    async listModels(provider, apiKey) {
+      const payload = await fetchProviderJson(`${this.baseUrl(provider)}/api/tags`, this.headers(apiKey));
+      return (payload.models || []).map((m) => m.name || m.model).filter(Boolean);
+    },
+    defaultEmbeddingModel: "nomic-embed-text",
+    async embed(provider, apiKey, model, inputs) {
+      const payload = await postProviderJson(`${this.baseUrl(provider)}/api/embed`, this.headers(apiKey), {
+        model,
+        input: inputs
+      });
+      return payload.embeddings || [];
+    }
+  }
+};
+
+function getProviderAdapter(provider) {
+  return PROVIDER_ADAPTERS[provider.type] || PROVIDER_ADAPTERS[DEFAULT_PROVIDER_TYPE];
+}
+
+module.exports = {
+  DEFAULT_PROVIDER_TYPE,
+  PROVIDER_ADAPTERS,
+  getProviderAdapter
+};
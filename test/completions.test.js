@@ -0,0 +1,215 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  LLM_MAX_RETRIES,
+  retryDelayMs,
+  fetchWithRetry,
+  flattenToolMessages,
+  openCompletionStream
+} = require("../lib/completions");
+const { startStubServer, sendJson, sendSse, sendNdjson, collect } = require("./stub-server");
+
+let stub;
+let respond; // Set by each test to answer requests
+
+before(async () => {
+  stub = await startStubServer((req, res, body) => respond(req, res, body));
+  for (const method of ["log", "warn", "error"]) mock.method(console, method, () => {});
+});
+
+after(() => stub.close());
+
+let nextProviderId = 1;
+
+// Builds a resolveProvider option over named stub providers. Names missing from `providers` throw
+// like an unknown provider does in the bot.
+function providersAt(providers) {
+  return (providerName) => {
+    const provider = providers[providerName];
+    if (!provider) throw new Error(`Provider "${providerName}" not found.`);
+    return { provider: { id: nextProviderId++, name: providerName, ...provider }, apiKey: "key" };
+  };
+}
+
+const okStream = (text) => (req, res) =>
+  sendSse(res, [{ choices: [{ delta: { content: text } }] }, "[DONE]"]);
+
+test("retryDelayMs honors Retry-After and refuses waits that are too long", () => {
+  const withRetryAfter = (value) => new Response(null, { status: 429, headers: { "Retry-After": value } });
+  assert.equal(retryDelayMs(0, withRetryAfter("2")), 2000);
+  assert.equal(retryDelayMs(0, withRetryAfter("3600")), null);
+  const backoff = retryDelayMs(1);
+  assert.ok(backoff >= 2000 && backoff < 3000);
+});
+
+test("fetchWithRetry retries rate limits and server errors", async () => {
+  const statuses = [429, 503, 200];
+  const seen = stub.requests.length;
+  respond = (req, res) => {
+    const status = statuses.shift();
+    if (status === 200) okStream("ok")(req, res);
+    else sendJson(res, status, { error: "busy" }, { "Retry-After": "0" });
+  };
+  const response = await fetchWithRetry({ url: `${stub.url}/v1/chat/completions`, headers: {}, body: {} }, "test");
+  assert.equal(response.status, 200);
+  await response.body.cancel();
+  assert.equal(stub.requests.length - seen, 3);
+});
+
+test("fetchWithRetry returns the last response once retries run out", async () => {
+  const seen = stub.requests.length;
+  respond = (req, res) => sendJson(res, 500, { error: "down" }, { "Retry-After": "0" });
+  const response = await fetchWithRetry({ url: `${stub.url}/v1/chat/completions`, headers: {}, body: {} }, "test");
+  assert.equal(response.status, 500);
+  assert.equal(stub.requests.length - seen, LLM_MAX_RETRIES + 1);
+});
+
+test("fetchWithRetry does not retry client errors", async () => {
+  const seen = stub.requests.length;
+  respond = (req, res) => sendJson(res, 401, { error: "bad key" });
+  const response = await fetchWithRetry({ url: `${stub.url}/v1/chat/completions`, headers: {}, body: {} }, "test");
+  assert.equal(response.status, 401);
+  assert.equal(stub.requests.length - seen, 1);
+});
+
+test("openCompletionStream falls back down the chain", async () => {
+  respond = (req, res) => {
+    if (req.url.startsWith("/broken")) sendJson(res, 400, { error: "no such model" });
+    else okStream("from backup")(req, res);
+  };
+  let attempts = 0;
+  const completion = await openCompletionStream(
+    [
+      { providerName: "Main", model: "a" },
+      { providerName: "Backup", model: "b" }
+    ],
+    [{ role: "user", content: "Hi" }],
+    {
+      label: "test agent",
+      resolveProvider: providersAt({ Main: { url: `${stub.url}/broken` }, Backup: { url: `${stub.url}/v1` } }),
+      onAttempt: () => attempts++
+    }
+  );
+  assert.equal(completion.chainIndex, 1);
+  assert.equal(completion.model, "b");
+  assert.equal(completion.provider.name, "Backup");
+  assert.equal(attempts, 2);
+  assert.deepEqual(await collect(completion.adapter.streamEvents(completion.response)), [
+    { type: "text", text: "from backup" }
+  ]);
+});
+
+test("openCompletionStream starts at startAt and lists every failure", async () => {
+  respond = (req, res) => sendJson(res, 400, { error: "no such model" });
+  await assert.rejects(
+    openCompletionStream(
+      [
+        { providerName: "Skipped", model: "a" },
+        { providerName: "Missing", model: "b" },
+        { providerName: "Broken", model: "c" }
+      ],
+      [{ role: "user", content: "Hi" }],
+      {
+        label: "test agent",
+        resolveProvider: providersAt({ Skipped: { url: "not a url" }, Broken: { url: `${stub.url}/v1` } }),
+        startAt: 1
+      }
+    ),
+    (err) => {
+      assert.match(err.message, /^All providers for test agent failed:/);
+      assert.match(err.message, /- Provider "Missing" not found\./);
+      assert.match(err.message, /- LLM Provider "Broken" returned an error: 400 .*no such model/);
+      assert.doesNotMatch(err.message, /Skipped/);
+      return true;
+    }
+  );
+});
+
+test("openCompletionStream drops stream_options for providers that reject it", async () => {
+  respond = (req, res, body) => {
+    if (body.stream_options) sendJson(res, 400, { error: "Unrecognized request argument: stream_options" });
+    else okStream("strict")(req, res);
+  };
+  const provider = { id: "strict-provider", name: "Strict", url: `${stub.url}/v1` };
+  const options = { label: "test agent", resolveProvider: () => ({ provider, apiKey: "key" }) };
+  const chain = [{ providerName: "Strict", model: "m" }];
+  const seen = stub.requests.length;
+
+  const first = await openCompletionStream(chain, [{ role: "user", content: "Hi" }], options);
+  await first.response.body.cancel();
+  assert.deepEqual(
+    stub.requests.slice(seen).map((r) => Boolean(r.body.stream_options)),
+    [true, false]
+  );
+
+  const second = await openCompletionStream(chain, [{ role: "user", content: "Hi" }], options);
+  await second.response.body.cancel();
+  assert.equal(stub.requests.length - seen, 3);
+  assert.equal(stub.requests.at(-1).body.stream_options, undefined);
+});
+
+test("openCompletionStream keeps other 400 errors intact", async () => {
+  respond = (req, res) => sendJson(res, 400, { error: "context length exceeded" });
+  await assert.rejects(
+    openCompletionStream([{ providerName: "Main", model: "m" }], [{ role: "user", content: "Hi" }], {
+      label: "test agent",
+      resolveProvider: providersAt({ Main: { url: `${stub.url}/v1` } })
+    }),
+    /returned an error: 400 .*context length exceeded/
+  );
+});
+
+test("openCompletionStream flattens tool history for adapters without tool support", async () => {
+  respond = (req, res) => sendNdjson(res, [{ message: { content: "done" } }, { done: true }]);
+  const messages = [
+    { role: "user", content: "Roll a die" },
+    {
+      role: "assistant",
+      content: null,
+      tool_calls: [{ id: "call_1", type: "function", function: { name: "roll_dice", arguments: '{"sides":6}' } }]
+    },
+    { role: "tool", tool_call_id: "call_1", content: "4" }
+  ];
+  const completion = await openCompletionStream([{ providerName: "Local", model: "llama" }], messages, {
+    label: "test agent",
+    resolveProvider: providersAt({ Local: { type: "ollama", url: stub.url } }),
+    tools: [{ type: "function", function: { name: "roll_dice", parameters: {} } }]
+  });
+  await completion.response.body.cancel();
+  const sent = stub.requests.at(-1).body;
+  assert.equal(sent.tools, undefined);
+  assert.deepEqual(sent.messages, [
+    { role: "user", content: "Roll a die" },
+    { role: "assistant", content: '[Called tools: roll_dice({"sides":6})]' },
+    { role: "user", content: "[Result of roll_dice]\n4" }
+  ]);
+});
+
+test("flattenToolMessages keeps assistant text next to its tool calls", () => {
+  assert.deepEqual(
+    flattenToolMessages([
+      {
+        role: "assistant",
+        content: "Checking.",
+        tool_calls: [{ id: "a", function: { name: "search", arguments: "{}" } }]
+      },
+      { role: "tool", tool_call_id: "unknown", content: "nothing" }
+    ]),
+    [
+      { role: "assistant", content: "Checking.\n[Called tools: search({})]" },
+      { role: "user", content: "[Result of a tool]\nnothing" }
+    ]
+  );
+});
+
+test("openCompletionStream throws the abort error when aborted", async () => {
+  respond = () => {}; // Never answers
+  const controller = new AbortController();
+  const pending = openCompletionStream([{ providerName: "Slow", model: "m" }], [{ role: "user", content: "Hi" }], {
+    label: "test agent",
+    resolveProvider: providersAt({ Slow: { url: `${stub.url}/v1` } }),
+    signal: controller.signal
+  });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(pending, { name: "AbortError" });
+});
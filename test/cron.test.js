@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCronField, parseCron, nextCronRun, zonedTimeFields } = require("../lib/cron");
+
+const sorted = (values) => [...values].sort((a, b) => a - b);
+const utc = (text) => Date.parse(`${text}Z`);
+const next = (expression, after, timeZone = "UTC") => nextCronRun(parseCron(expression), utc(after), timeZone);
+
+test("fields accept lists, ranges, steps and names", () => {
+  const minute = { name: "minute", min: 0, max: 59 };
+  assert.deepEqual(sorted(parseCronField("*/15", minute)), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(parseCronField("10-20/5,59", minute)), [10, 15, 20, 59]);
+  assert.deepEqual(sorted(parseCronField("50/4", minute)), [50, 54, 58]);
+
+  const cron = parseCron("0 9 * jan-mar,DEC mon-fri");
+  assert.deepEqual(sorted(cron.month), [1, 2, 3, 12]);
+  assert.deepEqual(sorted(cron.dayOfWeek), [1, 2, 3, 4, 5]);
+});
+
+test("Sunday can be written as 0 or 7", () => {
+  assert.deepEqual(sorted(parseCron("0 0 * * 7").dayOfWeek), [0, 7]);
+  assert.deepEqual(sorted(parseCron("0 0 * * 5-7").dayOfWeek), [0, 5, 6, 7]);
+  // 2026-10-18 is a Sunday
+  assert.equal(next("0 12 * * 7", "2026-10-14T00:00:00"), utc("2026-10-18T12:00:00"));
+  assert.equal(next("0 12 * * sun", "2026-10-14T00:00:00"), utc("2026-10-18T12:00:00"));
+});
+
+test("shortcuts expand to their five-field form", () => {
+  assert.equal(next("@daily", "2026-10-19T08:00:00"), utc("2026-10-20T00:00:00"));
+  assert.equal(next("@HOURLY", "2026-10-19T08:00:00"), utc("2026-10-19T09:00:00"));
+  assert.equal(next("@monthly", "2026-10-19T08:00:00"), utc("2026-11-01T00:00:00"));
+});
+
+test("malformed expressions throw a readable error", () => {
+  assert.throws(() => parseCron("* * * *"), /five fields/);
+  assert.throws(() => parseCron("60 * * * *"), /Invalid minute "60"/);
+  assert.throws(() => parseCron("* * * foo *"), /Invalid month "foo"/);
+  assert.throws(() => parseCron("* 5-1 * * *"), /Invalid range in hour/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step in minute/);
+  assert.throws(() => parseCron("1,,2 * * * *"), /Invalid minute ""/);
+});
+
+test("the next run is the first matching minute after the given time", () => {
+  assert.equal(next("*/15 * * * *", "2026-10-19T08:07:30"), utc("2026-10-19T08:15:00"));
+  assert.equal(next("*/15 * * * *", "2026-10-19T08:15:00"), utc("2026-10-19T08:30:00"));
+  assert.equal(next("30 23 31 12 *", "2026-10-19T08:00:00"), utc("2026-12-31T23:30:00"));
+});
+
+test("a day matches either field when both day-of-month and day-of-week are restricted", () => {
+  // The 13th, or any Friday: Friday 2026-10-23 comes before November 13th
+  assert.equal(next("0 0 13 * fri", "2026-10-19T00:00:00"), utc("2026-10-23T00:00:00"));
+  assert.equal(next("0 0 13 * fri", "2026-10-10T00:00:00"), utc("2026-10-13T00:00:00"));
+  // Only one of them restricted: both must match, so only Friday the 13th of November
+  assert.equal(next("0 0 13 * *", "2026-10-19T00:00:00"), utc("2026-11-13T00:00:00"));
+  assert.equal(next("0 0 * 11 fri", "2026-10-19T00:00:00"), utc("2026-11-06T00:00:00"));
+});
+
+test("runs follow the timezone across daylight saving changes", () => {
+  const zone = "America/New_York";
+  // 9:00 is 13:00 UTC in summer time and 14:00 UTC in winter time
+  assert.equal(next("0 9 * * *", "2026-10-31T12:00:00", zone), utc("2026-10-31T13:00:00"));
+  assert.equal(next("0 9 * * *", "2026-11-01T12:00:00", zone), utc("2026-11-01T14:00:00"));
+  // On March 8th, 2026 the clock jumps from 2:00 to 3:00, so 2:30 only comes the next day
+  assert.equal(next("30 2 * * *", "2026-03-08T05:00:00", zone), utc("2026-03-09T06:30:00"));
+  assert.equal(next("30 3 * * *", "2026-03-08T05:00:00", zone), utc("2026-03-08T07:30:00"));
+
+  assert.deepEqual(zonedTimeFields(utc("2026-03-08T07:00:00"), zone), {
+    month: 3,
+    day: 8,
+    hour: 3,
+    minute: 0,
+    weekday: 0
+  });
+  assert.equal(zonedTimeFields(utc("2026-01-01T04:59:00"), zone).hour, 23);
+});
+
+test("an expression that never matches returns null", () => {
+  assert.equal(next("0 0 30 feb *", "2026-10-19T00:00:00"), null);
+  assert.equal(next("0 0 31 4,6,9,11 *", "2026-10-19T00:00:00"), null);
+  // February 29th is rare but reachable
+  assert.equal(next("0 0 29 2 *", "2026-10-19T00:00:00"), utc("2028-02-29T00:00:00"));
+});
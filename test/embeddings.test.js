@@ -0,0 +1,108 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  EMBEDDING_BATCH_SIZE,
+  EMBEDDING_MAX_CHARS,
+  normalizeVector,
+  vectorToBlob,
+  blobToVector,
+  embedInBatches,
+  topSimilar
+} = require("../lib/embeddings");
+const { PROVIDER_ADAPTERS } = require("../lib/providers");
+const { startStubServer, sendJson } = require("./stub-server");
+const { fakeEmbed } = require("./fake-embedder");
+
+let stub;
+
+before(async () => {
+  // Answers OpenAI-style embedding requests with the fake embedder, out of order like real servers may.
+  stub = await startStubServer((req, res, body) =>
+    sendJson(res, 200, {
+      data: body.input.map((text, index) => ({ index, embedding: fakeEmbed(text) })).reverse()
+    })
+  );
+});
+
+after(() => stub.close());
+
+const storedRows = (texts) => texts.map((text, i) => ({ id: i + 1, vector: vectorToBlob(fakeEmbed(text)) }));
+
+test("vectors round-trip through blobs normalized, even from unaligned buffers", () => {
+  const blob = vectorToBlob([3, 4]);
+  assert.deepEqual([...blobToVector(blob)], [...normalizeVector([3, 4])]);
+  assert.ok(Math.abs(blobToVector(blob)[0] - 0.6) < 1e-6);
+
+  const unaligned = Buffer.concat([Buffer.from([0]), blob]).subarray(1);
+  assert.notEqual(unaligned.byteOffset % 4, 0);
+  assert.deepEqual([...blobToVector(unaligned)], [...blobToVector(blob)]);
+});
+
+test("embedInBatches splits input into provider-sized batches and cleans texts", async () => {
+  const batches = [];
+  const texts = Array.from({ length: EMBEDDING_BATCH_SIZE * 2 + 2 }, (_, i) => `text ${i}`);
+  texts[0] = "";
+  texts[1] = "x".repeat(EMBEDDING_MAX_CHARS + 10);
+  const vectors = await embedInBatches(async (batch) => {
+    batches.push(batch);
+    return batch.map(fakeEmbed);
+  }, texts);
+  assert.deepEqual(
+    batches.map((b) => b.length),
+    [EMBEDDING_BATCH_SIZE, EMBEDDING_BATCH_SIZE, 2]
+  );
+  assert.equal(batches[0][0], " ");
+  assert.equal(batches[0][1].length, EMBEDDING_MAX_CHARS);
+  assert.equal(vectors.length, texts.length);
+  assert.deepEqual(vectors[5], fakeEmbed("text 5"));
+});
+
+test("embedInBatches rejects a provider that returns the wrong number of vectors", async () => {
+  await assert.rejects(
+    embedInBatches(async () => [[1, 0]], ["a", "b"]),
+    /returned 1 vectors for 2 inputs/
+  );
+});
+
+test("topSimilar ranks stored vectors by cosine similarity", () => {
+  const rows = storedRows([
+    "lunch plans for friday",
+    "the deploy of the release failed",
+    "release notes for the deploy",
+    "cat pictures"
+  ]);
+  const query = normalizeVector(fakeEmbed("why did the release deploy fail"));
+
+  const ranked = topSimilar(query, rows, { topK: 2 });
+  assert.deepEqual(
+    ranked.map((hit) => hit.id),
+    [2, 3]
+  );
+  assert.ok(ranked[0].score >= ranked[1].score);
+
+  assert.deepEqual(
+    topSimilar(query, rows, { topK: 5, excludeIds: new Set([2]) }).map((hit) => hit.id).slice(0, 1),
+    [3]
+  );
+  assert.deepEqual(topSimilar(query, rows, { topK: 5, threshold: 0.99 }), []);
+});
+
+test("embeddings fetched from a provider rank like the fake embedder", async () => {
+  const adapter = PROVIDER_ADAPTERS.openai;
+  const provider = { url: `${stub.url}/v1` };
+  const documents = ["pasta recipe with garlic", "kubernetes pod restart loop", "garlic bread recipe"];
+  const vectors = await embedInBatches(
+    (batch) => adapter.embed(provider, "key", "fake-embedder", batch),
+    documents
+  );
+  assert.equal(stub.requests.at(-1).url, "/v1/embeddings");
+  assert.deepEqual(vectors, documents.map(fakeEmbed));
+
+  const [queryVector] = await embedInBatches(
+    (batch) => adapter.embed(provider, "key", "fake-embedder", batch),
+    ["garlic recipe"]
+  );
+  const rows = vectors.map((vector, i) => ({ id: i + 1, vector: vectorToBlob(vector) }));
+  const ranked = topSimilar(normalizeVector(queryVector), rows, { topK: 3, threshold: 0.1 });
+  assert.deepEqual(ranked.map((hit) => hit.id).sort(), [1, 3]);
+});
@@ -0,0 +1,15 @@
+const crypto = require("crypto");
+
+// Deterministic stand-in for an embedding model: a bag of hashed words, so texts sharing words
+// land close together.
+const FAKE_DIMENSIONS = 64;
+
+function fakeEmbed(text) {
+  const vector = new Array(FAKE_DIMENSIONS).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    vector[crypto.createHash("md5").update(word).digest().readUInt32LE(0) % FAKE_DIMENSIONS] += 1;
+  }
+  return vector;
+}
+
+module.exports = { fakeEmbed };
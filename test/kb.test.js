@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  KB_CHUNK_CHARS,
+  KB_CHUNK_OVERLAP_CHARS,
+  tokenizeForSearch,
+  chunkDocumentText,
+  bm25Scores,
+  blendScores
+} = require("../lib/kb");
+const { normalizeVector, dotProduct } = require("../lib/embeddings");
+const { fakeEmbed } = require("./fake-embedder");
+
+// Indexes chunks the way the bot stores them and returns what a search for `query` reads back:
+// one { chunkId, term, tf, termCount } row per query term found in a chunk, plus the stats.
+function searchRows(chunks, query) {
+  const queryTerms = new Set(tokenizeForSearch(query));
+  const matches = [];
+  let totalLength = 0;
+  chunks.forEach((content, i) => {
+    const terms = tokenizeForSearch(content);
+    totalLength += terms.length;
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    for (const [term, count] of tf) {
+      if (queryTerms.has(term)) matches.push({ chunkId: i + 1, term, tf: count, termCount: terms.length });
+    }
+  });
+  return { matches, chunkCount: chunks.length, avgLength: totalLength / chunks.length };
+}
+
+const ranked = (scores) => [...scores].sort((a, b) => b[1] - a[1]).map(([chunkId]) => chunkId);
+
+test("tokenizeForSearch lowercases and drops stopwords and single characters", () => {
+  assert.deepEqual(tokenizeForSearch("What is the Deploy-Key for Café 2?"), ["deploy", "key", "café"]);
+});
+
+test("short documents stay one chunk, with line endings and blank runs normalized", () => {
+  assert.deepEqual(chunkDocumentText("Title\r\n\r\n\r\n\r\nBody text.\r\n"), ["Title\n\nBody text."]);
+  assert.deepEqual(chunkDocumentText("  \n\n "), []);
+});
+
+test("long documents split at line breaks and overlap their neighbours", () => {
+  const paragraphs = Array.from({ length: 60 }, (_, i) => `Paragraph ${i}: ${"lorem ipsum ".repeat(10).trim()}`);
+  const text = paragraphs.join("\n\n");
+  const chunks = chunkDocumentText(text);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= KB_CHUNK_CHARS);
+    assert.ok(chunk.endsWith("lorem ipsum")); // Ends at a line break, not mid-paragraph
+  }
+  for (let i = 1; i < chunks.length; i++) {
+    // Each chunk starts with the last KB_CHUNK_OVERLAP_CHARS of the one before.
+    const overlap = chunks[i].slice(0, chunks[i].indexOf("\n"));
+    assert.ok(overlap.length > 0 && overlap.length <= KB_CHUNK_OVERLAP_CHARS);
+    assert.ok(chunks[i - 1].endsWith(overlap), `chunk ${i} does not overlap chunk ${i - 1}`);
+  }
+  assert.ok(chunks.at(-1).endsWith(paragraphs.at(-1)));
+  for (const paragraph of paragraphs) assert.ok(chunks.some((c) => c.includes(paragraph)));
+});
+
+test("a paragraph longer than a chunk is cut at the chunk size", () => {
+  const chunks = chunkDocumentText("x".repeat(KB_CHUNK_CHARS * 2));
+  assert.equal(chunks[0].length, KB_CHUNK_CHARS);
+  assert.equal(chunks[1].length, KB_CHUNK_CHARS);
+  assert.equal(chunks.at(-1).length, KB_CHUNK_OVERLAP_CHARS * 2);
+});
+
+test("bm25Scores favours rare terms, repeated terms and short chunks", () => {
+  const chunks = [
+    "The restart policy controls pod restarts.",
+    "Pods restart after a crash; the restart policy decides. Restart counts show in the status.",
+    "Billing questions go to the finance channel.",
+    "Policy documents live in the wiki.",
+    "A pod is a group of containers with a shared restart policy, scheduled together on one node of the cluster."
+  ];
+  const { matches, chunkCount, avgLength } = searchRows(chunks, "restart policy");
+  const scores = bm25Scores(matches, chunkCount, avgLength);
+  assert.equal(scores.has(3), false);
+  assert.equal(ranked(scores)[0], 2); // "restart" three times
+  assert.ok(scores.get(1) > scores.get(5)); // Same matches, shorter chunk
+  assert.ok(scores.get(1) > scores.get(4)); // "restart" is rarer than "policy" alone
+});
+
+test("blendScores ranks by keywords and meaning together", () => {
+  const chunks = [
+    "Set up the deploy key in the repository settings.",
+    "Rotating credentials: revoke the old deploy key and add a new key.",
+    "The cafeteria menu changes every week.",
+    "Credentials rotation checklist for repository access."
+  ];
+  const query = "rotate deploy key credentials";
+  const { matches, chunkCount, avgLength } = searchRows(chunks, query);
+  const bm25 = bm25Scores(matches, chunkCount, avgLength);
+  const queryVector = normalizeVector(fakeEmbed(query));
+  const similarities = chunks.map((content, i) => [i + 1, dotProduct(queryVector, normalizeVector(fakeEmbed(content)))]);
+
+  const blended = blendScores(bm25, similarities);
+  assert.equal(ranked(blended)[0], 2);
+  for (const [chunkId, similarity] of similarities) {
+    const best = Math.max(...bm25.values());
+    const expected = 0.5 * ((bm25.get(chunkId) || 0) / best) + 0.5 * Math.max(similarity, 0);
+    assert.ok(Math.abs(blended.get(chunkId) - expected) < 1e-9);
+  }
+  assert.ok(blended.get(3) < blended.get(4)); // Neither matches a keyword that counts; meaning decides
+});
+
+test("blendScores ignores negative similarity and chunks without vectors keep their BM25 half", () => {
+  const blended = blendScores(
+    new Map([
+      [1, 4],
+      [2, 2]
+    ]),
+    [
+      [2, -0.3],
+      [3, 0.8]
+    ]
+  );
+  assert.deepEqual(
+    [...blended],
+    [
+      [1, 0.5],
+      [2, 0.25],
+      [3, 0.4]
+    ]
+  );
+});
@@ -0,0 +1,176 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createThinkFilter,
+  splitParagraphs,
+  createReplySplitter,
+  splitMessage,
+  createLiveMessage
+} = require("../lib/output");
+
+// Streams `chunks` through a splitter and returns the texts of every message it produced.
+function splitStream(mode, chunks) {
+  const splitter = createReplySplitter(mode);
+  const texts = [];
+  for (const chunk of chunks) texts.push(...splitter.push(chunk).map((m) => m.text));
+  const { messages, malformed } = splitter.finish();
+  texts.push(...messages.map((m) => m.text));
+  return { texts, malformed };
+}
+
+test("splitParagraphs keeps blank lines inside ``` fences", () => {
+  const text = "Intro\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nOutro";
+  assert.deepEqual(splitParagraphs(text, true).paragraphs, [
+    "Intro",
+    "```js\nconst a = 1;\n\nconst b = 2;\n```",
+    "Outro"
+  ]);
+});
+
+test("splitParagraphs holds back the paragraph that may still be streaming", () => {
+  assert.deepEqual(splitParagraphs("First\n\nSecond para", false), { paragraphs: ["First"], rest: "Second para" });
+  assert.deepEqual(splitParagraphs("First\n\n", false), { paragraphs: ["First"], rest: "" });
+});
+
+test("paragraphs mode sends each paragraph once it's complete", () => {
+  const splitter = createReplySplitter("paragraphs");
+  assert.deepEqual(splitter.push("One\n\nTw"), [{ text: "One", stored: "<msg>One</msg>" }]);
+  assert.deepEqual(splitter.push("o\n\n```\na\n\nb"), [{ text: "Two", stored: "<msg>Two</msg>" }]);
+  assert.deepEqual(splitter.push("\n```\n\nEnd"), [{ text: "```\na\n\nb\n```", stored: "<msg>```\na\n\nb\n```</msg>" }]);
+  assert.deepEqual(splitter.finish(), { messages: [{ text: "End", stored: "<msg>End</msg>" }], malformed: "" });
+});
+
+test("msg-tags mode sends each tag as it closes, even when split across chunks", () => {
+  const { texts, malformed } = splitStream("msg-tags", ["<msg>Hel", "lo</msg><m", "sg>World</msg>", "<msg> </msg>"]);
+  assert.deepEqual(texts, ["Hello", "World"]);
+  assert.equal(malformed, "");
+});
+
+test("msg-tags mode reports text outside tags as malformed", () => {
+  assert.deepEqual(splitStream("msg-tags", ["<msg>Tagged</msg>\nForgot the tags"]), {
+    texts: ["Tagged"],
+    malformed: "Forgot the tags"
+  });
+  assert.deepEqual(splitStream("msg-tags", ["<msg>Never closed"]), { texts: [], malformed: "Never closed" });
+});
+
+test("json mode reads the messages array once the reply is complete", () => {
+  assert.deepEqual(splitStream("json", ['{"messages": ["One", ', '{"content": "Two"}, "", 3]}']), {
+    texts: ["One", "Two"],
+    malformed: ""
+  });
+  assert.deepEqual(splitStream("json", ['```json\n["Fenced"]\n```']).texts, ["Fenced"]);
+});
+
+test("json mode returns malformed JSON whole", () => {
+  assert.deepEqual(splitStream("json", ['{"messages": ["One", "Tw']), {
+    texts: [],
+    malformed: '{"messages": ["One", "Tw'
+  });
+  assert.deepEqual(splitStream("json", ['{"reply": "no array"}']), { texts: [], malformed: '{"reply": "no array"}' });
+});
+
+test("single mode sends the whole reply as one message", () => {
+  assert.deepEqual(splitStream("single", ["One\n\n", "Two"]), { texts: ["One\n\nTwo"], malformed: "" });
+});
+
+test("pending shows the message that is still streaming", () => {
+  const tags = createReplySplitter("msg-tags");
+  tags.push("<msg>Done</msg><msg>Half way</m");
+  assert.equal(tags.pending(), "Half way");
+  const paragraphs = createReplySplitter("paragraphs");
+  paragraphs.push("First\n\nSecond <b");
+  assert.equal(paragraphs.pending(), "Second");
+  const json = createReplySplitter("json");
+  json.push('{"messages": ["Hi');
+  assert.equal(json.pending(), "");
+});
+
+test("splitMessage breaks at line ends and cuts lines longer than the limit", () => {
+  assert.deepEqual(splitMessage("aaa\nbbb\nccc", 7), ["aaa\nbbb", "ccc"]);
+  assert.deepEqual(splitMessage("x".repeat(5), 2), ["xx", "xx", "x"]);
+});
+
+// A live message over a fake Discord API that records every call.
+function fakeLiveMessage() {
+  const calls = [];
+  let chain = Promise.resolve();
+  let nextId = 1;
+  const live = createLiveMessage((fn) => (chain = chain.then(fn)), {
+    post: async (content) => {
+      calls.push(["post", nextId, content.length]);
+      return nextId++;
+    },
+    edit: async (id, content) => calls.push(["edit", id, content.length]),
+    remove: async (id) => calls.push(["remove", id])
+  });
+  return { live, calls };
+}
+
+test("live messages roll over past 2000 characters and shrink back", async () => {
+  const { live, calls } = fakeLiveMessage();
+  await live.complete("a".repeat(1500));
+  await live.complete(`${"a".repeat(1500)}\n${"b".repeat(1500)}`);
+  assert.deepEqual(calls, [
+    ["post", 1, 1500],
+    ["post", 2, 1500]
+  ]);
+
+  calls.length = 0;
+  await live.complete("c".repeat(4500));
+  assert.deepEqual(calls, [
+    ["edit", 1, 2000],
+    ["edit", 2, 2000],
+    ["post", 3, 500]
+  ]);
+
+  calls.length = 0;
+  await live.complete("short");
+  assert.deepEqual(calls, [
+    ["edit", 1, 5],
+    ["remove", 3],
+    ["remove", 2]
+  ]);
+
+  calls.length = 0;
+  await live.discard();
+  assert.deepEqual(calls, [["remove", 1]]);
+});
+
+test("live updates wait for the next edit slot, and complete sends right away", async () => {
+  const { live, calls } = fakeLiveMessage();
+  live.update("partial");
+  assert.deepEqual(calls, []);
+  await live.complete("final");
+  assert.deepEqual(calls, [["post", 1, 5]]);
+});
+
+// Streams `chunks` through a think filter and returns everything it let through.
+function filterStream(chunks) {
+  const filter = createThinkFilter();
+  const out = { visible: "", reasoning: "" };
+  for (const part of [...chunks.map((c) => filter.push(c)), filter.flush()]) {
+    out.visible += part.visible;
+    out.reasoning += part.reasoning;
+  }
+  return out;
+}
+
+test("the think filter separates reasoning even when tags are split across chunks", () => {
+  assert.deepEqual(filterStream(["Hi <thi", "nk>plan", " it</th", "ink> there"]), {
+    visible: "Hi  there",
+    reasoning: "plan it"
+  });
+  assert.deepEqual(filterStream(["<", "t", "h", "i", "n", "k", ">", "x", "<", "/think>", "y"]), {
+    visible: "y",
+    reasoning: "x"
+  });
+});
+
+test("the think filter holds back only what could still become a tag", () => {
+  const filter = createThinkFilter();
+  assert.deepEqual(filter.push("a < b <th"), { visible: "a < b ", reasoning: "" });
+  assert.deepEqual(filter.push("ere"), { visible: "<there", reasoning: "" });
+  assert.deepEqual(filter.push("<think>unfinished </thi"), { visible: "", reasoning: "unfinished " });
+  assert.deepEqual(filter.flush(), { visible: "", reasoning: "</thi" });
+});
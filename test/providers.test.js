@@ -0,0 +1,274 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PROVIDER_ADAPTERS, getProviderAdapter } = require("../lib/providers");
+const { startStubServer, sendJson, sendSse, sendNdjson, collect } = require("./stub-server");
+
+let stub;
+let respond; // Set by each test to answer the next request
+
+before(async () => {
+  stub = await startStubServer((req, res, body) => respond(req, res, body));
+});
+
+after(() => stub.close());
+
+// Sends a request the way the bot does and returns the adapter's parsed events.
+async function streamFrom(adapter, request) {
+  const response = await fetch(request.url, {
+    method: "POST",
+    headers: request.headers,
+    body: JSON.stringify(request.body)
+  });
+  return collect(adapter.streamEvents(response));
+}
+
+const chatMessages = [
+  { role: "system", content: "Be brief." },
+  { role: "user", content: "Hi" }
+];
+
+test("unknown provider types fall back to the OpenAI-compatible adapter", () => {
+  assert.equal(getProviderAdapter({ type: "mystery" }), PROVIDER_ADAPTERS.openai);
+  assert.equal(getProviderAdapter({ type: "ollama" }), PROVIDER_ADAPTERS.ollama);
+});
+
+test("openai adapter builds a streamed chat request and parses its events", async () => {
+  const adapter = PROVIDER_ADAPTERS.openai;
+  const tools = [{ type: "function", function: { name: "roll_dice", parameters: {} } }];
+  const request = await adapter.buildChatRequest({
+    provider: { url: `${stub.url}/v1` },
+    apiKey: "sk-test",
+    model: "gpt-test",
+    messages: chatMessages,
+    params: { temperature: 0.5 },
+    extraBody: { user: "tester" },
+    tools,
+    toolChoice: "auto"
+  });
+  assert.equal(request.url, `${stub.url}/v1/chat/completions`);
+  assert.deepEqual(request.body, {
+    temperature: 0.5,
+    stream_options: { include_usage: true },
+    user: "tester",
+    model: "gpt-test",
+    messages: chatMessages,
+    stream: true,
+    tools,
+    tool_choice: "auto"
+  });
+
+  respond = (req, res) =>
+    sendSse(res, [
+      { choices: [{ delta: { reasoning_content: "Thinking" } }] },
+      { choices: [{ delta: { content: "Hel" } }] },
+      { choices: [{ delta: { content: "lo" } }] },
+      {
+        choices: [
+          { delta: { tool_calls: [{ index: 0, id: "call_1", function: { name: "roll_dice", arguments: "{}" } }] } }
+        ]
+      },
+      { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } },
+      "[DONE]",
+      { choices: [{ delta: { content: "after done" } }] }
+    ]);
+  const events = await streamFrom(adapter, request);
+  assert.equal(stub.requests.at(-1).url, "/v1/chat/completions");
+  assert.equal(stub.requests.at(-1).headers.authorization, "Bearer sk-test");
+  assert.deepEqual(events, [
+    { type: "reasoning", text: "Thinking" },
+    { type: "text", text: "Hel" },
+    { type: "text", text: "lo" },
+    { type: "tool_call", index: 0, id: "call_1", name: "roll_dice", arguments: "{}" },
+    { type: "usage", promptTokens: 12, completionTokens: 3 }
+  ]);
+});
+
+test("only OpenAI-style adapters take tools", () => {
+  assert.deepEqual(
+    Object.keys(PROVIDER_ADAPTERS).filter((type) => PROVIDER_ADAPTERS[type].supportsTools),
+    ["openai", "azure-openai"]
+  );
+});
+
+test("openai adapter surfaces errors sent inside the stream", async () => {
+  const adapter = PROVIDER_ADAPTERS.openai;
+  respond = (req, res) => sendSse(res, [{ error: { message: "model overloaded" } }]);
+  await assert.rejects(
+    streamFrom(adapter, { url: `${stub.url}/v1/chat/completions`, headers: {}, body: {} }),
+    /model overloaded/
+  );
+});
+
+test("openai adapter lists models and embeds through the models URL", async () => {
+  const adapter = PROVIDER_ADAPTERS.openai;
+  const provider = { url: `${stub.url}/v1/chat/completions` };
+  respond = (req, res) => sendJson(res, 200, { data: [{ id: "gpt-a" }, { id: "gpt-b" }] });
+  assert.deepEqual(await adapter.listModels(provider, "sk-test"), ["gpt-a", "gpt-b"]);
+  assert.equal(stub.requests.at(-1).url, "/v1/models");
+
+  respond = (req, res) =>
+    sendJson(res, 200, {
+      data: [
+        { index: 1, embedding: [0, 1] },
+        { index: 0, embedding: [1, 0] }
+      ]
+    });
+  assert.deepEqual(await adapter.embed(provider, "sk-test", "embed-test", ["a", "b"]), [
+    [1, 0],
+    [0, 1]
+  ]);
+  assert.equal(stub.requests.at(-1).url, "/v1/embeddings");
+  assert.deepEqual(stub.requests.at(-1).body, { model: "embed-test", input: ["a", "b"] });
+});
+
+test("listing models reports the provider's HTTP status", async () => {
+  respond = (req, res) => sendJson(res, 401, { error: "bad key" });
+  await assert.rejects(PROVIDER_ADAPTERS.openai.listModels({ url: `${stub.url}/v1` }, "sk-bad"), (err) => {
+    assert.equal(err.status, 401);
+    return true;
+  });
+});
+
+test("azure-openai adapter addresses the deployment and leaves the model out of the body", async () => {
+  const adapter = PROVIDER_ADAPTERS["azure-openai"];
+  const request = await adapter.buildChatRequest({
+    provider: { url: `${stub.url}/?api-version=2025-01-01` },
+    apiKey: "azure-key",
+    model: "my deployment",
+    messages: chatMessages,
+    params: {},
+    extraBody: {}
+  });
+  assert.equal(
+    request.url,
+    `${stub.url}/openai/deployments/my%20deployment/chat/completions?api-version=2025-01-01`
+  );
+  assert.equal(request.headers["api-key"], "azure-key");
+  assert.equal(request.body.model, undefined);
+  assert.equal(request.body.stream, true);
+});
+
+test("anthropic adapter moves system prompts out of the history and parses its events", async () => {
+  const adapter = PROVIDER_ADAPTERS.anthropic;
+  const request = await adapter.buildChatRequest({
+    provider: { url: stub.url },
+    apiKey: "sk-ant",
+    model: "claude-test",
+    messages: [
+      ...chatMessages,
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "What is this?" },
+          { type: "image_url", image_url: { url: "https://example.com/cat.png" } }
+        ]
+      }
+    ],
+    params: { reasoning_effort: "low", temperature: 0.2, max_tokens: 512 },
+    extraBody: {}
+  });
+  assert.equal(request.url, `${stub.url}/v1/messages`);
+  assert.equal(request.body.system, "Be brief.");
+  assert.deepEqual(request.body.thinking, { type: "enabled", budget_tokens: 1024 });
+  assert.equal(request.body.max_tokens, 1024 + 4096);
+  assert.equal(request.body.temperature, undefined); // Not allowed alongside thinking
+  assert.deepEqual(request.body.messages[1].content[1], {
+    type: "image",
+    source: { type: "url", url: "https://example.com/cat.png" }
+  });
+
+  respond = (req, res) =>
+    sendSse(res, [
+      {
+        event: "message_start",
+        data: { type: "message_start", message: { usage: { input_tokens: 10, cache_read_input_tokens: 5 } } }
+      },
+      {
+        event: "content_block_delta",
+        data: { type: "content_block_delta", delta: { type: "thinking_delta", thinking: "Hmm" } }
+      },
+      {
+        event: "content_block_delta",
+        data: { type: "content_block_delta", delta: { type: "text_delta", text: "A cat." } }
+      },
+      { event: "message_delta", data: { type: "message_delta", usage: { output_tokens: 7 } } }
+    ]);
+  const events = await streamFrom(adapter, request);
+  assert.equal(stub.requests.at(-1).headers["x-api-key"], "sk-ant");
+  assert.deepEqual(events, [
+    { type: "reasoning", text: "Hmm" },
+    { type: "text", text: "A cat." },
+    { type: "usage", promptTokens: 15, completionTokens: 7 }
+  ]);
+});
+
+test("gemini adapter maps roles and generation settings and parses its events", async () => {
+  const adapter = PROVIDER_ADAPTERS.gemini;
+  const request = await adapter.buildChatRequest({
+    provider: { url: stub.url },
+    apiKey: "AIza-test",
+    model: "models/gemini-test",
+    messages: [...chatMessages, { role: "assistant", content: "Hello" }],
+    params: { temperature: 1, max_tokens: 100, stop: ["END"] },
+    extraBody: {}
+  });
+  assert.equal(request.url, `${stub.url}/v1beta/models/gemini-test:streamGenerateContent?alt=sse`);
+  assert.deepEqual(request.body, {
+    contents: [
+      { role: "user", parts: [{ text: "Hi" }] },
+      { role: "model", parts: [{ text: "Hello" }] }
+    ],
+    systemInstruction: { parts: [{ text: "Be brief." }] },
+    generationConfig: { temperature: 1, maxOutputTokens: 100, stopSequences: ["END"] }
+  });
+
+  respond = (req, res) =>
+    sendSse(res, [
+      { candidates: [{ content: { parts: [{ text: "Pondering", thought: true }] } }] },
+      {
+        candidates: [{ content: { parts: [{ text: "Hi there" }] } }],
+        usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, thoughtsTokenCount: 3 }
+      }
+    ]);
+  const events = await streamFrom(adapter, request);
+  assert.equal(stub.requests.at(-1).headers["x-goog-api-key"], "AIza-test");
+  assert.deepEqual(events, [
+    { type: "reasoning", text: "Pondering" },
+    { type: "text", text: "Hi there" },
+    { type: "usage", promptTokens: 4, completionTokens: 5 }
+  ]);
+});
+
+test("ollama adapter streams newline-delimited JSON and embeds", async () => {
+  const adapter = PROVIDER_ADAPTERS.ollama;
+  const provider = { url: `${stub.url}/api/chat` };
+  const request = await adapter.buildChatRequest({
+    provider,
+    apiKey: "",
+    model: "llama-test",
+    messages: chatMessages,
+    params: { max_tokens: 64, reasoning_effort: "high" },
+    extraBody: {}
+  });
+  assert.equal(request.url, `${stub.url}/api/chat`);
+  assert.equal(request.headers.Authorization, undefined);
+  assert.deepEqual(request.body.options, { num_predict: 64 });
+  assert.equal(request.body.think, true);
+
+  respond = (req, res) =>
+    sendNdjson(res, [
+      { message: { thinking: "Let me see" } },
+      { message: { content: "Hey" } },
+      { done: true, prompt_eval_count: 9, eval_count: 1 },
+      { message: { content: "after done" } }
+    ]);
+  assert.deepEqual(await streamFrom(adapter, request), [
+    { type: "reasoning", text: "Let me see" },
+    { type: "text", text: "Hey" },
+    { type: "usage", promptTokens: 9, completionTokens: 1 }
+  ]);
+
+  respond = (req, res) => sendJson(res, 200, { embeddings: [[0.5, 0.5]] });
+  assert.deepEqual(await adapter.embed(provider, "", "nomic-embed-text", ["hi"]), [[0.5, 0.5]]);
+  assert.equal(stub.requests.at(-1).url, "/api/embed");
+});
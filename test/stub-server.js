@@ -0,0 +1,63 @@
+const http = require("http");
+
+// Starts a local HTTP server standing in for a provider. `handler(req, res, body)` answers each
+// request; every request is recorded in `requests` as { method, url, headers, body } with a
+// parsed JSON body.
+async function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = raw;
+      }
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+// Writes each payload as one Server-Sent Event, optionally named, then ends the stream.
+function sendSse(res, events) {
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  for (const event of events) {
+    if (typeof event === "string") {
+      res.write(`data: ${event}\n\n`);
+    } else if (event.event) {
+      res.write(`event: ${event.event}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    } else {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    }
+  }
+  res.end();
+}
+
+function sendNdjson(res, lines) {
+  res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+  for (const line of lines) res.write(JSON.stringify(line) + "\n");
+  res.end();
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+module.exports = { startStubServer, sendJson, sendSse, sendNdjson, collect };